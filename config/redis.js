@@ -0,0 +1,54 @@
+const Redis = require('ioredis');
+
+let redisClient = null;
+
+/**
+ * Get shared Redis client, or null when Redis is not configured (single instance mode)
+ */
+const getRedisClient = () => {
+    if (redisClient) {
+        return redisClient;
+    }
+
+    const redisURL = process.env.REDIS_URL;
+    const host = process.env.REDIS_HOST;
+
+    if (!redisURL && !host) {
+        return null;
+    }
+
+    const options = {
+        maxRetriesPerRequest: 3,
+        retryStrategy: (times) => Math.min(times * 500, 5000) // Back off up to 5 seconds between retries
+    };
+
+    if (redisURL) {
+        redisClient = new Redis(redisURL, options);
+    } else {
+        redisClient = new Redis({
+            host,
+            port: parseInt(process.env.REDIS_PORT) || 6379,
+            password: process.env.REDIS_PASSWORD || undefined,
+            db: parseInt(process.env.REDIS_DB) || 0,
+            ...options
+        });
+    }
+
+    console.log(`Connecting to Redis: ${(redisURL || `${host}:${process.env.REDIS_PORT || 6379}`).replace(/\/\/.*@/, '//***:***@')}`);
+
+    redisClient.on('ready', () => {
+        console.log('✅ Redis Connected');
+    });
+
+    redisClient.on('error', (err) => {
+        console.error('❌ Redis connection error:', err.message);
+    });
+
+    redisClient.on('reconnecting', () => {
+        console.log('🔄 Redis reconnecting');
+    });
+
+    return redisClient;
+};
+
+module.exports = getRedisClient;
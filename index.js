@@ -1,15 +1,30 @@
 const express = require('express');
 const cors = require('cors');
+const mongoose = require('mongoose');
 const connectDB = require('./config/database');
 const Logger = require('./src/utils/Logger');
 const ApiResponse = require('./src/utils/ApiResponse');
 const ErrorMiddleware = require('./src/middleware/ErrorMiddleware');
 const ValidationMiddleware = require('./src/middleware/ValidationMiddleware');
+const SessionRoutingMiddleware = require('./src/middleware/SessionRoutingMiddleware');
+const AdminAuthMiddleware = require('./src/middleware/AdminAuthMiddleware');
 
 // Controllers
 const WhatsAppController = require('./src/controllers/WhatsAppController');
 const ContactController = require('./src/controllers/ContactController');
 const MessageController = require('./src/controllers/MessageController');
+const SandboxController = require('./src/controllers/SandboxController');
+const AdminController = require('./src/controllers/AdminController');
+const AutoReplyController = require('./src/controllers/AutoReplyController');
+const ChatFlowController = require('./src/controllers/ChatFlowController');
+const InboxController = require('./src/controllers/InboxController');
+const MediaController = require('./src/controllers/MediaController');
+const SuppressionController = require('./src/controllers/SuppressionController');
+const HandoverController = require('./src/controllers/HandoverController');
+
+// Background services
+const SessionRestoreService = require('./src/services/whatsapp/SessionRestoreService');
+const SendDrainService = require('./src/services/message/SendDrainService');
 
 require('dotenv').config();
 
@@ -20,11 +35,28 @@ const logger = new Logger('App');
 // Initialize middleware instances
 const errorMiddleware = new ErrorMiddleware();
 const validationMiddleware = new ValidationMiddleware();
+const adminAuthMiddleware = new AdminAuthMiddleware();
 
 // Initialize controllers
 const whatsappController = new WhatsAppController();
 const contactController = new ContactController();
 const messageController = new MessageController();
+const sandboxController = new SandboxController();
+const adminController = new AdminController();
+const autoReplyController = new AutoReplyController();
+const chatFlowController = new ChatFlowController();
+const inboxController = new InboxController();
+const mediaController = new MediaController();
+const suppressionController = new SuppressionController();
+const handoverController = new HandoverController();
+
+// Route session-scoped requests to the instance owning the session
+const sessionRoutingMiddleware = new SessionRoutingMiddleware(whatsappController.whatsAppService);
+
+// Initialize background services
+const sessionRestoreService = new SessionRestoreService(whatsappController.whatsAppService);
+const sendDrainService = new SendDrainService();
+const sessionOwnershipService = whatsappController.whatsAppService.clientFactory.sessionOwnershipService;
 
 // Connect to MongoDB
 connectDB();
@@ -56,6 +88,10 @@ app.get('/api/health', errorMiddleware.asyncHandler(
 // WhatsApp Session Management Routes
 app.post('/api/whatsapp/init', 
     validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    validationMiddleware.validateLoginMethod,
+    validationMiddleware.validateBrowserConfig,
+    sessionRoutingMiddleware.forwardToOwner,
     errorMiddleware.asyncHandler(
         whatsappController.initializeSession.bind(whatsappController)
     )
@@ -63,6 +99,8 @@ app.post('/api/whatsapp/init',
 
 app.get('/api/whatsapp/status',
     validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    sessionRoutingMiddleware.forwardToOwner,
     errorMiddleware.asyncHandler(
         whatsappController.getSessionStatus.bind(whatsappController)
     )
@@ -70,6 +108,8 @@ app.get('/api/whatsapp/status',
 
 app.get('/api/whatsapp/info',
     validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    sessionRoutingMiddleware.forwardToOwner,
     errorMiddleware.asyncHandler(
         whatsappController.getSessionInfo.bind(whatsappController)
     )
@@ -77,6 +117,7 @@ app.get('/api/whatsapp/info',
 
 app.get('/api/whatsapp/contacts/progress',
     validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
     errorMiddleware.asyncHandler(
         whatsappController.getContactProgress.bind(whatsappController)
     )
@@ -84,6 +125,8 @@ app.get('/api/whatsapp/contacts/progress',
 
 app.post('/api/whatsapp/logout',
     validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    sessionRoutingMiddleware.forwardToOwner,
     errorMiddleware.asyncHandler(
         whatsappController.logout.bind(whatsappController)
     )
@@ -91,25 +134,162 @@ app.post('/api/whatsapp/logout',
 
 app.post('/api/whatsapp/restart',
     validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    sessionRoutingMiddleware.forwardToOwner,
     errorMiddleware.asyncHandler(
         whatsappController.restartSession.bind(whatsappController)
     )
 );
 
+app.get('/api/whatsapp/restart',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    sessionRoutingMiddleware.forwardToOwner,
+    errorMiddleware.asyncHandler(
+        whatsappController.getRestartStatus.bind(whatsappController)
+    )
+);
+
+// Multiple numbers per user/place
+app.get('/api/whatsapp/sessions',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        whatsappController.listSessions.bind(whatsappController)
+    )
+);
+
+// Live session events (Server-Sent Events); not forwarded, events reach every instance
+app.get('/api/whatsapp/events',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    errorMiddleware.asyncHandler(
+        whatsappController.streamEvents.bind(whatsappController)
+    )
+);
+
+app.get('/api/whatsapp/sessions/:session_id/history',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validatePagination,
+    errorMiddleware.asyncHandler(
+        whatsappController.getSessionHistory.bind(whatsappController)
+    )
+);
+
+// Per-session proxy / user agent / Chromium args / web version (applied on next client start)
+app.get('/api/whatsapp/sessions/:session_id/browser-config',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        whatsappController.getBrowserConfig.bind(whatsappController)
+    )
+);
+
+app.put('/api/whatsapp/sessions/:session_id/browser-config',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validateBrowserConfig,
+    errorMiddleware.asyncHandler(
+        whatsappController.updateBrowserConfig.bind(whatsappController)
+    )
+);
+
+app.put('/api/whatsapp/sessions/:session_id',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    errorMiddleware.asyncHandler(
+        whatsappController.renameSession.bind(whatsappController)
+    )
+);
+
+// Inactive-session reaper (dry run: nothing is changed); lists sessions of every tenant
+app.get('/api/whatsapp/reaper/report',
+    adminAuthMiddleware.requireAdmin,
+    errorMiddleware.asyncHandler(
+        whatsappController.getReaperReport.bind(whatsappController)
+    )
+);
+
+// Kept for existing dashboards; same as /api/admin/stats
 app.get('/api/whatsapp/stats',
+    adminAuthMiddleware.requireAdmin,
+    errorMiddleware.asyncHandler(
+        adminController.getStats.bind(adminController)
+    )
+);
+
+// Admin Routes (ADMIN_API_KEY, across all users and places)
+app.get('/api/admin/sessions',
+    adminAuthMiddleware.requireAdmin,
+    validationMiddleware.validatePagination,
+    errorMiddleware.asyncHandler(
+        adminController.listSessions.bind(adminController)
+    )
+);
+
+app.get('/api/admin/sessions/:session_id',
+    adminAuthMiddleware.requireAdmin,
+    errorMiddleware.asyncHandler(
+        adminController.getSession.bind(adminController)
+    )
+);
+
+app.post('/api/admin/sessions/actions',
+    adminAuthMiddleware.requireAdmin,
+    validationMiddleware.validateAdminSessionAction,
     errorMiddleware.asyncHandler(
-        whatsappController.getServiceStats.bind(whatsappController)
+        adminController.runSessionAction.bind(adminController)
+    )
+);
+
+app.get('/api/admin/stats',
+    adminAuthMiddleware.requireAdmin,
+    errorMiddleware.asyncHandler(
+        adminController.getStats.bind(adminController)
     )
 );
 
 // New API endpoint to manually start background contact fetch
 app.post('/api/whatsapp/start-contact-fetch',
     validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    sessionRoutingMiddleware.forwardToOwner,
     errorMiddleware.asyncHandler(
         whatsappController.startContactFetch.bind(whatsappController)
     )
 );
 
+// Sandbox driver routes (sessions created with WHATSAPP_DRIVER=sandbox)
+app.get('/api/whatsapp/sandbox/contacts',
+    errorMiddleware.asyncHandler(
+        sandboxController.getAddressBook.bind(sandboxController)
+    )
+);
+
+app.post('/api/whatsapp/sandbox/scan',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    sessionRoutingMiddleware.forwardToOwner,
+    errorMiddleware.asyncHandler(
+        sandboxController.scanQR.bind(sandboxController)
+    )
+);
+
+app.post('/api/whatsapp/sandbox/inbound',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    sessionRoutingMiddleware.forwardToOwner,
+    errorMiddleware.asyncHandler(
+        sandboxController.injectInboundMessage.bind(sandboxController)
+    )
+);
+
+app.post('/api/whatsapp/sandbox/disconnect',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    sessionRoutingMiddleware.forwardToOwner,
+    errorMiddleware.asyncHandler(
+        sandboxController.simulateDisconnect.bind(sandboxController)
+    )
+);
+
 // Contact and Group Management Routes
 app.get('/api/whatsapp/groups',
     validationMiddleware.validateUserPlace,
@@ -131,6 +311,7 @@ app.get('/api/whatsapp/groups/:group_id/contacts',
 
 app.post('/api/whatsapp/groups',
     validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
     validationMiddleware.validateGroupCreation,
     errorMiddleware.asyncHandler(
         contactController.createGroup.bind(contactController)
@@ -174,6 +355,8 @@ app.get('/api/whatsapp/contacts/:contact_id',
 // Message Sending Routes
 app.post('/api/whatsapp/send-message',
     validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    sessionRoutingMiddleware.forwardToOwner,
     validationMiddleware.validateMessage,
     validationMiddleware.validateImageUrl,
     errorMiddleware.asyncHandler(
@@ -183,6 +366,8 @@ app.post('/api/whatsapp/send-message',
 
 app.post('/api/whatsapp/groups/:group_id/send-message',
     validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    sessionRoutingMiddleware.forwardToOwner,
     validationMiddleware.validateGroupId,
     validationMiddleware.validateMessage,
     validationMiddleware.validateImageUrl,
@@ -193,6 +378,8 @@ app.post('/api/whatsapp/groups/:group_id/send-message',
 
 app.post('/api/whatsapp/send-bulk-messages',
     validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    sessionRoutingMiddleware.forwardToOwner,
     validationMiddleware.validateMessage,
     validationMiddleware.validateImageUrl,
     validationMiddleware.validateBulkRecipients,
@@ -210,6 +397,73 @@ app.get('/api/whatsapp/messages',
     )
 );
 
+// Conversation Handover Routes (agent assignment, bot pause, SLA); declared before the
+// conversation history route so /conversations/stats is not taken for a phone number
+app.get('/api/whatsapp/conversations',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validatePagination,
+    errorMiddleware.asyncHandler(
+        handoverController.listConversations.bind(handoverController)
+    )
+);
+
+app.get('/api/whatsapp/conversations/stats',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        handoverController.getStatistics.bind(handoverController)
+    )
+);
+
+app.get('/api/whatsapp/conversations/:phone_number/assignment',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        handoverController.getConversation.bind(handoverController)
+    )
+);
+
+app.post('/api/whatsapp/conversations/:phone_number/assign',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        handoverController.assign.bind(handoverController)
+    )
+);
+
+app.post('/api/whatsapp/conversations/:phone_number/transfer',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        handoverController.transfer.bind(handoverController)
+    )
+);
+
+app.post('/api/whatsapp/conversations/:phone_number/unassign',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        handoverController.unassign.bind(handoverController)
+    )
+);
+
+app.post('/api/whatsapp/conversations/:phone_number/state',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        handoverController.setState.bind(handoverController)
+    )
+);
+
+app.post('/api/whatsapp/conversations/:phone_number/bot',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        handoverController.setBotPaused.bind(handoverController)
+    )
+);
+
+app.get('/api/whatsapp/conversations/:phone_number',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validatePagination,
+    errorMiddleware.asyncHandler(
+        messageController.getConversation.bind(messageController)
+    )
+);
+
 app.get('/api/whatsapp/messages/stats',
     validationMiddleware.validateUserPlace,
     errorMiddleware.asyncHandler(
@@ -224,6 +478,79 @@ app.post('/api/whatsapp/messages/:message_log_id/retry',
     )
 );
 
+// Inbox Routes
+app.get('/api/whatsapp/inbox/chats',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    sessionRoutingMiddleware.forwardToOwner,
+    validationMiddleware.validatePagination,
+    errorMiddleware.asyncHandler(
+        inboxController.listChats.bind(inboxController)
+    )
+);
+
+app.get('/api/whatsapp/inbox/chats/:chat_id/messages',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    sessionRoutingMiddleware.forwardToOwner,
+    validationMiddleware.validatePagination,
+    errorMiddleware.asyncHandler(
+        inboxController.getChatMessages.bind(inboxController)
+    )
+);
+
+app.post('/api/whatsapp/inbox/chats/:chat_id/read',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    sessionRoutingMiddleware.forwardToOwner,
+    errorMiddleware.asyncHandler(
+        inboxController.markRead.bind(inboxController)
+    )
+);
+
+app.post('/api/whatsapp/inbox/chats/:chat_id/archive',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    sessionRoutingMiddleware.forwardToOwner,
+    errorMiddleware.asyncHandler(
+        inboxController.setArchived.bind(inboxController)
+    )
+);
+
+app.post('/api/whatsapp/inbox/chats/:chat_id/pin',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    sessionRoutingMiddleware.forwardToOwner,
+    errorMiddleware.asyncHandler(
+        inboxController.setPinned.bind(inboxController)
+    )
+);
+
+app.post('/api/whatsapp/inbox/chats/:chat_id/reply',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    sessionRoutingMiddleware.forwardToOwner,
+    validationMiddleware.validateMessage,
+    errorMiddleware.asyncHandler(
+        inboxController.reply.bind(inboxController)
+    )
+);
+
+// Inbound media (stored on the configured MEDIA_STORAGE_DRIVER)
+app.get('/api/whatsapp/media/:media_id',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        mediaController.getMedia.bind(mediaController)
+    )
+);
+
+// Signed, expiring link; the signature replaces user_id/place_id
+app.get('/api/whatsapp/media/:media_id/content',
+    errorMiddleware.asyncHandler(
+        mediaController.getMediaContent.bind(mediaController)
+    )
+);
+
 // Utility Routes
 app.post('/api/whatsapp/test-image-url',
     validationMiddleware.validateImageUrl,
@@ -245,6 +572,136 @@ app.get('/api/whatsapp/templates',
     )
 );
 
+// Auto-Reply Rule Routes
+app.get('/api/whatsapp/auto-replies',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        autoReplyController.listRules.bind(autoReplyController)
+    )
+);
+
+app.post('/api/whatsapp/auto-replies',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validateAutoReplyRule,
+    errorMiddleware.asyncHandler(
+        autoReplyController.createRule.bind(autoReplyController)
+    )
+);
+
+app.get('/api/whatsapp/auto-replies/:rule_id',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        autoReplyController.getRule.bind(autoReplyController)
+    )
+);
+
+app.put('/api/whatsapp/auto-replies/:rule_id',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validateAutoReplyRule,
+    errorMiddleware.asyncHandler(
+        autoReplyController.updateRule.bind(autoReplyController)
+    )
+);
+
+app.delete('/api/whatsapp/auto-replies/:rule_id',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        autoReplyController.deleteRule.bind(autoReplyController)
+    )
+);
+
+// Chat Flow Routes
+app.get('/api/whatsapp/flows',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        chatFlowController.listFlows.bind(chatFlowController)
+    )
+);
+
+app.post('/api/whatsapp/flows',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validateChatFlow,
+    errorMiddleware.asyncHandler(
+        chatFlowController.createFlow.bind(chatFlowController)
+    )
+);
+
+app.get('/api/whatsapp/flows/:flow_id',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        chatFlowController.getFlow.bind(chatFlowController)
+    )
+);
+
+app.put('/api/whatsapp/flows/:flow_id',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validateChatFlow,
+    errorMiddleware.asyncHandler(
+        chatFlowController.updateFlow.bind(chatFlowController)
+    )
+);
+
+app.delete('/api/whatsapp/flows/:flow_id',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        chatFlowController.deleteFlow.bind(chatFlowController)
+    )
+);
+
+app.post('/api/whatsapp/flows/:flow_id/start',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSessionSelector,
+    sessionRoutingMiddleware.forwardToOwner,
+    errorMiddleware.asyncHandler(
+        chatFlowController.startFlow.bind(chatFlowController)
+    )
+);
+
+app.get('/api/whatsapp/flow-states/:phone_number',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        chatFlowController.getFlowState.bind(chatFlowController)
+    )
+);
+
+app.post('/api/whatsapp/flow-states/:phone_number/reset',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        chatFlowController.resetFlowState.bind(chatFlowController)
+    )
+);
+
+// Suppression List Routes (numbers that opted out)
+app.get('/api/whatsapp/suppressions',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validatePagination,
+    errorMiddleware.asyncHandler(
+        suppressionController.listSuppressions.bind(suppressionController)
+    )
+);
+
+app.post('/api/whatsapp/suppressions/import',
+    validationMiddleware.validateUserPlace,
+    validationMiddleware.validateSuppressionImport,
+    errorMiddleware.asyncHandler(
+        suppressionController.importSuppressions.bind(suppressionController)
+    )
+);
+
+app.get('/api/whatsapp/suppressions/:phone_number',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        suppressionController.getSuppression.bind(suppressionController)
+    )
+);
+
+app.delete('/api/whatsapp/suppressions/:phone_number',
+    validationMiddleware.validateUserPlace,
+    errorMiddleware.asyncHandler(
+        suppressionController.removeSuppression.bind(suppressionController)
+    )
+);
+
 // Response time middleware
 app.use((req, res, next) => {
     if (req.startTime) {
@@ -272,11 +729,76 @@ const server = app.listen(PORT, () => {
     logger.info(`📝 Logging: STRUCTURED`);
     logger.info(`✅ Validation: COMPREHENSIVE`);
     logger.info(`🔍 Search: ENABLED with name/phone filtering`);
+
+    // Keep session leases alive so other instances know which sessions live here
+    sessionOwnershipService.startHeartbeat(whatsappController.whatsAppService.clientFactory);
+
+    // Bring persisted sessions back without waiting for an API call to touch them,
+    // then send what the last shutdown left queued
+    const restoreOnBoot = process.env.WHATSAPP_RESTORE_ON_BOOT !== 'false';
+    const bootSessions = () => (restoreOnBoot ? sessionRestoreService.restoreAllSessions() : Promise.resolve())
+        .then(() => restoreOnBoot && whatsappController.whatsAppService.reconnectService.resumePendingReconnects())
+        .catch(error => {
+            logger.error('Error restoring sessions on boot:', error);
+        })
+        .then(() => messageController.messageService.resumeQueuedSends())
+        .catch(error => {
+            logger.error('Error resuming queued sends:', error);
+        });
+
+    // Auth data may live in MongoDB, so wait for the connection before restoring
+    if (mongoose.connection.readyState === 1) {
+        bootSessions();
+    } else {
+        mongoose.connection.once('connected', bootSessions);
+    }
+
+    // Reap sessions without activity for WHATSAPP_SESSION_TIMEOUT
+    whatsappController.whatsAppService.reaperService.start();
+
+    // Probe live clients: stored statuses do not notice a crashed browser
+    whatsappController.whatsAppService.watchdogService.start();
+
+    // Keep account and device details of connected sessions current
+    whatsappController.whatsAppService.metadataService.start();
+
+    // Expire or continue chat flows whose contact stopped answering
+    whatsappController.whatsAppService.chatFlowService.start();
+
+    // Take over sessions whose owning instance stopped renewing its lease
+    if (sessionOwnershipService.isEnabled()) {
+        const takeoverInterval = parseInt(process.env.SESSION_TAKEOVER_INTERVAL_MS) || sessionOwnershipService.leaseTtlMs;
+        setInterval(() => {
+            if (mongoose.connection.readyState !== 1) return;
+            sessionRestoreService.restoreAllSessions().catch(error => {
+                logger.error('Error taking over orphaned sessions:', error);
+            });
+        }, takeoverInterval);
+        logger.info(`🔗 Multi-instance mode: instance ${sessionOwnershipService.instanceId}`);
+    }
 });
 
 // Graceful shutdown handlers
+let shuttingDown = false;
 const gracefulShutdown = async (signal) => {
+    if (shuttingDown) {
+        return;
+    }
+    shuttingDown = true;
     logger.info(`${signal} received, starting graceful shutdown...`);
+
+    // Force exit if draining and closing take too long
+    setTimeout(() => {
+        logger.error('Forced shutdown due to timeout');
+        process.exit(1);
+    }, sendDrainService.drainTimeoutMs + sendDrainService.abortGraceMs + 30000);
+
+    // Reject new sends and let in-flight ones finish; recipients not reached are queued for the next boot
+    try {
+        await sendDrainService.drain();
+    } catch (error) {
+        logger.error('Error draining in-flight sends:', error);
+    }
     
     // Close HTTP server
     server.close(async () => {
@@ -301,12 +823,6 @@ const gracefulShutdown = async (signal) => {
         logger.success('Graceful shutdown completed');
         process.exit(0);
     });
-    
-    // Force exit after 30 seconds
-    setTimeout(() => {
-        logger.error('Forced shutdown due to timeout');
-        process.exit(1);
-    }, 30000);
 };
 
 // Handle shutdown signals
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const autoReplyRuleSchema = new mongoose.Schema({
+    user_id: {
+        type: Number,
+        required: true
+    },
+    place_id: {
+        type: Number,
+        required: true
+    },
+    // Limit the rule to one number of the place; null applies it to every session
+    session_id: {
+        type: String,
+        default: null
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    is_active: {
+        type: Boolean,
+        default: true
+    },
+    // Higher priority rules are tried first; only the first matching rule replies
+    priority: {
+        type: Number,
+        default: 0
+    },
+    match: {
+        type: {
+            type: String,
+            enum: ['exact', 'contains', 'regex'],
+            required: true
+        },
+        value: {
+            type: String,
+            required: true
+        },
+        case_sensitive: {
+            type: Boolean,
+            default: false
+        }
+    },
+    conditions: {
+        first_message_only: {
+            type: Boolean,
+            default: false
+        },
+        outside_business_hours: {
+            type: Boolean,
+            default: false
+        },
+        // Sender's contact must carry at least one of these tags
+        sender_tags: {
+            type: [String],
+            default: []
+        }
+    },
+    business_hours: {
+        timezone: {
+            type: String,
+            default: 'UTC'
+        },
+        // 0 = Sunday ... 6 = Saturday
+        days: {
+            type: [Number],
+            default: [0, 1, 2, 3, 4]
+        },
+        start: {
+            type: String,
+            default: '09:00'
+        },
+        end: {
+            type: String,
+            default: '17:00'
+        }
+    },
+    response: {
+        type: {
+            type: String,
+            enum: ['text', 'image', 'template'],
+            required: true
+        },
+        // Text, image caption, or extra variables for the template
+        text: {
+            type: String,
+            default: null
+        },
+        image_url: {
+            type: String,
+            default: null
+        },
+        template_id: {
+            type: String,
+            default: null
+        },
+        variables: {
+            type: mongoose.Schema.Types.Mixed,
+            default: null
+        }
+    },
+    // Minimum time between two replies of this rule to the same number
+    cooldown_minutes: {
+        type: Number,
+        default: 60
+    },
+    trigger_count: {
+        type: Number,
+        default: 0
+    },
+    last_triggered_at: {
+        type: Date,
+        default: null
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Index for faster queries
+autoReplyRuleSchema.index({ user_id: 1, place_id: 1, is_active: 1, priority: -1 });
+
+module.exports = mongoose.model('AutoReplyRule', autoReplyRuleSchema);
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+
+/**
+ * Node of a flow:
+ * - message: send text, continue with next
+ * - menu: send text with numbered options, wait for a choice; the choice continues with the option's next
+ * - input: send text, wait for free text saved to the contact's custom_fields[field], continue with next
+ * - branch: no message; first rule matching custom_fields picks next, otherwise default_next
+ * - end: send text (optional) and finish
+ */
+const chatFlowNodeSchema = new mongoose.Schema({
+    id: {
+        type: String,
+        required: true
+    },
+    type: {
+        type: String,
+        enum: ['message', 'menu', 'input', 'branch', 'end'],
+        required: true
+    },
+    text: {
+        type: String,
+        default: null
+    },
+    next: {
+        type: String,
+        default: null
+    },
+    // menu
+    options: [{
+        _id: false,
+        key: String,
+        label: String,
+        next: String
+    }],
+    // menu (chosen label) and input (reply text)
+    field: {
+        type: String,
+        default: null
+    },
+    // input: reply must match, otherwise invalid_message is sent and the question repeated
+    validation: {
+        type: String,
+        default: null
+    },
+    invalid_message: {
+        type: String,
+        default: null
+    },
+    // branch
+    rules: [{
+        _id: false,
+        field: String,
+        operator: {
+            type: String,
+            enum: ['equals', 'contains', 'regex', 'exists']
+        },
+        value: String,
+        next: String
+    }],
+    default_next: {
+        type: String,
+        default: null
+    },
+    // Waiting nodes: overrides the flow timeout; timeout_next continues the flow instead of expiring it
+    timeout_minutes: {
+        type: Number,
+        default: null
+    },
+    timeout_next: {
+        type: String,
+        default: null
+    }
+}, { _id: false });
+
+const chatFlowSchema = new mongoose.Schema({
+    user_id: {
+        type: Number,
+        required: true
+    },
+    place_id: {
+        type: Number,
+        required: true
+    },
+    // Limit the flow to one number of the place; null applies it to every session
+    session_id: {
+        type: String,
+        default: null
+    },
+    name: {
+        type: String,
+        required: true
+    },
+    is_active: {
+        type: Boolean,
+        default: true
+    },
+    // Inbound messages equal to one of these (case-insensitive) start the flow; empty = started through the API only
+    trigger_keywords: {
+        type: [String],
+        default: []
+    },
+    start_node: {
+        type: String,
+        required: true
+    },
+    nodes: {
+        type: [chatFlowNodeSchema],
+        default: []
+    },
+    // Time a contact has to answer before the flow expires
+    timeout_minutes: {
+        type: Number,
+        default: 30
+    },
+    timeout_message: {
+        type: String,
+        default: null
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Index for faster queries
+chatFlowSchema.index({ user_id: 1, place_id: 1, is_active: 1 });
+
+module.exports = mongoose.model('ChatFlow', chatFlowSchema);
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const chatFlowStateSchema = new mongoose.Schema({
+    user_id: {
+        type: Number,
+        required: true
+    },
+    place_id: {
+        type: Number,
+        required: true
+    },
+    // Session the flow talks through
+    session_id: {
+        type: String,
+        required: true
+    },
+    flow_id: {
+        type: String,
+        required: true
+    },
+    phone_number: {
+        type: String,
+        required: true
+    },
+    contact_id: {
+        type: String,
+        default: null
+    },
+    // Node waiting for the contact's reply
+    current_node: {
+        type: String,
+        default: null
+    },
+    status: {
+        type: String,
+        enum: ['active', 'completed', 'expired', 'reset'],
+        default: 'active'
+    },
+    // Answers captured by this run (also saved to the contact's custom_fields)
+    answers: {
+        type: mongoose.Schema.Types.Mixed,
+        default: {}
+    },
+    started_at: {
+        type: Date,
+        default: Date.now
+    },
+    last_interaction_at: {
+        type: Date,
+        default: Date.now
+    },
+    expires_at: {
+        type: Date,
+        default: null
+    },
+    finished_at: {
+        type: Date,
+        default: null
+    }
+});
+
+// Index for faster queries
+chatFlowStateSchema.index({ user_id: 1, place_id: 1, phone_number: 1, status: 1 });
+chatFlowStateSchema.index({ status: 1, expires_at: 1 });
+// One running flow per contact and place
+chatFlowStateSchema.index(
+    { user_id: 1, place_id: 1, phone_number: 1 },
+    { unique: true, partialFilterExpression: { status: 'active' } }
+);
+
+module.exports = mongoose.model('ChatFlowState', chatFlowStateSchema);
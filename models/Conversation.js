@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+/**
+ * Support conversation with a contact, from the first message until it is closed
+ * - pending: not taken by an agent yet (the bot answers)
+ * - open: an agent is handling it
+ * - closed: resolved; the contact's next message starts a new conversation
+ */
+const conversationSchema = new mongoose.Schema({
+    user_id: {
+        type: Number,
+        required: true
+    },
+    place_id: {
+        type: Number,
+        required: true
+    },
+    // Session the contact last wrote to
+    session_id: {
+        type: String,
+        default: null
+    },
+    phone_number: {
+        type: String,
+        required: true
+    },
+    contact_id: {
+        type: String,
+        default: null
+    },
+    state: {
+        type: String,
+        enum: ['open', 'pending', 'closed'],
+        default: 'pending'
+    },
+    // Open or pending; at most one per contact and place (partial unique index)
+    is_active: {
+        type: Boolean,
+        default: true
+    },
+    // Agent (Laravel user id) handling the conversation
+    assigned_agent_id: {
+        type: Number,
+        default: null
+    },
+    assigned_at: {
+        type: Date,
+        default: null
+    },
+    // Auto-replies and chat flows stay silent while paused
+    bot_paused: {
+        type: Boolean,
+        default: false
+    },
+    assignment_history: [{
+        _id: false,
+        action: {
+            type: String,
+            enum: ['assigned', 'transferred', 'unassigned']
+        },
+        agent_id: Number,
+        from_agent_id: Number,
+        note: String,
+        at: {
+            type: Date,
+            default: Date.now
+        }
+    }],
+    transfer_count: {
+        type: Number,
+        default: 0
+    },
+    // SLA timers: first response and resolution are measured from opened_at
+    opened_at: {
+        type: Date,
+        default: Date.now
+    },
+    first_response_at: {
+        type: Date,
+        default: null
+    },
+    first_response_seconds: {
+        type: Number,
+        default: null
+    },
+    first_response_agent_id: {
+        type: Number,
+        default: null
+    },
+    closed_at: {
+        type: Date,
+        default: null
+    },
+    resolution_seconds: {
+        type: Number,
+        default: null
+    },
+    closed_by_agent_id: {
+        type: Number,
+        default: null
+    },
+    last_inbound_at: {
+        type: Date,
+        default: null
+    },
+    last_outbound_at: {
+        type: Date,
+        default: null
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    updated_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Index for faster queries
+conversationSchema.index({ user_id: 1, place_id: 1, state: 1, updated_at: -1 });
+conversationSchema.index({ user_id: 1, place_id: 1, assigned_agent_id: 1, state: 1 });
+conversationSchema.index({ user_id: 1, place_id: 1, phone_number: 1, opened_at: -1 });
+conversationSchema.index(
+    { user_id: 1, place_id: 1, phone_number: 1 },
+    { unique: true, partialFilterExpression: { is_active: true } }
+);
+
+module.exports = mongoose.model('Conversation', conversationSchema);
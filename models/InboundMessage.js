@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+const inboundMessageSchema = new mongoose.Schema({
+    user_id: {
+        type: Number,
+        required: true
+    },
+    place_id: {
+        type: Number,
+        required: true
+    },
+    session_id: {
+        type: String,
+        required: true
+    },
+    // contact_id of the sender's Contact, null when the number is not in the address book
+    contact_id: {
+        type: String,
+        default: null
+    },
+    whatsapp_message_id: {
+        type: String,
+        required: true
+    },
+    // Chat the message arrived in: the sender for direct chats, the group for group chats
+    chat_id: {
+        type: String,
+        required: true
+    },
+    is_group: {
+        type: Boolean,
+        default: false
+    },
+    sender_id: {
+        type: String,
+        required: true
+    },
+    sender_number: {
+        type: String,
+        required: true
+    },
+    sender_name: {
+        type: String,
+        default: null
+    },
+    body: {
+        type: String,
+        default: ''
+    },
+    // whatsapp-web.js message type: chat, image, video, audio, ptt, document, sticker, location, vcard, ...
+    message_type: {
+        type: String,
+        default: 'chat'
+    },
+    has_media: {
+        type: Boolean,
+        default: false
+    },
+    media: {
+        mime_type: String,
+        filename: String,
+        size_bytes: Number,
+        duration_seconds: Number,
+        // Downloaded copy: pending, stored, skipped (over MEDIA_MAX_SIZE_MB) or failed
+        download_status: String,
+        media_file_id: String,
+        sha256: String,
+        download_error: String
+    },
+    quoted_message: {
+        whatsapp_message_id: String,
+        body: String,
+        message_type: String,
+        from_me: Boolean
+    },
+    timestamp: {
+        type: Date,
+        required: true
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Index for faster queries
+inboundMessageSchema.index({ session_id: 1, whatsapp_message_id: 1 }, { unique: true });
+inboundMessageSchema.index({ user_id: 1, place_id: 1, sender_number: 1, timestamp: -1 });
+inboundMessageSchema.index({ contact_id: 1, timestamp: -1 });
+
+module.exports = mongoose.model('InboundMessage', inboundMessageSchema);
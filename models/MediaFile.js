@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+/**
+ * Stored copy of downloaded media; one record per place and content hash,
+ * shared by every message carrying the same file
+ */
+const mediaFileSchema = new mongoose.Schema({
+    user_id: {
+        type: Number,
+        required: true
+    },
+    place_id: {
+        type: Number,
+        required: true
+    },
+    // SHA-256 of the content, hex
+    sha256: {
+        type: String,
+        required: true
+    },
+    // Storage backend holding the file (local or s3) and its key there
+    storage_driver: {
+        type: String,
+        required: true
+    },
+    storage_key: {
+        type: String,
+        required: true
+    },
+    mime_type: {
+        type: String,
+        default: 'application/octet-stream'
+    },
+    filename: {
+        type: String,
+        default: null
+    },
+    size_bytes: {
+        type: Number,
+        required: true
+    },
+    message_count: {
+        type: Number,
+        default: 1
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    },
+    last_received_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Index for faster queries
+mediaFileSchema.index({ user_id: 1, place_id: 1, sha256: 1 }, { unique: true });
+
+module.exports = mongoose.model('MediaFile', mediaFileSchema);
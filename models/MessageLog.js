@@ -41,9 +41,33 @@ const messageLogSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['pending', 'sent', 'delivered', 'failed'],
+        // queued: not sent before a shutdown, resumed on next boot
+        // delivered / read / played: from WhatsApp delivery receipts (played: voice notes and videos)
+        enum: ['queued', 'pending', 'sent', 'delivered', 'read', 'played', 'failed', 'suppressed'],
         default: 'pending'
     },
+    group_id: {
+        type: String,
+        default: null
+    },
+    job_id: {
+        type: String,
+        default: null
+    },
+    // Set on replies sent by an auto-reply rule
+    auto_reply_rule_id: {
+        type: String,
+        default: null
+    },
+    // Set on messages sent by a chat flow
+    chat_flow_id: {
+        type: String,
+        default: null
+    },
+    queued_at: {
+        type: Date,
+        default: null
+    },
     sent_at: {
         type: Date,
         default: null
@@ -52,6 +76,14 @@ const messageLogSchema = new mongoose.Schema({
         type: Date,
         default: null
     },
+    read_at: {
+        type: Date,
+        default: null
+    },
+    played_at: {
+        type: Date,
+        default: null
+    },
     error_message: {
         type: String,
         default: null
@@ -70,6 +102,7 @@ const messageLogSchema = new mongoose.Schema({
 messageLogSchema.index({ user_id: 1, place_id: 1 });
 messageLogSchema.index({ session_id: 1 });
 messageLogSchema.index({ status: 1, created_at: -1 });
-messageLogSchema.index({ whatsapp_message_id: 1 });
+messageLogSchema.index({ session_id: 1, whatsapp_message_id: 1 });
+messageLogSchema.index({ auto_reply_rule_id: 1, recipient_number: 1, created_at: -1 });
 
 module.exports = mongoose.model('MessageLog', messageLogSchema);
\ No newline at end of file
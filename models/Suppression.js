@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+/**
+ * Number of a place that opted out; nothing is sent to it until the suppression is removed
+ */
+const suppressionSchema = new mongoose.Schema({
+    user_id: {
+        type: Number,
+        required: true
+    },
+    place_id: {
+        type: Number,
+        required: true
+    },
+    // Digits only, as stored in Contact.number
+    phone_number: {
+        type: String,
+        required: true
+    },
+    // keyword: the contact sent an opt-out keyword; import / api: added through the API
+    source: {
+        type: String,
+        enum: ['keyword', 'import', 'api'],
+        required: true
+    },
+    keyword: {
+        type: String,
+        default: null
+    },
+    // Session that received the opt-out keyword
+    session_id: {
+        type: String,
+        default: null
+    },
+    reason: {
+        type: String,
+        default: null
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Index for faster queries
+suppressionSchema.index({ user_id: 1, place_id: 1, phone_number: 1 }, { unique: true });
+suppressionSchema.index({ user_id: 1, place_id: 1, created_at: -1 });
+
+module.exports = mongoose.model('Suppression', suppressionSchema);
@@ -22,13 +22,53 @@ const whatsappSessionSchema = new mongoose.Schema({
     },
     status: {
         type: String,
-        enum: ['initializing', 'qr_ready', 'authenticated', 'loading_screen', 'ready', 'fetching_contacts', 'connected', 'disconnected', 'error'],
+        enum: ['initializing', 'qr_ready', 'pairing_code_ready', 'authenticated', 'loading_screen', 'ready', 'fetching_contacts', 'processing_contacts', 'completed', 'connected', 'disconnected', 'error', 'inactive'],
         default: 'initializing'
     },
     qr_code: {
         type: String,
         default: null
     },
+    login_method: {
+        type: String,
+        enum: ['qr', 'pairing_code'],
+        default: 'qr'
+    },
+    pairing_phone_number: {
+        type: String,
+        default: null
+    },
+    pairing_code: {
+        type: String,
+        default: null
+    },
+    pairing_code_expires_at: {
+        type: Date,
+        default: null
+    },
+    pairing_code_refreshes: {
+        type: Number,
+        default: 0
+    },
+    // Per-session browser launch settings, applied whenever a client is started
+    browser_config: {
+        proxy_url: {
+            type: String,
+            default: null
+        },
+        user_agent: {
+            type: String,
+            default: null
+        },
+        chromium_args: {
+            type: [String],
+            default: []
+        },
+        web_version: {
+            type: String,
+            default: null
+        }
+    },
     phone_number: {
         type: String,
         default: null
@@ -60,6 +100,23 @@ const whatsappSessionSchema = new mongoose.Schema({
         type: String,
         default: null
     },
+    disconnect_reason: {
+        type: String,
+        default: null
+    },
+    reconnect_attempts: {
+        type: Number,
+        default: 0
+    },
+    next_reconnect_at: {
+        type: Date,
+        default: null
+    },
+    driver: {
+        type: String,
+        enum: ['webjs', 'sandbox'],
+        default: 'webjs'
+    },
     created_at: {
         type: Date,
         default: Date.now
@@ -79,6 +136,44 @@ const whatsappSessionSchema = new mongoose.Schema({
     last_contacts_sync: {
         type: Date,
         default: null
+    },
+    // Set by the reaper's flag policy, cleared on the next activity
+    inactive_flagged_at: {
+        type: Date,
+        default: null
+    },
+    // Connected account and device, refreshed by SessionMetadataService; null where WhatsApp does not report it
+    account_info: {
+        platform: { type: String, default: null },
+        web_version: { type: String, default: null },
+        is_business: { type: Boolean, default: null },
+        is_enterprise: { type: Boolean, default: null },
+        profile_picture_url: { type: String, default: null },
+        about: { type: String, default: null },
+        battery: { type: Number, default: null },
+        plugged: { type: Boolean, default: null },
+        device: {
+            manufacturer: { type: String, default: null },
+            model: { type: String, default: null },
+            os_version: { type: String, default: null },
+            wa_version: { type: String, default: null }
+        },
+        refreshed_at: { type: Date, default: null }
+    },
+    // Written by the watchdog's live probes of the client
+    last_health_check: {
+        type: Date,
+        default: null
+    },
+    health_check: {
+        state: { type: String, default: null }, // client.getState() result, or null when the probe failed
+        page: { type: String, default: null }, // alive, closed, unresponsive or n/a (no browser)
+        consecutive_failures: { type: Number, default: 0 },
+        total_failures: { type: Number, default: 0 },
+        recoveries: { type: Number, default: 0 },
+        last_failure_at: { type: Date, default: null },
+        last_failure_reason: { type: String, default: null },
+        last_recovery_at: { type: Date, default: null }
     }
 });
 
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const whatsappSessionHistorySchema = new mongoose.Schema({
+    session_id: {
+        type: String,
+        required: true
+    },
+    user_id: {
+        type: Number,
+        required: true
+    },
+    place_id: {
+        type: Number,
+        required: true
+    },
+    from_status: {
+        type: String,
+        default: null
+    },
+    to_status: {
+        type: String,
+        required: true
+    },
+    cause: {
+        type: String,
+        required: true
+    },
+    actor: {
+        type: String,
+        enum: ['client', 'api', 'system'],
+        default: 'system'
+    },
+    details: {
+        type: mongoose.Schema.Types.Mixed,
+        default: null
+    },
+    created_at: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Index for faster queries
+whatsappSessionHistorySchema.index({ session_id: 1, created_at: -1 });
+whatsappSessionHistorySchema.index({ user_id: 1, place_id: 1 });
+
+module.exports = mongoose.model('WhatsAppSessionHistory', whatsappSessionHistorySchema);
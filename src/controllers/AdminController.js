@@ -0,0 +1,82 @@
+const SessionAdminService = require('../services/whatsapp/SessionAdminService');
+const ApiResponse = require('../utils/ApiResponse');
+const Logger = require('../utils/Logger');
+
+/**
+ * Controller for the admin API (ADMIN_API_KEY)
+ * Works across all users and places, unlike the tenant routes
+ */
+class AdminController {
+    constructor() {
+        this.sessionAdminService = new SessionAdminService();
+        this.logger = new Logger('AdminController');
+    }
+
+    /**
+     * List sessions of all users/places with filters
+     */
+    async listSessions(req, res) {
+        try {
+            const { page = 1, limit = 50, ...filters } = req.query;
+
+            const result = await this.sessionAdminService.listSessions(
+                filters,
+                parseInt(page),
+                parseInt(limit)
+            );
+
+            return ApiResponse.paginated(res, result.sessions, result.pagination, 'Sessions retrieved successfully');
+        } catch (error) {
+            this.logger.error('Error listing sessions:', error);
+            return ApiResponse.error(res, error.message, 500);
+        }
+    }
+
+    /**
+     * Get full status of one session
+     */
+    async getSession(req, res) {
+        try {
+            const result = await this.sessionAdminService.getSession(req.params.session_id);
+            return ApiResponse.success(res, result, 'Session retrieved successfully');
+        } catch (error) {
+            this.logger.error('Error getting session:', error);
+            const statusCode = error.message.includes('No session found') ? 404 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
+        }
+    }
+
+    /**
+     * Run restart / logout / hibernate / resync on several sessions
+     */
+    async runSessionAction(req, res) {
+        try {
+            const { action, session_ids } = req.body;
+
+            const result = await this.sessionAdminService.runBulkAction(action, session_ids, {
+                forwarded: this.sessionAdminService.sessionOwnershipService.isForwarded(req)
+            });
+
+            return ApiResponse.success(res, result, `${action}: ${result.succeeded} of ${result.total} sessions succeeded`);
+        } catch (error) {
+            this.logger.error('Error running admin session action:', error);
+            const statusCode = error.message.includes('Unknown admin action') ? 400 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
+        }
+    }
+
+    /**
+     * Get service statistics
+     */
+    async getStats(req, res) {
+        try {
+            const stats = await this.sessionAdminService.getStats();
+            return ApiResponse.success(res, stats);
+        } catch (error) {
+            this.logger.error('Error getting service stats:', error);
+            return ApiResponse.error(res, error.message, 500);
+        }
+    }
+}
+
+module.exports = AdminController;
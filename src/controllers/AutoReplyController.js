@@ -0,0 +1,121 @@
+const WhatsAppService = require('../services/whatsapp/WhatsAppService');
+const ApiResponse = require('../utils/ApiResponse');
+const Logger = require('../utils/Logger');
+
+/**
+ * Controller for auto-reply rules of a place
+ */
+class AutoReplyController {
+    constructor() {
+        this.whatsAppService = new WhatsAppService();
+        this.autoReplyService = this.whatsAppService.autoReplyService;
+        this.logger = new Logger('AutoReplyController');
+    }
+
+    /**
+     * Map auto-reply errors to HTTP status codes
+     */
+    getErrorStatus(error) {
+        if (error.message.includes('rule not found') || error.name === 'CastError') {
+            return 404;
+        }
+        if (error.message.includes('Unknown template') || error.name === 'ValidationError') {
+            return 400;
+        }
+        return 500;
+    }
+
+    /**
+     * List rules of a place
+     */
+    async listRules(req, res) {
+        try {
+            const { user_id, place_id, session_id, is_active } = req.query;
+
+            const rules = await this.autoReplyService.listRules(
+                parseInt(user_id),
+                parseInt(place_id),
+                {
+                    session_id,
+                    ...(is_active !== undefined && { is_active: is_active === 'true' })
+                }
+            );
+
+            return ApiResponse.success(res, rules, 'Auto-reply rules retrieved successfully');
+        } catch (error) {
+            this.logger.error('Error listing auto-reply rules:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Get rule by id
+     */
+    async getRule(req, res) {
+        try {
+            const { user_id, place_id } = req.query;
+
+            const rule = await this.autoReplyService.getRule(parseInt(user_id), parseInt(place_id), req.params.rule_id);
+
+            return ApiResponse.success(res, rule, 'Auto-reply rule retrieved successfully');
+        } catch (error) {
+            this.logger.error('Error getting auto-reply rule:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Create rule
+     */
+    async createRule(req, res) {
+        try {
+            const { user_id, place_id, ...data } = req.body;
+
+            const rule = await this.autoReplyService.createRule(parseInt(user_id), parseInt(place_id), data);
+
+            return ApiResponse.created(res, rule, 'Auto-reply rule created successfully');
+        } catch (error) {
+            this.logger.error('Error creating auto-reply rule:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Update rule
+     */
+    async updateRule(req, res) {
+        try {
+            const { user_id, place_id, ...data } = req.body;
+
+            const rule = await this.autoReplyService.updateRule(
+                parseInt(user_id),
+                parseInt(place_id),
+                req.params.rule_id,
+                data
+            );
+
+            return ApiResponse.success(res, rule, 'Auto-reply rule updated successfully');
+        } catch (error) {
+            this.logger.error('Error updating auto-reply rule:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Delete rule
+     */
+    async deleteRule(req, res) {
+        try {
+            const { user_id, place_id } = req.body;
+
+            const result = await this.autoReplyService.deleteRule(parseInt(user_id), parseInt(place_id), req.params.rule_id);
+
+            return ApiResponse.success(res, result, 'Auto-reply rule deleted successfully');
+        } catch (error) {
+            this.logger.error('Error deleting auto-reply rule:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+}
+
+module.exports = AutoReplyController;
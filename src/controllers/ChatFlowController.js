@@ -0,0 +1,190 @@
+const WhatsAppService = require('../services/whatsapp/WhatsAppService');
+const ApiResponse = require('../utils/ApiResponse');
+const Logger = require('../utils/Logger');
+
+/**
+ * Controller for chat flows of a place and the flow state of its contacts
+ */
+class ChatFlowController {
+    constructor() {
+        this.whatsAppService = new WhatsAppService();
+        this.chatFlowService = this.whatsAppService.chatFlowService;
+        this.logger = new Logger('ChatFlowController');
+    }
+
+    /**
+     * Map chat flow errors to HTTP status codes
+     */
+    getErrorStatus(error) {
+        if (error.message.includes('not found') || error.message.includes('No active chat flow') ||
+            error.message.includes('No chat flow state') || error.message.includes('No session found') ||
+            error.name === 'CastError') {
+            return 404;
+        }
+        if (error.message.includes('Invalid flow') || error.message.includes('Invalid phone number') ||
+            error.name === 'ValidationError') {
+            return 400;
+        }
+        if (error.message.includes('not ready') || error.message.includes('Client not available') ||
+            error.message.includes('opted out')) {
+            return 409;
+        }
+        if (error.message.includes('shutting down')) {
+            return 503;
+        }
+        return 500;
+    }
+
+    /**
+     * List flows of a place
+     */
+    async listFlows(req, res) {
+        try {
+            const { user_id, place_id } = req.query;
+
+            const flows = await this.chatFlowService.listFlows(parseInt(user_id), parseInt(place_id));
+
+            return ApiResponse.success(res, flows, 'Chat flows retrieved successfully');
+        } catch (error) {
+            this.logger.error('Error listing chat flows:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Get flow by id
+     */
+    async getFlow(req, res) {
+        try {
+            const { user_id, place_id } = req.query;
+
+            const flow = await this.chatFlowService.getFlow(parseInt(user_id), parseInt(place_id), req.params.flow_id);
+
+            return ApiResponse.success(res, flow, 'Chat flow retrieved successfully');
+        } catch (error) {
+            this.logger.error('Error getting chat flow:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Create flow
+     */
+    async createFlow(req, res) {
+        try {
+            const { user_id, place_id, ...data } = req.body;
+
+            const flow = await this.chatFlowService.createFlow(parseInt(user_id), parseInt(place_id), data);
+
+            return ApiResponse.created(res, flow, 'Chat flow created successfully');
+        } catch (error) {
+            this.logger.error('Error creating chat flow:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Update flow
+     */
+    async updateFlow(req, res) {
+        try {
+            const { user_id, place_id, ...data } = req.body;
+
+            const flow = await this.chatFlowService.updateFlow(
+                parseInt(user_id),
+                parseInt(place_id),
+                req.params.flow_id,
+                data
+            );
+
+            return ApiResponse.success(res, flow, 'Chat flow updated successfully');
+        } catch (error) {
+            this.logger.error('Error updating chat flow:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Delete flow
+     */
+    async deleteFlow(req, res) {
+        try {
+            const { user_id, place_id } = req.body;
+
+            const result = await this.chatFlowService.deleteFlow(parseInt(user_id), parseInt(place_id), req.params.flow_id);
+
+            return ApiResponse.success(res, result, 'Chat flow deleted successfully');
+        } catch (error) {
+            this.logger.error('Error deleting chat flow:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Start flow for a contact, replacing the flow the contact is in
+     */
+    async startFlow(req, res) {
+        try {
+            const { user_id, place_id, phone_number, session_id, session_name } = req.body;
+
+            if (!phone_number) {
+                return ApiResponse.error(res, 'phone_number is required', 400);
+            }
+
+            const state = await this.chatFlowService.startForContact(
+                parseInt(user_id),
+                parseInt(place_id),
+                req.params.flow_id,
+                phone_number,
+                { session_id, session_name }
+            );
+
+            return ApiResponse.success(res, state, 'Chat flow started successfully');
+        } catch (error) {
+            this.logger.error('Error starting chat flow:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Get contact's flow state
+     */
+    async getFlowState(req, res) {
+        try {
+            const { user_id, place_id } = req.query;
+
+            const state = await this.chatFlowService.getStateForContact(
+                parseInt(user_id),
+                parseInt(place_id),
+                req.params.phone_number
+            );
+
+            return ApiResponse.success(res, state, 'Chat flow state retrieved successfully');
+        } catch (error) {
+            this.logger.error('Error getting chat flow state:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Reset contact's active flow
+     */
+    async resetFlowState(req, res) {
+        try {
+            const { user_id, place_id } = req.body;
+
+            const state = await this.chatFlowService.resetForContact(
+                parseInt(user_id),
+                parseInt(place_id),
+                req.params.phone_number
+            );
+
+            return ApiResponse.success(res, state, 'Chat flow reset successfully');
+        } catch (error) {
+            this.logger.error('Error resetting chat flow:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+}
+
+module.exports = ChatFlowController;
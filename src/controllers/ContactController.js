@@ -132,7 +132,7 @@ class ContactController {
      */
     async createGroup(req, res) {
         try {
-            const { user_id, place_id, name, description, contact_ids } = req.body;
+            const { user_id, place_id, name, description, contact_ids, session_id, session_name } = req.body;
 
             // Validation
             if (!user_id || !place_id || !name || !contact_ids) {
@@ -148,7 +148,8 @@ class ContactController {
             // Get session ID from WhatsApp service
             const sessionStatus = await this.whatsAppService.getSessionStatus(
                 parseInt(user_id), 
-                parseInt(place_id)
+                parseInt(place_id),
+                { session_id, session_name }
             );
             
             if (!sessionStatus.session_exists) {
@@ -428,7 +429,7 @@ class ContactController {
      */
     async duplicateGroup(req, res) {
         try {
-            const { user_id, place_id, new_name } = req.body;
+            const { user_id, place_id, new_name, session_id, session_name } = req.body;
             const { group_id } = req.params;
 
             if (!user_id || !place_id || !new_name) {
@@ -440,7 +441,8 @@ class ContactController {
             // Get session ID
             const sessionStatus = await this.whatsAppService.getSessionStatus(
                 parseInt(user_id), 
-                parseInt(place_id)
+                parseInt(place_id),
+                { session_id, session_name }
             );
             
             if (!sessionStatus.session_exists) {
@@ -651,7 +653,7 @@ class ContactController {
      */
     async syncContacts(req, res) {
         try {
-            const { user_id, place_id } = req.body;
+            const { user_id, place_id, session_id, session_name } = req.body;
 
             if (!user_id || !place_id) {
                 return ApiResponse.error(res, 'Missing required fields: user_id, place_id', 400);
@@ -661,7 +663,8 @@ class ContactController {
 
             const result = await this.whatsAppService.syncContacts(
                 parseInt(user_id),
-                parseInt(place_id)
+                parseInt(place_id),
+                { session_id, session_name }
             );
 
             return ApiResponse.success(res, result, 'Contact sync completed successfully');
@@ -676,7 +679,7 @@ class ContactController {
      */
     async getContactSyncStatus(req, res) {
         try {
-            const { user_id, place_id } = req.query;
+            const { user_id, place_id, session_id, session_name } = req.query;
 
             if (!user_id || !place_id) {
                 return ApiResponse.error(res, 'Missing required query parameters: user_id, place_id', 400);
@@ -684,7 +687,8 @@ class ContactController {
 
             const sessionStatus = await this.whatsAppService.getSessionStatus(
                 parseInt(user_id),
-                parseInt(place_id)
+                parseInt(place_id),
+                { session_id, session_name }
             );
 
             const syncStatus = {
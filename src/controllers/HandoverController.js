@@ -0,0 +1,254 @@
+const WhatsAppService = require('../services/whatsapp/WhatsAppService');
+const ApiResponse = require('../utils/ApiResponse');
+const Logger = require('../utils/Logger');
+
+/**
+ * Controller for conversation records: agent assignment, transfers, bot pause, state and SLA figures
+ */
+class HandoverController {
+    constructor() {
+        this.whatsAppService = new WhatsAppService();
+        this.handoverService = this.whatsAppService.handoverService;
+        this.logger = new Logger('HandoverController');
+    }
+
+    /**
+     * Map handover errors to HTTP status codes
+     */
+    getErrorStatus(error) {
+        if (error.message.includes('not found')) {
+            return 404;
+        }
+        if (error.message.includes('Invalid')) {
+            return 400;
+        }
+        if (error.message.includes('already') || error.message.includes('not assigned')) {
+            return 409;
+        }
+        return 500;
+    }
+
+    /**
+     * Parse agent id (Laravel user id); null when missing or not a positive integer
+     */
+    parseAgentId(value) {
+        const agentId = Number(value);
+        return Number.isInteger(agentId) && agentId > 0 ? agentId : null;
+    }
+
+    /**
+     * List conversations of a place
+     */
+    async listConversations(req, res) {
+        try {
+            const { user_id, place_id, page = 1, limit = 50, state, agent_id, unassigned, bot_paused, phone_number } = req.query;
+
+            if (state !== undefined && !['open', 'pending', 'closed'].includes(state)) {
+                return ApiResponse.error(res, 'state must be one of: open, pending, closed', 400);
+            }
+            if (agent_id !== undefined && !this.parseAgentId(agent_id)) {
+                return ApiResponse.error(res, 'agent_id must be a positive integer', 400);
+            }
+            if (bot_paused !== undefined && !['true', 'false'].includes(bot_paused)) {
+                return ApiResponse.error(res, 'bot_paused must be true or false', 400);
+            }
+
+            const result = await this.handoverService.listConversations(
+                parseInt(user_id),
+                parseInt(place_id),
+                {
+                    state,
+                    agent_id: this.parseAgentId(agent_id),
+                    unassigned: unassigned === 'true',
+                    bot_paused: bot_paused === undefined ? undefined : bot_paused === 'true',
+                    phone_number
+                },
+                parseInt(page),
+                parseInt(limit)
+            );
+
+            return ApiResponse.paginated(res, result.conversations, result.pagination, 'Conversations retrieved successfully');
+        } catch (error) {
+            this.logger.error('Error listing conversations:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Get conversation counts and SLA figures
+     */
+    async getStatistics(req, res) {
+        try {
+            const { user_id, place_id, agent_id, date_from, date_to } = req.query;
+
+            if (agent_id !== undefined && !this.parseAgentId(agent_id)) {
+                return ApiResponse.error(res, 'agent_id must be a positive integer', 400);
+            }
+
+            const stats = await this.handoverService.getStatistics(
+                parseInt(user_id),
+                parseInt(place_id),
+                { agent_id: this.parseAgentId(agent_id), date_from, date_to }
+            );
+
+            return ApiResponse.success(res, stats, 'Conversation statistics retrieved successfully');
+        } catch (error) {
+            this.logger.error('Error getting conversation statistics:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Get contact's current (or last) conversation
+     */
+    async getConversation(req, res) {
+        try {
+            const { user_id, place_id } = req.query;
+
+            const conversation = await this.handoverService.getForContact(
+                parseInt(user_id),
+                parseInt(place_id),
+                req.params.phone_number
+            );
+
+            return ApiResponse.success(res, conversation, 'Conversation retrieved successfully');
+        } catch (error) {
+            this.logger.error('Error getting conversation:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Assign conversation to an agent
+     */
+    async assign(req, res) {
+        try {
+            const { user_id, place_id, agent_id, bot_paused, note } = req.body;
+            const agentId = this.parseAgentId(agent_id);
+
+            if (!agentId) {
+                return ApiResponse.error(res, 'agent_id must be a positive integer', 400);
+            }
+            if (bot_paused !== undefined && typeof bot_paused !== 'boolean') {
+                return ApiResponse.error(res, 'bot_paused must be a boolean', 400);
+            }
+
+            const conversation = await this.handoverService.assign(
+                parseInt(user_id),
+                parseInt(place_id),
+                req.params.phone_number,
+                agentId,
+                { bot_paused, note }
+            );
+
+            return ApiResponse.success(res, conversation, 'Conversation assigned successfully');
+        } catch (error) {
+            this.logger.error('Error assigning conversation:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Transfer conversation to another agent
+     */
+    async transfer(req, res) {
+        try {
+            const { user_id, place_id, to_agent_id, note } = req.body;
+            const toAgentId = this.parseAgentId(to_agent_id);
+
+            if (!toAgentId) {
+                return ApiResponse.error(res, 'to_agent_id must be a positive integer', 400);
+            }
+
+            const conversation = await this.handoverService.transfer(
+                parseInt(user_id),
+                parseInt(place_id),
+                req.params.phone_number,
+                toAgentId,
+                note || null
+            );
+
+            return ApiResponse.success(res, conversation, 'Conversation transferred successfully');
+        } catch (error) {
+            this.logger.error('Error transferring conversation:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Unassign conversation (back to pending, bot resumes)
+     */
+    async unassign(req, res) {
+        try {
+            const { user_id, place_id, note } = req.body;
+
+            const conversation = await this.handoverService.unassign(
+                parseInt(user_id),
+                parseInt(place_id),
+                req.params.phone_number,
+                note || null
+            );
+
+            return ApiResponse.success(res, conversation, 'Conversation unassigned successfully');
+        } catch (error) {
+            this.logger.error('Error unassigning conversation:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Set conversation state (open, pending, closed)
+     */
+    async setState(req, res) {
+        try {
+            const { user_id, place_id, state, agent_id } = req.body;
+
+            if (!['open', 'pending', 'closed'].includes(state)) {
+                return ApiResponse.error(res, 'state must be one of: open, pending, closed', 400);
+            }
+            if (agent_id !== undefined && !this.parseAgentId(agent_id)) {
+                return ApiResponse.error(res, 'agent_id must be a positive integer', 400);
+            }
+
+            const conversation = await this.handoverService.setState(
+                parseInt(user_id),
+                parseInt(place_id),
+                req.params.phone_number,
+                state,
+                this.parseAgentId(agent_id)
+            );
+
+            return ApiResponse.success(res, conversation, `Conversation ${state}`);
+        } catch (error) {
+            this.logger.error('Error setting conversation state:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Pause or resume the bot for a conversation
+     */
+    async setBotPaused(req, res) {
+        try {
+            const { user_id, place_id, paused = true } = req.body;
+
+            if (typeof paused !== 'boolean') {
+                return ApiResponse.error(res, 'paused must be a boolean', 400);
+            }
+
+            const conversation = await this.handoverService.setBotPaused(
+                parseInt(user_id),
+                parseInt(place_id),
+                req.params.phone_number,
+                paused
+            );
+
+            return ApiResponse.success(res, conversation, paused ? 'Bot paused' : 'Bot resumed');
+        } catch (error) {
+            this.logger.error('Error setting bot pause:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+}
+
+module.exports = HandoverController;
@@ -0,0 +1,184 @@
+const InboxService = require('../services/message/InboxService');
+const ApiResponse = require('../utils/ApiResponse');
+const Logger = require('../utils/Logger');
+
+/**
+ * Controller for the inbox of a session: chats, chat history and chat actions
+ */
+class InboxController {
+    constructor() {
+        this.inboxService = new InboxService();
+        this.logger = new Logger('InboxController');
+    }
+
+    /**
+     * Map inbox errors to HTTP status codes
+     */
+    getErrorStatus(error) {
+        if (error.message.includes('not found') || error.message.includes('No session found')) {
+            return 404;
+        }
+        if (error.message.includes('Invalid cursor') || error.message.includes('Cursor is no longer valid') ||
+            error.message.includes('Invalid chat id')) {
+            return 400;
+        }
+        if (error.message.includes('not ready') || error.message.includes('Client not available') ||
+            error.message.includes('pinned chats') || error.message.includes('opted out')) {
+            return 409;
+        }
+        if (error.message.includes('shutting down')) {
+            return 503;
+        }
+        return 500;
+    }
+
+    /**
+     * List chats of the session
+     */
+    async listChats(req, res) {
+        try {
+            const { user_id, place_id, session_id, session_name, limit = 50, cursor, archived = 'false', unread_only } = req.query;
+
+            if (!['false', 'true', 'all'].includes(archived)) {
+                return ApiResponse.error(res, 'archived must be one of: false, true, all', 400);
+            }
+
+            const result = await this.inboxService.listChats(
+                parseInt(user_id),
+                parseInt(place_id),
+                { session_id, session_name },
+                { limit: parseInt(limit), cursor, archived, unread_only: unread_only === 'true' }
+            );
+
+            return ApiResponse.success(res, result, 'Chats retrieved successfully');
+        } catch (error) {
+            this.logger.error('Error listing chats:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Get a page of chat's messages
+     */
+    async getChatMessages(req, res) {
+        try {
+            const { user_id, place_id, session_id, session_name, limit = 50, cursor } = req.query;
+
+            const result = await this.inboxService.getChatMessages(
+                parseInt(user_id),
+                parseInt(place_id),
+                req.params.chat_id,
+                { session_id, session_name },
+                { limit: parseInt(limit), cursor }
+            );
+
+            return ApiResponse.success(res, result, 'Chat messages retrieved successfully');
+        } catch (error) {
+            this.logger.error('Error getting chat messages:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Mark chat as read
+     */
+    async markRead(req, res) {
+        try {
+            const { user_id, place_id, session_id, session_name } = req.body;
+
+            const chat = await this.inboxService.markRead(
+                parseInt(user_id),
+                parseInt(place_id),
+                req.params.chat_id,
+                { session_id, session_name }
+            );
+
+            return ApiResponse.success(res, chat, 'Chat marked as read');
+        } catch (error) {
+            this.logger.error('Error marking chat as read:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Archive or unarchive chat
+     */
+    async setArchived(req, res) {
+        try {
+            const { user_id, place_id, session_id, session_name, archived = true } = req.body;
+
+            if (typeof archived !== 'boolean') {
+                return ApiResponse.error(res, 'archived must be a boolean', 400);
+            }
+
+            const chat = await this.inboxService.setArchived(
+                parseInt(user_id),
+                parseInt(place_id),
+                req.params.chat_id,
+                archived,
+                { session_id, session_name }
+            );
+
+            return ApiResponse.success(res, chat, archived ? 'Chat archived' : 'Chat unarchived');
+        } catch (error) {
+            this.logger.error('Error archiving chat:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Pin or unpin chat
+     */
+    async setPinned(req, res) {
+        try {
+            const { user_id, place_id, session_id, session_name, pinned = true } = req.body;
+
+            if (typeof pinned !== 'boolean') {
+                return ApiResponse.error(res, 'pinned must be a boolean', 400);
+            }
+
+            const chat = await this.inboxService.setPinned(
+                parseInt(user_id),
+                parseInt(place_id),
+                req.params.chat_id,
+                pinned,
+                { session_id, session_name }
+            );
+
+            return ApiResponse.success(res, chat, pinned ? 'Chat pinned' : 'Chat unpinned');
+        } catch (error) {
+            this.logger.error('Error pinning chat:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Reply to chat, optionally quoting one of its messages
+     */
+    async reply(req, res) {
+        try {
+            const { user_id, place_id, session_id, session_name, message, quoted_message_id, agent_id } = req.body;
+
+            if (quoted_message_id !== undefined && (typeof quoted_message_id !== 'string' || !quoted_message_id.trim())) {
+                return ApiResponse.error(res, 'quoted_message_id must be a non-empty string', 400);
+            }
+
+            const result = await this.inboxService.reply(
+                parseInt(user_id),
+                parseInt(place_id),
+                req.params.chat_id,
+                message,
+                quoted_message_id || null,
+                { session_id, session_name },
+                parseInt(agent_id) || null
+            );
+
+            return ApiResponse.success(res, result, 'Reply sent successfully');
+        } catch (error) {
+            this.logger.error('Error replying to chat:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+}
+
+module.exports = InboxController;
@@ -0,0 +1,117 @@
+const { pipeline } = require('stream');
+const MediaStorageService = require('../services/message/MediaStorageService');
+const ApiResponse = require('../utils/ApiResponse');
+const Logger = require('../utils/Logger');
+
+/**
+ * Controller for stored inbound media
+ */
+class MediaController {
+    constructor() {
+        this.mediaStorageService = new MediaStorageService();
+        this.logger = new Logger('MediaController');
+    }
+
+    /**
+     * Map media errors to HTTP status codes
+     */
+    getErrorStatus(error) {
+        if (error.message.includes('not found') || error.name === 'CastError') {
+            return 404;
+        }
+        if (error.message.includes('Invalid media signature') || error.message.includes('Media link expired')) {
+            return 403;
+        }
+        return 500;
+    }
+
+    /**
+     * Get media details with a fresh signed link
+     */
+    async getMedia(req, res) {
+        try {
+            const { user_id, place_id } = req.query;
+
+            const mediaFile = await this.mediaStorageService.getMediaFile(
+                parseInt(user_id),
+                parseInt(place_id),
+                req.params.media_id
+            );
+            const { url, expires_at } = this.mediaStorageService.createSignedUrl(mediaFile._id);
+
+            return ApiResponse.success(res, {
+                media_id: String(mediaFile._id),
+                sha256: mediaFile.sha256,
+                mime_type: mediaFile.mime_type,
+                filename: mediaFile.filename,
+                size_bytes: mediaFile.size_bytes,
+                message_count: mediaFile.message_count,
+                created_at: mediaFile.created_at,
+                url,
+                url_expires_at: expires_at
+            }, 'Media retrieved successfully');
+        } catch (error) {
+            this.logger.error('Error getting media:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Build response headers for media content: inline only for image, audio and video, with an ASCII
+     * filename fallback next to the RFC 5987 UTF-8 name (raw non-Latin-1 names are invalid header values)
+     */
+    getContentHeaders(mediaFile, expires) {
+        const name = mediaFile.filename || mediaFile.sha256;
+        const asciiName = name.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '');
+        const encodedName = encodeURIComponent(name).replace(/['()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+        const disposition = /^(image|audio|video)\//.test(mediaFile.mime_type) ? 'inline' : 'attachment';
+
+        return {
+            'Content-Type': mediaFile.mime_type,
+            'Content-Length': mediaFile.size_bytes,
+            'Content-Disposition': `${disposition}; filename="${asciiName}"; filename*=UTF-8''${encodedName}`,
+            'X-Content-Type-Options': 'nosniff',
+            'Content-Security-Policy': 'sandbox',
+            'Cache-Control': `private, max-age=${Math.max(0, parseInt(expires) - Math.floor(Date.now() / 1000))}`
+        };
+    }
+
+    /**
+     * Stream media content through a signed link (no user_id/place_id: the signature authorizes it)
+     */
+    async getMediaContent(req, res) {
+        let headers = {};
+        let stream = null;
+
+        try {
+            const { expires, signature } = req.query;
+
+            const mediaFile = await this.mediaStorageService.getSignedMedia(
+                req.params.media_id,
+                expires,
+                signature
+            );
+
+            // Headers first: nothing is open yet if one of them is rejected
+            headers = this.getContentHeaders(mediaFile, expires);
+            res.set(headers);
+
+            stream = await this.mediaStorageService.openStream(mediaFile);
+            pipeline(stream, res, (error) => {
+                if (error) {
+                    this.logger.error(`Error streaming media ${req.params.media_id}:`, error);
+                }
+            });
+        } catch (error) {
+            if (stream) {
+                stream.destroy();
+            }
+            Object.keys(headers).forEach(name => res.removeHeader(name));
+
+            this.logger.error('Error serving media content:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+}
+
+module.exports = MediaController;
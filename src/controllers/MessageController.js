@@ -1,5 +1,7 @@
 const MessageService = require('../services/message/MessageService');
 const ContactService = require('../services/contact/ContactService');
+const ConversationService = require('../services/message/ConversationService');
+const MessageTemplateService = require('../services/message/MessageTemplateService');
 const WhatsAppService = require('../services/whatsapp/WhatsAppService');
 const ApiResponse = require('../utils/ApiResponse');
 const Logger = require('../utils/Logger');
@@ -12,6 +14,8 @@ class MessageController {
     constructor() {
         this.messageService = new MessageService();
         this.contactService = new ContactService();
+        this.conversationService = new ConversationService();
+        this.messageTemplateService = new MessageTemplateService();
         this.whatsAppService = new WhatsAppService();
         this.logger = new Logger('MessageController');
     }
@@ -21,7 +25,7 @@ class MessageController {
      */
     async sendTextMessage(req, res) {
         try {
-            const { user_id, place_id, phone_number, message } = req.body;
+            const { user_id, place_id, phone_number, message, session_id, session_name, agent_id } = req.body;
 
             // Validation
             if (!user_id || !place_id || !phone_number || !message) {
@@ -34,13 +38,15 @@ class MessageController {
                 parseInt(user_id),
                 parseInt(place_id),
                 phone_number,
-                message
+                message,
+                { session_id, session_name, agent_id: parseInt(agent_id) || null }
             );
 
             return ApiResponse.success(res, result, 'Text message sent successfully');
         } catch (error) {
             this.logger.error('Error sending text message:', error);
-            return ApiResponse.error(res, error.message, 500);
+            const statusCode = error.message.includes('opted out') ? 409 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
         }
     }
 
@@ -49,7 +55,7 @@ class MessageController {
      */
     async sendMediaMessage(req, res) {
         try {
-            const { user_id, place_id, phone_number, caption = '', media_type = 'image' } = req.body;
+            const { user_id, place_id, phone_number, caption = '', media_type = 'image', session_id, session_name, agent_id } = req.body;
 
             // Validation
             if (!user_id || !place_id || !phone_number) {
@@ -68,13 +74,15 @@ class MessageController {
                 phone_number,
                 req.file.path,
                 caption,
-                media_type
+                media_type,
+                { session_id, session_name, agent_id: parseInt(agent_id) || null }
             );
 
             return ApiResponse.success(res, result, `${media_type} message sent successfully`);
         } catch (error) {
             this.logger.error('Error sending media message:', error);
-            return ApiResponse.error(res, error.message, 500);
+            const statusCode = error.message.includes('opted out') ? 409 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
         }
     }
 
@@ -83,7 +91,7 @@ class MessageController {
      */
     async sendMediaFromUrl(req, res) {
         try {
-            const { user_id, place_id, phone_number, media_url, caption = '', media_type = 'image' } = req.body;
+            const { user_id, place_id, phone_number, media_url, caption = '', media_type = 'image', session_id, session_name, agent_id } = req.body;
 
             // Validation
             if (!user_id || !place_id || !phone_number || !media_url) {
@@ -98,13 +106,15 @@ class MessageController {
                 phone_number,
                 media_url,
                 caption,
-                media_type
+                media_type,
+                { session_id, session_name, agent_id: parseInt(agent_id) || null }
             );
 
             return ApiResponse.success(res, result, `${media_type} from URL sent successfully`);
         } catch (error) {
             this.logger.error('Error sending media from URL:', error);
-            return ApiResponse.error(res, error.message, 500);
+            const statusCode = error.message.includes('opted out') ? 409 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
         }
     }
 
@@ -113,7 +123,7 @@ class MessageController {
      */
     async sendMessage(req, res) {
         try {
-            const { user_id, place_id, contact_id, message, image_url } = req.body;
+            const { user_id, place_id, contact_id, message, image_url, session_id, session_name, agent_id } = req.body;
 
             // Validation
             if (!user_id || !place_id || !contact_id || (!message && !image_url)) {
@@ -127,13 +137,16 @@ class MessageController {
                 parseInt(place_id),
                 contact_id,
                 message || '',
-                image_url
+                image_url,
+                { session_id, session_name, agent_id: parseInt(agent_id) || null }
             );
 
             return ApiResponse.success(res, result, 'Message sent successfully');
         } catch (error) {
             this.logger.error('Error sending message:', error);
-            return ApiResponse.error(res, error.message, 500);
+            const statusCode = error.message.includes('shutting down') ? 503 :
+                error.message.includes('opted out') ? 409 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
         }
     }
 
@@ -142,7 +155,7 @@ class MessageController {
      */
     async sendMessageToGroup(req, res) {
         try {
-            const { user_id, place_id, message, image_url } = req.body;
+            const { user_id, place_id, message, image_url, session_id, session_name } = req.body;
             const { group_id } = req.params;
 
             // Validation
@@ -157,13 +170,15 @@ class MessageController {
                 parseInt(place_id),
                 group_id,
                 message || '',
-                image_url
+                image_url,
+                { session_id, session_name }
             );
 
             return ApiResponse.success(res, result, 'Message sent to group successfully');
         } catch (error) {
             this.logger.error('Error sending message to group:', error);
-            return ApiResponse.error(res, error.message, 500);
+            const statusCode = error.message.includes('shutting down') ? 503 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
         }
     }
 
@@ -172,7 +187,7 @@ class MessageController {
      */
     async sendBulkMessages(req, res) {
         try {
-            const { user_id, place_id, contacts, message, delay = 2000 } = req.body;
+            const { user_id, place_id, contacts, message, delay = 2000, session_id, session_name } = req.body;
 
             // Validation
             if (!user_id || !place_id || !contacts || !message) {
@@ -190,13 +205,14 @@ class MessageController {
                 parseInt(place_id),
                 contacts,
                 message,
-                { delay: parseInt(delay) }
+                { delay: parseInt(delay), session_id, session_name }
             );
 
             return ApiResponse.success(res, result, 'Bulk messages processed successfully');
         } catch (error) {
             this.logger.error('Error sending bulk messages:', error);
-            return ApiResponse.error(res, error.message, 500);
+            const statusCode = error.message.includes('shutting down') ? 503 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
         }
     }
 
@@ -205,7 +221,7 @@ class MessageController {
      */
     async sendBulkMessagesLegacy(req, res) {
         try {
-            const { user_id, place_id, recipients, message, image_url, delay_seconds = 2 } = req.body;
+            const { user_id, place_id, recipients, message, image_url, delay_seconds = 2, session_id, session_name } = req.body;
 
             // Validation
             if (!user_id || !place_id || !recipients || (!message && !image_url)) {
@@ -221,7 +237,9 @@ class MessageController {
             const results = [];
             let totalSent = 0;
             let totalFailed = 0;
+            let totalSuppressed = 0;
             const startTime = Date.now();
+            const sessionSelector = { session_id, session_name };
 
             for (let i = 0; i < recipients.length; i++) {
                 const recipient = recipients[i];
@@ -234,7 +252,8 @@ class MessageController {
                             parseInt(place_id),
                             recipient.contact_id,
                             message || '',
-                            image_url
+                            image_url,
+                            sessionSelector
                         );
                     } else if (recipient.phone_number) {
                         // Send directly to phone number
@@ -244,14 +263,17 @@ class MessageController {
                                 parseInt(place_id),
                                 recipient.phone_number,
                                 image_url,
-                                message || ''
+                                message || '',
+                                'image',
+                                sessionSelector
                             );
                         } else {
                             result = await this.messageService.sendTextMessage(
                                 parseInt(user_id),
                                 parseInt(place_id),
                                 recipient.phone_number,
-                                message
+                                message,
+                                sessionSelector
                             );
                         }
                     } else {
@@ -272,6 +294,13 @@ class MessageController {
                     }
 
                 } catch (error) {
+                    // Opted-out recipients are logged as suppressed by the message service
+                    if (error.message.includes('opted out')) {
+                        results.push({ recipient: recipient, status: 'suppressed' });
+                        totalSuppressed++;
+                        continue;
+                    }
+
                     this.logger.error(`Error sending to recipient ${i}:`, error);
                     results.push({
                         recipient: recipient,
@@ -288,6 +317,7 @@ class MessageController {
                 total_recipients: recipients.length,
                 total_sent: totalSent,
                 total_failed: totalFailed,
+                total_suppressed: totalSuppressed,
                 success_rate: Math.round((totalSent / recipients.length) * 100),
                 results: results,
                 processed_at: new Date().toISOString(),
@@ -297,7 +327,8 @@ class MessageController {
             return ApiResponse.success(res, responseData, 'Bulk messages processed');
         } catch (error) {
             this.logger.error('Error sending bulk messages:', error);
-            return ApiResponse.error(res, error.message, 500);
+            const statusCode = error.message.includes('shutting down') ? 503 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
         }
     }
 
@@ -306,7 +337,7 @@ class MessageController {
      */
     async getChatHistory(req, res) {
         try {
-            const { user_id, place_id, phone_number, limit = 50 } = req.query;
+            const { user_id, place_id, phone_number, limit = 50, session_id, session_name } = req.query;
 
             // Validation
             if (!user_id || !place_id || !phone_number) {
@@ -319,7 +350,8 @@ class MessageController {
                 parseInt(user_id),
                 parseInt(place_id),
                 phone_number,
-                parseInt(limit)
+                parseInt(limit),
+                { session_id, session_name }
             );
 
             return ApiResponse.success(res, result, 'Chat history retrieved successfully');
@@ -329,6 +361,33 @@ class MessageController {
         }
     }
 
+    /**
+     * Get conversation thread (inbound and outbound messages) with a number
+     */
+    async getConversation(req, res) {
+        try {
+            const { user_id, place_id, limit = 50, before, session_id } = req.query;
+            const { phone_number } = req.params;
+
+            if (before && isNaN(new Date(before).getTime())) {
+                return ApiResponse.error(res, 'before must be a valid date', 400);
+            }
+
+            const result = await this.conversationService.getConversation(
+                parseInt(user_id),
+                parseInt(place_id),
+                phone_number,
+                { limit: parseInt(limit), before, session_id }
+            );
+
+            return ApiResponse.success(res, result, 'Conversation retrieved successfully');
+        } catch (error) {
+            this.logger.error('Error getting conversation:', error);
+            const statusCode = error.message.includes('Invalid phone number') ? 400 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
+        }
+    }
+
     /**
      * Get message logs with pagination and filters
      */
@@ -463,6 +522,10 @@ class MessageController {
 
             this.logger.info(`Retrying failed message ${message_log_id}`);
 
+            // Retry through the same number that originally sent it
+            const sessionSelector = messageLog.session_id && messageLog.session_id !== 'unknown' ?
+                { session_id: messageLog.session_id } : {};
+
             // Retry sending the message
             let result;
             if (messageLog.message_type === 'text') {
@@ -470,7 +533,8 @@ class MessageController {
                     parseInt(user_id),
                     parseInt(place_id),
                     messageLog.recipient_number,
-                    messageLog.message_content
+                    messageLog.message_content,
+                    sessionSelector
                 );
             } else {
                 // For media messages, we'll send as text for now
@@ -478,14 +542,16 @@ class MessageController {
                     parseInt(user_id),
                     parseInt(place_id),
                     messageLog.recipient_number,
-                    messageLog.message_content
+                    messageLog.message_content,
+                    sessionSelector
                 );
             }
 
             return ApiResponse.success(res, result, 'Message retried successfully');
         } catch (error) {
             this.logger.error('Error retrying failed message:', error);
-            return ApiResponse.error(res, error.message, 500);
+            const statusCode = error.message.includes('opted out') ? 409 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
         }
     }
 
@@ -587,37 +653,7 @@ class MessageController {
                 return ApiResponse.error(res, 'Missing required query parameters: user_id, place_id', 400);
             }
 
-            // This would return saved message templates from database
-            const templates = [
-                {
-                    id: 'welcome',
-                    name: 'Welcome Message',
-                    content: 'Welcome to our service! We\'re glad to have you.',
-                    variables: ['name'],
-                    category: 'greeting'
-                },
-                {
-                    id: 'follow_up',
-                    name: 'Follow Up',
-                    content: 'Hi {name}, just following up on our previous conversation.',
-                    variables: ['name'],
-                    category: 'follow_up'
-                },
-                {
-                    id: 'appointment_reminder',
-                    name: 'Appointment Reminder',
-                    content: 'Hi {name}, this is a reminder about your appointment on {date} at {time}.',
-                    variables: ['name', 'date', 'time'],
-                    category: 'reminder'
-                },
-                {
-                    id: 'thank_you',
-                    name: 'Thank You',
-                    content: 'Thank you for your business, {name}! We appreciate your support.',
-                    variables: ['name'],
-                    category: 'appreciation'
-                }
-            ];
+            const templates = this.messageTemplateService.getTemplates();
 
             return ApiResponse.success(res, templates, 'Message templates retrieved successfully');
         } catch (error) {
@@ -631,7 +667,7 @@ class MessageController {
      */
     async getMessageStatus(req, res) {
         try {
-            const { user_id, place_id } = req.query;
+            const { user_id, place_id, session_id, session_name } = req.query;
 
             // Validation
             if (!user_id || !place_id) {
@@ -650,7 +686,8 @@ class MessageController {
             // Get session status
             const sessionStatus = await this.whatsAppService.getSessionStatus(
                 parseInt(user_id),
-                parseInt(place_id)
+                parseInt(place_id),
+                { session_id, session_name }
             );
 
             const status = {
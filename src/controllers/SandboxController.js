@@ -0,0 +1,123 @@
+const SandboxService = require('../services/whatsapp/SandboxService');
+const ApiResponse = require('../utils/ApiResponse');
+const Logger = require('../utils/Logger');
+
+/**
+ * Controller for sandbox driver controls
+ * Lets integrations simulate phone-side actions without a real device
+ */
+class SandboxController {
+    constructor() {
+        this.sandboxService = new SandboxService();
+        this.logger = new Logger('SandboxController');
+    }
+
+    /**
+     * Map sandbox errors to HTTP status codes
+     */
+    getErrorStatus(error) {
+        if (error.message.includes('No session found') || error.message.includes('No active sandbox client')) {
+            return 404;
+        }
+        if (error.message.includes('not using the sandbox driver') ||
+            error.message.includes('not connected') ||
+            error.message.includes('No QR code')) {
+            return 400;
+        }
+        return 500;
+    }
+
+    /**
+     * Simulate scanning the QR code
+     */
+    async scanQR(req, res) {
+        try {
+            const { user_id, place_id, session_id, session_name } = req.body;
+
+            const result = await this.sandboxService.scanQR(
+                parseInt(user_id),
+                parseInt(place_id),
+                { session_id, session_name }
+            );
+
+            return ApiResponse.success(res, result, 'Sandbox QR scanned');
+        } catch (error) {
+            this.logger.error('Error scanning sandbox QR:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Inject inbound message from a contact
+     */
+    async injectInboundMessage(req, res) {
+        try {
+            const { user_id, place_id, session_id, session_name, from, message, type, media } = req.body;
+
+            if (!from || typeof from !== 'string') {
+                return ApiResponse.error(res, 'from is required', 400);
+            }
+
+            // Media-only messages are allowed; the text is then the caption, if any
+            if (!message && media === undefined) {
+                return ApiResponse.error(res, 'message or media is required', 400);
+            }
+
+            if (message !== undefined && (typeof message !== 'string' || message.length > 4096)) {
+                return ApiResponse.error(res, 'message must be a string of at most 4096 characters', 400);
+            }
+
+            if (media !== undefined && (typeof media?.mimetype !== 'string' || typeof media?.data !== 'string')) {
+                return ApiResponse.error(res, 'media must have mimetype and base64 data', 400);
+            }
+
+            const result = await this.sandboxService.injectInboundMessage(
+                parseInt(user_id),
+                parseInt(place_id),
+                { from, message, type, media },
+                { session_id, session_name }
+            );
+
+            return ApiResponse.created(res, result, 'Sandbox inbound message injected');
+        } catch (error) {
+            this.logger.error('Error injecting sandbox message:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Simulate connection loss
+     */
+    async simulateDisconnect(req, res) {
+        try {
+            const { user_id, place_id, session_id, session_name, reason } = req.body;
+
+            const result = await this.sandboxService.simulateDisconnect(
+                parseInt(user_id),
+                parseInt(place_id),
+                reason,
+                { session_id, session_name }
+            );
+
+            return ApiResponse.success(res, result, 'Sandbox disconnect simulated');
+        } catch (error) {
+            this.logger.error('Error simulating sandbox disconnect:', error);
+            return ApiResponse.error(res, error.message, this.getErrorStatus(error));
+        }
+    }
+
+    /**
+     * Get fake address book
+     */
+    async getAddressBook(req, res) {
+        try {
+            const contacts = this.sandboxService.getAddressBook();
+            return ApiResponse.success(res, contacts, `Found ${contacts.length} sandbox contacts`);
+        } catch (error) {
+            this.logger.error('Error getting sandbox address book:', error);
+            return ApiResponse.error(res, error.message, 500);
+        }
+    }
+}
+
+module.exports = SandboxController;
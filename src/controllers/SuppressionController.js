@@ -0,0 +1,105 @@
+const WhatsAppService = require('../services/whatsapp/WhatsAppService');
+const ApiResponse = require('../utils/ApiResponse');
+const Logger = require('../utils/Logger');
+
+/**
+ * Controller for the suppression list (numbers that opted out) of a place
+ */
+class SuppressionController {
+    constructor() {
+        this.whatsAppService = new WhatsAppService();
+        this.suppressionService = this.whatsAppService.suppressionService;
+        this.logger = new Logger('SuppressionController');
+    }
+
+    /**
+     * List suppressions of a place
+     */
+    async listSuppressions(req, res) {
+        try {
+            const { user_id, place_id, page = 1, limit = 50, search, source } = req.query;
+
+            if (source !== undefined && !['keyword', 'import', 'api'].includes(source)) {
+                return ApiResponse.error(res, 'source must be one of: keyword, import, api', 400);
+            }
+
+            const result = await this.suppressionService.listSuppressions(
+                parseInt(user_id),
+                parseInt(place_id),
+                { search, source },
+                parseInt(page),
+                parseInt(limit)
+            );
+
+            return ApiResponse.paginated(res, result.suppressions, result.pagination, 'Suppressions retrieved successfully');
+        } catch (error) {
+            this.logger.error('Error listing suppressions:', error);
+            return ApiResponse.error(res, error.message, 500);
+        }
+    }
+
+    /**
+     * Get suppression of a number
+     */
+    async getSuppression(req, res) {
+        try {
+            const { user_id, place_id } = req.query;
+
+            const suppression = await this.suppressionService.getSuppression(
+                parseInt(user_id),
+                parseInt(place_id),
+                req.params.phone_number
+            );
+
+            return ApiResponse.success(res, suppression, 'Suppression retrieved successfully');
+        } catch (error) {
+            this.logger.error('Error getting suppression:', error);
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
+        }
+    }
+
+    /**
+     * Import numbers into the suppression list
+     */
+    async importSuppressions(req, res) {
+        try {
+            const { user_id, place_id, phone_numbers, reason } = req.body;
+
+            const result = await this.suppressionService.importSuppressions(
+                parseInt(user_id),
+                parseInt(place_id),
+                phone_numbers,
+                reason || null
+            );
+
+            return ApiResponse.success(res, result, 'Suppressions imported successfully');
+        } catch (error) {
+            this.logger.error('Error importing suppressions:', error);
+            return ApiResponse.error(res, error.message, 500);
+        }
+    }
+
+    /**
+     * Remove number from the suppression list
+     */
+    async removeSuppression(req, res) {
+        try {
+            const { user_id, place_id } = req.body;
+
+            const result = await this.suppressionService.removeSuppression(
+                parseInt(user_id),
+                parseInt(place_id),
+                req.params.phone_number
+            );
+
+            return ApiResponse.success(res, result, 'Suppression removed successfully');
+        } catch (error) {
+            this.logger.error('Error removing suppression:', error);
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
+        }
+    }
+}
+
+module.exports = SuppressionController;
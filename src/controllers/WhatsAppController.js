@@ -21,13 +21,19 @@ class WhatsAppController {
      */
     async initializeSession(req, res) {
         try {
-            const { user_id, place_id } = req.body;
+            const { user_id, place_id, session_name, login_method, phone_number, browser_config } = req.body;
             
-            this.logger.info(`Initializing WhatsApp session for user ${user_id}, place ${place_id}`);
+            this.logger.info(`Initializing WhatsApp session for user ${user_id}, place ${place_id}${session_name ? ` (${session_name})` : ''}`);
             
             const result = await this.whatsAppService.initializeClient(
                 parseInt(user_id), 
-                parseInt(place_id)
+                parseInt(place_id),
+                { 
+                    session_name,
+                    login_method,
+                    phone_number: phone_number ? String(phone_number).replace(/\D/g, '') : undefined,
+                    browser_config
+                }
             );
             
             return ApiResponse.success(res, result, 'Session initialization started successfully');
@@ -42,11 +48,12 @@ class WhatsAppController {
      */
     async getSessionStatus(req, res) {
         try {
-            const { user_id, place_id } = req.query;
+            const { user_id, place_id, session_id, session_name } = req.query;
             
             const status = await this.whatsAppService.getSessionStatus(
                 parseInt(user_id), 
-                parseInt(place_id)
+                parseInt(place_id),
+                { session_id, session_name }
             );
 
             return ApiResponse.success(res, status);
@@ -61,11 +68,12 @@ class WhatsAppController {
      */
     async getContactProgress(req, res) {
         try {
-            const { user_id, place_id } = req.query;
+            const { user_id, place_id, session_id, session_name } = req.query;
 
             const status = await this.whatsAppService.getSessionStatus(
                 parseInt(user_id), 
-                parseInt(place_id)
+                parseInt(place_id),
+                { session_id, session_name }
             );
 
             if (!status.session_exists) {
@@ -74,6 +82,7 @@ class WhatsAppController {
 
             const progressData = {
                 session_id: status.session_id,
+                session_name: status.session_name,
                 status: status.status,
                 contacts_fetch_progress: status.contacts_fetch_progress,
                 contacts_fetch_completed: status.contacts_fetch_completed,
@@ -96,14 +105,15 @@ class WhatsAppController {
      */
     async startContactFetch(req, res) {
         try {
-            const { user_id, place_id } = req.body;
+            const { user_id, place_id, session_id, session_name } = req.body;
             
             this.logger.info(`Attempting to start contact fetch for user ${user_id}, place ${place_id}`);
             
             // First, check session status to provide better error messages
             const sessionStatus = await this.whatsAppService.getSessionStatus(
                 parseInt(user_id), 
-                parseInt(place_id)
+                parseInt(place_id),
+                { session_id, session_name }
             );
 
             if (!sessionStatus.session_exists) {
@@ -118,7 +128,8 @@ class WhatsAppController {
                 try {
                     const result = await this.whatsAppService.startBackgroundContactFetch(
                         parseInt(user_id), 
-                        parseInt(place_id)
+                        parseInt(place_id),
+                        { session_id: sessionStatus.session_id }
                     );
                     
                     return ApiResponse.success(res, result, 'Background contact fetch restarted successfully for completed session');
@@ -140,7 +151,8 @@ class WhatsAppController {
             // If all checks pass, start the contact fetch
             const result = await this.whatsAppService.startBackgroundContactFetch(
                 parseInt(user_id), 
-                parseInt(place_id)
+                parseInt(place_id),
+                { session_id: sessionStatus.session_id }
             );
             
             return ApiResponse.success(res, result, 'Background contact fetch started successfully');
@@ -171,11 +183,12 @@ class WhatsAppController {
      */
     async logout(req, res) {
         try {
-            const { user_id, place_id } = req.body;
+            const { user_id, place_id, session_id, session_name } = req.body;
             
             const result = await this.whatsAppService.logout(
                 parseInt(user_id), 
-                parseInt(place_id)
+                parseInt(place_id),
+                { session_id, session_name }
             );
 
             return ApiResponse.success(res, result, 'Session logged out successfully');
@@ -185,6 +198,188 @@ class WhatsAppController {
         }
     }
 
+    /**
+     * List all sessions (numbers) for user and place
+     */
+    async listSessions(req, res) {
+        try {
+            const { user_id, place_id } = req.query;
+
+            const sessions = await this.whatsAppService.listSessions(
+                parseInt(user_id), 
+                parseInt(place_id)
+            );
+
+            return ApiResponse.success(res, sessions, `Found ${sessions.length} sessions`);
+        } catch (error) {
+            this.logger.error('Error listing sessions:', error);
+            return ApiResponse.error(res, error.message, 500);
+        }
+    }
+
+    /**
+     * Rename session
+     */
+    async renameSession(req, res) {
+        try {
+            const { user_id, place_id, session_name } = req.body;
+            const { session_id } = req.params;
+
+            if (!session_name) {
+                return ApiResponse.error(res, 'session_name is required', 400);
+            }
+
+            const result = await this.whatsAppService.renameSession(
+                parseInt(user_id), 
+                parseInt(place_id),
+                session_id,
+                session_name
+            );
+
+            return ApiResponse.success(res, result, 'Session renamed successfully');
+        } catch (error) {
+            this.logger.error('Error renaming session:', error);
+            const statusCode = error.message.includes('No session found') ? 404 :
+                error.message.includes('already in use') ? 409 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
+        }
+    }
+
+    /**
+     * Get browser settings (proxy, user agent, Chromium args, web version) of a session
+     */
+    async getBrowserConfig(req, res) {
+        try {
+            const { user_id, place_id } = req.query;
+            const { session_id } = req.params;
+
+            const result = await this.whatsAppService.getBrowserConfig(
+                parseInt(user_id),
+                parseInt(place_id),
+                session_id
+            );
+
+            return ApiResponse.success(res, result, 'Browser config retrieved successfully');
+        } catch (error) {
+            this.logger.error('Error getting browser config:', error);
+            const statusCode = error.message.includes('No session found') ? 404 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
+        }
+    }
+
+    /**
+     * Update browser settings of a session
+     */
+    async updateBrowserConfig(req, res) {
+        try {
+            const { user_id, place_id, browser_config } = req.body;
+            const { session_id } = req.params;
+
+            if (!browser_config) {
+                return ApiResponse.error(res, 'browser_config is required', 400);
+            }
+
+            const result = await this.whatsAppService.updateBrowserConfig(
+                parseInt(user_id),
+                parseInt(place_id),
+                session_id,
+                browser_config
+            );
+
+            const message = result.restart_required
+                ? 'Browser config updated, restart the session to apply it'
+                : 'Browser config updated successfully';
+
+            return ApiResponse.success(res, result, message);
+        } catch (error) {
+            this.logger.error('Error updating browser config:', error);
+            const statusCode = error.message.includes('No session found') ? 404 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
+        }
+    }
+
+    /**
+     * Get session status timeline
+     */
+    async getSessionHistory(req, res) {
+        try {
+            const { user_id, place_id, page = 1, limit = 50 } = req.query;
+            const { session_id } = req.params;
+
+            const result = await this.whatsAppService.getSessionHistory(
+                parseInt(user_id), 
+                parseInt(place_id),
+                session_id,
+                parseInt(page),
+                parseInt(limit)
+            );
+
+            const { entries, pagination, ...session } = result;
+            return ApiResponse.paginated(res, { ...session, entries }, pagination, 'Session history retrieved successfully');
+        } catch (error) {
+            this.logger.error('Error getting session history:', error);
+            const statusCode = error.message.includes('No session found') ? 404 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
+        }
+    }
+
+    /**
+     * Stream live session events of user/place as Server-Sent Events
+     * Starts with a snapshot of all sessions so reconnecting clients never miss state
+     */
+    async streamEvents(req, res) {
+        const { user_id, place_id, session_id } = req.query;
+        const userId = parseInt(user_id);
+        const placeId = parseInt(place_id);
+
+        let sessions;
+        try {
+            sessions = await this.whatsAppService.listSessions(userId, placeId);
+        } catch (error) {
+            this.logger.error('Error opening event stream:', error);
+            return ApiResponse.error(res, error.message, 500);
+        }
+
+        res.writeHead(200, {
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no' // Disable proxy buffering (nginx)
+        });
+
+        const send = (event) => {
+            res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        };
+
+        res.write('retry: 5000\n\n');
+        send({
+            id: `${Date.now()}-snapshot`,
+            type: 'snapshot',
+            user_id: userId,
+            place_id: placeId,
+            data: session_id ? sessions.filter(session => session.session_id === session_id) : sessions,
+            timestamp: new Date().toISOString()
+        });
+
+        const unsubscribe = this.whatsAppService.eventService.subscribe(userId, placeId, (event) => {
+            if (!session_id || event.session_id === session_id) {
+                send(event);
+            }
+        });
+
+        // Comment lines keep idle connections open through proxies and load balancers
+        const heartbeatMs = parseInt(process.env.WHATSAPP_EVENTS_HEARTBEAT_MS) || 25000;
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), heartbeatMs);
+
+        this.logger.info(`Event stream opened for user ${userId}, place ${placeId}${session_id ? ` (${session_id})` : ''}`);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            unsubscribe();
+            this.logger.info(`Event stream closed for user ${userId}, place ${placeId}`);
+        });
+    }
+
     /**
      * Test image URL validity
      */
@@ -206,22 +401,22 @@ class WhatsAppController {
     }
 
     /**
-     * Get service statistics
+     * Dry-run report of sessions the inactive-session reaper would reap and why
      */
-    async getServiceStats(req, res) {
+    async getReaperReport(req, res) {
         try {
-            const stats = this.whatsAppService.getStats();
-            
-            return ApiResponse.success(res, {
-                ...stats,
-                uptime: process.uptime(),
-                memory_usage: process.memoryUsage(),
-                node_version: process.version,
-                timestamp: new Date().toISOString()
+            const { policy, timeout_minutes } = req.query;
+
+            const report = await this.whatsAppService.reaperService.getReport({
+                ...(policy && { policy }),
+                ...(timeout_minutes && { timeoutMs: parseInt(timeout_minutes) * 60 * 1000 })
             });
+
+            return ApiResponse.success(res, report, `${report.to_reap} of ${report.total} inactive sessions would be reaped`);
         } catch (error) {
-            this.logger.error('Error getting service stats:', error);
-            return ApiResponse.error(res, error.message, 500);
+            this.logger.error('Error building reaper report:', error);
+            const statusCode = error.message.includes('Unknown reaper policy') ? 400 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
         }
     }
 
@@ -268,38 +463,47 @@ class WhatsAppController {
     }
 
     /**
-     * Restart session (logout and re-initialize)
+     * Restart session: hot restart keeping auth, or logout and re-initialize with "logout": true
      */
     async restartSession(req, res) {
         try {
-            const { user_id, place_id } = req.body;
+            const { user_id, place_id, session_id, session_name, logout } = req.body;
             
-            this.logger.info(`Restarting session for user ${user_id}, place ${place_id}`);
+            this.logger.info(`Restarting session for user ${user_id}, place ${place_id}${logout ? ' (with logout)' : ''}`);
             
-            // First logout existing session
-            try {
-                await this.whatsAppService.logout(
-                    parseInt(user_id), 
-                    parseInt(place_id)
-                );
-            } catch (logoutError) {
-                this.logger.warn('Error during logout in restart:', logoutError);
-                // Continue with initialization even if logout fails
-            }
-            
-            // Wait a bit before re-initializing
-            await new Promise(resolve => setTimeout(resolve, 2000));
-            
-            // Initialize new session
-            const result = await this.whatsAppService.initializeClient(
+            const result = await this.whatsAppService.restartSession(
                 parseInt(user_id), 
-                parseInt(place_id)
+                parseInt(place_id),
+                { session_id, session_name },
+                { logout: logout === true || logout === 'true' }
             );
             
-            return ApiResponse.success(res, result, 'Session restarted successfully');
+            return ApiResponse.success(res, result, result.message);
         } catch (error) {
             this.logger.error('Error restarting session:', error);
-            return ApiResponse.error(res, error.message, 500);
+            const statusCode = error.message.includes('No session found') ? 404 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
+        }
+    }
+
+    /**
+     * Get progress of the running or last hot restart
+     */
+    async getRestartStatus(req, res) {
+        try {
+            const { user_id, place_id, session_id, session_name } = req.query;
+
+            const result = await this.whatsAppService.getRestartStatus(
+                parseInt(user_id),
+                parseInt(place_id),
+                { session_id, session_name }
+            );
+
+            return ApiResponse.success(res, result, result.restart ? `Restart ${result.restart.state}` : 'No restart recorded');
+        } catch (error) {
+            this.logger.error('Error getting restart status:', error);
+            const statusCode = error.message.includes('No session found') ? 404 : 500;
+            return ApiResponse.error(res, error.message, statusCode);
         }
     }
 
@@ -308,11 +512,12 @@ class WhatsAppController {
      */
     async getSessionInfo(req, res) {
         try {
-            const { user_id, place_id } = req.query;
+            const { user_id, place_id, session_id, session_name } = req.query;
             
             const status = await this.whatsAppService.getSessionStatus(
                 parseInt(user_id), 
-                parseInt(place_id)
+                parseInt(place_id),
+                { session_id, session_name }
             );
 
             if (!status.session_exists) {
@@ -395,10 +600,18 @@ class WhatsAppController {
             score += 10;
         }
 
+        // The watchdog's live probe outranks the stored status
+        const liveCheck = status.health_check;
+        if (liveCheck && liveCheck.consecutive_failures > 0) {
+            score -= 40;
+            issues.push(`Live check failed ${liveCheck.consecutive_failures} time(s) in a row: ${liveCheck.last_failure_reason}`);
+        }
+
         return {
             status: score >= 80 ? 'excellent' : score >= 60 ? 'good' : score >= 40 ? 'fair' : 'poor',
-            score: Math.min(score, 100),
-            issues
+            score: Math.max(Math.min(score, 100), 0),
+            issues,
+            last_health_check: status.last_health_check || null
         };
     }
 
@@ -433,6 +646,10 @@ class WhatsAppController {
             recommendations.push('Session appears ready but client is not available - consider restarting');
         }
 
+        if (status.health_check?.consecutive_failures > 0) {
+            recommendations.push('Live check is failing - the watchdog restarts the session if it keeps failing');
+        }
+
         if (status.last_activity) {
             const timeSinceActivity = Date.now() - new Date(status.last_activity).getTime();
             if (timeSinceActivity > 7 * 24 * 60 * 60 * 1000) {
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const ApiResponse = require('../utils/ApiResponse');
+const Logger = require('../utils/Logger');
+
+/**
+ * Admin authentication middleware
+ * Guards cross-tenant routes with ADMIN_API_KEY, sent as X-Admin-Key or Authorization: Bearer.
+ * Without ADMIN_API_KEY the admin API is disabled rather than open
+ */
+class AdminAuthMiddleware {
+    constructor() {
+        this.logger = new Logger('AdminAuthMiddleware');
+        this.apiKey = process.env.ADMIN_API_KEY || null;
+
+        // Bind methods to preserve 'this' context
+        this.requireAdmin = this.requireAdmin.bind(this);
+    }
+
+    /**
+     * Reject request without a valid admin credential
+     */
+    requireAdmin(req, res, next) {
+        if (!this.apiKey) {
+            return ApiResponse.error(res, 'Admin API is disabled: ADMIN_API_KEY is not set', 503);
+        }
+
+        const provided = this.getCredential(req);
+        if (!provided) {
+            this.logger.warn(`Admin credential missing for ${req.method} ${req.path}`);
+            return ApiResponse.error(res, 'Admin credential required', 401);
+        }
+
+        if (!this.matches(provided)) {
+            this.logger.warn(`Invalid admin credential for ${req.method} ${req.path}`, { ip: req.ip });
+            return ApiResponse.error(res, 'Invalid admin credential', 403);
+        }
+
+        next();
+    }
+
+    /**
+     * Read credential from X-Admin-Key or a Bearer authorization header
+     */
+    getCredential(req) {
+        const header = req.get('x-admin-key');
+        if (header) {
+            return header;
+        }
+
+        const authorization = req.get('authorization') || '';
+        return authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : null;
+    }
+
+    /**
+     * Compare credential in constant time (digests make the lengths equal)
+     */
+    matches(provided) {
+        const digest = value => crypto.createHash('sha256').update(String(value)).digest();
+        return crypto.timingSafeEqual(digest(provided), digest(this.apiKey));
+    }
+}
+
+module.exports = AdminAuthMiddleware;
@@ -0,0 +1,99 @@
+const axios = require('axios');
+const SessionOwnershipService = require('../services/whatsapp/SessionOwnershipService');
+const ApiResponse = require('../utils/ApiResponse');
+const Logger = require('../utils/Logger');
+
+// Not passed on to the owner: hop-by-hop headers, headers axios sets itself and forwarding markers
+const SKIPPED_HEADERS = [
+    'connection', 'keep-alive', 'proxy-authenticate', 'proxy-authorization', 'te', 'trailer',
+    'transfer-encoding', 'upgrade', 'host', 'content-length', 'accept-encoding',
+    SessionOwnershipService.FORWARDED_HEADER, SessionOwnershipService.FORWARD_SIGNATURE_HEADER
+];
+
+/**
+ * Session routing middleware
+ * Forwards session-scoped requests to the instance that owns the live WhatsApp client
+ */
+class SessionRoutingMiddleware {
+    constructor(whatsAppService) {
+        this.logger = new Logger('SessionRoutingMiddleware');
+        this.whatsAppService = whatsAppService;
+        this.sessionOwnershipService = whatsAppService.clientFactory.sessionOwnershipService;
+        this.forwardTimeoutMs = parseInt(process.env.SESSION_FORWARD_TIMEOUT_MS) || 120000;
+
+        if (this.sessionOwnershipService.isEnabled() && !this.sessionOwnershipService.forwardSecret) {
+            this.logger.warn('INSTANCE_SECRET is not set; forwarded requests cannot be verified and will be routed again');
+        }
+
+        // Bind methods to preserve 'this' context
+        this.forwardToOwner = this.forwardToOwner.bind(this);
+    }
+
+    /**
+     * Forward request to owning instance when the session is held elsewhere
+     */
+    async forwardToOwner(req, res, next) {
+        if (!this.sessionOwnershipService.isEnabled() || this.sessionOwnershipService.isForwarded(req)) {
+            return next();
+        }
+
+        let owner;
+        try {
+            const { user_id, place_id, session_id, session_name } = req.method === 'GET' ? req.query : (req.body || {});
+            const sessionData = await this.whatsAppService.lookupSession(
+                parseInt(user_id),
+                parseInt(place_id),
+                { session_id, session_name }
+            );
+
+            if (!sessionData || this.whatsAppService.clientFactory.hasClient(sessionData.session_id)) {
+                return next();
+            }
+
+            owner = await this.sessionOwnershipService.getOwner(sessionData.session_id);
+        } catch (error) {
+            this.logger.error('Error resolving session owner:', error);
+            return ApiResponse.error(res, 'Session ownership could not be resolved', 503);
+        }
+
+        if (!owner || owner === this.sessionOwnershipService.instanceId) {
+            return next();
+        }
+
+        const ownerUrl = await this.sessionOwnershipService.getInstanceUrl(owner).catch(() => null);
+        if (!ownerUrl) {
+            return ApiResponse.error(res, 'Session owner instance is unavailable, please retry shortly', 503);
+        }
+
+        try {
+            const response = await axios({
+                method: req.method,
+                url: `${ownerUrl}${req.originalUrl}`,
+                data: req.method === 'GET' ? undefined : req.body,
+                headers: {
+                    ...this.getForwardableHeaders(req),
+                    'Content-Type': 'application/json',
+                    ...this.sessionOwnershipService.createForwardHeaders(req.method, req.originalUrl)
+                },
+                timeout: this.forwardTimeoutMs,
+                validateStatus: () => true
+            });
+
+            return res.status(response.status).json(response.data);
+        } catch (error) {
+            this.logger.warn(`Error forwarding ${req.method} ${req.originalUrl} to ${owner}: ${error.message}`);
+            return ApiResponse.error(res, 'Session owner instance is unavailable, please retry shortly', 503);
+        }
+    }
+
+    /**
+     * Get original request headers to pass on to the owner (auth, tracing, language...)
+     */
+    getForwardableHeaders(req) {
+        return Object.fromEntries(
+            Object.entries(req.headers).filter(([name]) => !SKIPPED_HEADERS.includes(name.toLowerCase()))
+        );
+    }
+}
+
+module.exports = SessionRoutingMiddleware;
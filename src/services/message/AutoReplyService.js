@@ -0,0 +1,363 @@
+const { MessageMedia } = require('whatsapp-web.js');
+const AutoReplyRule = require('../../../models/AutoReplyRule');
+const InboundMessage = require('../../../models/InboundMessage');
+const MessageLog = require('../../../models/MessageLog');
+const Contact = require('../../../models/Contact');
+const ImageService = require('./ImageService');
+const MessageTemplateService = require('./MessageTemplateService');
+const SendDrainService = require('./SendDrainService');
+const Logger = require('../../utils/Logger');
+const SafeRegex = require('../../utils/SafeRegex');
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Fields a rule may be created or updated with
+const RULE_FIELDS = [
+    'session_id', 'name', 'is_active', 'priority', 'match', 'conditions',
+    'business_hours', 'response', 'cooldown_minutes'
+];
+
+/**
+ * Service for per-place auto-reply rules, evaluated against stored inbound messages
+ * Replies go out through the session that received the message and are logged with auto_reply_rule_id,
+ * which is also what the per-contact cooldown is checked against
+ */
+class AutoReplyService {
+    constructor(whatsAppService) {
+        this.whatsAppService = whatsAppService;
+        this.imageService = new ImageService();
+        this.templateService = new MessageTemplateService();
+        this.sendDrain = new SendDrainService();
+        this.logger = new Logger('AutoReplyService');
+    }
+
+    /**
+     * List rules of a place, in evaluation order
+     */
+    async listRules(userId, placeId, filters = {}) {
+        const query = { user_id: userId, place_id: placeId };
+        if (filters.session_id) query.session_id = filters.session_id;
+        if (filters.is_active !== undefined) query.is_active = filters.is_active;
+
+        return AutoReplyRule.find(query).sort({ priority: -1, created_at: 1 }).lean();
+    }
+
+    /**
+     * Get rule of a place by id
+     */
+    async getRule(userId, placeId, ruleId) {
+        const rule = await AutoReplyRule.findOne({ _id: ruleId, user_id: userId, place_id: placeId });
+        if (!rule) {
+            throw new Error(`Auto-reply rule not found: ${ruleId}`);
+        }
+        return rule;
+    }
+
+    /**
+     * Create rule
+     */
+    async createRule(userId, placeId, data) {
+        const rule = new AutoReplyRule({
+            ...this.pickRuleFields(data),
+            user_id: userId,
+            place_id: placeId
+        });
+        this.checkTemplate(rule);
+
+        await rule.save();
+        this.logger.info(`Auto-reply rule created: ${rule.name} (${rule._id})`);
+        return rule;
+    }
+
+    /**
+     * Update rule; nested objects (match, conditions, business_hours, response) are merged
+     */
+    async updateRule(userId, placeId, ruleId, data) {
+        const rule = await this.getRule(userId, placeId, ruleId);
+        const updates = this.pickRuleFields(data);
+
+        for (const [field, value] of Object.entries(updates)) {
+            const current = rule[field];
+            rule.set(field, value && typeof value === 'object' && !Array.isArray(value) && current ?
+                { ...current.toObject(), ...value } : value);
+        }
+        rule.updated_at = new Date();
+        this.checkTemplate(rule);
+
+        await rule.save();
+        return rule;
+    }
+
+    /**
+     * Delete rule
+     */
+    async deleteRule(userId, placeId, ruleId) {
+        const rule = await this.getRule(userId, placeId, ruleId);
+        await AutoReplyRule.deleteOne({ _id: rule._id });
+
+        return { rule_id: String(rule._id), deleted: true };
+    }
+
+    pickRuleFields(data) {
+        return Object.fromEntries(RULE_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+    }
+
+    /**
+     * Reject template responses pointing at a template that does not exist
+     */
+    checkTemplate(rule) {
+        if (rule.response?.type === 'template') {
+            this.templateService.getTemplate(rule.response.template_id);
+        }
+    }
+
+    /**
+     * Evaluate rules against stored inbound message and send the first matching reply
+     * @param {Object} inboundMessage - InboundMessage document
+     * @returns {Object|null} the reply's message log
+     */
+    async handleInbound(sessionData, inboundMessage) {
+        if (inboundMessage.is_group) {
+            return null;
+        }
+
+        const rules = await AutoReplyRule.find({
+            user_id: sessionData.user_id,
+            place_id: sessionData.place_id,
+            is_active: true,
+            session_id: { $in: [null, sessionData.session_id] }
+        }).sort({ priority: -1, created_at: 1 });
+
+        if (rules.length === 0) {
+            return null;
+        }
+
+        const contact = inboundMessage.contact_id ?
+            await Contact.findOne({ contact_id: inboundMessage.contact_id }).lean() : null;
+
+        for (const rule of rules) {
+            if (!this.matches(rule, inboundMessage.body)) {
+                continue;
+            }
+            if (!await this.conditionsMet(rule, inboundMessage, contact)) {
+                continue;
+            }
+            if (await this.inCooldown(rule, inboundMessage.sender_number)) {
+                this.logger.debug(`Rule ${rule._id} in cooldown for ${inboundMessage.sender_number}`);
+                return null;
+            }
+
+            return this.reply(sessionData, rule, inboundMessage, contact);
+        }
+
+        return null;
+    }
+
+    /**
+     * Check message text against rule's match
+     */
+    matches(rule, body = '') {
+        const { type, value, case_sensitive: caseSensitive } = rule.match;
+        const text = caseSensitive ? body.trim() : body.trim().toLowerCase();
+        const expected = caseSensitive ? value.trim() : value.trim().toLowerCase();
+
+        if (type === 'exact') {
+            return text === expected;
+        }
+        if (type === 'contains') {
+            return text.includes(expected);
+        }
+
+        const problem = SafeRegex.check(value);
+        if (problem) {
+            this.logger.warn(`Regex of auto-reply rule ${rule._id} skipped, it ${problem}: ${value}`);
+            return false;
+        }
+        return SafeRegex.test(value, caseSensitive ? '' : 'i', body);
+    }
+
+    /**
+     * Check first-message-only, business-hours and sender-tag conditions
+     */
+    async conditionsMet(rule, inboundMessage, contact) {
+        const conditions = rule.conditions || {};
+
+        if (conditions.sender_tags?.length > 0) {
+            const tags = contact?.tags || [];
+            if (!conditions.sender_tags.some(tag => tags.includes(tag))) {
+                return false;
+            }
+        }
+
+        if (conditions.outside_business_hours && this.isWithinBusinessHours(rule.business_hours)) {
+            return false;
+        }
+
+        if (conditions.first_message_only) {
+            const earlier = await InboundMessage.countDocuments({
+                user_id: inboundMessage.user_id,
+                place_id: inboundMessage.place_id,
+                sender_number: inboundMessage.sender_number,
+                _id: { $ne: inboundMessage._id }
+            });
+            if (earlier > 0) {
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Whether now falls inside business hours (start-end in the rule's timezone; end before start spans midnight)
+     */
+    isWithinBusinessHours(businessHours = {}, now = new Date()) {
+        const { timezone = 'UTC', days = [], start = '00:00', end = '00:00' } = businessHours;
+
+        const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        }).formatToParts(now).map(part => [part.type, part.value]));
+
+        const day = WEEKDAYS.indexOf(parts.weekday);
+        const minutes = parseInt(parts.hour) * 60 + parseInt(parts.minute);
+        const toMinutes = time => {
+            const [hours, mins] = time.split(':').map(Number);
+            return hours * 60 + mins;
+        };
+        const startMinutes = toMinutes(start);
+        const endMinutes = toMinutes(end);
+
+        if (startMinutes <= endMinutes) {
+            return days.includes(day) && minutes >= startMinutes && minutes < endMinutes;
+        }
+
+        // Overnight: the part after midnight belongs to the previous day's opening
+        return (days.includes(day) && minutes >= startMinutes) ||
+            (days.includes((day + 6) % 7) && minutes < endMinutes);
+    }
+
+    /**
+     * Whether rule already replied to number within its cooldown
+     */
+    async inCooldown(rule, senderNumber) {
+        if (!rule.cooldown_minutes) {
+            return false;
+        }
+
+        const recent = await MessageLog.findOne({
+            auto_reply_rule_id: String(rule._id),
+            recipient_number: senderNumber,
+            created_at: { $gte: new Date(Date.now() - rule.cooldown_minutes * 60000) }
+        }).select('_id');
+
+        return Boolean(recent);
+    }
+
+    /**
+     * Send rule's response through the session that received the message
+     */
+    async reply(sessionData, rule, inboundMessage, contact) {
+        const { user_id: userId, place_id: placeId, session_id: sessionId } = sessionData;
+        const recipientNumber = inboundMessage.sender_number;
+        const text = this.buildText(rule, inboundMessage, contact);
+
+        if (await this.whatsAppService.suppressionService.isSuppressed(userId, placeId, recipientNumber)) {
+            this.logger.info(`Auto-reply "${rule.name}" to ${recipientNumber} skipped: recipient opted out`);
+            return this.whatsAppService.suppressionService.logSuppressed({
+                user_id: userId,
+                place_id: placeId,
+                session_id: sessionId,
+                recipient_number: recipientNumber,
+                recipient_name: contact?.name || inboundMessage.sender_name || null,
+                message_content: text || (rule.response.type === 'image' ? '[image]' : ''),
+                message_type: rule.response.type === 'image' ? 'image' : 'text',
+                auto_reply_rule_id: String(rule._id)
+            });
+        }
+
+        let job;
+        try {
+            job = this.sendDrain.begin({ type: 'auto_reply', userId, placeId, sessionId });
+        } catch (error) {
+            this.logger.warn(`Auto-reply to ${recipientNumber} skipped: ${error.message}`);
+            return null;
+        }
+
+        // Logged before sending so messages arriving meanwhile already see the cooldown
+        const messageLog = await MessageLog.create({
+            user_id: userId,
+            place_id: placeId,
+            session_id: sessionId,
+            recipient_number: recipientNumber,
+            recipient_name: contact?.name || inboundMessage.sender_name || null,
+            message_content: text || (rule.response.type === 'image' ? '[image]' : ''),
+            message_type: rule.response.type === 'image' ? 'image' : 'text',
+            image_url: rule.response.type === 'image' ? rule.response.image_url : null,
+            auto_reply_rule_id: String(rule._id),
+            status: 'pending'
+        });
+        job.current = messageLog;
+
+        try {
+            let result;
+            if (rule.response.type === 'image') {
+                const imageData = await this.imageService.downloadImageFromUrl(rule.response.image_url);
+                const media = new MessageMedia(imageData.mimeType, imageData.buffer.toString('base64'));
+                result = await this.whatsAppService.sendMediaMessage(userId, placeId, recipientNumber, media, text || '', { session_id: sessionId });
+            } else {
+                result = await this.whatsAppService.sendMessage(userId, placeId, recipientNumber, text, { session_id: sessionId });
+            }
+
+            messageLog.status = 'sent';
+            messageLog.whatsapp_message_id = result.message_id;
+            messageLog.sent_at = new Date();
+            await messageLog.save();
+
+            await AutoReplyRule.updateOne(
+                { _id: rule._id },
+                { $inc: { trigger_count: 1 }, last_triggered_at: new Date() }
+            );
+
+            this.logger.info(`Auto-reply "${rule.name}" sent to ${recipientNumber}`);
+            return messageLog;
+        } catch (error) {
+            this.logger.error(`Error sending auto-reply "${rule.name}" to ${recipientNumber}:`, error);
+
+            messageLog.status = 'failed';
+            messageLog.error_message = error.message;
+            await messageLog.save();
+            return messageLog;
+        } finally {
+            this.sendDrain.end(job);
+        }
+    }
+
+    /**
+     * Build reply text (caption for images); templates get name, number, date and time filled in
+     */
+    buildText(rule, inboundMessage, contact) {
+        const { response } = rule;
+
+        if (response.type !== 'template') {
+            return response.text || '';
+        }
+
+        const now = new Date();
+        const timezone = rule.business_hours?.timezone || 'UTC';
+        const variables = {
+            name: contact?.name || inboundMessage.sender_name || '',
+            number: inboundMessage.sender_number,
+            date: now.toLocaleDateString('en-GB', { timeZone: timezone }),
+            time: now.toLocaleTimeString('en-GB', { timeZone: timezone, hour: '2-digit', minute: '2-digit' }),
+            ...(response.variables || {})
+        };
+
+        return this.templateService.render(this.templateService.getTemplate(response.template_id).content, variables);
+    }
+}
+
+module.exports = AutoReplyService;
@@ -0,0 +1,712 @@
+const ChatFlow = require('../../../models/ChatFlow');
+const ChatFlowState = require('../../../models/ChatFlowState');
+const MessageLog = require('../../../models/MessageLog');
+const Contact = require('../../../models/Contact');
+const ContactService = require('../contact/ContactService');
+const MessageTemplateService = require('./MessageTemplateService');
+const SendDrainService = require('./SendDrainService');
+const Logger = require('../../utils/Logger');
+const SafeRegex = require('../../utils/SafeRegex');
+
+// Per-contact queue: messages of one contact are handled one at a time, in order
+const locks = new Map(); // `${userId}_${placeId}_${phoneNumber}` => Promise
+
+// Nodes that stop and wait for the contact's reply
+const WAITING_NODES = ['menu', 'input'];
+
+// Guard against message/branch nodes pointing at each other in a loop
+const MAX_STEPS_PER_TURN = 25;
+
+// Fields a flow may be created or updated with
+const FLOW_FIELDS = [
+    'session_id', 'name', 'is_active', 'trigger_keywords', 'start_node',
+    'nodes', 'timeout_minutes', 'timeout_message'
+];
+
+/**
+ * Service running menu-driven chat flows (see models/ChatFlow.js for node types)
+ * Each contact's position is stored in ChatFlowState, so a conversation continues after a restart.
+ * Expired waits are handled every WHATSAPP_FLOW_TIMEOUT_CHECK_MS for sessions live on this instance
+ */
+class ChatFlowService {
+    constructor(whatsAppService) {
+        this.whatsAppService = whatsAppService;
+        this.clientFactory = whatsAppService.clientFactory;
+        this.contactService = new ContactService();
+        this.templateService = new MessageTemplateService();
+        this.sendDrain = new SendDrainService();
+        this.logger = new Logger('ChatFlowService');
+        this.timeoutCheckMs = parseInt(process.env.WHATSAPP_FLOW_TIMEOUT_CHECK_MS) || 60000;
+        this.timer = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Check expired waits every WHATSAPP_FLOW_TIMEOUT_CHECK_MS
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.expireStates().catch(error => {
+                this.logger.error('Error expiring chat flow states:', error);
+            });
+        }, this.timeoutCheckMs);
+    }
+
+    /**
+     * Stop timeout checks
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * List flows of a place
+     */
+    async listFlows(userId, placeId) {
+        return ChatFlow.find({ user_id: userId, place_id: placeId }).sort({ created_at: 1 }).lean();
+    }
+
+    /**
+     * Get flow of a place by id
+     */
+    async getFlow(userId, placeId, flowId) {
+        const flow = await ChatFlow.findOne({ _id: flowId, user_id: userId, place_id: placeId });
+        if (!flow) {
+            throw new Error(`Chat flow not found: ${flowId}`);
+        }
+        return flow;
+    }
+
+    /**
+     * Create flow
+     */
+    async createFlow(userId, placeId, data) {
+        const flow = new ChatFlow({
+            ...this.pickFlowFields(data),
+            user_id: userId,
+            place_id: placeId
+        });
+        this.validateFlow(flow);
+
+        await flow.save();
+        this.logger.info(`Chat flow created: ${flow.name} (${flow._id})`);
+        return flow;
+    }
+
+    /**
+     * Update flow; contacts inside the flow continue from their current node
+     */
+    async updateFlow(userId, placeId, flowId, data) {
+        const flow = await this.getFlow(userId, placeId, flowId);
+
+        flow.set(this.pickFlowFields(data));
+        flow.updated_at = new Date();
+        this.validateFlow(flow);
+
+        await flow.save();
+        return flow;
+    }
+
+    /**
+     * Delete flow and reset contacts still inside it
+     */
+    async deleteFlow(userId, placeId, flowId) {
+        const flow = await this.getFlow(userId, placeId, flowId);
+
+        await ChatFlowState.updateMany(
+            { flow_id: String(flow._id), status: 'active' },
+            { status: 'reset', finished_at: new Date() }
+        );
+        await ChatFlow.deleteOne({ _id: flow._id });
+
+        return { flow_id: String(flow._id), deleted: true };
+    }
+
+    pickFlowFields(data) {
+        return Object.fromEntries(FLOW_FIELDS.filter(field => data[field] !== undefined).map(field => [field, data[field]]));
+    }
+
+    /**
+     * Check flow graph: unique node ids, known targets, options on menus, fields on inputs
+     */
+    validateFlow(flow) {
+        const fail = message => {
+            throw new Error(`Invalid flow: ${message}`);
+        };
+        const ids = flow.nodes.map(node => node.id);
+        const fieldName = /^[A-Za-z_][A-Za-z0-9_]{0,63}$/;
+
+        if (new Set(ids).size !== ids.length) {
+            fail('node ids must be unique');
+        }
+        if (!ids.includes(flow.start_node)) {
+            fail(`start_node "${flow.start_node}" is not a node`);
+        }
+
+        const checkTarget = (node, target, label) => {
+            if (target && !ids.includes(target)) {
+                fail(`${label} of node "${node.id}" points to unknown node "${target}"`);
+            }
+        };
+
+        for (const node of flow.nodes) {
+            checkTarget(node, node.next, 'next');
+            checkTarget(node, node.default_next, 'default_next');
+            checkTarget(node, node.timeout_next, 'timeout_next');
+
+            if (node.field && !fieldName.test(node.field)) {
+                fail(`field "${node.field}" of node "${node.id}" must be letters, digits and underscores`);
+            }
+            if (['message', 'menu', 'input'].includes(node.type) && !node.text) {
+                fail(`${node.type} node "${node.id}" needs text`);
+            }
+
+            if (node.type === 'menu') {
+                if (!node.options || node.options.length === 0) {
+                    fail(`menu node "${node.id}" needs options`);
+                }
+                node.options.forEach((option, index) => {
+                    if (!option.label) {
+                        fail(`option ${index + 1} of node "${node.id}" needs a label`);
+                    }
+                    checkTarget(node, option.next, `option ${option.key || index + 1}`);
+                });
+            }
+
+            if (node.type === 'input') {
+                if (!node.field) {
+                    fail(`input node "${node.id}" needs a field`);
+                }
+                const problem = node.validation ? SafeRegex.check(node.validation) : null;
+                if (problem) {
+                    fail(`validation of node "${node.id}" ${problem}`);
+                }
+            }
+
+            if (node.type === 'branch') {
+                (node.rules || []).forEach(rule => {
+                    if (!rule.field || !fieldName.test(rule.field)) {
+                        fail(`branch rules of node "${node.id}" need a field`);
+                    }
+                    const problem = rule.operator === 'regex' ? SafeRegex.check(rule.value) : null;
+                    if (problem) {
+                        fail(`regex rule of node "${node.id}" ${problem}`);
+                    }
+                    checkTarget(node, rule.next, 'rule next');
+                });
+            }
+        }
+    }
+
+    /**
+     * Run message through contact's flow: continue the active one or start one whose keyword matches
+     * @param {Object} inboundMessage - InboundMessage document
+     * @returns {Boolean} true when a flow consumed the message (auto-replies are then skipped)
+     */
+    async handleInbound(sessionData, inboundMessage) {
+        if (inboundMessage.is_group) {
+            return false;
+        }
+
+        const { user_id: userId, place_id: placeId } = sessionData;
+        const phoneNumber = inboundMessage.sender_number;
+
+        // Opted-out contacts are not taken through flows
+        if (await this.whatsAppService.suppressionService.isSuppressed(userId, placeId, phoneNumber)) {
+            return false;
+        }
+
+        return this.withLock(userId, placeId, phoneNumber, async () => {
+            const state = await ChatFlowState.findOne({
+                user_id: userId,
+                place_id: placeId,
+                phone_number: phoneNumber,
+                status: 'active'
+            });
+
+            if (state) {
+                const flow = await ChatFlow.findById(state.flow_id);
+                const node = flow ? this.getNode(flow, state.current_node) : null;
+                const expired = state.expires_at && state.expires_at <= new Date();
+
+                if (!flow) {
+                    await this.finish(state, 'reset');
+                } else if (expired && !node?.timeout_next) {
+                    // Timed out before the checker got to it; the contact is back, so no timeout message
+                    await this.finish(state, 'expired');
+                } else {
+                    await this.handleReply(sessionData, state, flow, inboundMessage);
+                    return true;
+                }
+            }
+
+            const flow = await this.findTriggeredFlow(sessionData, inboundMessage.body);
+            if (!flow) {
+                return false;
+            }
+
+            await this.startFlow(sessionData, flow, phoneNumber, {
+                contact_id: inboundMessage.contact_id,
+                sender_name: inboundMessage.sender_name
+            });
+            return true;
+        });
+    }
+
+    /**
+     * Find active flow of the place whose trigger keyword equals the message
+     */
+    async findTriggeredFlow(sessionData, body = '') {
+        const text = body.trim().toLowerCase();
+        if (!text) {
+            return null;
+        }
+
+        const flows = await ChatFlow.find({
+            user_id: sessionData.user_id,
+            place_id: sessionData.place_id,
+            is_active: true,
+            session_id: { $in: [null, sessionData.session_id] }
+        }).sort({ created_at: 1 });
+
+        return flows.find(flow => flow.trigger_keywords.some(keyword => keyword.trim().toLowerCase() === text)) || null;
+    }
+
+    /**
+     * Start flow for a number from the API, replacing any flow the contact is in
+     * @param {Object} selector - { session_id, session_name } of the number to talk through
+     */
+    async startForContact(userId, placeId, flowId, phoneNumber, selector = {}) {
+        const flow = await this.getFlow(userId, placeId, flowId);
+        const { sessionData } = await this.whatsAppService.getClientByCredentials(userId, placeId, selector);
+        const digits = this.normalizeNumber(phoneNumber);
+
+        if (await this.whatsAppService.suppressionService.isSuppressed(userId, placeId, digits)) {
+            throw new Error(`Recipient has opted out: ${digits}`);
+        }
+
+        return this.withLock(userId, placeId, digits, async () => {
+            await ChatFlowState.updateMany(
+                { user_id: userId, place_id: placeId, phone_number: digits, status: 'active' },
+                { status: 'reset', finished_at: new Date() }
+            );
+
+            const state = await this.startFlow(sessionData, flow, digits);
+            return this.formatState(state, flow);
+        });
+    }
+
+    /**
+     * Reset contact's active flow
+     */
+    async resetForContact(userId, placeId, phoneNumber) {
+        const digits = this.normalizeNumber(phoneNumber);
+
+        return this.withLock(userId, placeId, digits, async () => {
+            const state = await ChatFlowState.findOne({
+                user_id: userId,
+                place_id: placeId,
+                phone_number: digits,
+                status: 'active'
+            });
+            if (!state) {
+                throw new Error(`No active chat flow for ${digits}`);
+            }
+
+            await this.finish(state, 'reset');
+            return this.formatState(state, await ChatFlow.findById(state.flow_id));
+        });
+    }
+
+    /**
+     * Get contact's active flow state, or the latest finished one
+     */
+    async getStateForContact(userId, placeId, phoneNumber) {
+        const digits = this.normalizeNumber(phoneNumber);
+        const query = { user_id: userId, place_id: placeId, phone_number: digits };
+
+        const state = await ChatFlowState.findOne({ ...query, status: 'active' }) ||
+            await ChatFlowState.findOne(query).sort({ started_at: -1 });
+        if (!state) {
+            throw new Error(`No chat flow state for ${digits}`);
+        }
+
+        return this.formatState(state, await ChatFlow.findById(state.flow_id));
+    }
+
+    /**
+     * Create state and run flow from its start node
+     */
+    async startFlow(sessionData, flow, phoneNumber, { contact_id: contactId = null, sender_name: senderName = null } = {}) {
+        const state = await ChatFlowState.create({
+            user_id: sessionData.user_id,
+            place_id: sessionData.place_id,
+            session_id: sessionData.session_id,
+            flow_id: String(flow._id),
+            phone_number: phoneNumber,
+            contact_id: contactId,
+            answers: senderName ? { name: senderName } : {}
+        });
+
+        this.logger.info(`Chat flow "${flow.name}" started for ${phoneNumber}`);
+        await this.runFrom(sessionData, state, flow, flow.start_node);
+        return state;
+    }
+
+    /**
+     * Apply contact's reply to the node waiting for it
+     */
+    async handleReply(sessionData, state, flow, inboundMessage) {
+        const node = this.getNode(flow, state.current_node);
+        const reply = (inboundMessage.body || '').trim();
+
+        state.last_interaction_at = new Date();
+        if (!state.contact_id && inboundMessage.contact_id) {
+            state.contact_id = inboundMessage.contact_id;
+        }
+
+        if (!node) {
+            await this.finish(state, 'reset');
+            return;
+        }
+
+        if (node.type === 'menu') {
+            const option = this.findOption(node, reply);
+            if (!option) {
+                await this.send(sessionData, state, flow, node.invalid_message || 'Please reply with one of the option numbers.');
+                await this.send(sessionData, state, flow, this.renderMenu(node, state));
+                await this.wait(state, flow, node);
+                return;
+            }
+
+            if (node.field) {
+                await this.saveAnswer(sessionData, state, node.field, option.label);
+            }
+            await this.runFrom(sessionData, state, flow, option.next);
+            return;
+        }
+
+        // input
+        if (node.validation && !SafeRegex.test(node.validation, '', reply)) {
+            await this.send(sessionData, state, flow, node.invalid_message || 'Sorry, that answer is not valid.');
+            await this.send(sessionData, state, flow, this.render(node.text, state));
+            await this.wait(state, flow, node);
+            return;
+        }
+
+        await this.saveAnswer(sessionData, state, node.field, reply);
+        await this.runFrom(sessionData, state, flow, node.next);
+    }
+
+    /**
+     * Walk nodes from nodeId until one waits for a reply or the flow ends
+     */
+    async runFrom(sessionData, state, flow, nodeId) {
+        let currentId = nodeId;
+
+        for (let step = 0; step < MAX_STEPS_PER_TURN; step++) {
+            const node = this.getNode(flow, currentId);
+            if (!node) {
+                await this.finish(state, 'completed');
+                return;
+            }
+
+            if (node.type === 'branch') {
+                currentId = this.pickBranch(node, state);
+                continue;
+            }
+
+            if (node.type === 'menu') {
+                await this.send(sessionData, state, flow, this.renderMenu(node, state));
+            } else if (node.text) {
+                await this.send(sessionData, state, flow, this.render(node.text, state));
+            }
+
+            if (WAITING_NODES.includes(node.type)) {
+                state.current_node = node.id;
+                await this.wait(state, flow, node);
+                return;
+            }
+
+            if (node.type === 'end' || !node.next) {
+                await this.finish(state, 'completed');
+                return;
+            }
+
+            currentId = node.next;
+        }
+
+        this.logger.warn(`Chat flow ${flow._id} stopped after ${MAX_STEPS_PER_TURN} steps without waiting (loop?)`);
+        await this.finish(state, 'completed');
+    }
+
+    getNode(flow, nodeId) {
+        return nodeId ? flow.nodes.find(node => node.id === nodeId) || null : null;
+    }
+
+    /**
+     * Match reply to menu option by key (1, 2, ... by default) or label
+     */
+    findOption(node, reply) {
+        const text = reply.toLowerCase();
+        return node.options.find((option, index) =>
+            String(option.key || index + 1).toLowerCase() === text || option.label.toLowerCase() === text
+        ) || null;
+    }
+
+    /**
+     * Pick next node of branch from the answers captured so far
+     */
+    pickBranch(node, state) {
+        const answers = state.answers || {};
+
+        const rule = (node.rules || []).find(({ field, operator = 'equals', value = '' }) => {
+            const answer = answers[field];
+            if (operator === 'exists') {
+                return answer !== undefined && answer !== null && answer !== '';
+            }
+            if (answer === undefined || answer === null) {
+                return false;
+            }
+
+            const text = String(answer).toLowerCase();
+            if (operator === 'contains') {
+                return text.includes(String(value).toLowerCase());
+            }
+            if (operator === 'regex') {
+                return SafeRegex.test(value, 'i', answer);
+            }
+            return text === String(value).toLowerCase();
+        });
+
+        return rule ? rule.next : node.default_next;
+    }
+
+    renderMenu(node, state) {
+        const options = node.options.map((option, index) => `${option.key || index + 1}. ${option.label}`);
+        return `${this.render(node.text, state)}\n\n${options.join('\n')}`;
+    }
+
+    /**
+     * Fill {field} placeholders with captured answers
+     */
+    render(text, state) {
+        return this.templateService.render(text, state.answers || {});
+    }
+
+    /**
+     * Store answer on the state and in the contact's custom_fields (contact created when missing)
+     */
+    async saveAnswer(sessionData, state, field, value) {
+        state.answers = { ...(state.answers || {}), [field]: value };
+        state.markModified('answers');
+
+        try {
+            if (!state.contact_id) {
+                const contact = await this.contactService.saveOrUpdateContact(
+                    state.user_id,
+                    state.place_id,
+                    sessionData.session_id,
+                    {
+                        name: state.answers.name || state.phone_number,
+                        number: state.phone_number,
+                        whatsapp_id: `${state.phone_number}@c.us`
+                    }
+                );
+                state.contact_id = contact.contact_id;
+            }
+
+            await Contact.updateOne(
+                { contact_id: state.contact_id },
+                { $set: { [`custom_fields.${field}`]: value, updated_at: new Date() } }
+            );
+        } catch (error) {
+            this.logger.warn(`Error saving flow answer "${field}" to contact of ${state.phone_number}:`, error);
+        }
+    }
+
+    /**
+     * Wait at node for the contact's reply until its timeout
+     */
+    async wait(state, flow, node) {
+        const timeoutMinutes = node.timeout_minutes || flow.timeout_minutes;
+        state.expires_at = timeoutMinutes ? new Date(Date.now() + timeoutMinutes * 60000) : null;
+        await state.save();
+    }
+
+    async finish(state, status) {
+        state.status = status;
+        state.current_node = null;
+        state.expires_at = null;
+        state.finished_at = new Date();
+        await state.save();
+    }
+
+    /**
+     * Handle waits past their timeout for sessions live on this instance
+     */
+    async expireStates() {
+        if (this.isRunning) {
+            return 0;
+        }
+
+        this.isRunning = true;
+        try {
+            const states = await ChatFlowState.find({
+                status: 'active',
+                expires_at: { $lte: new Date() },
+                session_id: { $in: Array.from(this.clientFactory.clients.keys()) }
+            }).limit(100);
+
+            for (const { user_id: userId, place_id: placeId, phone_number: phoneNumber, _id: stateId } of states) {
+                await this.withLock(userId, placeId, phoneNumber, async () => {
+                    // Re-read inside the lock: a reply may have arrived meanwhile
+                    const state = await ChatFlowState.findOne({ _id: stateId, status: 'active', expires_at: { $lte: new Date() } });
+                    if (state) {
+                        await this.handleTimeout(state, await ChatFlow.findById(state.flow_id));
+                    }
+                });
+            }
+
+            return states.length;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Continue with the node's timeout_next, or expire the flow with its timeout message
+     */
+    async handleTimeout(state, flow) {
+        const node = flow ? this.getNode(flow, state.current_node) : null;
+        const sessionData = {
+            user_id: state.user_id,
+            place_id: state.place_id,
+            session_id: state.session_id
+        };
+
+        try {
+            if (node && node.timeout_next) {
+                await this.runFrom(sessionData, state, flow, node.timeout_next);
+                return;
+            }
+
+            await this.finish(state, 'expired');
+            if (flow && flow.timeout_message) {
+                await this.send(sessionData, state, flow, this.render(flow.timeout_message, state));
+            }
+        } catch (error) {
+            this.logger.warn(`Error handling chat flow timeout for ${state.phone_number}:`, error);
+            if (state.status === 'active') {
+                await this.finish(state, 'expired');
+            }
+        }
+    }
+
+    /**
+     * Send flow text through the flow's session, logged with chat_flow_id
+     */
+    async send(sessionData, state, flow, text) {
+        const logData = {
+            user_id: sessionData.user_id,
+            place_id: sessionData.place_id,
+            session_id: sessionData.session_id,
+            recipient_number: state.phone_number,
+            message_content: text,
+            message_type: 'text',
+            chat_flow_id: String(flow._id)
+        };
+
+        // E.g. suppressed through the API while the flow was waiting
+        if (await this.whatsAppService.suppressionService.isSuppressed(sessionData.user_id, sessionData.place_id, state.phone_number)) {
+            await this.whatsAppService.suppressionService.logSuppressed(logData);
+            return;
+        }
+
+        const job = this.sendDrain.begin({
+            type: 'chat_flow',
+            userId: sessionData.user_id,
+            placeId: sessionData.place_id,
+            sessionId: sessionData.session_id
+        });
+
+        const messageLog = await MessageLog.create({ ...logData, status: 'pending' });
+        job.current = messageLog;
+
+        try {
+            const result = await this.whatsAppService.sendMessage(
+                sessionData.user_id,
+                sessionData.place_id,
+                state.phone_number,
+                text,
+                { session_id: sessionData.session_id }
+            );
+
+            messageLog.status = 'sent';
+            messageLog.whatsapp_message_id = result.message_id;
+            messageLog.sent_at = new Date();
+            await messageLog.save();
+        } catch (error) {
+            messageLog.status = 'failed';
+            messageLog.error_message = error.message;
+            await messageLog.save();
+            throw error;
+        } finally {
+            this.sendDrain.end(job);
+        }
+    }
+
+    /**
+     * Run fn after earlier work for the same contact finished
+     */
+    async withLock(userId, placeId, phoneNumber, fn) {
+        const key = `${userId}_${placeId}_${phoneNumber}`;
+        const previous = locks.get(key) || Promise.resolve();
+        const current = previous.catch(() => {}).then(fn);
+        const tail = current.catch(() => {});
+
+        locks.set(key, tail);
+        try {
+            return await current;
+        } finally {
+            if (locks.get(key) === tail) {
+                locks.delete(key);
+            }
+        }
+    }
+
+    normalizeNumber(phoneNumber) {
+        const digits = String(phoneNumber || '').replace(/\D/g, '');
+        if (!digits) {
+            throw new Error('Invalid phone number');
+        }
+        return digits;
+    }
+
+    formatState(state, flow) {
+        return {
+            state_id: String(state._id),
+            flow_id: state.flow_id,
+            flow_name: flow ? flow.name : null,
+            session_id: state.session_id,
+            phone_number: state.phone_number,
+            contact_id: state.contact_id,
+            status: state.status,
+            current_node: state.current_node,
+            answers: state.answers || {},
+            started_at: state.started_at,
+            last_interaction_at: state.last_interaction_at,
+            expires_at: state.expires_at,
+            finished_at: state.finished_at
+        };
+    }
+}
+
+module.exports = ChatFlowService;
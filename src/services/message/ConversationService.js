@@ -0,0 +1,254 @@
+const InboundMessage = require('../../../models/InboundMessage');
+const MessageLog = require('../../../models/MessageLog');
+const Contact = require('../../../models/Contact');
+const MediaStorageService = require('./MediaStorageService');
+const Logger = require('../../utils/Logger');
+
+/**
+ * Service storing inbound messages and reading conversation threads
+ * A thread merges inbound messages with the outbound MessageLog entries of the same number
+ */
+class ConversationService {
+    constructor() {
+        this.mediaStorageService = new MediaStorageService();
+        this.logger = new Logger('ConversationService');
+    }
+
+    /**
+     * Store inbound message received by session's client; returns null for ignored or already stored messages
+     * @param {Object} message - whatsapp-web.js Message
+     */
+    async saveInboundMessage(sessionData, message) {
+        // Status updates arrive as messages from status@broadcast
+        if (message.fromMe || message.isStatus || message.from === 'status@broadcast') {
+            return null;
+        }
+
+        const isGroup = message.from.endsWith('@g.us');
+        const senderId = isGroup ? (message.author || message.from) : message.from;
+        const senderNumber = senderId.split('@')[0];
+
+        const contact = await Contact.findOne({
+            user_id: sessionData.user_id,
+            place_id: sessionData.place_id,
+            $or: [{ whatsapp_id: senderId }, { number: senderNumber }]
+        }).select('contact_id');
+
+        try {
+            const inboundMessage = await InboundMessage.create({
+                user_id: sessionData.user_id,
+                place_id: sessionData.place_id,
+                session_id: sessionData.session_id,
+                contact_id: contact ? contact.contact_id : null,
+                whatsapp_message_id: message.id._serialized,
+                chat_id: message.from,
+                is_group: isGroup,
+                sender_id: senderId,
+                sender_number: senderNumber,
+                sender_name: message._data?.notifyName || null,
+                body: message.body || '',
+                message_type: message.type || 'chat',
+                has_media: Boolean(message.hasMedia),
+                media: message.hasMedia ? this.getMediaInfo(message) : undefined,
+                quoted_message: message.hasQuotedMsg ? await this.getQuotedMessage(message) : undefined,
+                timestamp: message.timestamp ? new Date(message.timestamp * 1000) : new Date()
+            });
+
+            if (contact) {
+                await Contact.updateOne(
+                    { _id: contact._id },
+                    { last_interaction: inboundMessage.timestamp, last_message_date: inboundMessage.timestamp }
+                );
+            }
+
+            // Downloads can take a while; replies to the message do not wait for them
+            if (inboundMessage.has_media && this.mediaStorageService.downloadEnabled) {
+                this.attachMedia(sessionData, inboundMessage, message);
+            }
+
+            return inboundMessage;
+        } catch (error) {
+            // Same message delivered again (e.g. after a restart)
+            if (error.code === 11000) {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Read media metadata without downloading the media
+     */
+    getMediaInfo(message) {
+        const data = message._data || {};
+
+        return {
+            mime_type: data.mimetype || null,
+            filename: data.filename || null,
+            size_bytes: data.size || null,
+            duration_seconds: message.duration ? parseInt(message.duration) : null,
+            download_status: this.mediaStorageService.downloadEnabled ? 'pending' : null
+        };
+    }
+
+    /**
+     * Download message media and link the stored file to the inbound message
+     */
+    async attachMedia(sessionData, inboundMessage, message) {
+        try {
+            const mediaFile = await this.mediaStorageService.storeMessageMedia(sessionData, message);
+
+            await InboundMessage.updateOne({ _id: inboundMessage._id }, {
+                'media.download_status': 'stored',
+                'media.media_file_id': String(mediaFile._id),
+                'media.sha256': mediaFile.sha256,
+                'media.mime_type': inboundMessage.media?.mime_type || mediaFile.mime_type,
+                'media.size_bytes': mediaFile.size_bytes
+            });
+        } catch (error) {
+            this.logger.warn(`Media of ${inboundMessage.whatsapp_message_id} not stored: ${error.message}`);
+
+            await InboundMessage.updateOne({ _id: inboundMessage._id }, {
+                'media.download_status': error.message.includes('too large') ? 'skipped' : 'failed',
+                'media.download_error': error.message
+            }).catch(updateError => this.logger.error('Error saving media download status:', updateError));
+        }
+    }
+
+    /**
+     * Read message being replied to; null when WhatsApp no longer has it
+     */
+    async getQuotedMessage(message) {
+        try {
+            const quoted = await message.getQuotedMessage();
+            if (!quoted) {
+                return null;
+            }
+
+            return {
+                whatsapp_message_id: quoted.id?._serialized || null,
+                body: quoted.body || '',
+                message_type: quoted.type || null,
+                from_me: Boolean(quoted.fromMe)
+            };
+        } catch (error) {
+            this.logger.warn(`Error reading quoted message of ${message.id?._serialized}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Get conversation thread with a number, newest page first, messages oldest to newest
+     * @param {Object} options - { limit, before (ISO date cursor), session_id }
+     */
+    async getConversation(userId, placeId, phoneNumber, options = {}) {
+        try {
+            const digits = String(phoneNumber).replace(/\D/g, '');
+            if (!digits) {
+                throw new Error('Invalid phone number');
+            }
+
+            const limit = options.limit || 50;
+            const before = options.before ? new Date(options.before) : null;
+
+            const inboundQuery = { user_id: userId, place_id: placeId, sender_number: digits };
+            // Outbound numbers are stored as sent: with or without "+" and "@c.us"
+            const outboundQuery = {
+                user_id: userId,
+                place_id: placeId,
+                recipient_number: { $regex: `^\\+?${digits}(@c\\.us)?$` }
+            };
+            if (options.session_id) {
+                inboundQuery.session_id = options.session_id;
+                outboundQuery.session_id = options.session_id;
+            }
+            if (before) {
+                inboundQuery.timestamp = { $lt: before };
+                outboundQuery.created_at = { $lt: before };
+            }
+
+            const [inbound, outbound, contact] = await Promise.all([
+                InboundMessage.find(inboundQuery).sort({ timestamp: -1 }).limit(limit + 1).lean(),
+                MessageLog.find(outboundQuery).sort({ created_at: -1 }).limit(limit + 1).lean(),
+                Contact.findOne({ user_id: userId, place_id: placeId, number: digits }).lean()
+            ]);
+
+            const merged = [
+                ...inbound.map(message => this.formatInbound(message)),
+                ...outbound.map(messageLog => this.formatOutbound(messageLog))
+            ].sort((a, b) => b.timestamp - a.timestamp);
+
+            const hasMore = merged.length > limit;
+            const messages = merged.slice(0, limit).reverse();
+
+            return {
+                phone_number: digits,
+                contact: contact ? {
+                    contact_id: contact.contact_id,
+                    name: contact.name,
+                    profile_picture_url: contact.profile_picture_url
+                } : null,
+                messages,
+                has_more: hasMore,
+                next_before: hasMore && messages.length ? messages[0].timestamp.toISOString() : null
+            };
+        } catch (error) {
+            this.logger.error(`Error getting conversation with ${phoneNumber}:`, error);
+            throw new Error(`Failed to get conversation: ${error.message}`);
+        }
+    }
+
+    /**
+     * Shape inbound message as thread entry
+     */
+    formatInbound(message) {
+        return {
+            id: String(message._id),
+            direction: 'inbound',
+            session_id: message.session_id,
+            whatsapp_message_id: message.whatsapp_message_id,
+            sender_name: message.sender_name,
+            chat_id: message.chat_id,
+            body: message.body,
+            message_type: message.message_type,
+            has_media: message.has_media,
+            media: message.has_media ? this.formatMedia(message.media) : null,
+            quoted_message: message.quoted_message?.whatsapp_message_id ? message.quoted_message : null,
+            status: 'received',
+            timestamp: message.timestamp
+        };
+    }
+
+    /**
+     * Add a signed link to stored media
+     */
+    formatMedia(media = {}) {
+        if (!media.media_file_id) {
+            return { ...media, url: null, url_expires_at: null };
+        }
+
+        const { url, expires_at } = this.mediaStorageService.createSignedUrl(media.media_file_id);
+        return { ...media, url, url_expires_at: expires_at };
+    }
+
+    /**
+     * Shape outbound message log as thread entry
+     */
+    formatOutbound(messageLog) {
+        return {
+            id: String(messageLog._id),
+            direction: 'outbound',
+            session_id: messageLog.session_id,
+            whatsapp_message_id: messageLog.whatsapp_message_id || null,
+            body: messageLog.message_content,
+            message_type: messageLog.message_type,
+            has_media: messageLog.message_type !== 'text',
+            image_url: messageLog.image_url || null,
+            status: messageLog.status,
+            error_message: messageLog.error_message || null,
+            timestamp: messageLog.created_at
+        };
+    }
+}
+
+module.exports = ConversationService;
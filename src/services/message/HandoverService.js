@@ -0,0 +1,550 @@
+const Conversation = require('../../../models/Conversation');
+const Logger = require('../../utils/Logger');
+
+const STATES = ['open', 'pending', 'closed'];
+
+/**
+ * Service for human agent handover: one conversation record per contact from their first message until an
+ * agent closes it, with the agent it is assigned to (Laravel user id) and a bot_paused flag that keeps
+ * auto-replies and chat flows out while a human is handling it
+ * SLA timers run from opened_at: first response (first message sent to the contact through the API)
+ * and resolution (closed_at)
+ */
+class HandoverService {
+    constructor(whatsAppService) {
+        this.whatsAppService = whatsAppService;
+        this.logger = new Logger('HandoverService');
+        this.firstResponseMinutes = parseInt(process.env.WHATSAPP_SLA_FIRST_RESPONSE_MINUTES) || 15;
+        this.resolutionMinutes = parseInt(process.env.WHATSAPP_SLA_RESOLUTION_MINUTES) || 1440;
+    }
+
+    /**
+     * Digits of a contact; null for group chats, which have no conversation record
+     */
+    normalizeNumber(phoneNumber) {
+        const value = String(phoneNumber || '');
+        if (value.endsWith('@g.us')) {
+            return null;
+        }
+
+        const digits = value.split('@')[0].replace(/\D/g, '');
+        return digits || null;
+    }
+
+    /**
+     * Open (or continue) the contact's conversation for a stored inbound message
+     * @returns {Object|null} conversation; its bot_paused tells whether the bot may answer
+     */
+    async recordInbound(sessionData, inboundMessage) {
+        if (inboundMessage.is_group) {
+            return null;
+        }
+
+        try {
+            const { conversation, created } = await this.findOrCreate(
+                sessionData.user_id,
+                sessionData.place_id,
+                inboundMessage.sender_number,
+                { session_id: sessionData.session_id, contact_id: inboundMessage.contact_id || null }
+            );
+
+            conversation.session_id = sessionData.session_id;
+            conversation.contact_id = inboundMessage.contact_id || conversation.contact_id;
+            conversation.last_inbound_at = new Date();
+            conversation.updated_at = new Date();
+            await conversation.save();
+
+            if (created) {
+                this.publish(conversation, 'conversation_opened');
+            }
+            return conversation;
+        } catch (error) {
+            this.logger.warn(`Error recording conversation of ${inboundMessage.sender_number}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Record message sent to the contact through the API; the first one stops the first response timer
+     * Bot messages (auto-replies, chat flows, opt-out confirmations) do not go through here
+     */
+    async recordResponse(userId, placeId, phoneNumber, agentId = null) {
+        const digits = this.normalizeNumber(phoneNumber);
+        if (!digits) {
+            return null;
+        }
+
+        try {
+            const conversation = await this.findActive(userId, placeId, digits);
+            if (!conversation) {
+                return null;
+            }
+
+            const now = new Date();
+            conversation.last_outbound_at = now;
+            conversation.updated_at = now;
+            if (!conversation.first_response_at) {
+                conversation.first_response_at = now;
+                conversation.first_response_seconds = Math.round((now - conversation.opened_at) / 1000);
+                conversation.first_response_agent_id = agentId || conversation.assigned_agent_id;
+            }
+            await conversation.save();
+
+            return conversation;
+        } catch (error) {
+            this.logger.warn(`Error recording response to ${phoneNumber}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Open or pending conversation of a contact
+     */
+    async findActive(userId, placeId, digits) {
+        return Conversation.findOne({ user_id: userId, place_id: placeId, phone_number: digits, is_active: true });
+    }
+
+    /**
+     * Active conversation of a contact, opened (pending) when there is none
+     * @returns {Object} { conversation, created }
+     */
+    async findOrCreate(userId, placeId, phoneNumber, details = {}) {
+        const digits = this.normalizeNumber(phoneNumber);
+        if (!digits) {
+            throw new Error(`Invalid phone number: ${phoneNumber}`);
+        }
+
+        const existing = await this.findActive(userId, placeId, digits);
+        if (existing) {
+            return { conversation: existing, created: false };
+        }
+
+        try {
+            const conversation = await Conversation.create({
+                user_id: userId,
+                place_id: placeId,
+                phone_number: digits,
+                session_id: details.session_id || null,
+                contact_id: details.contact_id || null
+            });
+            return { conversation, created: true };
+        } catch (error) {
+            // Opened concurrently (e.g. two messages arriving together)
+            if (error.code === 11000) {
+                return { conversation: await this.findActive(userId, placeId, digits), created: false };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Active conversation of a contact, for actions that need one
+     */
+    async getActive(userId, placeId, phoneNumber) {
+        const conversation = await this.findActive(userId, placeId, this.normalizeNumber(phoneNumber));
+        if (!conversation) {
+            throw new Error(`No open conversation found for ${phoneNumber}`);
+        }
+        return conversation;
+    }
+
+    /**
+     * Get contact's active conversation, or the last closed one
+     */
+    async getForContact(userId, placeId, phoneNumber) {
+        const digits = this.normalizeNumber(phoneNumber);
+        const conversation = await this.findActive(userId, placeId, digits) ||
+            await Conversation.findOne({ user_id: userId, place_id: placeId, phone_number: digits }).sort({ opened_at: -1 });
+        if (!conversation) {
+            throw new Error(`Conversation not found: ${phoneNumber}`);
+        }
+        return this.formatConversation(conversation);
+    }
+
+    /**
+     * Assign contact's conversation to an agent, opening one if the contact has none
+     * The bot is paused unless options.bot_paused is false
+     * @param {Object} options - { bot_paused, note }
+     */
+    async assign(userId, placeId, phoneNumber, agentId, options = {}) {
+        const { conversation } = await this.findOrCreate(userId, placeId, phoneNumber);
+
+        if (conversation.assigned_agent_id && conversation.assigned_agent_id !== agentId) {
+            throw new Error(`Conversation is already assigned to agent ${conversation.assigned_agent_id}, transfer it instead`);
+        }
+
+        const now = new Date();
+        if (conversation.assigned_agent_id !== agentId) {
+            conversation.assigned_agent_id = agentId;
+            conversation.assigned_at = now;
+            conversation.assignment_history.push({ action: 'assigned', agent_id: agentId, note: options.note || null, at: now });
+        }
+        conversation.state = 'open';
+        conversation.updated_at = now;
+        await this.applyBotPaused(conversation, options.bot_paused !== false);
+        await conversation.save();
+
+        this.logger.info(`Conversation with ${conversation.phone_number} assigned to agent ${agentId} (place ${placeId})`);
+        this.publish(conversation, 'conversation_assigned');
+        return this.formatConversation(conversation);
+    }
+
+    /**
+     * Hand conversation over from its agent to another one
+     */
+    async transfer(userId, placeId, phoneNumber, toAgentId, note = null) {
+        const conversation = await this.getActive(userId, placeId, phoneNumber);
+        const fromAgentId = conversation.assigned_agent_id;
+
+        if (!fromAgentId) {
+            throw new Error('Conversation is not assigned, assign it instead');
+        }
+        if (fromAgentId === toAgentId) {
+            throw new Error(`Conversation is already assigned to agent ${toAgentId}`);
+        }
+
+        const now = new Date();
+        conversation.assigned_agent_id = toAgentId;
+        conversation.assigned_at = now;
+        conversation.transfer_count += 1;
+        conversation.assignment_history.push({
+            action: 'transferred',
+            agent_id: toAgentId,
+            from_agent_id: fromAgentId,
+            note,
+            at: now
+        });
+        conversation.updated_at = now;
+        await conversation.save();
+
+        this.logger.info(`Conversation with ${conversation.phone_number} transferred from agent ${fromAgentId} to ${toAgentId}`);
+        this.publish(conversation, 'conversation_transferred', { from_agent_id: fromAgentId });
+        return this.formatConversation(conversation);
+    }
+
+    /**
+     * Release conversation back to the queue (pending) and resume the bot
+     */
+    async unassign(userId, placeId, phoneNumber, note = null) {
+        const conversation = await this.getActive(userId, placeId, phoneNumber);
+        const fromAgentId = conversation.assigned_agent_id;
+
+        if (!fromAgentId) {
+            throw new Error('Conversation is not assigned');
+        }
+
+        const now = new Date();
+        conversation.assigned_agent_id = null;
+        conversation.assigned_at = null;
+        conversation.state = 'pending';
+        conversation.bot_paused = false;
+        conversation.assignment_history.push({ action: 'unassigned', from_agent_id: fromAgentId, note, at: now });
+        conversation.updated_at = now;
+        await conversation.save();
+
+        this.publish(conversation, 'conversation_unassigned', { from_agent_id: fromAgentId });
+        return this.formatConversation(conversation);
+    }
+
+    /**
+     * Change conversation state; closing stops the resolution timer,
+     * any other state reopens the last closed conversation when the contact has no active one
+     * @param {number|null} agentId - agent closing the conversation
+     */
+    async setState(userId, placeId, phoneNumber, state, agentId = null) {
+        if (!STATES.includes(state)) {
+            throw new Error(`Invalid state: ${state}`);
+        }
+
+        const digits = this.normalizeNumber(phoneNumber);
+        let conversation = await this.findActive(userId, placeId, digits);
+        if (!conversation && state !== 'closed') {
+            conversation = await Conversation.findOne({ user_id: userId, place_id: placeId, phone_number: digits })
+                .sort({ opened_at: -1 });
+        }
+        if (!conversation) {
+            throw new Error(`No open conversation found for ${phoneNumber}`);
+        }
+        if (conversation.state === state) {
+            return this.formatConversation(conversation);
+        }
+
+        const now = new Date();
+        if (state === 'closed') {
+            conversation.is_active = false;
+            conversation.closed_at = now;
+            conversation.resolution_seconds = Math.round((now - conversation.opened_at) / 1000);
+            conversation.closed_by_agent_id = agentId || conversation.assigned_agent_id;
+            conversation.bot_paused = false;
+        } else if (!conversation.is_active) {
+            conversation.is_active = true;
+            conversation.closed_at = null;
+            conversation.resolution_seconds = null;
+            conversation.closed_by_agent_id = null;
+        }
+        conversation.state = state;
+        conversation.updated_at = now;
+
+        try {
+            await conversation.save();
+        } catch (error) {
+            if (error.code === 11000) {
+                throw new Error(`Contact already has an open conversation: ${phoneNumber}`);
+            }
+            throw error;
+        }
+
+        this.publish(conversation, state === 'closed' ? 'conversation_closed' : 'conversation_state_changed');
+        return this.formatConversation(conversation);
+    }
+
+    /**
+     * Pause or resume the bot for contact's conversation, opening one if the contact has none
+     */
+    async setBotPaused(userId, placeId, phoneNumber, paused) {
+        const { conversation } = await this.findOrCreate(userId, placeId, phoneNumber);
+
+        await this.applyBotPaused(conversation, paused);
+        conversation.updated_at = new Date();
+        await conversation.save();
+
+        this.publish(conversation, paused ? 'bot_paused' : 'bot_resumed');
+        return this.formatConversation(conversation);
+    }
+
+    /**
+     * Set bot_paused; pausing also ends the contact's chat flow so its timeout message is not sent
+     */
+    async applyBotPaused(conversation, paused) {
+        if (paused && !conversation.bot_paused) {
+            try {
+                await this.whatsAppService.chatFlowService.resetForContact(
+                    conversation.user_id,
+                    conversation.place_id,
+                    conversation.phone_number
+                );
+            } catch (error) {
+                if (!error.message.includes('No active chat flow')) {
+                    this.logger.warn(`Error ending chat flow of ${conversation.phone_number} on handover:`, error);
+                }
+            }
+        }
+        conversation.bot_paused = paused;
+    }
+
+    /**
+     * List place's conversations, most recently updated first
+     * @param {Object} filters - { state, agent_id, unassigned, bot_paused, phone_number }
+     */
+    async listConversations(userId, placeId, filters = {}, page = 1, limit = 50) {
+        const query = { user_id: userId, place_id: placeId };
+        if (filters.state) {
+            query.state = filters.state;
+        }
+        if (filters.agent_id) {
+            query.assigned_agent_id = filters.agent_id;
+        } else if (filters.unassigned) {
+            query.assigned_agent_id = null;
+        }
+        if (filters.bot_paused !== undefined) {
+            query.bot_paused = filters.bot_paused;
+        }
+        if (filters.phone_number) {
+            const digits = String(filters.phone_number).replace(/\D/g, '');
+            if (digits) {
+                query.phone_number = { $regex: digits };
+            }
+        }
+
+        const [conversations, total] = await Promise.all([
+            Conversation.find(query).sort({ updated_at: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+            Conversation.countDocuments(query)
+        ]);
+
+        return {
+            conversations: conversations.map(conversation => this.formatConversation(conversation)),
+            pagination: {
+                current_page: page,
+                per_page: limit,
+                total,
+                total_pages: Math.ceil(total / limit),
+                has_next: page < Math.ceil(total / limit),
+                has_prev: page > 1
+            }
+        };
+    }
+
+    /**
+     * Conversation counts and SLA figures of a place, for conversations opened in the date range
+     * @param {Object} filters - { agent_id, date_from, date_to }
+     */
+    async getStatistics(userId, placeId, filters = {}) {
+        const matchQuery = { user_id: userId, place_id: placeId };
+        if (filters.agent_id) {
+            matchQuery.assigned_agent_id = filters.agent_id;
+        }
+        if (filters.date_from || filters.date_to) {
+            matchQuery.opened_at = {};
+            if (filters.date_from) {
+                matchQuery.opened_at.$gte = new Date(filters.date_from);
+            }
+            if (filters.date_to) {
+                matchQuery.opened_at.$lte = new Date(filters.date_to);
+            }
+        }
+
+        const now = new Date();
+        const firstResponseTarget = this.firstResponseMinutes * 60;
+        const resolutionTarget = this.resolutionMinutes * 60;
+        const firstResponseDue = new Date(now - firstResponseTarget * 1000);
+        const resolutionDue = new Date(now - resolutionTarget * 1000);
+
+        const [stats] = await Conversation.aggregate([
+            { $match: matchQuery },
+            {
+                $group: {
+                    _id: null,
+                    total_conversations: { $sum: 1 },
+                    open_conversations: { $sum: { $cond: [{ $eq: ['$state', 'open'] }, 1, 0] } },
+                    pending_conversations: { $sum: { $cond: [{ $eq: ['$state', 'pending'] }, 1, 0] } },
+                    closed_conversations: { $sum: { $cond: [{ $eq: ['$state', 'closed'] }, 1, 0] } },
+                    unassigned_conversations: {
+                        $sum: { $cond: [{ $and: ['$is_active', { $eq: ['$assigned_agent_id', null] }] }, 1, 0] }
+                    },
+                    bot_paused_conversations: { $sum: { $cond: ['$bot_paused', 1, 0] } },
+                    transfers: { $sum: '$transfer_count' },
+                    avg_first_response_seconds: { $avg: '$first_response_seconds' },
+                    avg_resolution_seconds: { $avg: '$resolution_seconds' },
+                    // Late responses, and conversations still waiting past the target
+                    first_response_breaches: {
+                        $sum: {
+                            $cond: [{
+                                $or: [
+                                    { $gt: ['$first_response_seconds', firstResponseTarget] },
+                                    { $and: [
+                                        '$is_active',
+                                        { $eq: ['$first_response_at', null] },
+                                        { $lt: ['$opened_at', firstResponseDue] }
+                                    ] }
+                                ]
+                            }, 1, 0]
+                        }
+                    },
+                    resolution_breaches: {
+                        $sum: {
+                            $cond: [{
+                                $or: [
+                                    { $gt: ['$resolution_seconds', resolutionTarget] },
+                                    { $and: ['$is_active', { $lt: ['$opened_at', resolutionDue] }] }
+                                ]
+                            }, 1, 0]
+                        }
+                    }
+                }
+            }
+        ]);
+
+        const result = stats || {
+            total_conversations: 0,
+            open_conversations: 0,
+            pending_conversations: 0,
+            closed_conversations: 0,
+            unassigned_conversations: 0,
+            bot_paused_conversations: 0,
+            transfers: 0,
+            avg_first_response_seconds: null,
+            avg_resolution_seconds: null,
+            first_response_breaches: 0,
+            resolution_breaches: 0
+        };
+        delete result._id;
+
+        return {
+            ...result,
+            avg_first_response_seconds: result.avg_first_response_seconds === null ?
+                null : Math.round(result.avg_first_response_seconds),
+            avg_resolution_seconds: result.avg_resolution_seconds === null ?
+                null : Math.round(result.avg_resolution_seconds),
+            sla: {
+                first_response_minutes: this.firstResponseMinutes,
+                resolution_minutes: this.resolutionMinutes
+            }
+        };
+    }
+
+    /**
+     * SLA timer: due time, when it stopped and whether the target was missed (so far)
+     */
+    formatTimer(openedAt, targetMinutes, stoppedAt, seconds) {
+        const dueAt = new Date(new Date(openedAt).getTime() + targetMinutes * 60 * 1000);
+
+        return {
+            target_minutes: targetMinutes,
+            due_at: dueAt,
+            completed_at: stoppedAt || null,
+            seconds: seconds ?? null,
+            breached: (stoppedAt ? new Date(stoppedAt) : new Date()) > dueAt
+        };
+    }
+
+    formatConversation(conversation) {
+        return {
+            id: conversation._id,
+            phone_number: conversation.phone_number,
+            contact_id: conversation.contact_id,
+            session_id: conversation.session_id,
+            state: conversation.state,
+            assigned_agent_id: conversation.assigned_agent_id,
+            assigned_at: conversation.assigned_at,
+            bot_paused: conversation.bot_paused,
+            transfer_count: conversation.transfer_count,
+            assignment_history: (conversation.assignment_history || []).map(entry => ({
+                action: entry.action,
+                agent_id: entry.agent_id ?? null,
+                from_agent_id: entry.from_agent_id ?? null,
+                note: entry.note || null,
+                at: entry.at
+            })),
+            opened_at: conversation.opened_at,
+            first_response_agent_id: conversation.first_response_agent_id,
+            closed_at: conversation.closed_at,
+            closed_by_agent_id: conversation.closed_by_agent_id,
+            last_inbound_at: conversation.last_inbound_at,
+            last_outbound_at: conversation.last_outbound_at,
+            sla: {
+                first_response: this.formatTimer(
+                    conversation.opened_at,
+                    this.firstResponseMinutes,
+                    conversation.first_response_at,
+                    conversation.first_response_seconds
+                ),
+                resolution: this.formatTimer(
+                    conversation.opened_at,
+                    this.resolutionMinutes,
+                    conversation.closed_at,
+                    conversation.resolution_seconds
+                )
+            },
+            updated_at: conversation.updated_at
+        };
+    }
+
+    /**
+     * Publish conversation change to the place's event stream
+     */
+    publish(conversation, type, data = {}) {
+        this.whatsAppService.eventService.publish({
+            session_id: conversation.session_id,
+            user_id: conversation.user_id,
+            place_id: conversation.place_id
+        }, type, {
+            phone_number: conversation.phone_number,
+            state: conversation.state,
+            assigned_agent_id: conversation.assigned_agent_id,
+            bot_paused: conversation.bot_paused,
+            ...data
+        });
+    }
+}
+
+module.exports = HandoverService;
@@ -0,0 +1,281 @@
+const Contact = require('../../../models/Contact');
+const WhatsAppService = require('../whatsapp/WhatsAppService');
+const MessageService = require('./MessageService');
+const Logger = require('../../utils/Logger');
+
+// whatsapp-web.js loads chat history newest first; paging never reads further back than this
+const MAX_HISTORY_MESSAGES = 2000;
+
+/**
+ * Service for the inbox: live chats of a session with their contacts, chat history and chat actions
+ * Lists are paged with opaque cursors (next_cursor), so chats or messages arriving between
+ * two pages do not shift the pages
+ */
+class InboxService {
+    constructor() {
+        this.whatsAppService = new WhatsAppService();
+        this.messageService = new MessageService();
+        this.logger = new Logger('InboxService');
+    }
+
+    /**
+     * List chats, pinned first then most recent, with linked contacts
+     * @param {Object} options - { limit, cursor, archived: 'false' | 'true' | 'all', unread_only }
+     */
+    async listChats(userId, placeId, selector = {}, options = {}) {
+        try {
+            const { client, sessionData } = await this.whatsAppService.getClientByCredentials(userId, placeId, selector);
+            const limit = options.limit || 50;
+            const archived = options.archived || 'false';
+
+            let chats = (await client.getChats())
+                .filter(chat => archived === 'all' || Boolean(chat.archived) === (archived === 'true'))
+                .filter(chat => !options.unread_only || chat.unreadCount > 0)
+                .sort((a, b) => this.compareChats(a, b));
+
+            if (options.cursor) {
+                const after = this.decodeCursor(options.cursor);
+                chats = chats.filter(chat => this.compareChats(chat, after) > 0);
+            }
+
+            const page = chats.slice(0, limit);
+            const contacts = await this.findContacts(userId, placeId, page);
+            const last = page[page.length - 1];
+
+            await this.whatsAppService.updateSessionActivity(sessionData.session_id);
+
+            return {
+                session_id: sessionData.session_id,
+                chats: page.map(chat => this.formatChat(chat, contacts)),
+                has_more: chats.length > limit,
+                next_cursor: chats.length > limit ? this.encodeCursor({
+                    pinned: Boolean(last.pinned),
+                    timestamp: last.timestamp || 0,
+                    id: { _serialized: last.id._serialized }
+                }) : null
+            };
+        } catch (error) {
+            this.logger.error('Error listing inbox chats:', error);
+            throw new Error(`Failed to list chats: ${error.message}`);
+        }
+    }
+
+    /**
+     * Sort order of the inbox: pinned, newest, then id for a stable order
+     */
+    compareChats(a, b) {
+        if (Boolean(a.pinned) !== Boolean(b.pinned)) {
+            return a.pinned ? -1 : 1;
+        }
+        if ((a.timestamp || 0) !== (b.timestamp || 0)) {
+            return (b.timestamp || 0) - (a.timestamp || 0);
+        }
+        return a.id._serialized.localeCompare(b.id._serialized);
+    }
+
+    /**
+     * Find contacts of chats by WhatsApp id or number
+     */
+    async findContacts(userId, placeId, chats) {
+        const direct = chats.filter(chat => !chat.isGroup);
+        if (direct.length === 0) {
+            return [];
+        }
+
+        return Contact.find({
+            user_id: userId,
+            place_id: placeId,
+            $or: [
+                { whatsapp_id: { $in: direct.map(chat => chat.id._serialized) } },
+                { number: { $in: direct.map(chat => chat.id.user) } }
+            ]
+        }).lean();
+    }
+
+    formatChat(chat, contacts) {
+        const contact = chat.isGroup ? null : contacts.find(item =>
+            item.whatsapp_id === chat.id._serialized || item.number === chat.id.user
+        );
+
+        return {
+            chat_id: chat.id._serialized,
+            name: chat.name,
+            is_group: Boolean(chat.isGroup),
+            is_read_only: Boolean(chat.isReadOnly),
+            unread_count: chat.unreadCount || 0,
+            archived: Boolean(chat.archived),
+            pinned: Boolean(chat.pinned),
+            muted: Boolean(chat.isMuted),
+            timestamp: chat.timestamp ? new Date(chat.timestamp * 1000) : null,
+            last_message: chat.lastMessage ? this.formatMessage(chat.lastMessage) : null,
+            contact: contact ? {
+                contact_id: contact.contact_id,
+                name: contact.name,
+                number: contact.number,
+                tags: contact.tags || [],
+                profile_picture_url: contact.profile_picture_url
+            } : null
+        };
+    }
+
+    /**
+     * Page through chat's messages, newest page first, messages oldest to newest
+     * @param {Object} options - { limit, cursor }
+     */
+    async getChatMessages(userId, placeId, chatId, selector = {}, options = {}) {
+        try {
+            const { client, sessionData } = await this.whatsAppService.getClientByCredentials(userId, placeId, selector);
+            const chat = await client.getChatById(this.toChatId(chatId));
+            const limit = options.limit || 50;
+            const { before_id: beforeId = null, depth = 0 } = options.cursor ? this.decodeCursor(options.cursor) : {};
+
+            // Messages may have arrived since the last page, so the window reaches past what was already read
+            let window = Math.min(depth + limit + 1, MAX_HISTORY_MESSAGES);
+            let messages = await chat.fetchMessages({ limit: window });
+            let end = beforeId ? messages.findIndex(message => message.id._serialized === beforeId) : messages.length;
+
+            while (end === -1 && window < MAX_HISTORY_MESSAGES && messages.length === window) {
+                window = Math.min(window * 2, MAX_HISTORY_MESSAGES);
+                messages = await chat.fetchMessages({ limit: window });
+                end = messages.findIndex(message => message.id._serialized === beforeId);
+            }
+            if (end === -1) {
+                throw new Error('Cursor is no longer valid, reload the chat');
+            }
+
+            const start = Math.max(0, end - limit);
+            const page = messages.slice(start, end);
+            // A full window may have older messages beyond it
+            const hasMore = start > 0 || (messages.length === window && window < MAX_HISTORY_MESSAGES);
+
+            await this.whatsAppService.updateSessionActivity(sessionData.session_id);
+
+            return {
+                session_id: sessionData.session_id,
+                chat_id: chat.id._serialized,
+                messages: page.map(message => this.formatMessage(message)),
+                has_more: hasMore && page.length > 0,
+                next_cursor: hasMore && page.length > 0 ?
+                    this.encodeCursor({ before_id: page[0].id._serialized, depth: depth + page.length }) : null
+            };
+        } catch (error) {
+            this.logger.error(`Error getting messages of chat ${chatId}:`, error);
+            throw new Error(`Failed to get chat messages: ${error.message}`);
+        }
+    }
+
+    formatMessage(message) {
+        return {
+            id: message.id._serialized,
+            from: message.from,
+            to: message.to,
+            author: message.author || null,
+            from_me: Boolean(message.fromMe),
+            body: message.body,
+            type: message.type,
+            has_media: Boolean(message.hasMedia),
+            has_quoted_msg: Boolean(message.hasQuotedMsg),
+            ack: message.ack ?? null,
+            timestamp: message.timestamp ? new Date(message.timestamp * 1000) : null
+        };
+    }
+
+    /**
+     * Mark chat as read on WhatsApp (blue ticks for the contact)
+     */
+    async markRead(userId, placeId, chatId, selector = {}) {
+        return this.updateChat(userId, placeId, chatId, selector, chat => chat.sendSeen());
+    }
+
+    /**
+     * Archive or unarchive chat
+     */
+    async setArchived(userId, placeId, chatId, archived, selector = {}) {
+        return this.updateChat(userId, placeId, chatId, selector, chat => (archived ? chat.archive() : chat.unarchive()));
+    }
+
+    /**
+     * Pin or unpin chat; WhatsApp allows three pinned chats
+     */
+    async setPinned(userId, placeId, chatId, pinned, selector = {}) {
+        return this.updateChat(userId, placeId, chatId, selector, async chat => {
+            const result = pinned ? await chat.pin() : await chat.unpin();
+            if (pinned && result === false) {
+                throw new Error('Chat could not be pinned, WhatsApp allows at most 3 pinned chats');
+            }
+        });
+    }
+
+    /**
+     * Run action on chat and return its refreshed summary
+     */
+    async updateChat(userId, placeId, chatId, selector, action) {
+        try {
+            const { client, sessionData } = await this.whatsAppService.getClientByCredentials(userId, placeId, selector);
+            const chat = await client.getChatById(this.toChatId(chatId));
+
+            await action(chat);
+            await this.whatsAppService.updateSessionActivity(sessionData.session_id);
+
+            const refreshed = await client.getChatById(chat.id._serialized);
+            return this.formatChat(refreshed, await this.findContacts(userId, placeId, [refreshed]));
+        } catch (error) {
+            this.logger.error(`Error updating chat ${chatId}:`, error);
+            throw new Error(`Failed to update chat: ${error.message}`);
+        }
+    }
+
+    /**
+     * Send text reply to chat, optionally quoting one of its messages
+     * @param {number|null} agentId - agent answering, for the conversation's first response
+     */
+    async reply(userId, placeId, chatId, message, quotedMessageId = null, selector = {}, agentId = null) {
+        const { client, sessionData } = await this.whatsAppService.getClientByCredentials(userId, placeId, selector);
+        const targetChatId = this.toChatId(chatId);
+
+        if (quotedMessageId) {
+            const quoted = await client.getMessageById(quotedMessageId);
+            if (!quoted || (quoted.id.remote?._serialized || quoted.id.remote) !== targetChatId) {
+                throw new Error(`Quoted message not found in chat: ${quotedMessageId}`);
+            }
+        }
+
+        const result = await this.messageService.sendTextMessage(userId, placeId, targetChatId, message, {
+            session_id: sessionData.session_id,
+            agent_id: agentId,
+            ...(quotedMessageId && { quotedMessageId })
+        });
+
+        return { ...result, chat_id: targetChatId, quoted_message_id: quotedMessageId };
+    }
+
+    /**
+     * Accept chat ids (966...@c.us, ...@g.us) or plain numbers
+     */
+    toChatId(chatId) {
+        const value = String(chatId);
+        if (value.includes('@')) {
+            return value;
+        }
+
+        const digits = value.replace(/\D/g, '');
+        if (!digits) {
+            throw new Error('Invalid chat id');
+        }
+        return `${digits}@c.us`;
+    }
+
+    encodeCursor(data) {
+        return Buffer.from(JSON.stringify(data)).toString('base64url');
+    }
+
+    decodeCursor(cursor) {
+        try {
+            return JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        } catch (error) {
+            throw new Error('Invalid cursor');
+        }
+    }
+}
+
+module.exports = InboxService;
@@ -0,0 +1,165 @@
+const crypto = require('crypto');
+const MediaFile = require('../../../models/MediaFile');
+const LocalMediaStorage = require('./storage/LocalMediaStorage');
+const S3MediaStorage = require('./storage/S3MediaStorage');
+const Logger = require('../../utils/Logger');
+
+// Without MEDIA_URL_SECRET links are signed with a per-process key and stop working after a restart
+const fallbackUrlSecret = crypto.randomBytes(32).toString('hex');
+let fallbackWarned = false;
+
+/**
+ * Service storing downloaded inbound media, deduplicated per place by SHA-256,
+ * and signing expiring links to it
+ */
+class MediaStorageService {
+    constructor() {
+        this.backends = {
+            local: new LocalMediaStorage(),
+            s3: new S3MediaStorage()
+        };
+        this.driver = (process.env.MEDIA_STORAGE_DRIVER || 'local').toLowerCase();
+        this.downloadEnabled = process.env.MEDIA_DOWNLOAD_ENABLED !== 'false';
+        this.maxBytes = (parseInt(process.env.MEDIA_MAX_SIZE_MB) || 64) * 1024 * 1024;
+        this.urlTtlSeconds = parseInt(process.env.MEDIA_URL_TTL_SECONDS) || 3600;
+        this.publicBaseUrl = (process.env.MEDIA_PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+        this.urlSecret = process.env.MEDIA_URL_SECRET || fallbackUrlSecret;
+        this.logger = new Logger('MediaStorageService');
+
+        if (!this.backends[this.driver]) {
+            throw new Error(`Unknown MEDIA_STORAGE_DRIVER: ${this.driver}`);
+        }
+        if (!process.env.MEDIA_URL_SECRET && this.downloadEnabled && !fallbackWarned) {
+            fallbackWarned = true;
+            this.logger.warn('MEDIA_URL_SECRET is not set; media links will not survive a restart or work across instances');
+        }
+    }
+
+    /**
+     * Get backend by name, falling back to the configured one
+     */
+    getBackend(driverName) {
+        const backend = this.backends[driverName || this.driver];
+        if (!backend) {
+            throw new Error(`Unknown media storage driver: ${driverName}`);
+        }
+        return backend;
+    }
+
+    /**
+     * Download message media and store it once per place and content
+     * @returns {Object} MediaFile
+     */
+    async storeMessageMedia(sessionData, message) {
+        const announcedSize = message._data?.size;
+        if (announcedSize && announcedSize > this.maxBytes) {
+            throw new Error(`Media too large (${announcedSize} bytes, limit ${this.maxBytes})`);
+        }
+
+        const media = await message.downloadMedia();
+        if (!media || !media.data) {
+            throw new Error('Media is no longer available on WhatsApp');
+        }
+
+        const buffer = Buffer.from(media.data, 'base64');
+        if (buffer.length > this.maxBytes) {
+            throw new Error(`Media too large (${buffer.length} bytes, limit ${this.maxBytes})`);
+        }
+
+        const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+        const filter = { user_id: sessionData.user_id, place_id: sessionData.place_id, sha256 };
+        const seen = { $inc: { message_count: 1 }, $set: { last_received_at: new Date() } };
+
+        const existing = await MediaFile.findOneAndUpdate(filter, seen, { new: true });
+        if (existing) {
+            return existing;
+        }
+
+        // Content-addressed keys: the same file is written once even across places
+        const backend = this.getBackend();
+        const storageKey = `${sha256.slice(0, 2)}/${sha256}`;
+        if (!await backend.exists(storageKey)) {
+            await backend.put(storageKey, buffer, media.mimetype);
+        }
+
+        try {
+            return await MediaFile.create({
+                ...filter,
+                storage_driver: backend.name,
+                storage_key: storageKey,
+                mime_type: media.mimetype || 'application/octet-stream',
+                filename: media.filename || null,
+                size_bytes: buffer.length
+            });
+        } catch (error) {
+            // Same file stored by a concurrent message
+            if (error.code === 11000) {
+                return MediaFile.findOneAndUpdate(filter, seen, { new: true });
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Get media file of a place
+     */
+    async getMediaFile(userId, placeId, mediaId) {
+        const mediaFile = await MediaFile.findOne({ _id: mediaId, user_id: userId, place_id: placeId }).lean();
+        if (!mediaFile) {
+            throw new Error(`Media not found: ${mediaId}`);
+        }
+        return mediaFile;
+    }
+
+    /**
+     * Sign link to media content valid for MEDIA_URL_TTL_SECONDS
+     */
+    createSignedUrl(mediaFileId) {
+        const expires = Math.floor(Date.now() / 1000) + this.urlTtlSeconds;
+        const signature = this.sign(String(mediaFileId), expires);
+
+        return {
+            url: `${this.publicBaseUrl}/api/whatsapp/media/${mediaFileId}/content?expires=${expires}&signature=${signature}`,
+            expires_at: new Date(expires * 1000)
+        };
+    }
+
+    sign(mediaFileId, expires) {
+        return crypto.createHmac('sha256', this.urlSecret).update(`${mediaFileId}.${expires}`).digest('base64url');
+    }
+
+    /**
+     * Check signed link and get its media file
+     */
+    async getSignedMedia(mediaFileId, expires, signature) {
+        const expiresAt = parseInt(expires);
+        if (!expiresAt || !signature) {
+            throw new Error('Invalid media signature');
+        }
+
+        const expected = Buffer.from(this.sign(String(mediaFileId), expiresAt));
+        const provided = Buffer.from(String(signature));
+        if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+            throw new Error('Invalid media signature');
+        }
+        if (expiresAt < Math.floor(Date.now() / 1000)) {
+            throw new Error('Media link expired');
+        }
+
+        const mediaFile = await MediaFile.findById(mediaFileId).lean();
+        if (!mediaFile) {
+            throw new Error(`Media not found: ${mediaFileId}`);
+        }
+
+        return mediaFile;
+    }
+
+    /**
+     * Open media file content from its storage backend
+     */
+    async openStream(mediaFile) {
+        return this.getBackend(mediaFile.storage_driver).createReadStream(mediaFile.storage_key);
+    }
+}
+
+module.exports = MediaStorageService;
@@ -0,0 +1,80 @@
+const MessageLog = require('../../../models/MessageLog');
+const Logger = require('../../utils/Logger');
+
+// whatsapp-web.js MessageAck values: ERROR -1, PENDING 0, SERVER 1, DEVICE 2, READ 3, PLAYED 4
+const ACK_STATUSES = {
+    2: 'delivered',
+    3: 'read',
+    4: 'played'
+};
+
+// Statuses in delivery order; an ack only ever moves a message forward
+const STATUS_ORDER = ['queued', 'pending', 'sent', 'delivered', 'read', 'played'];
+
+const TIMESTAMP_FIELDS = {
+    delivered: 'delivered_at',
+    read: 'read_at',
+    played: 'played_at'
+};
+
+/**
+ * Service applying delivery receipts (message_ack) to outbound MessageLog entries
+ * Entries are matched by whatsapp_message_id, which is stored once the send succeeds
+ */
+class MessageAckService {
+    constructor() {
+        this.logger = new Logger('MessageAckService');
+    }
+
+    /**
+     * Apply ack of an outbound message; returns the updated log or null when nothing changed
+     * @param {Object} message - whatsapp-web.js Message
+     * @param {number} ack - MessageAck value
+     */
+    async handleAck(sessionData, message, ack) {
+        const whatsappMessageId = message.id?._serialized;
+        if (!whatsappMessageId || !message.id.fromMe) {
+            return null;
+        }
+
+        if (ack === -1) {
+            return MessageLog.findOneAndUpdate(
+                { session_id: sessionData.session_id, whatsapp_message_id: whatsappMessageId, status: 'sent' },
+                { status: 'failed', error_message: 'WhatsApp reported a delivery error' },
+                { new: true }
+            );
+        }
+
+        const status = ACK_STATUSES[ack];
+        if (!status) {
+            return null;
+        }
+
+        const now = new Date();
+        const query = { session_id: sessionData.session_id, whatsapp_message_id: whatsappMessageId };
+
+        const messageLog = await MessageLog.findOneAndUpdate(
+            { ...query, status: { $in: STATUS_ORDER.slice(0, STATUS_ORDER.indexOf(status)) } },
+            { status, [TIMESTAMP_FIELDS[status]]: now },
+            { new: true }
+        );
+        if (!messageLog) {
+            return null;
+        }
+
+        // Acks can skip steps (e.g. read without delivered); fill the earlier timestamps
+        const fields = Object.values(TIMESTAMP_FIELDS);
+        const skipped = fields.slice(0, fields.indexOf(TIMESTAMP_FIELDS[status])).filter(field => !messageLog[field]);
+        for (const field of skipped) {
+            await MessageLog.updateOne({ ...query, [field]: null }, { [field]: now });
+        }
+
+        this.logger.debug(`Message ${whatsappMessageId} ${status}`);
+        return messageLog;
+    }
+}
+
+MessageAckService.ACK_STATUSES = ACK_STATUSES;
+MessageAckService.STATUS_ORDER = STATUS_ORDER;
+
+module.exports = MessageAckService;
@@ -3,6 +3,7 @@ const MessageLog = require('../../../models/MessageLog');
 const WhatsAppService = require('../whatsapp/WhatsAppService');
 const ContactService = require('../contact/ContactService');
 const GroupService = require('../contact/GroupService');
+const SendDrainService = require('./SendDrainService');
 const Logger = require('../../utils/Logger');
 const fs = require('fs');
 const path = require('path');
@@ -17,30 +18,41 @@ class MessageService {
         this.whatsAppService = new WhatsAppService();
         this.contactService = new ContactService();
         this.groupService = new GroupService();
+        this.sendDrain = new SendDrainService();
+        this.suppressionService = this.whatsAppService.suppressionService;
+        this.handoverService = this.whatsAppService.handoverService;
         this.logger = new Logger('MessageService');
+        this.resumeDelayMs = parseInt(process.env.WHATSAPP_RESUME_SEND_DELAY_MS) || 2000;
     }
 
     /**
      * Send simple text message
+     * Options may carry session_id / session_name to choose the sending number
      */
-    async sendTextMessage(userId, placeId, phoneNumber, message) {
+    async sendTextMessage(userId, placeId, phoneNumber, message, options = {}) {
+        await this.rejectIfSuppressed(userId, placeId, phoneNumber, {
+            sessionId: options.session_id,
+            messageContent: message,
+            messageType: 'text'
+        });
+
+        const job = this.sendDrain.begin({ type: 'text', userId, placeId });
+        let messageLog = null;
+
         try {
             this.logger.start(`Sending text message to ${phoneNumber}`);
             
-            const result = await this.whatsAppService.sendMessage(userId, placeId, phoneNumber, message);
-            
-            // Log the message
-            await this.createMessageLog({
-                userId,
-                placeId,
-                sessionId: result.session_id || 'unknown',
-                recipientNumber: phoneNumber,
-                recipientName: 'Unknown',
+            const pending = await this.createPendingLog(userId, placeId, phoneNumber, {
                 messageContent: message,
-                messageType: 'text',
-                status: 'sent',
-                messageId: result.message_id
-            });
+                messageType: 'text'
+            }, options);
+            messageLog = pending.messageLog;
+            job.current = messageLog;
+
+            const result = await this.whatsAppService.sendMessage(userId, placeId, phoneNumber, message, pending.sendOptions);
+            await this.updateMessageLogSuccess(messageLog, result.message_id);
+            // Stops the first response timer of the contact's conversation (options.agent_id: who answered)
+            await this.handoverService.recordResponse(userId, placeId, phoneNumber, options.agent_id);
 
             this.logger.success(`Text message sent successfully to ${phoneNumber}`);
             return result;
@@ -48,27 +60,43 @@ class MessageService {
         } catch (error) {
             this.logger.error(`Error sending text message to ${phoneNumber}:`, error);
             
-            // Log the failed message
-            await this.createMessageLog({
-                userId,
-                placeId,
-                sessionId: 'unknown',
-                recipientNumber: phoneNumber,
-                recipientName: 'Unknown',
-                messageContent: message,
-                messageType: 'text',
-                status: 'failed',
-                errorMessage: error.message
-            });
+            // Log the failed message (no pending log yet when the session could not be resolved)
+            if (messageLog) {
+                await this.updateMessageLogFailure(messageLog, error.message);
+            } else {
+                await this.createMessageLog({
+                    userId,
+                    placeId,
+                    sessionId: options.session_id || 'unknown',
+                    recipientNumber: phoneNumber,
+                    recipientName: 'Unknown',
+                    messageContent: message,
+                    messageType: 'text',
+                    status: 'failed',
+                    errorMessage: error.message
+                });
+            }
             
             throw error;
+        } finally {
+            this.sendDrain.end(job);
         }
     }
 
     /**
      * Send media message with file
      */
-    async sendMediaMessage(userId, placeId, phoneNumber, mediaPath, caption = '', mediaType = 'image') {
+    async sendMediaMessage(userId, placeId, phoneNumber, mediaPath, caption = '', mediaType = 'image', options = {}) {
+        await this.rejectIfSuppressed(userId, placeId, phoneNumber, {
+            sessionId: options.session_id,
+            messageContent: caption,
+            messageType: mediaType,
+            mediaPath
+        });
+
+        const job = this.sendDrain.begin({ type: mediaType, userId, placeId });
+        let messageLog = null;
+
         try {
             this.logger.start(`Sending ${mediaType} message to ${phoneNumber}`);
             
@@ -80,21 +108,17 @@ class MessageService {
             // Create media object
             const media = MessageMedia.fromFilePath(mediaPath);
             
-            const result = await this.whatsAppService.sendMediaMessage(userId, placeId, phoneNumber, media, caption);
-            
-            // Log the message
-            await this.createMessageLog({
-                userId,
-                placeId,
-                sessionId: result.session_id || 'unknown',
-                recipientNumber: phoneNumber,
-                recipientName: 'Unknown',
+            const pending = await this.createPendingLog(userId, placeId, phoneNumber, {
                 messageContent: caption,
                 messageType: mediaType,
-                status: 'sent',
-                messageId: result.message_id,
                 mediaPath: mediaPath
-            });
+            }, options);
+            messageLog = pending.messageLog;
+            job.current = messageLog;
+
+            const result = await this.whatsAppService.sendMediaMessage(userId, placeId, phoneNumber, media, caption, pending.sendOptions);
+            await this.updateMessageLogSuccess(messageLog, result.message_id);
+            await this.handoverService.recordResponse(userId, placeId, phoneNumber, options.agent_id);
 
             this.logger.success(`${mediaType} message sent successfully to ${phoneNumber}`);
             return result;
@@ -103,27 +127,43 @@ class MessageService {
             this.logger.error(`Error sending ${mediaType} message to ${phoneNumber}:`, error);
             
             // Log the failed message
-            await this.createMessageLog({
-                userId,
-                placeId,
-                sessionId: 'unknown',
-                recipientNumber: phoneNumber,
-                recipientName: 'Unknown',
-                messageContent: caption,
-                messageType: mediaType,
-                status: 'failed',
-                errorMessage: error.message,
-                mediaPath: mediaPath
-            });
+            if (messageLog) {
+                await this.updateMessageLogFailure(messageLog, error.message);
+            } else {
+                await this.createMessageLog({
+                    userId,
+                    placeId,
+                    sessionId: options.session_id || 'unknown',
+                    recipientNumber: phoneNumber,
+                    recipientName: 'Unknown',
+                    messageContent: caption,
+                    messageType: mediaType,
+                    status: 'failed',
+                    errorMessage: error.message,
+                    mediaPath: mediaPath
+                });
+            }
             
             throw error;
+        } finally {
+            this.sendDrain.end(job);
         }
     }
 
     /**
      * Send media message from URL
      */
-    async sendMediaFromUrl(userId, placeId, phoneNumber, mediaUrl, caption = '', mediaType = 'image') {
+    async sendMediaFromUrl(userId, placeId, phoneNumber, mediaUrl, caption = '', mediaType = 'image', options = {}) {
+        await this.rejectIfSuppressed(userId, placeId, phoneNumber, {
+            sessionId: options.session_id,
+            messageContent: caption,
+            messageType: mediaType,
+            mediaUrl
+        });
+
+        const job = this.sendDrain.begin({ type: mediaType, userId, placeId });
+        let messageLog = null;
+
         try {
             this.logger.start(`Sending ${mediaType} from URL to ${phoneNumber}`);
             
@@ -139,21 +179,17 @@ class MessageService {
             // Create media object
             const media = new MessageMedia(mimeType, buffer.toString('base64'));
             
-            const result = await this.whatsAppService.sendMediaMessage(userId, placeId, phoneNumber, media, caption);
-            
-            // Log the message
-            await this.createMessageLog({
-                userId,
-                placeId,
-                sessionId: result.session_id || 'unknown',
-                recipientNumber: phoneNumber,
-                recipientName: 'Unknown',
+            const pending = await this.createPendingLog(userId, placeId, phoneNumber, {
                 messageContent: caption,
                 messageType: mediaType,
-                status: 'sent',
-                messageId: result.message_id,
                 mediaUrl: mediaUrl
-            });
+            }, options);
+            messageLog = pending.messageLog;
+            job.current = messageLog;
+
+            const result = await this.whatsAppService.sendMediaMessage(userId, placeId, phoneNumber, media, caption, pending.sendOptions);
+            await this.updateMessageLogSuccess(messageLog, result.message_id);
+            await this.handoverService.recordResponse(userId, placeId, phoneNumber, options.agent_id);
 
             this.logger.success(`${mediaType} from URL sent successfully to ${phoneNumber}`);
             return result;
@@ -162,38 +198,57 @@ class MessageService {
             this.logger.error(`Error sending ${mediaType} from URL to ${phoneNumber}:`, error);
             
             // Log the failed message
-            await this.createMessageLog({
-                userId,
-                placeId,
-                sessionId: 'unknown',
-                recipientNumber: phoneNumber,
-                recipientName: 'Unknown',
-                messageContent: caption,
-                messageType: mediaType,
-                status: 'failed',
-                errorMessage: error.message,
-                mediaUrl: mediaUrl
-            });
+            if (messageLog) {
+                await this.updateMessageLogFailure(messageLog, error.message);
+            } else {
+                await this.createMessageLog({
+                    userId,
+                    placeId,
+                    sessionId: options.session_id || 'unknown',
+                    recipientNumber: phoneNumber,
+                    recipientName: 'Unknown',
+                    messageContent: caption,
+                    messageType: mediaType,
+                    status: 'failed',
+                    errorMessage: error.message,
+                    mediaUrl: mediaUrl
+                });
+            }
             
             throw error;
+        } finally {
+            this.sendDrain.end(job);
         }
     }
 
     /**
      * Send message to contact by ID
      */
-    async sendMessage(userId, placeId, contactId, message, imageUrl = null) {
+    async sendMessage(userId, placeId, contactId, message, imageUrl = null, options = {}) {
+        const job = this.sendDrain.begin({ type: 'contact', userId, placeId });
+
         try {
             this.logger.start(`Sending message to contact ${contactId}`);
             
             // Get client and session data
-            const { client, sessionData } = await this.whatsAppService.getClientByCredentials(userId, placeId);
+            const { client, sessionData } = await this.whatsAppService.getClientByCredentials(userId, placeId, {
+                session_id: options.session_id,
+                session_name: options.session_name
+            });
             
             // Get contact details
             const contact = await this.contactService.getContactById(userId, placeId, contactId);
             if (!contact) {
                 throw new Error(`Contact not found: ${contactId}`);
             }
+
+            await this.rejectIfSuppressed(userId, placeId, contact.phone_number, {
+                sessionId: sessionData.session_id,
+                recipientName: contact.name,
+                messageContent: message,
+                messageType: imageUrl ? 'image' : 'text',
+                imageUrl
+            });
             
             // Handle image if provided
             let imageData = null;
@@ -213,6 +268,7 @@ class MessageService {
                 messageType: imageUrl ? 'image' : 'text',
                 status: 'pending'
             });
+            job.current = messageLog;
             
             try {
                 // Send message via WhatsApp
@@ -232,11 +288,13 @@ class MessageService {
                 
                 // Update session activity
                 await this.whatsAppService.updateSessionActivity(sessionData.session_id);
+                await this.handoverService.recordResponse(userId, placeId, contact.phone_number, options.agent_id);
                 
                 this.logger.success(`Message sent successfully to ${contact.phone_number}`);
                 
                 return {
                     success: true,
+                    session_id: sessionData.session_id,
                     contact_id: contactId,
                     message_id: result.id._serialized,
                     recipient: {
@@ -256,18 +314,30 @@ class MessageService {
         } catch (error) {
             this.logger.error(`Error sending message to contact ${contactId}:`, error);
             throw new Error(`Failed to send message: ${error.message}`);
+        } finally {
+            this.sendDrain.end(job);
         }
     }
 
     /**
      * Send message to group
      */
-    async sendMessageToGroup(userId, placeId, groupId, message, imageUrl = null) {
+    async sendMessageToGroup(userId, placeId, groupId, message, imageUrl = null, options = {}) {
+        const job = this.sendDrain.begin({
+            type: 'group',
+            userId,
+            placeId,
+            template: { messageContent: message, messageType: imageUrl ? 'image' : 'text', imageUrl, groupId }
+        });
+
         try {
             this.logger.start(`Sending message to group ${groupId}`);
             
             // Get client and session data
-            const { client, sessionData } = await this.whatsAppService.getClientByCredentials(userId, placeId);
+            const { client, sessionData } = await this.whatsAppService.getClientByCredentials(userId, placeId, {
+                session_id: options.session_id,
+                session_name: options.session_name
+            });
             
             // Get group contacts
             const groupData = await this.groupService.getContactsByGroupId(userId, placeId, groupId);
@@ -276,6 +346,13 @@ class MessageService {
             if (contacts.length === 0) {
                 throw new Error('No contacts found in group');
             }
+
+            job.sessionId = sessionData.session_id;
+            job.recipients = contacts;
+
+            const suppressed = await this.suppressionService.getSuppressedNumbers(
+                userId, placeId, contacts.map(contact => contact.phone_number)
+            );
             
             // Handle image if provided
             let imageData = null;
@@ -287,9 +364,33 @@ class MessageService {
             const results = [];
             let sentCount = 0;
             let failedCount = 0;
+            let suppressedCount = 0;
             
             // Send to each contact in the group
-            for (const contact of contacts) {
+            for (let index = 0; index < contacts.length; index++) {
+                const contact = contacts[index];
+
+                // Shutdown: the rest is queued and sent after the next boot
+                if (job.aborted) {
+                    this.logger.warn(`Group send stopped by shutdown, ${contacts.length - index} recipients queued`);
+                    break;
+                }
+                this.sendDrain.take(job, index);
+
+                if (suppressed.has(this.suppressionService.normalizeNumber(contact.phone_number))) {
+                    results.push(await this.logSuppressedRecipient(contact, {
+                        userId,
+                        placeId,
+                        sessionId: sessionData.session_id,
+                        messageContent: message,
+                        messageType: imageUrl ? 'image' : 'text',
+                        groupId,
+                        imageUrl
+                    }));
+                    suppressedCount++;
+                    continue;
+                }
+
                 let messageLog = null;
                 try {
                     // Create message log for each recipient
@@ -302,8 +403,10 @@ class MessageService {
                         messageContent: message,
                         messageType: imageUrl ? 'image' : 'text',
                         groupId: groupId,
+                        imageUrl: imageUrl,
                         status: 'pending'
                     });
+                    job.current = messageLog;
                     
                     // Send message
                     let result;
@@ -332,7 +435,7 @@ class MessageService {
                     
                     // Add delay between messages to avoid rate limiting
                     if (sentCount < contacts.length) {
-                        await new Promise(resolve => setTimeout(resolve, 1000));
+                        await this.sendDrain.wait(job, 1000);
                     }
                     
                 } catch (sendError) {
@@ -358,10 +461,11 @@ class MessageService {
             // Update session activity
             await this.whatsAppService.updateSessionActivity(sessionData.session_id);
             
-            this.logger.success(`Group message completed: ${sentCount} sent, ${failedCount} failed`);
+            this.logger.success(`Group message completed: ${sentCount} sent, ${failedCount} failed, ${suppressedCount} opted out`);
             
             return {
                 success: true,
+                session_id: sessionData.session_id,
                 group_id: groupId,
                 group_name: groupData.group_info.name,
                 total_contacts: contacts.length,
@@ -369,6 +473,8 @@ class MessageService {
                 summary: {
                     sent: sentCount,
                     failed: failedCount,
+                    suppressed: suppressedCount,
+                    queued: contacts.length - sentCount - failedCount - suppressedCount,
                     success_rate: Math.round((sentCount / contacts.length) * 100)
                 },
                 message_type: imageUrl ? 'image' : 'text',
@@ -378,6 +484,8 @@ class MessageService {
         } catch (error) {
             this.logger.error(`Error sending message to group ${groupId}:`, error);
             throw new Error(`Failed to send group message: ${error.message}`);
+        } finally {
+            this.sendDrain.end(job);
         }
     }
 
@@ -385,16 +493,54 @@ class MessageService {
      * Send bulk messages to multiple contacts
      */
     async sendBulkMessages(userId, placeId, contacts, message, options = {}) {
+        const job = this.sendDrain.begin({
+            type: 'bulk',
+            userId,
+            placeId,
+            template: { messageContent: message, messageType: 'text' }
+        });
+
         try {
             this.logger.start(`Sending bulk messages to ${contacts.length} contacts`);
             
-            const { client, sessionData } = await this.whatsAppService.getClientByCredentials(userId, placeId);
+            const { client, sessionData } = await this.whatsAppService.getClientByCredentials(userId, placeId, {
+                session_id: options.session_id,
+                session_name: options.session_name
+            });
+            job.sessionId = sessionData.session_id;
+            job.recipients = contacts;
+
+            const suppressed = await this.suppressionService.getSuppressedNumbers(
+                userId, placeId, contacts.map(contact => contact.phone_number)
+            );
             
             const results = [];
             let sentCount = 0;
             let failedCount = 0;
+            let suppressedCount = 0;
             
-            for (const contact of contacts) {
+            for (let index = 0; index < contacts.length; index++) {
+                const contact = contacts[index];
+
+                // Shutdown: the rest is queued and sent after the next boot
+                if (job.aborted) {
+                    this.logger.warn(`Bulk send stopped by shutdown, ${contacts.length - index} recipients queued`);
+                    break;
+                }
+                this.sendDrain.take(job, index);
+
+                if (suppressed.has(this.suppressionService.normalizeNumber(contact.phone_number))) {
+                    results.push(await this.logSuppressedRecipient(contact, {
+                        userId,
+                        placeId,
+                        sessionId: sessionData.session_id,
+                        messageContent: message,
+                        messageType: 'text'
+                    }));
+                    suppressedCount++;
+                    continue;
+                }
+
                 let messageLog = null;
                 try {
                     // Create message log
@@ -408,6 +554,7 @@ class MessageService {
                         messageType: 'text',
                         status: 'pending'
                     });
+                    job.current = messageLog;
                     
                     // Send message
                     const whatsappNumber = contact.phone_number.includes('@c.us') ? 
@@ -431,7 +578,7 @@ class MessageService {
                     // Add delay between messages
                     if (sentCount < contacts.length) {
                         const delay = options.delay || 2000;
-                        await new Promise(resolve => setTimeout(resolve, delay));
+                        await this.sendDrain.wait(job, delay);
                     }
                     
                 } catch (sendError) {
@@ -456,15 +603,18 @@ class MessageService {
             // Update session activity
             await this.whatsAppService.updateSessionActivity(sessionData.session_id);
             
-            this.logger.success(`Bulk messages completed: ${sentCount} sent, ${failedCount} failed`);
+            this.logger.success(`Bulk messages completed: ${sentCount} sent, ${failedCount} failed, ${suppressedCount} opted out`);
             
             return {
                 success: true,
+                session_id: sessionData.session_id,
                 total_contacts: contacts.length,
                 results: results,
                 summary: {
                     sent: sentCount,
                     failed: failedCount,
+                    suppressed: suppressedCount,
+                    queued: contacts.length - sentCount - failedCount - suppressedCount,
                     success_rate: Math.round((sentCount / contacts.length) * 100)
                 },
                 sent_at: new Date()
@@ -473,15 +623,153 @@ class MessageService {
         } catch (error) {
             this.logger.error('Error sending bulk messages:', error);
             throw new Error(`Failed to send bulk messages: ${error.message}`);
+        } finally {
+            this.sendDrain.end(job);
+        }
+    }
+
+    /**
+     * Send messages queued by the last shutdown; each number sends its queue in order, numbers run in parallel
+     * Rows are claimed one by one, so an instance booting at the same time never sends a row twice
+     */
+    async resumeQueuedSends() {
+        const sessionIds = await MessageLog.distinct('session_id', { status: 'queued' });
+        if (sessionIds.length === 0) {
+            return { resumed: 0, sent: 0, failed: 0, suppressed: 0 };
+        }
+
+        const ownershipService = this.whatsAppService.clientFactory.sessionOwnershipService;
+        const results = await Promise.allSettled(sessionIds.map(async (sessionId) => {
+            // The owning instance resumes its own sessions
+            if (await ownershipService.isOwnedElsewhere(sessionId)) {
+                return { sent: 0, failed: 0, suppressed: 0 };
+            }
+            return await this.resumeSessionSends(sessionId);
+        }));
+
+        const totals = { resumed: 0, sent: 0, failed: 0, suppressed: 0 };
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                this.logger.error(`Error resuming queued sends of session ${sessionIds[index]}:`, result.reason);
+                return;
+            }
+            totals.sent += result.value.sent;
+            totals.failed += result.value.failed;
+            totals.suppressed += result.value.suppressed;
+        });
+        totals.resumed = totals.sent + totals.failed + totals.suppressed;
+
+        if (totals.resumed > 0) {
+            this.logger.success(`Resumed queued sends: ${totals.sent} sent, ${totals.failed} failed, ${totals.suppressed} opted out`);
+        }
+        return totals;
+    }
+
+    /**
+     * Send queued messages of one session in order
+     */
+    async resumeSessionSends(sessionId) {
+        const logs = await MessageLog.find({ session_id: sessionId, status: 'queued' }).sort({ created_at: 1 });
+        if (logs.length === 0) {
+            return { sent: 0, failed: 0, suppressed: 0 };
+        }
+
+        const { user_id: userId, place_id: placeId } = logs[0];
+        this.logger.start(`Resuming ${logs.length} queued sends of session ${sessionId}`);
+
+        // Shutting down again mid-resume puts the rest back in the queue
+        const job = this.sendDrain.begin({
+            type: 'resume',
+            userId,
+            placeId,
+            sessionId,
+            recipients: logs.map(log => ({ phone_number: log.recipient_number, name: log.recipient_name, message_log_id: log._id }))
+        });
+
+        let sent = 0;
+        let failed = 0;
+        let suppressed = 0;
+        try {
+            let client;
+            try {
+                ({ client } = await this.whatsAppService.getClientByCredentials(userId, placeId, { session_id: sessionId }));
+            } catch (error) {
+                const result = await MessageLog.updateMany(
+                    { session_id: sessionId, status: 'queued' },
+                    { status: 'failed', error_message: `Resume after shutdown failed: ${error.message}`, failed_at: new Date() }
+                );
+                this.logger.warn(`Queued sends of session ${sessionId} failed, session unavailable: ${error.message}`);
+                return { sent: 0, failed: result.modifiedCount, suppressed: 0 };
+            }
+
+            const images = new Map(); // imageUrl => downloaded image, group sends share one
+            for (let index = 0; index < logs.length; index++) {
+                if (job.aborted) {
+                    break;
+                }
+
+                const messageLog = await MessageLog.findOneAndUpdate(
+                    { _id: logs[index]._id, status: 'queued' },
+                    { status: 'pending' },
+                    { new: true }
+                );
+                this.sendDrain.take(job, index, messageLog);
+                if (!messageLog) {
+                    continue; // Claimed by another instance
+                }
+
+                // The recipient may have opted out while the send was queued
+                if (await this.suppressionService.isSuppressed(userId, placeId, messageLog.recipient_number)) {
+                    messageLog.status = 'suppressed';
+                    messageLog.error_message = 'Recipient opted out';
+                    messageLog.updated_at = new Date();
+                    await messageLog.save();
+                    suppressed++;
+                    continue;
+                }
+
+                try {
+                    const whatsappNumber = messageLog.recipient_number.includes('@c.us') ?
+                        messageLog.recipient_number : `${messageLog.recipient_number}@c.us`;
+
+                    let result;
+                    if (messageLog.image_url) {
+                        if (!images.has(messageLog.image_url)) {
+                            images.set(messageLog.image_url, await this.downloadImageFromUrl(messageLog.image_url));
+                        }
+                        const imageData = images.get(messageLog.image_url);
+                        const media = new MessageMedia(imageData.mimeType, imageData.buffer.toString('base64'));
+                        result = await client.sendMessage(whatsappNumber, media, { caption: messageLog.message_content });
+                    } else {
+                        result = await client.sendMessage(whatsappNumber, messageLog.message_content);
+                    }
+
+                    await this.updateMessageLogSuccess(messageLog, result.id._serialized);
+                    sent++;
+                } catch (sendError) {
+                    this.logger.error(`Error sending queued message to ${messageLog.recipient_number}:`, sendError);
+                    await this.updateMessageLogFailure(messageLog, sendError.message);
+                    failed++;
+                }
+
+                if (index < logs.length - 1) {
+                    await this.sendDrain.wait(job, this.resumeDelayMs);
+                }
+            }
+
+            await this.whatsAppService.updateSessionActivity(sessionId);
+            return { sent, failed, suppressed };
+        } finally {
+            this.sendDrain.end(job);
         }
     }
 
     /**
      * Get chat history
      */
-    async getChatHistory(userId, placeId, phoneNumber, limit = 50) {
+    async getChatHistory(userId, placeId, phoneNumber, limit = 50, selector = {}) {
         try {
-            return await this.whatsAppService.getChatMessages(userId, placeId, phoneNumber, limit);
+            return await this.whatsAppService.getChatMessages(userId, placeId, phoneNumber, limit, selector);
         } catch (error) {
             this.logger.error(`Error getting chat history for ${phoneNumber}:`, error);
             throw error;
@@ -567,8 +855,18 @@ class MessageService {
                     $group: {
                         _id: null,
                         total_messages: { $sum: 1 },
+                        // Delivered / read / played messages were sent too
                         sent_messages: {
-                            $sum: { $cond: [{ $eq: ['$status', 'sent'] }, 1, 0] }
+                            $sum: { $cond: [{ $in: ['$status', ['sent', 'delivered', 'read', 'played']] }, 1, 0] }
+                        },
+                        delivered_messages: {
+                            $sum: { $cond: [{ $in: ['$status', ['delivered', 'read', 'played']] }, 1, 0] }
+                        },
+                        read_messages: {
+                            $sum: { $cond: [{ $in: ['$status', ['read', 'played']] }, 1, 0] }
+                        },
+                        played_messages: {
+                            $sum: { $cond: [{ $eq: ['$status', 'played'] }, 1, 0] }
                         },
                         failed_messages: {
                             $sum: { $cond: [{ $eq: ['$status', 'failed'] }, 1, 0] }
@@ -576,6 +874,12 @@ class MessageService {
                         pending_messages: {
                             $sum: { $cond: [{ $eq: ['$status', 'pending'] }, 1, 0] }
                         },
+                        queued_messages: {
+                            $sum: { $cond: [{ $eq: ['$status', 'queued'] }, 1, 0] }
+                        },
+                        suppressed_messages: {
+                            $sum: { $cond: [{ $eq: ['$status', 'suppressed'] }, 1, 0] }
+                        },
                         text_messages: {
                             $sum: { $cond: [{ $eq: ['$message_type', 'text'] }, 1, 0] }
                         },
@@ -592,32 +896,51 @@ class MessageService {
             const result = stats[0] || {
                 total_messages: 0,
                 sent_messages: 0,
+                delivered_messages: 0,
+                read_messages: 0,
+                played_messages: 0,
                 failed_messages: 0,
                 pending_messages: 0,
+                queued_messages: 0,
+                suppressed_messages: 0,
                 text_messages: 0,
                 image_messages: 0,
                 media_messages: 0
             };
 
+            // Messages skipped for opted-out recipients were never attempted
+            const attempted = result.total_messages - result.suppressed_messages;
+
             return {
                 ...result,
-                success_rate: result.total_messages > 0 ? 
-                    Math.round((result.sent_messages / result.total_messages) * 100) : 0,
-                failure_rate: result.total_messages > 0 ? 
-                    Math.round((result.failed_messages / result.total_messages) * 100) : 0
+                success_rate: attempted > 0 ? 
+                    Math.round((result.sent_messages / attempted) * 100) : 0,
+                failure_rate: attempted > 0 ? 
+                    Math.round((result.failed_messages / attempted) * 100) : 0,
+                delivery_rate: result.sent_messages > 0 ?
+                    Math.round((result.delivered_messages / result.sent_messages) * 100) : 0,
+                read_rate: result.delivered_messages > 0 ?
+                    Math.round((result.read_messages / result.delivered_messages) * 100) : 0
             };
         } catch (error) {
             this.logger.error('Error getting message statistics:', error);
             return {
                 total_messages: 0,
                 sent_messages: 0,
+                delivered_messages: 0,
+                read_messages: 0,
+                played_messages: 0,
                 failed_messages: 0,
                 pending_messages: 0,
+                queued_messages: 0,
+                suppressed_messages: 0,
                 text_messages: 0,
                 image_messages: 0,
                 media_messages: 0,
                 success_rate: 0,
-                failure_rate: 0
+                failure_rate: 0,
+                delivery_rate: 0,
+                read_rate: 0
             };
         }
     }
@@ -691,6 +1014,78 @@ class MessageService {
         }
     }
 
+    /**
+     * Log and refuse a send to a number that opted out of the place
+     * @param {Object} logData - createMessageLog fields besides the recipient and status
+     */
+    async rejectIfSuppressed(userId, placeId, phoneNumber, logData = {}) {
+        if (!await this.suppressionService.isSuppressed(userId, placeId, phoneNumber)) {
+            return;
+        }
+
+        await this.createMessageLog({
+            userId,
+            placeId,
+            recipientNumber: phoneNumber,
+            recipientName: 'Unknown',
+            ...logData,
+            sessionId: logData.sessionId || 'unknown',
+            status: 'suppressed',
+            errorMessage: 'Recipient opted out'
+        });
+
+        this.logger.warn(`Send to ${phoneNumber} skipped: recipient opted out`);
+        throw new Error(`Recipient has opted out: ${phoneNumber}`);
+    }
+
+    /**
+     * Log skipped group / bulk recipient and return its result entry
+     */
+    async logSuppressedRecipient(contact, logData) {
+        try {
+            await this.createMessageLog({
+                ...logData,
+                recipientNumber: contact.phone_number,
+                recipientName: contact.name,
+                status: 'suppressed',
+                errorMessage: 'Recipient opted out'
+            });
+        } catch (error) {
+            this.logger.warn(`Error logging suppressed recipient ${contact.phone_number}:`, error);
+        }
+
+        return {
+            contact_id: contact.contact_id,
+            number: contact.phone_number,
+            name: contact.name,
+            status: 'suppressed'
+        };
+    }
+
+    /**
+     * Resolve the sending session and log a direct send as pending before it goes out, so acks
+     * and shutdown find the log; send options come back pinned to that session
+     * @returns {Object} { messageLog, sendOptions }
+     */
+    async createPendingLog(userId, placeId, phoneNumber, fields, options = {}) {
+        const sessionData = await this.whatsAppService.findSession(userId, placeId, {
+            session_id: options.session_id,
+            session_name: options.session_name
+        });
+
+        const messageLog = await this.createMessageLog({
+            userId,
+            placeId,
+            sessionId: sessionData.session_id,
+            recipientNumber: phoneNumber,
+            recipientName: 'Unknown',
+            ...fields,
+            status: 'pending'
+        });
+
+        return { messageLog, sendOptions: { ...options, session_id: sessionData.session_id } };
+    }
+
     /**
      * Create message log entry
      */
@@ -705,8 +1100,9 @@ class MessageService {
                 message_content: logData.messageContent,
                 message_type: logData.messageType,
                 group_id: logData.groupId || null,
+                image_url: logData.imageUrl || null,
                 status: logData.status,
-                message_id: logData.messageId || null,
+                whatsapp_message_id: logData.messageId || null,
                 error_message: logData.errorMessage || null,
                 media_path: logData.mediaPath || null,
                 media_url: logData.mediaUrl || null,
@@ -727,7 +1123,7 @@ class MessageService {
     async updateMessageLogSuccess(messageLog, messageId) {
         try {
             messageLog.status = 'sent';
-            messageLog.message_id = messageId;
+            messageLog.whatsapp_message_id = messageId;
             messageLog.sent_at = new Date();
             messageLog.updated_at = new Date();
             await messageLog.save();
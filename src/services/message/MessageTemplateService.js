@@ -0,0 +1,71 @@
+const Logger = require('../../utils/Logger');
+
+// Built-in templates; placeholders are written as {variable}
+const TEMPLATES = [
+    {
+        id: 'welcome',
+        name: 'Welcome Message',
+        content: 'Welcome to our service! We\'re glad to have you.',
+        variables: ['name'],
+        category: 'greeting'
+    },
+    {
+        id: 'follow_up',
+        name: 'Follow Up',
+        content: 'Hi {name}, just following up on our previous conversation.',
+        variables: ['name'],
+        category: 'follow_up'
+    },
+    {
+        id: 'appointment_reminder',
+        name: 'Appointment Reminder',
+        content: 'Hi {name}, this is a reminder about your appointment on {date} at {time}.',
+        variables: ['name', 'date', 'time'],
+        category: 'reminder'
+    },
+    {
+        id: 'thank_you',
+        name: 'Thank You',
+        content: 'Thank you for your business, {name}! We appreciate your support.',
+        variables: ['name'],
+        category: 'appreciation'
+    }
+];
+
+/**
+ * Service for message templates
+ */
+class MessageTemplateService {
+    constructor() {
+        this.logger = new Logger('MessageTemplateService');
+    }
+
+    /**
+     * Get all templates
+     */
+    getTemplates() {
+        return TEMPLATES;
+    }
+
+    /**
+     * Get template by id
+     */
+    getTemplate(templateId) {
+        const template = TEMPLATES.find(item => item.id === templateId);
+        if (!template) {
+            throw new Error(`Unknown template: ${templateId}`);
+        }
+        return template;
+    }
+
+    /**
+     * Fill {variable} placeholders; unknown placeholders are left as written
+     */
+    render(content, variables = {}) {
+        return content.replace(/\{(\w+)\}/g, (placeholder, name) =>
+            variables[name] !== undefined && variables[name] !== null ? String(variables[name]) : placeholder
+        );
+    }
+}
+
+module.exports = MessageTemplateService;
@@ -0,0 +1,188 @@
+const crypto = require('crypto');
+const MessageLog = require('../../../models/MessageLog');
+const Logger = require('../../utils/Logger');
+
+// Shared across service instances: every MessageService registers its sends here
+const jobs = new Map(); // jobId => job
+let accepting = true;
+
+/**
+ * Tracks in-flight sends so shutdown can drain them
+ * On shutdown new sends are rejected and running ones get SHUTDOWN_DRAIN_TIMEOUT_MS to finish.
+ * Recipients a send loop did not reach are stored as 'queued' message logs and resumed on the next boot
+ */
+class SendDrainService {
+    constructor() {
+        this.logger = new Logger('SendDrainService');
+        this.drainTimeoutMs = parseInt(process.env.SHUTDOWN_DRAIN_TIMEOUT_MS) || 20000;
+        this.abortGraceMs = parseInt(process.env.SHUTDOWN_ABORT_GRACE_MS) || 5000;
+    }
+
+    /**
+     * Register a send; throws once shutdown started
+     * @param {Object} data - { type, userId, placeId, sessionId, recipients, template }
+     *   recipients: [{ phone_number, name, message_log_id? }] still to be sent in order
+     *   template: { messageContent, messageType, imageUrl, groupId } shared by all recipients
+     */
+    begin({ type, userId, placeId, sessionId = null, recipients = [], template = {} }) {
+        if (!accepting) {
+            throw new Error('Service is shutting down, new sends are not accepted');
+        }
+
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            userId,
+            placeId,
+            sessionId,
+            recipients,
+            template,
+            next: 0, // index of the first recipient not yet taken by the loop
+            current: null, // message log of the send in flight
+            aborted: false,
+            started_at: new Date()
+        };
+
+        jobs.set(job.id, job);
+        return job;
+    }
+
+    /**
+     * Mark recipient at index as taken by the loop; call before sending to it
+     */
+    take(job, index, messageLog = null) {
+        job.next = index + 1;
+        job.current = messageLog;
+    }
+
+    /**
+     * Unregister a send
+     */
+    end(job) {
+        jobs.delete(job.id);
+    }
+
+    /**
+     * Pause between sends, cut short when shutdown aborts the job
+     */
+    async wait(job, ms) {
+        const step = 250;
+        for (let waited = 0; waited < ms && !job.aborted; waited += step) {
+            await new Promise(resolve => setTimeout(resolve, Math.min(step, ms - waited)));
+        }
+    }
+
+    isAccepting() {
+        return accepting;
+    }
+
+    /**
+     * Stop accepting sends and wait for in-flight ones
+     * Jobs still running after the timeout are aborted at their next recipient; what they did not send is queued
+     */
+    async drain() {
+        accepting = false;
+
+        if (jobs.size === 0) {
+            return { drained: 0, queued: 0, interrupted: 0 };
+        }
+
+        const inFlight = jobs.size;
+        this.logger.info(`Draining ${inFlight} in-flight sends (up to ${Math.round(this.drainTimeoutMs / 1000)}s)`);
+
+        await this.waitForJobs(this.drainTimeoutMs);
+
+        const unfinished = Array.from(jobs.values());
+        if (unfinished.length === 0) {
+            this.logger.success(`All ${inFlight} in-flight sends finished`);
+            return { drained: inFlight, queued: 0, interrupted: 0 };
+        }
+
+        // Let loops stop at a recipient boundary so the send in flight completes
+        unfinished.forEach(job => { job.aborted = true; });
+        await this.waitForJobs(this.abortGraceMs);
+
+        let queued = 0;
+        let interrupted = 0;
+        for (const job of unfinished) {
+            try {
+                // A loop still stuck in a send never reported its outcome
+                if (jobs.has(job.id) && job.current?.status === 'pending') {
+                    await MessageLog.updateOne(
+                        { _id: job.current._id, status: 'pending' },
+                        { status: 'failed', error_message: 'Interrupted by shutdown, delivery unknown' }
+                    );
+                    interrupted++;
+                }
+
+                queued += await this.persistRemaining(job);
+            } catch (error) {
+                this.logger.error(`Error persisting unfinished send ${job.id}:`, error);
+            }
+            jobs.delete(job.id);
+        }
+
+        this.logger.warn(`${unfinished.length}/${inFlight} sends did not finish: ${queued} recipients queued for next boot, ${interrupted} interrupted`);
+        return { drained: inFlight - unfinished.length, queued, interrupted };
+    }
+
+    /**
+     * Store recipients the job did not reach as 'queued' message logs
+     */
+    async persistRemaining(job) {
+        const remaining = job.recipients.slice(job.next);
+        if (remaining.length === 0) {
+            return 0;
+        }
+
+        // Recipients resumed from an earlier shutdown already have their log
+        const requeueIds = remaining.filter(recipient => recipient.message_log_id).map(recipient => recipient.message_log_id);
+        if (requeueIds.length > 0) {
+            await MessageLog.updateMany({ _id: { $in: requeueIds } }, { status: 'queued', queued_at: new Date() });
+        }
+
+        const newLogs = remaining.filter(recipient => !recipient.message_log_id).map(recipient => ({
+            user_id: job.userId,
+            place_id: job.placeId,
+            session_id: job.sessionId,
+            recipient_number: recipient.phone_number,
+            recipient_name: recipient.name || null,
+            message_content: job.template.messageContent,
+            message_type: job.template.messageType || 'text',
+            image_url: job.template.imageUrl || null,
+            group_id: job.template.groupId || null,
+            job_id: job.id,
+            status: 'queued',
+            queued_at: new Date()
+        }));
+        if (newLogs.length > 0) {
+            await MessageLog.insertMany(newLogs);
+        }
+
+        return remaining.length;
+    }
+
+    /**
+     * Wait until no job is registered or timeout passed
+     */
+    async waitForJobs(timeoutMs) {
+        const deadline = Date.now() + timeoutMs;
+        while (jobs.size > 0 && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+    }
+
+    /**
+     * Get in-flight send counts
+     */
+    getStats() {
+        const inFlight = Array.from(jobs.values());
+        return {
+            accepting,
+            in_flight: inFlight.length,
+            recipients_left: inFlight.reduce((sum, job) => sum + Math.max(job.recipients.length - job.next, 0), 0)
+        };
+    }
+}
+
+module.exports = SendDrainService;
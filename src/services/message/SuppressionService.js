@@ -0,0 +1,345 @@
+const Suppression = require('../../../models/Suppression');
+const MessageLog = require('../../../models/MessageLog');
+const SendDrainService = require('./SendDrainService');
+const Logger = require('../../utils/Logger');
+
+// Compared after normalizeText, so إيقاف / ايقاف / "STOP!" all match
+const DEFAULT_OPT_OUT_KEYWORDS = [
+    'stop', 'stop all', 'unsubscribe', 'cancel', 'opt out', 'optout',
+    'ايقاف', 'الغاء', 'الغاء الاشتراك', 'توقف', 'وقف'
+];
+
+const DEFAULT_CONFIRMATION = 'You have been unsubscribed and will not receive further messages from us.\n' +
+    'تم إلغاء اشتراكك ولن تصلك رسائل أخرى منا.';
+
+/**
+ * Service for opt-outs: opt-out keywords sent by contacts and the per-place suppression list
+ * Every outbound path checks the list and logs skipped recipients with status 'suppressed'
+ */
+class SuppressionService {
+    constructor(whatsAppService) {
+        this.whatsAppService = whatsAppService;
+        this.sendDrain = new SendDrainService();
+        this.logger = new Logger('SuppressionService');
+
+        const keywords = process.env.WHATSAPP_OPT_OUT_KEYWORDS
+            ? process.env.WHATSAPP_OPT_OUT_KEYWORDS.split(',')
+            : DEFAULT_OPT_OUT_KEYWORDS;
+        this.keywords = new Set(keywords.map(keyword => this.normalizeText(keyword)).filter(Boolean));
+        // Empty disables the confirmation reply
+        this.confirmationText = process.env.WHATSAPP_OPT_OUT_CONFIRMATION ?? DEFAULT_CONFIRMATION;
+    }
+
+    /**
+     * Lowercase, drop punctuation, Arabic diacritics and tatweel, unify alef/yaa/taa marbuta forms
+     */
+    normalizeText(text) {
+        return String(text || '')
+            .toLowerCase()
+            .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+            .replace(/[\u0622\u0623\u0625\u0671]/g, '\u0627')
+            .replace(/\u0649/g, '\u064A')
+            .replace(/\u0629/g, '\u0647')
+            .replace(/[^\p{L}\p{N}]+/gu, ' ')
+            .trim();
+    }
+
+    /**
+     * Digits of a recipient; null for group chats, which cannot opt out
+     */
+    normalizeNumber(phoneNumber) {
+        const value = String(phoneNumber || '');
+        if (value.endsWith('@g.us')) {
+            return null;
+        }
+
+        const digits = value.split('@')[0].replace(/\D/g, '');
+        return digits || null;
+    }
+
+    /**
+     * Opt-out keyword the message consists of, or null
+     */
+    matchKeyword(body) {
+        const text = this.normalizeText(body);
+        return this.keywords.has(text) ? text : null;
+    }
+
+    /**
+     * Suppress sender of an opt-out keyword, end their chat flow and confirm
+     * @returns {boolean} true when the message was an opt-out (no flow or auto-reply should run)
+     */
+    async handleInbound(sessionData, inboundMessage) {
+        if (inboundMessage.is_group) {
+            return false;
+        }
+
+        const keyword = this.matchKeyword(inboundMessage.body);
+        if (!keyword) {
+            return false;
+        }
+
+        const { user_id: userId, place_id: placeId } = sessionData;
+        const phoneNumber = inboundMessage.sender_number;
+
+        const { created } = await this.suppress(userId, placeId, phoneNumber, {
+            source: 'keyword',
+            keyword,
+            session_id: sessionData.session_id
+        });
+        this.logger.info(`${phoneNumber} opted out of place ${placeId} with "${keyword}"`);
+
+        this.whatsAppService.eventService.publish(sessionData, 'opt_out', {
+            phone_number: phoneNumber,
+            keyword,
+            already_suppressed: !created
+        });
+
+        try {
+            await this.whatsAppService.chatFlowService.resetForContact(userId, placeId, phoneNumber);
+        } catch (error) {
+            if (!error.message.includes('No active chat flow')) {
+                this.logger.warn(`Error ending chat flow of ${phoneNumber} after opt-out:`, error);
+            }
+        }
+
+        if (this.confirmationText) {
+            await this.sendConfirmation(sessionData, inboundMessage);
+        }
+
+        return true;
+    }
+
+    /**
+     * Confirm opt-out; the only message that still goes to the number
+     */
+    async sendConfirmation(sessionData, inboundMessage) {
+        const { user_id: userId, place_id: placeId, session_id: sessionId } = sessionData;
+
+        let job;
+        try {
+            job = this.sendDrain.begin({ type: 'opt_out_confirmation', userId, placeId, sessionId });
+        } catch (error) {
+            this.logger.warn(`Opt-out confirmation to ${inboundMessage.sender_number} skipped: ${error.message}`);
+            return null;
+        }
+
+        const messageLog = await MessageLog.create({
+            user_id: userId,
+            place_id: placeId,
+            session_id: sessionId,
+            recipient_number: inboundMessage.sender_number,
+            recipient_name: inboundMessage.sender_name || null,
+            message_content: this.confirmationText,
+            message_type: 'text',
+            status: 'pending'
+        });
+        job.current = messageLog;
+
+        try {
+            const result = await this.whatsAppService.sendMessage(
+                userId,
+                placeId,
+                inboundMessage.sender_number,
+                this.confirmationText,
+                { session_id: sessionId }
+            );
+
+            messageLog.status = 'sent';
+            messageLog.whatsapp_message_id = result.message_id;
+            messageLog.sent_at = new Date();
+        } catch (error) {
+            this.logger.error(`Error sending opt-out confirmation to ${inboundMessage.sender_number}:`, error);
+            messageLog.status = 'failed';
+            messageLog.error_message = error.message;
+        } finally {
+            await messageLog.save();
+            this.sendDrain.end(job);
+        }
+
+        return messageLog;
+    }
+
+    /**
+     * Add number to place's suppression list; an existing entry is kept as is
+     * @returns {Object} { suppression, created }
+     */
+    async suppress(userId, placeId, phoneNumber, details = {}) {
+        const digits = this.normalizeNumber(phoneNumber);
+        if (!digits) {
+            throw new Error(`Invalid phone number: ${phoneNumber}`);
+        }
+
+        const filter = { user_id: userId, place_id: placeId, phone_number: digits };
+        const existing = await Suppression.findOne(filter);
+        if (existing) {
+            return { suppression: existing, created: false };
+        }
+
+        try {
+            const suppression = await Suppression.create({
+                ...filter,
+                source: details.source || 'api',
+                keyword: details.keyword || null,
+                session_id: details.session_id || null,
+                reason: details.reason || null
+            });
+            return { suppression, created: true };
+        } catch (error) {
+            // Suppressed concurrently (e.g. "STOP" sent twice)
+            if (error.code === 11000) {
+                return { suppression: await Suppression.findOne(filter), created: false };
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Check if recipient opted out of place
+     */
+    async isSuppressed(userId, placeId, phoneNumber) {
+        const digits = this.normalizeNumber(phoneNumber);
+        if (!digits) {
+            return false;
+        }
+
+        return Boolean(await Suppression.exists({ user_id: userId, place_id: placeId, phone_number: digits }));
+    }
+
+    /**
+     * Suppressed numbers among recipients, as a Set of digits (one query for a whole send)
+     */
+    async getSuppressedNumbers(userId, placeId, phoneNumbers) {
+        const numbers = [...new Set(phoneNumbers.map(number => this.normalizeNumber(number)).filter(Boolean))];
+        if (numbers.length === 0) {
+            return new Set();
+        }
+
+        const suppressions = await Suppression.find({
+            user_id: userId,
+            place_id: placeId,
+            phone_number: { $in: numbers }
+        }).select('phone_number').lean();
+
+        return new Set(suppressions.map(suppression => suppression.phone_number));
+    }
+
+    /**
+     * Log a message that was not sent because the recipient opted out
+     * @param {Object} logData - MessageLog fields (user_id, place_id, session_id, recipient_number, ...)
+     */
+    async logSuppressed(logData) {
+        try {
+            return await MessageLog.create({
+                ...logData,
+                session_id: logData.session_id || 'unknown',
+                status: 'suppressed',
+                error_message: 'Recipient opted out'
+            });
+        } catch (error) {
+            this.logger.warn('Error logging suppressed message:', error);
+            return null;
+        }
+    }
+
+    /**
+     * List place's suppressions, newest first
+     * @param {Object} filters - { search (number contains), source }
+     */
+    async listSuppressions(userId, placeId, filters = {}, page = 1, limit = 50) {
+        const query = { user_id: userId, place_id: placeId };
+        if (filters.source) {
+            query.source = filters.source;
+        }
+        if (filters.search) {
+            const digits = String(filters.search).replace(/\D/g, '');
+            if (digits) {
+                query.phone_number = { $regex: digits };
+            }
+        }
+
+        const [suppressions, total] = await Promise.all([
+            Suppression.find(query).sort({ created_at: -1 }).skip((page - 1) * limit).limit(limit).lean(),
+            Suppression.countDocuments(query)
+        ]);
+
+        return {
+            suppressions: suppressions.map(suppression => this.formatSuppression(suppression)),
+            pagination: {
+                current_page: page,
+                per_page: limit,
+                total,
+                total_pages: Math.ceil(total / limit),
+                has_next: page < Math.ceil(total / limit),
+                has_prev: page > 1
+            }
+        };
+    }
+
+    /**
+     * Get suppression of a number
+     */
+    async getSuppression(userId, placeId, phoneNumber) {
+        const suppression = await Suppression.findOne({
+            user_id: userId,
+            place_id: placeId,
+            phone_number: this.normalizeNumber(phoneNumber)
+        }).lean();
+        if (!suppression) {
+            throw new Error(`Suppression not found: ${phoneNumber}`);
+        }
+        return this.formatSuppression(suppression);
+    }
+
+    /**
+     * Import numbers (e.g. opt-outs collected elsewhere)
+     */
+    async importSuppressions(userId, placeId, phoneNumbers, reason = null) {
+        const result = { added: 0, already_suppressed: 0, invalid: [] };
+
+        for (const phoneNumber of phoneNumbers) {
+            if (!this.normalizeNumber(phoneNumber)) {
+                result.invalid.push(phoneNumber);
+                continue;
+            }
+
+            const { created } = await this.suppress(userId, placeId, phoneNumber, { source: 'import', reason });
+            if (created) {
+                result.added++;
+            } else {
+                result.already_suppressed++;
+            }
+        }
+
+        this.logger.info(`Imported suppressions for place ${placeId}: ${result.added} added, ${result.already_suppressed} existing`);
+        return result;
+    }
+
+    /**
+     * Remove number from suppression list (it receives messages again)
+     */
+    async removeSuppression(userId, placeId, phoneNumber) {
+        const digits = this.normalizeNumber(phoneNumber);
+        const result = digits ?
+            await Suppression.deleteOne({ user_id: userId, place_id: placeId, phone_number: digits }) : null;
+        if (!result || result.deletedCount === 0) {
+            throw new Error(`Suppression not found: ${phoneNumber}`);
+        }
+
+        this.logger.info(`${digits} removed from suppression list of place ${placeId}`);
+        return { phone_number: digits, removed: true };
+    }
+
+    formatSuppression(suppression) {
+        return {
+            phone_number: suppression.phone_number,
+            source: suppression.source,
+            keyword: suppression.keyword,
+            session_id: suppression.session_id,
+            reason: suppression.reason,
+            created_at: suppression.created_at
+        };
+    }
+}
+
+module.exports = SuppressionService;
@@ -0,0 +1,53 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Media storage on local disk (MEDIA_STORAGE_PATH)
+ * Files are only visible to the instance that wrote them; use s3 when running several instances
+ */
+class LocalMediaStorage {
+    constructor() {
+        this.name = 'local';
+        this.rootPath = path.resolve(process.env.MEDIA_STORAGE_PATH || './media_storage');
+    }
+
+    resolve(key) {
+        const filePath = path.resolve(this.rootPath, key);
+        if (!filePath.startsWith(this.rootPath + path.sep)) {
+            throw new Error(`Invalid media storage key: ${key}`);
+        }
+        return filePath;
+    }
+
+    async exists(key) {
+        try {
+            await fs.promises.access(this.resolve(key));
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Write file through a temporary name so readers never see a partial file
+     */
+    async put(key, buffer) {
+        const filePath = this.resolve(key);
+        const tempPath = `${filePath}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+        await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.promises.writeFile(tempPath, buffer);
+        await fs.promises.rename(tempPath, filePath);
+    }
+
+    async createReadStream(key) {
+        const filePath = this.resolve(key);
+        if (!await this.exists(key)) {
+            throw new Error('Media file not found in storage');
+        }
+        return fs.createReadStream(filePath);
+    }
+}
+
+module.exports = LocalMediaStorage;
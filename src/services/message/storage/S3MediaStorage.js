@@ -0,0 +1,127 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+const EMPTY_PAYLOAD_HASH = crypto.createHash('sha256').update('').digest('hex');
+
+/**
+ * Media storage in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...)
+ * Requests are signed with AWS Signature Version 4; MEDIA_S3_ENDPOINT selects path-style addressing
+ */
+class S3MediaStorage {
+    constructor() {
+        this.name = 's3';
+        this.bucket = process.env.MEDIA_S3_BUCKET || '';
+        this.region = process.env.MEDIA_S3_REGION || 'us-east-1';
+        this.endpoint = (process.env.MEDIA_S3_ENDPOINT || '').replace(/\/+$/, '');
+        this.accessKeyId = process.env.MEDIA_S3_ACCESS_KEY_ID || '';
+        this.secretAccessKey = process.env.MEDIA_S3_SECRET_ACCESS_KEY || '';
+        this.prefix = process.env.MEDIA_S3_PREFIX ?? 'media/';
+        this.timeoutMs = parseInt(process.env.MEDIA_S3_TIMEOUT_MS) || 30000;
+    }
+
+    assertConfigured() {
+        if (!this.bucket || !this.accessKeyId || !this.secretAccessKey) {
+            throw new Error('S3 media storage is not configured (MEDIA_S3_BUCKET, MEDIA_S3_ACCESS_KEY_ID, MEDIA_S3_SECRET_ACCESS_KEY)');
+        }
+    }
+
+    getObjectUrl(key) {
+        const objectPath = `${this.prefix}${key}`.split('/').map(encodeURIComponent).join('/');
+        return this.endpoint
+            ? `${this.endpoint}/${this.bucket}/${objectPath}`
+            : `https://${this.bucket}.s3.${this.region}.amazonaws.com/${objectPath}`;
+    }
+
+    hmac(key, value) {
+        return crypto.createHmac('sha256', key).update(value).digest();
+    }
+
+    /**
+     * Sign request: returns headers including Authorization
+     * @param {Object} headers - headers to sign besides host, x-amz-date and x-amz-content-sha256
+     */
+    sign(method, url, headers = {}, payloadHash = EMPTY_PAYLOAD_HASH, date = new Date()) {
+        const { host, pathname } = new URL(url);
+        const amzDate = date.toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const scope = `${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request`;
+
+        const signed = {
+            ...Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), String(value).trim()])),
+            host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate
+        };
+        const names = Object.keys(signed).sort();
+        const signedHeaders = names.join(';');
+
+        const canonicalRequest = [
+            method,
+            pathname,
+            '',
+            names.map(name => `${name}:${signed[name]}\n`).join(''),
+            signedHeaders,
+            payloadHash
+        ].join('\n');
+
+        const stringToSign = [
+            'AWS4-HMAC-SHA256',
+            amzDate,
+            scope,
+            crypto.createHash('sha256').update(canonicalRequest).digest('hex')
+        ].join('\n');
+
+        const signingKey = ['s3', 'aws4_request'].reduce(
+            (key, part) => this.hmac(key, part),
+            this.hmac(this.hmac(`AWS4${this.secretAccessKey}`, amzDate.slice(0, 8)), this.region)
+        );
+        const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+
+        // host is set by the HTTP client
+        delete signed.host;
+        return {
+            ...signed,
+            Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+        };
+    }
+
+    async request(method, key, options = {}) {
+        this.assertConfigured();
+        const url = this.getObjectUrl(key);
+
+        return axios({
+            method,
+            url,
+            data: options.data,
+            responseType: options.responseType,
+            headers: this.sign(method, url, options.headers, options.payloadHash),
+            timeout: this.timeoutMs,
+            maxBodyLength: Infinity,
+            maxContentLength: Infinity,
+            validateStatus: status => (status >= 200 && status < 300) || status === 404
+        });
+    }
+
+    async exists(key) {
+        const response = await this.request('HEAD', key);
+        return response.status !== 404;
+    }
+
+    async put(key, buffer, mimeType) {
+        await this.request('PUT', key, {
+            data: buffer,
+            headers: { 'content-type': mimeType || 'application/octet-stream' },
+            payloadHash: crypto.createHash('sha256').update(buffer).digest('hex')
+        });
+    }
+
+    async createReadStream(key) {
+        const response = await this.request('GET', key, { responseType: 'stream' });
+        if (response.status === 404) {
+            response.data.resume();
+            throw new Error('Media file not found in storage');
+        }
+        return response.data;
+    }
+}
+
+module.exports = S3MediaStorage;
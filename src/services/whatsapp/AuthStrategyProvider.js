@@ -0,0 +1,91 @@
+const { LocalAuth, RemoteAuth } = require('whatsapp-web.js');
+const fs = require('fs');
+const path = require('path');
+const MongoSessionStore = require('./MongoSessionStore');
+const Logger = require('../../utils/Logger');
+
+const AUTH_DATA_PATH = path.join(__dirname, '../../../.wwebjs_auth');
+
+/**
+ * Provides the whatsapp-web.js auth strategy for a session
+ * WHATSAPP_AUTH_STRATEGY=local keeps auth on disk, =remote backs it up to MongoDB (GridFS)
+ */
+class AuthStrategyProvider {
+    constructor() {
+        this.logger = new Logger('AuthStrategyProvider');
+        this.strategy = (process.env.WHATSAPP_AUTH_STRATEGY || 'local').toLowerCase();
+        this.backupIntervalMs = Math.max(
+            parseInt(process.env.WHATSAPP_AUTH_BACKUP_INTERVAL_MS) || 300000,
+            60000
+        );
+
+        if (!['local', 'remote'].includes(this.strategy)) {
+            throw new Error(`Unknown WHATSAPP_AUTH_STRATEGY: ${this.strategy}`);
+        }
+
+        this.store = this.strategy === 'remote' ? new MongoSessionStore() : null;
+    }
+
+    /**
+     * Check if sessions are backed up remotely
+     */
+    isRemote() {
+        return this.strategy === 'remote';
+    }
+
+    /**
+     * Create auth strategy instance for session
+     */
+    createAuthStrategy(sessionId) {
+        if (this.isRemote()) {
+            return new RemoteAuth({
+                clientId: sessionId,
+                dataPath: AUTH_DATA_PATH,
+                store: this.store,
+                backupSyncIntervalMs: this.backupIntervalMs
+            });
+        }
+
+        return new LocalAuth({ clientId: sessionId, dataPath: AUTH_DATA_PATH });
+    }
+
+    /**
+     * Get local auth folder used by the configured strategy
+     */
+    getLocalAuthPath(sessionId) {
+        const folderName = this.isRemote() ? `RemoteAuth-${sessionId}` : `session-${sessionId}`;
+        return path.join(AUTH_DATA_PATH, folderName);
+    }
+
+    /**
+     * Check if stored auth data exists for session
+     */
+    async hasSessionData(sessionId) {
+        if (this.isRemote()) {
+            return await this.store.sessionExists({ session: `RemoteAuth-${sessionId}` });
+        }
+
+        return fs.existsSync(this.getLocalAuthPath(sessionId));
+    }
+
+    /**
+     * Delete local auth folder and any remote copy for session
+     */
+    async deleteSessionData(sessionId) {
+        const authPath = this.getLocalAuthPath(sessionId);
+        if (fs.existsSync(authPath)) {
+            fs.rmSync(authPath, { recursive: true, force: true });
+            this.logger.info(`Deleted session folder for ${sessionId}`);
+        }
+
+        if (this.isRemote()) {
+            try {
+                await this.store.delete({ session: `RemoteAuth-${sessionId}` });
+            } catch (error) {
+                this.logger.warn(`Error deleting stored session for ${sessionId}:`, error);
+            }
+        }
+    }
+}
+
+module.exports = AuthStrategyProvider;
@@ -0,0 +1,193 @@
+const WhatsAppSession = require('../../../models/WhatsAppSession');
+const Logger = require('../../utils/Logger');
+
+// Shared across service instances: one pool per process
+const starting = new Set(); // sessionIds holding a slot while their client is created
+const reviving = new Map(); // sessionId => revive promise
+const counters = { hibernated: 0, revived: 0, revive_failed: 0 };
+
+// Only logged-in, idle clients may be hibernated; a client waiting for a login or fetching contacts stays up
+const HIBERNATABLE_STATUSES = ['ready', 'connected', 'completed'];
+
+/**
+ * Pool capping the number of live browsers (WHATSAPP_MAX_LIVE_CLIENTS)
+ * When full, the least recently used idle session is hibernated: browser destroyed, auth kept,
+ * status 'inactive'. Hibernated sessions are revived on their next use
+ */
+class ClientPoolService {
+    constructor(whatsAppService) {
+        this.whatsAppService = whatsAppService;
+        this.clientFactory = whatsAppService.clientFactory;
+        this.stateMachine = whatsAppService.stateMachine;
+        this.logger = new Logger('ClientPoolService');
+        this.maxLiveClients = parseInt(process.env.WHATSAPP_MAX_LIVE_CLIENTS) || 0; // 0 = unlimited
+    }
+
+    /**
+     * Reserve a slot for a client about to start, hibernating LRU sessions to make room
+     * Call releaseSlot once the client is stored (or failed to start)
+     */
+    async acquireSlot(sessionId) {
+        starting.add(sessionId);
+
+        if (!this.maxLiveClients) {
+            return;
+        }
+
+        while (this.getLiveCount() > this.maxLiveClients) {
+            const victim = await this.findLeastRecentlyUsed(sessionId);
+            if (!victim) {
+                starting.delete(sessionId);
+                throw new Error(`Client pool is full (${this.maxLiveClients} live clients) and no idle session can be hibernated`);
+            }
+
+            try {
+                await this.hibernate(victim, {
+                    cause: 'pool_hibernated',
+                    details: { max_live_clients: this.maxLiveClients, for_session: sessionId }
+                });
+            } catch (error) {
+                // The browser is gone either way, so the slot is free
+                this.logger.warn(`Error hibernating session ${victim}: ${error.message}`);
+            }
+        }
+    }
+
+    /**
+     * Release slot reserved by acquireSlot
+     */
+    releaseSlot(sessionId) {
+        starting.delete(sessionId);
+    }
+
+    /**
+     * Check if starting another client would need a hibernation
+     */
+    isFull() {
+        return Boolean(this.maxLiveClients) && this.getLiveCount() >= this.maxLiveClients;
+    }
+
+    /**
+     * Count live clients plus clients being started
+     */
+    getLiveCount() {
+        let count = this.clientFactory.clients.size;
+        for (const sessionId of starting) {
+            if (!this.clientFactory.hasClient(sessionId)) {
+                count++;
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Pick the idle live session used least recently, or null
+     * Statuses are read from the database; the in-memory session documents may lag behind
+     */
+    async findLeastRecentlyUsed(excludeSessionId) {
+        const candidates = Array.from(this.clientFactory.clients.entries())
+            .filter(([sessionId]) => sessionId !== excludeSessionId && !starting.has(sessionId) && !reviving.has(sessionId))
+            .sort(([, a], [, b]) => a.lastActivity - b.lastActivity);
+
+        if (candidates.length === 0) {
+            return null;
+        }
+
+        const idleSessions = await WhatsAppSession.find({
+            session_id: { $in: candidates.map(([sessionId]) => sessionId) },
+            status: { $in: HIBERNATABLE_STATUSES }
+        }).select('session_id');
+        const idleIds = new Set(idleSessions.map(session => session.session_id));
+
+        const victim = candidates.find(([sessionId]) => idleIds.has(sessionId));
+        return victim ? victim[0] : null;
+    }
+
+    /**
+     * Destroy session's browser but keep its auth, marking it 'inactive'
+     */
+    async hibernate(sessionId, { cause = 'hibernated', details = null } = {}) {
+        await this.clientFactory.destroyClient(sessionId);
+        await this.stateMachine.transition(sessionId, 'inactive', {
+            cause,
+            actor: 'system',
+            details
+        });
+
+        counters.hibernated++;
+        this.logger.info(`Session ${sessionId} hibernated (${cause})`);
+    }
+
+    /**
+     * Bring hibernated session back, resolving once its client is ready
+     * Concurrent callers share the same revive
+     */
+    async revive(sessionData) {
+        const sessionId = sessionData.session_id;
+
+        if (!reviving.has(sessionId)) {
+            const revival = this.startRevive(sessionData).finally(() => reviving.delete(sessionId));
+            reviving.set(sessionId, revival);
+        }
+
+        return await reviving.get(sessionId);
+    }
+
+    /**
+     * Run one revive
+     */
+    async startRevive(sessionData) {
+        const sessionId = sessionData.session_id;
+        this.logger.start(`Reviving hibernated session: ${sessionId}`);
+
+        try {
+            await this.stateMachine.transition(sessionData, 'initializing', {
+                cause: 'pool_revived',
+                actor: 'system'
+            });
+
+            await this.whatsAppService.recreateClientFromSession(sessionData);
+
+            counters.revived++;
+            this.logger.success(`Session revived: ${sessionId}`);
+        } catch (error) {
+            counters.revive_failed++;
+            this.logger.warn(`Failed to revive session ${sessionId}: ${error.message}`);
+
+            // Same recovery as a failed restore: drop the half-started client, keep auth, retry if transient
+            await this.clientFactory.destroyClient(sessionId);
+            await this.stateMachine.tryTransition(sessionId, 'disconnected', {
+                cause: 'revive_failed',
+                actor: 'system',
+                details: { error: error.message },
+                updates: { disconnect_reason: `Revive failed: ${error.message}` }
+            });
+
+            if (this.whatsAppService.reconnectService.isRetryable(error)) {
+                await this.whatsAppService.reconnectService.scheduleReconnect(sessionId);
+            }
+
+            throw new Error(`Failed to revive hibernated session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get pool metrics
+     */
+    async getMetrics() {
+        const hibernatedSessions = await WhatsAppSession.countDocuments({ status: 'inactive' });
+
+        return {
+            max_live_clients: this.maxLiveClients || null,
+            live: this.clientFactory.clients.size,
+            starting: starting.size,
+            reviving: reviving.size,
+            hibernated: hibernatedSessions,
+            totals: { ...counters }
+        };
+    }
+}
+
+ClientPoolService.HIBERNATABLE_STATUSES = HIBERNATABLE_STATUSES;
+
+module.exports = ClientPoolService;
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const mongoose = require('mongoose');
+const Logger = require('../../utils/Logger');
+
+/**
+ * MongoDB (GridFS) store for whatsapp-web.js RemoteAuth
+ * Keeps the latest zipped session folder per session name
+ */
+class MongoSessionStore {
+    constructor(bucketName = 'whatsapp_sessions') {
+        this.bucketName = bucketName;
+        this.logger = new Logger('MongoSessionStore');
+    }
+
+    /**
+     * Get GridFS bucket on the active mongoose connection
+     */
+    getBucket() {
+        if (mongoose.connection.readyState !== 1) {
+            throw new Error('MongoDB is not connected');
+        }
+
+        return new mongoose.mongo.GridFSBucket(mongoose.connection.db, {
+            bucketName: this.bucketName
+        });
+    }
+
+    /**
+     * Get stored file name for session
+     */
+    getFileName(session) {
+        return `${session}.zip`;
+    }
+
+    /**
+     * Find stored files for session, newest first
+     */
+    async findFiles(session) {
+        return await this.getBucket()
+            .find({ filename: this.getFileName(session) })
+            .sort({ uploadDate: -1 })
+            .toArray();
+    }
+
+    /**
+     * Check if session backup exists
+     */
+    async sessionExists({ session }) {
+        const files = await this.findFiles(session);
+        return files.length > 0;
+    }
+
+    /**
+     * Upload zipped session written by RemoteAuth and drop older copies
+     */
+    async save({ session }) {
+        const bucket = this.getBucket();
+        const fileName = this.getFileName(session);
+
+        await new Promise((resolve, reject) => {
+            fs.createReadStream(fileName)
+                .pipe(bucket.openUploadStream(fileName))
+                .on('error', reject)
+                .on('finish', resolve);
+        });
+
+        const files = await this.findFiles(session);
+        for (const file of files.slice(1)) {
+            await bucket.delete(file._id);
+        }
+
+        this.logger.info(`Session backup saved: ${session}`);
+    }
+
+    /**
+     * Download latest session backup to given path
+     */
+    async extract({ session, path }) {
+        const bucket = this.getBucket();
+
+        await new Promise((resolve, reject) => {
+            bucket.openDownloadStreamByName(this.getFileName(session))
+                .on('error', reject)
+                .pipe(fs.createWriteStream(path))
+                .on('error', reject)
+                .on('finish', resolve);
+        });
+
+        this.logger.info(`Session backup extracted: ${session}`);
+    }
+
+    /**
+     * Delete all stored copies of session
+     */
+    async delete({ session }) {
+        const bucket = this.getBucket();
+        const files = await this.findFiles(session);
+
+        for (const file of files) {
+            await bucket.delete(file._id);
+        }
+
+        this.logger.info(`Session backup deleted: ${session}`);
+    }
+}
+
+module.exports = MongoSessionStore;
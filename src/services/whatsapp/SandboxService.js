@@ -0,0 +1,105 @@
+const WhatsAppService = require('./WhatsAppService');
+const Logger = require('../../utils/Logger');
+
+/**
+ * Service exposing sandbox driver controls (QR scan, inbound messages, disconnects)
+ * Only works on sessions created with WHATSAPP_DRIVER=sandbox
+ */
+class SandboxService {
+    constructor() {
+        this.whatsAppService = new WhatsAppService();
+        this.clientFactory = this.whatsAppService.clientFactory;
+        this.logger = new Logger('SandboxService');
+    }
+
+    /**
+     * Resolve live sandbox client for user/place
+     */
+    async getSandboxClient(userId, placeId, selector = {}) {
+        const sessionData = await this.whatsAppService.findSession(userId, placeId, selector);
+
+        if (sessionData.driver !== 'sandbox') {
+            throw new Error('Session is not using the sandbox driver');
+        }
+
+        const client = this.clientFactory.getClient(sessionData.session_id);
+        if (!client) {
+            throw new Error('No active sandbox client for this session. Please initialize the session first.');
+        }
+
+        return { client, sessionData };
+    }
+
+    /**
+     * Simulate scanning the pending QR code
+     */
+    async scanQR(userId, placeId, selector = {}) {
+        try {
+            const { client, sessionData } = await this.getSandboxClient(userId, placeId, selector);
+            await client.scanQR();
+
+            this.logger.info(`Sandbox QR scanned for session ${sessionData.session_id}`);
+
+            return {
+                session_id: sessionData.session_id,
+                status: 'authenticated'
+            };
+        } catch (error) {
+            this.logger.error('Error simulating QR scan:', error);
+            throw new Error(`Failed to scan sandbox QR: ${error.message}`);
+        }
+    }
+
+    /**
+     * Inject inbound message as if sent from a contact's phone
+     */
+    async injectInboundMessage(userId, placeId, { from, message, type, media }, selector = {}) {
+        try {
+            const { client, sessionData } = await this.getSandboxClient(userId, placeId, selector);
+            const inbound = client.injectMessage({ from, body: message, type, media });
+
+            this.logger.info(`Sandbox inbound message injected for session ${sessionData.session_id} from ${from}`);
+
+            return {
+                session_id: sessionData.session_id,
+                message_id: inbound.id._serialized,
+                from: inbound.from,
+                to: inbound.to,
+                body: inbound.body,
+                type: inbound.type,
+                has_media: inbound.hasMedia,
+                timestamp: inbound.timestamp
+            };
+        } catch (error) {
+            this.logger.error('Error injecting sandbox message:', error);
+            throw new Error(`Failed to inject sandbox message: ${error.message}`);
+        }
+    }
+
+    /**
+     * Simulate the phone dropping the connection
+     */
+    async simulateDisconnect(userId, placeId, reason, selector = {}) {
+        try {
+            const { client, sessionData } = await this.getSandboxClient(userId, placeId, selector);
+            client.simulateDisconnect(reason || 'NAVIGATION');
+
+            return {
+                session_id: sessionData.session_id,
+                reason: reason || 'NAVIGATION'
+            };
+        } catch (error) {
+            this.logger.error('Error simulating sandbox disconnect:', error);
+            throw new Error(`Failed to simulate sandbox disconnect: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get fake address book served by the sandbox driver
+     */
+    getAddressBook() {
+        return this.clientFactory.getDriver('sandbox').getAddressBook();
+    }
+}
+
+module.exports = SandboxService;
@@ -0,0 +1,277 @@
+const axios = require('axios');
+const WhatsAppSession = require('../../../models/WhatsAppSession');
+const WhatsAppService = require('./WhatsAppService');
+const ClientPoolService = require('./ClientPoolService');
+const SendDrainService = require('../message/SendDrainService');
+const Logger = require('../../utils/Logger');
+
+// restart: hot restart keeping auth; logout: log out and delete auth;
+// hibernate: close the browser keeping auth; resync: start a fresh contact fetch
+const ACTIONS = ['restart', 'logout', 'hibernate', 'resync'];
+
+/**
+ * Service behind the admin API: sessions of every user/place, bulk actions and service statistics
+ * Actions on sessions held by another instance are forwarded to that instance
+ */
+class SessionAdminService {
+    constructor() {
+        this.whatsAppService = new WhatsAppService();
+        this.clientFactory = this.whatsAppService.clientFactory;
+        this.sessionOwnershipService = this.clientFactory.sessionOwnershipService;
+        this.sendDrain = new SendDrainService();
+        this.logger = new Logger('SessionAdminService');
+        this.forwardTimeoutMs = parseInt(process.env.SESSION_FORWARD_TIMEOUT_MS) || 120000;
+    }
+
+    /**
+     * Build session query from admin filters
+     * @param {Object} filters - { status, user_id, place_id, driver, phone_number, active_before, active_after }
+     */
+    buildQuery(filters = {}) {
+        const query = {};
+
+        if (filters.status) {
+            const statuses = String(filters.status).split(',').map(status => status.trim()).filter(Boolean);
+            query.status = statuses.length === 1 ? statuses[0] : { $in: statuses };
+        }
+        if (filters.user_id) query.user_id = parseInt(filters.user_id);
+        if (filters.place_id) query.place_id = parseInt(filters.place_id);
+        if (filters.driver) query.driver = filters.driver;
+        if (filters.phone_number) {
+            const digits = String(filters.phone_number).replace(/\D/g, '');
+            query.phone_number = { $regex: digits };
+        }
+        if (filters.active_after) query.last_activity = { $gte: new Date(filters.active_after) };
+        if (filters.active_before) {
+            query.last_activity = { ...query.last_activity, $lt: new Date(filters.active_before) };
+        }
+
+        return query;
+    }
+
+    /**
+     * List sessions across all users and places
+     */
+    async listSessions(filters = {}, page = 1, limit = 50) {
+        try {
+            const query = this.buildQuery(filters);
+
+            const [sessions, total] = await Promise.all([
+                WhatsAppSession.find(query)
+                    .sort({ last_activity: -1 })
+                    .skip((page - 1) * limit)
+                    .limit(limit),
+                WhatsAppSession.countDocuments(query)
+            ]);
+
+            return {
+                sessions: await Promise.all(sessions.map(sessionData => this.formatSession(sessionData))),
+                pagination: {
+                    current_page: page,
+                    per_page: limit,
+                    total,
+                    total_pages: Math.ceil(total / limit),
+                    has_next: page < Math.ceil(total / limit),
+                    has_prev: page > 1
+                }
+            };
+        } catch (error) {
+            this.logger.error('Error listing sessions for admin:', error);
+            throw new Error(`Failed to list sessions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get full status of one session by id
+     */
+    async getSession(sessionId) {
+        const sessionData = await WhatsAppSession.findOne({ session_id: sessionId });
+        if (!sessionData) {
+            throw new Error(`No session found: ${sessionId}`);
+        }
+
+        const status = await this.whatsAppService.getSessionStatus(sessionData.user_id, sessionData.place_id, { session_id: sessionId });
+        delete status.qr_code;
+        delete status.pairing_code;
+
+        return {
+            ...status,
+            user_id: sessionData.user_id,
+            place_id: sessionData.place_id,
+            owner_instance: await this.sessionOwnershipService.getOwner(sessionId)
+        };
+    }
+
+    /**
+     * Summarize session for listings (no QR codes or pairing codes)
+     */
+    async formatSession(sessionData) {
+        return {
+            session_id: sessionData.session_id,
+            session_name: sessionData.session_name,
+            user_id: sessionData.user_id,
+            place_id: sessionData.place_id,
+            status: sessionData.status,
+            driver: sessionData.driver || 'webjs',
+            phone_number: sessionData.phone_number || null,
+            name: sessionData.name || null,
+            account_type: this.whatsAppService.formatAccountInfo(sessionData)?.account_type || null,
+            client_live: this.clientFactory.hasClient(sessionData.session_id),
+            owner_instance: await this.sessionOwnershipService.getOwner(sessionData.session_id),
+            disconnect_reason: sessionData.disconnect_reason || null,
+            reconnect_attempts: sessionData.reconnect_attempts || 0,
+            last_health_check: sessionData.last_health_check || null,
+            health_failures: sessionData.health_check?.consecutive_failures || 0,
+            inactive_flagged_at: sessionData.inactive_flagged_at || null,
+            total_contacts: sessionData.total_contacts || 0,
+            last_activity: sessionData.last_activity,
+            connected_at: sessionData.connected_at,
+            created_at: sessionData.created_at
+        };
+    }
+
+    /**
+     * Run action on several sessions; one failing session does not stop the others
+     * @param {Boolean} forwarded - request came from another instance, so never forward again
+     */
+    async runBulkAction(action, sessionIds, { forwarded = false } = {}) {
+        if (!ACTIONS.includes(action)) {
+            throw new Error(`Unknown admin action: ${action}. Available: ${ACTIONS.join(', ')}`);
+        }
+
+        this.logger.start(`Admin ${action} of ${sessionIds.length} sessions`);
+
+        const results = [];
+        for (const sessionId of sessionIds) {
+            try {
+                const owner = forwarded ? null : await this.sessionOwnershipService.getOwner(sessionId);
+                const result = owner && owner !== this.sessionOwnershipService.instanceId ?
+                    await this.forwardAction(owner, action, sessionId) :
+                    await this.runAction(action, sessionId);
+
+                results.push({ session_id: sessionId, success: true, ...result });
+            } catch (error) {
+                this.logger.warn(`Admin ${action} of session ${sessionId} failed: ${error.message}`);
+                results.push({ session_id: sessionId, success: false, error: error.message });
+            }
+        }
+
+        const succeeded = results.filter(result => result.success).length;
+        this.logger.complete(`Admin ${action}: ${succeeded}/${sessionIds.length} sessions succeeded`);
+
+        return {
+            action,
+            total: sessionIds.length,
+            succeeded,
+            failed: sessionIds.length - succeeded,
+            results
+        };
+    }
+
+    /**
+     * Run action on a session held by this instance (or by none)
+     */
+    async runAction(action, sessionId) {
+        const sessionData = await WhatsAppSession.findOne({ session_id: sessionId });
+        if (!sessionData) {
+            throw new Error('No session found');
+        }
+
+        const { user_id: userId, place_id: placeId } = sessionData;
+        const selector = { session_id: sessionId };
+
+        if (action === 'restart') {
+            const result = await this.whatsAppService.restartSession(userId, placeId, selector);
+            return { restart_state: result.restart.state };
+        }
+
+        if (action === 'logout') {
+            await this.whatsAppService.logout(userId, placeId, selector);
+            return { status: 'disconnected' };
+        }
+
+        if (action === 'hibernate') {
+            if (!this.clientFactory.hasClient(sessionId)) {
+                throw new Error('Session has no live client to hibernate');
+            }
+            if (!ClientPoolService.HIBERNATABLE_STATUSES.includes(sessionData.status)) {
+                throw new Error(`Session in status ${sessionData.status} cannot be hibernated`);
+            }
+
+            await this.whatsAppService.clientPool.hibernate(sessionId, {
+                cause: 'admin_hibernated',
+                details: { actor: 'admin' }
+            });
+            return { status: 'inactive' };
+        }
+
+        // resync
+        await this.whatsAppService.startBackgroundContactFetch(userId, placeId, selector);
+        return { status: 'fetching_contacts' };
+    }
+
+    /**
+     * Run action on the instance holding the session
+     */
+    async forwardAction(owner, action, sessionId) {
+        const ownerUrl = await this.sessionOwnershipService.getInstanceUrl(owner);
+        if (!ownerUrl) {
+            throw new Error(`Session owner instance ${owner} is unavailable`);
+        }
+
+        const path = '/api/admin/sessions/actions';
+        const response = await axios({
+            method: 'POST',
+            url: `${ownerUrl}${path}`,
+            data: { action, session_ids: [sessionId] },
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Admin-Key': process.env.ADMIN_API_KEY,
+                ...this.sessionOwnershipService.createForwardHeaders('POST', path)
+            },
+            timeout: this.forwardTimeoutMs,
+            validateStatus: () => true
+        });
+
+        const result = response.data?.data?.results?.[0];
+        if (!result) {
+            throw new Error(`Owner instance ${owner} answered ${response.status}: ${response.data?.message || 'no result'}`);
+        }
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        const { session_id, success, ...rest } = result;
+        return { ...rest, instance: owner };
+    }
+
+    /**
+     * Get service statistics without session documents
+     */
+    async getStats() {
+        const byStatus = await WhatsAppSession.aggregate([
+            { $group: { _id: '$status', count: { $sum: 1 } } }
+        ]);
+
+        const stats = this.whatsAppService.getStats();
+
+        return {
+            instance_id: this.sessionOwnershipService.instanceId,
+            total_active_clients: stats.total_active_clients,
+            live_sessions: stats.sessions_info,
+            sessions_by_status: Object.fromEntries(byStatus.map(({ _id, count }) => [_id, count])),
+            event_streams: stats.event_streams,
+            pool: await this.whatsAppService.clientPool.getMetrics(),
+            watchdog: this.whatsAppService.watchdogService.getMetrics(),
+            sends: this.sendDrain.getStats(),
+            uptime: process.uptime(),
+            memory_usage: process.memoryUsage(),
+            node_version: process.version,
+            timestamp: new Date().toISOString()
+        };
+    }
+}
+
+SessionAdminService.ACTIONS = ACTIONS;
+
+module.exports = SessionAdminService;
@@ -0,0 +1,112 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+const getRedisClient = require('../../../config/redis');
+const Logger = require('../../utils/Logger');
+
+// Shared across service instances: every publisher reaches every stream on this process
+const localEvents = new EventEmitter();
+localEvents.setMaxListeners(0);
+
+// Identifies this process so events it published are not delivered twice via Redis
+const origin = crypto.randomUUID();
+
+let subscriber = null;
+
+/**
+ * Service for publishing live session events (QR, status, progress, acks, inbound messages)
+ * Events are scoped by user/place; with Redis configured they fan out to every instance,
+ * so a stream opened on any instance sees events of sessions owned by another
+ */
+class SessionEventService {
+    constructor() {
+        this.redis = getRedisClient();
+        this.channel = `${process.env.REDIS_KEY_PREFIX || 'whatsapp:'}session-events`;
+        this.logger = new Logger('SessionEventService');
+    }
+
+    /**
+     * Get emitter event name for user/place
+     */
+    getScope(userId, placeId) {
+        return `${userId}:${placeId}`;
+    }
+
+    /**
+     * Publish event for session
+     * @param {Object} sessionData - Session document (or object with session_id, session_name, user_id, place_id)
+     * @param {string} type - qr, pairing_code, status, contacts_progress, message_ack, message
+     * @param {Object} data - Event payload
+     */
+    publish(sessionData, type, data = {}) {
+        const event = {
+            id: `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`,
+            type,
+            session_id: sessionData.session_id,
+            session_name: sessionData.session_name || null,
+            user_id: sessionData.user_id,
+            place_id: sessionData.place_id,
+            data,
+            timestamp: new Date().toISOString()
+        };
+
+        localEvents.emit(this.getScope(event.user_id, event.place_id), event);
+
+        if (this.redis) {
+            this.redis.publish(this.channel, JSON.stringify({ origin, event })).catch(error => {
+                this.logger.warn(`Error publishing ${type} event for ${event.session_id}: ${error.message}`);
+            });
+        }
+
+        return event;
+    }
+
+    /**
+     * Subscribe to events of user/place
+     * @returns {Function} unsubscribe
+     */
+    subscribe(userId, placeId, listener) {
+        this.ensureSubscriber();
+
+        const scope = this.getScope(userId, placeId);
+        localEvents.on(scope, listener);
+
+        return () => localEvents.removeListener(scope, listener);
+    }
+
+    /**
+     * Start relaying events published by other instances (Redis pub/sub needs its own connection)
+     */
+    ensureSubscriber() {
+        if (!this.redis || subscriber) {
+            return;
+        }
+
+        subscriber = this.redis.duplicate();
+        subscriber.subscribe(this.channel).catch(error => {
+            this.logger.error('Error subscribing to session events:', error);
+        });
+
+        subscriber.on('message', (channel, payload) => {
+            try {
+                const { origin: eventOrigin, event } = JSON.parse(payload);
+                if (eventOrigin === origin) {
+                    return;
+                }
+
+                localEvents.emit(this.getScope(event.user_id, event.place_id), event);
+            } catch (error) {
+                this.logger.warn(`Ignoring malformed session event: ${error.message}`);
+            }
+        });
+    }
+
+    /**
+     * Get number of open streams on this instance
+     */
+    getSubscriberCount() {
+        return localEvents.eventNames()
+            .reduce((total, scope) => total + localEvents.listenerCount(scope), 0);
+    }
+}
+
+module.exports = SessionEventService;
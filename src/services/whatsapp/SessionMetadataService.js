@@ -0,0 +1,147 @@
+const WhatsAppSession = require('../../../models/WhatsAppSession');
+const SessionStateMachine = require('./SessionStateMachine');
+const Logger = require('../../utils/Logger');
+
+/**
+ * Service collecting device and account metadata of connected sessions (account_info)
+ * Runs when a session becomes ready and every WHATSAPP_METADATA_REFRESH_MS afterwards.
+ * Each field is read on its own: battery, device and about text are not available on every account or driver
+ */
+class SessionMetadataService {
+    constructor(whatsAppService) {
+        this.whatsAppService = whatsAppService;
+        this.clientFactory = whatsAppService.clientFactory;
+        this.logger = new Logger('SessionMetadataService');
+        this.refreshIntervalMs = parseInt(process.env.WHATSAPP_METADATA_REFRESH_MS) || 21600000;
+        this.timer = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Refresh metadata of live sessions every WHATSAPP_METADATA_REFRESH_MS
+     */
+    start() {
+        if (this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.run().catch(error => {
+                this.logger.error('Error refreshing session metadata:', error);
+            });
+        }, this.refreshIntervalMs);
+    }
+
+    /**
+     * Stop scheduled refreshes
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Refresh metadata of every logged-in live client
+     */
+    async run() {
+        if (this.isRunning) {
+            return 0;
+        }
+
+        this.isRunning = true;
+        try {
+            const sessions = await WhatsAppSession.find({
+                session_id: { $in: Array.from(this.clientFactory.clients.keys()) },
+                status: { $in: SessionStateMachine.USABLE_STATUSES }
+            }).select('session_id');
+
+            let refreshed = 0;
+            for (const { session_id: sessionId } of sessions) {
+                if (await this.refresh(sessionId)) {
+                    refreshed++;
+                }
+            }
+
+            return refreshed;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Collect and store metadata of session's live client; returns the stored account_info or null
+     */
+    async refresh(sessionId) {
+        const client = this.clientFactory.getClient(sessionId);
+        if (!client || !client.info) {
+            return null;
+        }
+
+        try {
+            const accountInfo = await this.collect(client);
+
+            await WhatsAppSession.findOneAndUpdate(
+                { session_id: sessionId },
+                { account_info: accountInfo, ...(client.info.pushname && { name: client.info.pushname }) }
+            );
+
+            return accountInfo;
+        } catch (error) {
+            this.logger.warn(`Error refreshing metadata for session ${sessionId}:`, error);
+            return null;
+        }
+    }
+
+    /**
+     * Read metadata from client, leaving unavailable fields null
+     */
+    async collect(client) {
+        const info = client.info;
+        const ownId = info.wid?._serialized;
+
+        const [webVersion, contact, profilePictureUrl, battery] = await Promise.all([
+            this.read(() => client.getWWebVersion()),
+            this.read(() => client.getContactById(ownId)),
+            this.read(() => client.getProfilePicUrl(ownId)),
+            this.read(() => info.getBatteryStatus())
+        ]);
+        const about = contact && typeof contact.getAbout === 'function' ?
+            await this.read(() => contact.getAbout()) : null;
+
+        // info.phone is only filled by legacy (non multi-device) WhatsApp Web
+        const phone = info.phone || {};
+
+        return {
+            platform: info.platform || null,
+            web_version: webVersion || null,
+            is_business: contact ? Boolean(contact.isBusiness) : null,
+            is_enterprise: contact ? Boolean(contact.isEnterprise) : null,
+            profile_picture_url: profilePictureUrl || null,
+            about: about || null,
+            battery: Number.isFinite(battery?.battery) ? battery.battery : null,
+            plugged: typeof battery?.plugged === 'boolean' ? battery.plugged : null,
+            device: {
+                manufacturer: phone.device_manufacturer || null,
+                model: phone.device_model || null,
+                os_version: phone.os_version || null,
+                wa_version: phone.wa_version || null
+            },
+            refreshed_at: new Date()
+        };
+    }
+
+    /**
+     * Run reader, resolving null when it throws or the client lacks the method
+     */
+    async read(reader) {
+        try {
+            return await reader();
+        } catch (error) {
+            return null;
+        }
+    }
+}
+
+module.exports = SessionMetadataService;
@@ -0,0 +1,228 @@
+const os = require('os');
+const crypto = require('crypto');
+const getRedisClient = require('../../../config/redis');
+const Logger = require('../../utils/Logger');
+
+// Only touch a lease when this instance still holds it
+const RENEW_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('PEXPIRE', KEYS[1], ARGV[2])
+end
+return 0`;
+
+const RELEASE_SCRIPT = `
+if redis.call('GET', KEYS[1]) == ARGV[1] then
+    return redis.call('DEL', KEYS[1])
+end
+return 0`;
+
+// Requests forwarded between instances carry the sender and an INSTANCE_SECRET signature
+const FORWARDED_HEADER = 'x-forwarded-instance';
+const FORWARD_SIGNATURE_HEADER = 'x-forwarded-signature';
+const FORWARD_MAX_AGE_SECONDS = 300;
+
+/**
+ * Service for coordinating session ownership between service instances via Redis leases
+ * Falls back to single instance mode (every claim succeeds) when Redis is not configured
+ */
+class SessionOwnershipService {
+    constructor() {
+        this.redis = getRedisClient();
+        this.logger = new Logger('SessionOwnershipService');
+        this.keyPrefix = process.env.REDIS_KEY_PREFIX || 'whatsapp:';
+        this.leaseTtlMs = parseInt(process.env.SESSION_LEASE_TTL_MS) || 30000;
+        this.instanceId = process.env.INSTANCE_ID || `${os.hostname()}-${process.pid}`;
+        this.instanceUrl = process.env.INSTANCE_URL || `http://${os.hostname()}:${process.env.PORT || 5000}`;
+        this.forwardSecret = process.env.INSTANCE_SECRET || null;
+        this.heartbeatTimer = null;
+    }
+
+    /**
+     * Check if ownership is coordinated through Redis
+     */
+    isEnabled() {
+        return this.redis !== null;
+    }
+
+    /**
+     * Get Redis key holding the owner of a session
+     */
+    getSessionKey(sessionId) {
+        return `${this.keyPrefix}session-owner:${sessionId}`;
+    }
+
+    /**
+     * Get Redis key holding the URL of an instance
+     */
+    getInstanceKey(id) {
+        return `${this.keyPrefix}instance:${id}`;
+    }
+
+    /**
+     * Claim session for this instance
+     * Returns true when the lease is acquired or already held by this instance
+     */
+    async claim(sessionId) {
+        if (!this.isEnabled()) {
+            return true;
+        }
+
+        const key = this.getSessionKey(sessionId);
+        const acquired = await this.redis.set(key, this.instanceId, 'PX', this.leaseTtlMs, 'NX');
+        if (acquired) {
+            this.logger.info(`Claimed session ${sessionId}`);
+            return true;
+        }
+
+        const renewed = await this.redis.eval(RENEW_SCRIPT, 1, key, this.instanceId, this.leaseTtlMs);
+        return renewed === 1;
+    }
+
+    /**
+     * Renew lease for session held by this instance
+     */
+    async renew(sessionId) {
+        if (!this.isEnabled()) {
+            return true;
+        }
+
+        const renewed = await this.redis.eval(
+            RENEW_SCRIPT, 1, this.getSessionKey(sessionId), this.instanceId, this.leaseTtlMs
+        );
+        return renewed === 1;
+    }
+
+    /**
+     * Release session lease if held by this instance
+     */
+    async release(sessionId) {
+        if (!this.isEnabled()) {
+            return;
+        }
+
+        await this.redis.eval(RELEASE_SCRIPT, 1, this.getSessionKey(sessionId), this.instanceId);
+    }
+
+    /**
+     * Get owning instance of session, or null when no live lease exists
+     */
+    async getOwner(sessionId) {
+        if (!this.isEnabled()) {
+            return null;
+        }
+
+        return await this.redis.get(this.getSessionKey(sessionId));
+    }
+
+    /**
+     * Check if session is held by another live instance
+     */
+    async isOwnedElsewhere(sessionId) {
+        const owner = await this.getOwner(sessionId);
+        return owner !== null && owner !== this.instanceId;
+    }
+
+    /**
+     * Get base URL of an instance for request forwarding
+     */
+    async getInstanceUrl(id) {
+        if (!this.isEnabled()) {
+            return null;
+        }
+
+        return await this.redis.get(this.getInstanceKey(id));
+    }
+
+    /**
+     * Get headers marking a request as forwarded by this instance, signed when INSTANCE_SECRET is set
+     */
+    createForwardHeaders(method, url) {
+        const headers = { [FORWARDED_HEADER]: this.instanceId };
+
+        if (this.forwardSecret) {
+            const timestamp = Math.floor(Date.now() / 1000);
+            headers[FORWARD_SIGNATURE_HEADER] = `${timestamp}.${this.signForward(this.instanceId, timestamp, method, url)}`;
+        }
+
+        return headers;
+    }
+
+    /**
+     * Check if request was forwarded by another instance: it needs a recent signature made with
+     * INSTANCE_SECRET, so clients cannot skip owner routing by sending the header themselves.
+     * Without INSTANCE_SECRET no request counts as forwarded
+     */
+    isForwarded(req) {
+        const instanceId = req.get(FORWARDED_HEADER);
+        const [timestamp, signature] = String(req.get(FORWARD_SIGNATURE_HEADER) || '').split('.');
+        if (!this.forwardSecret || !instanceId || !signature) {
+            return false;
+        }
+
+        const age = Math.floor(Date.now() / 1000) - parseInt(timestamp);
+        if (!(Math.abs(age) <= FORWARD_MAX_AGE_SECONDS)) {
+            return false;
+        }
+
+        const expected = Buffer.from(this.signForward(instanceId, parseInt(timestamp), req.method, req.originalUrl));
+        const provided = Buffer.from(signature);
+        return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+    }
+
+    signForward(instanceId, timestamp, method, url) {
+        return crypto.createHmac('sha256', this.forwardSecret)
+            .update(`${instanceId}.${timestamp}.${method.toUpperCase()}.${url}`)
+            .digest('base64url');
+    }
+
+    /**
+     * Start periodic heartbeat renewing this instance and all sessions it hosts
+     * Sessions whose lease was lost are dropped locally (auth is kept) to avoid two live clients
+     */
+    startHeartbeat(clientFactory) {
+        if (!this.isEnabled() || this.heartbeatTimer) {
+            return;
+        }
+
+        const beat = async () => {
+            try {
+                await this.redis.set(
+                    this.getInstanceKey(this.instanceId), this.instanceUrl, 'PX', this.leaseTtlMs
+                );
+
+                for (const sessionId of clientFactory.getActiveSessions()) {
+                    const renewed = await this.renew(sessionId);
+                    if (!renewed) {
+                        this.logger.warn(`Lost ownership of session ${sessionId}, dropping local client`);
+                        await clientFactory.destroyClient(sessionId);
+                    }
+                }
+            } catch (error) {
+                this.logger.error('Error renewing session leases:', error);
+            }
+        };
+
+        beat();
+        this.heartbeatTimer = setInterval(beat, Math.floor(this.leaseTtlMs / 3));
+        this.logger.info(`Session ownership heartbeat started for instance ${this.instanceId} (${this.instanceUrl})`);
+    }
+
+    /**
+     * Stop heartbeat and give up the instance registration
+     */
+    async stopHeartbeat() {
+        if (this.heartbeatTimer) {
+            clearInterval(this.heartbeatTimer);
+            this.heartbeatTimer = null;
+        }
+
+        if (this.isEnabled()) {
+            await this.redis.del(this.getInstanceKey(this.instanceId));
+        }
+    }
+}
+
+SessionOwnershipService.FORWARDED_HEADER = FORWARDED_HEADER;
+SessionOwnershipService.FORWARD_SIGNATURE_HEADER = FORWARD_SIGNATURE_HEADER;
+
+module.exports = SessionOwnershipService;
@@ -0,0 +1,212 @@
+const WhatsAppSession = require('../../../models/WhatsAppSession');
+const SessionStateMachine = require('./SessionStateMachine');
+const Logger = require('../../utils/Logger');
+
+// hibernate: close the browser, keep auth (re-open without a QR scan)
+// logout: log out of WhatsApp and delete auth
+// flag: only mark the session, leaving the client running
+const POLICIES = ['hibernate', 'logout', 'flag'];
+
+// Sessions busy with a contact fetch are never reaped
+const BUSY_STATUSES = ['fetching_contacts', 'processing_contacts'];
+
+/**
+ * Service for reaping sessions without activity for WHATSAPP_SESSION_TIMEOUT
+ * Runs on a schedule and can produce a dry-run report of what it would reap
+ */
+class SessionReaperService {
+    constructor(whatsAppService) {
+        this.whatsAppService = whatsAppService;
+        this.clientFactory = whatsAppService.clientFactory;
+        this.stateMachine = whatsAppService.stateMachine;
+        this.logger = new Logger('SessionReaperService');
+        this.enabled = process.env.WHATSAPP_REAPER_ENABLED !== 'false';
+        this.timeoutMs = parseInt(process.env.WHATSAPP_SESSION_TIMEOUT) || 1800000;
+        this.policy = process.env.WHATSAPP_REAPER_POLICY || 'flag';
+        this.timer = null;
+        this.isRunning = false;
+
+        if (!POLICIES.includes(this.policy)) {
+            throw new Error(`Unknown reaper policy: ${this.policy}. Available: ${POLICIES.join(', ')}`);
+        }
+    }
+
+    /**
+     * Run reaper every WHATSAPP_SESSION_TIMEOUT
+     */
+    start() {
+        if (!this.enabled || this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.run().catch(error => {
+                this.logger.error('Error reaping inactive sessions:', error);
+            });
+        }, this.timeoutMs);
+
+        this.logger.info(`Reaper started: policy ${this.policy}, timeout ${Math.round(this.timeoutMs / 60000)} min`);
+    }
+
+    /**
+     * Stop scheduled runs
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Build report of sessions idle longer than the timeout and what would happen to them
+     * @param {Object} options - { policy, timeoutMs } overriding the configured values
+     */
+    async getReport({ policy = this.policy, timeoutMs = this.timeoutMs } = {}) {
+        if (!POLICIES.includes(policy)) {
+            throw new Error(`Unknown reaper policy: ${policy}. Available: ${POLICIES.join(', ')}`);
+        }
+
+        const now = Date.now();
+        const sessions = await WhatsAppSession.find({
+            status: { $in: SessionStateMachine.USABLE_STATUSES },
+            last_activity: { $lt: new Date(now - timeoutMs) }
+        }).sort({ last_activity: 1 });
+
+        const candidates = [];
+        for (const sessionData of sessions) {
+            const idleMs = now - sessionData.last_activity.getTime();
+            const candidate = {
+                session_id: sessionData.session_id,
+                session_name: sessionData.session_name,
+                user_id: sessionData.user_id,
+                place_id: sessionData.place_id,
+                status: sessionData.status,
+                last_activity: sessionData.last_activity,
+                idle_minutes: Math.floor(idleMs / 60000),
+                client_active: this.clientFactory.hasClient(sessionData.session_id),
+                action: policy,
+                reason: `No activity for ${Math.floor(idleMs / 60000)} min (timeout ${Math.round(timeoutMs / 60000)} min)`,
+                skipped_reason: await this.getSkipReason(sessionData, policy)
+            };
+
+            if (candidate.skipped_reason) {
+                candidate.action = 'none';
+            }
+
+            candidates.push(candidate);
+        }
+
+        return {
+            policy,
+            timeout_ms: timeoutMs,
+            checked_at: new Date(now),
+            total: candidates.length,
+            to_reap: candidates.filter(candidate => candidate.action !== 'none').length,
+            candidates
+        };
+    }
+
+    /**
+     * Get reason a stale session must be left alone, or null
+     */
+    async getSkipReason(sessionData, policy) {
+        if (BUSY_STATUSES.includes(sessionData.status)) {
+            return 'Contact fetch in progress';
+        }
+
+        if (policy === 'flag' && sessionData.inactive_flagged_at) {
+            return 'Already flagged';
+        }
+
+        // The owning instance reaps its own sessions
+        if (await this.clientFactory.sessionOwnershipService.isOwnedElsewhere(sessionData.session_id)) {
+            return 'Owned by another instance';
+        }
+
+        return null;
+    }
+
+    /**
+     * Reap sessions idle longer than the timeout
+     * @param {Object} options - { policy, timeoutMs } overriding the configured values
+     */
+    async run(options = {}) {
+        if (this.isRunning) {
+            return null;
+        }
+
+        this.isRunning = true;
+        try {
+            const report = await this.getReport(options);
+
+            for (const candidate of report.candidates) {
+                if (candidate.action === 'none') {
+                    continue;
+                }
+
+                try {
+                    await this.reap(candidate, report.policy);
+                    candidate.result = 'reaped';
+                } catch (error) {
+                    this.logger.error(`Error reaping session ${candidate.session_id}:`, error);
+                    candidate.result = 'failed';
+                    candidate.error = error.message;
+                }
+            }
+
+            if (report.to_reap > 0) {
+                this.logger.info(`Reaped ${report.candidates.filter(c => c.result === 'reaped').length}/${report.to_reap} inactive sessions (policy ${report.policy})`);
+            }
+
+            return report;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Apply policy to one session
+     */
+    async reap(candidate, policy) {
+        const sessionId = candidate.session_id;
+        const details = { policy, idle_minutes: candidate.idle_minutes };
+
+        if (policy === 'flag') {
+            await WhatsAppSession.findOneAndUpdate(
+                { session_id: sessionId },
+                { inactive_flagged_at: new Date() }
+            );
+            this.logger.info(`Session ${sessionId} flagged inactive`);
+            return;
+        }
+
+        if (policy === 'hibernate') {
+            await this.whatsAppService.clientPool.hibernate(sessionId, { cause: 'inactive_timeout', details });
+            return;
+        }
+
+        const client = this.clientFactory.getClient(sessionId);
+        if (client) {
+            try {
+                await client.logout();
+            } catch (error) {
+                this.logger.warn(`Error logging out inactive session ${sessionId}:`, error);
+            }
+        }
+
+        await this.stateMachine.transition(sessionId, 'disconnected', {
+            cause: 'inactive_timeout',
+            actor: 'system',
+            details,
+            updates: { disconnect_reason: 'Inactive timeout' }
+        });
+        const sessionData = await WhatsAppSession.findOne({ session_id: sessionId });
+        await this.clientFactory.cleanupClient(sessionId, sessionData?.driver);
+        this.logger.info(`Session ${sessionId} logged out after inactivity`);
+    }
+}
+
+SessionReaperService.POLICIES = POLICIES;
+
+module.exports = SessionReaperService;
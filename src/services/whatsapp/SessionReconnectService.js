@@ -0,0 +1,255 @@
+const WhatsAppSession = require('../../../models/WhatsAppSession');
+const Logger = require('../../utils/Logger');
+
+// Disconnect reasons meaning the phone unlinked the device: stored auth is useless
+const LOGOUT_REASONS = ['LOGOUT', 'UNPAIRED', 'UNPAIRED_IDLE'];
+
+// Disconnect reasons a retry cannot fix, but where auth is kept for manual recovery
+const PERMANENT_REASONS = ['TOS_BLOCK', 'SMB_TOS_BLOCK', 'DEPRECATED_VERSION'];
+
+// Shared across service instances so a session never has two pending reconnects
+const pendingTimers = new Map(); // sessionId => timeout
+const inFlight = new Set(); // sessionIds with a reconnect attempt running
+
+/**
+ * Service for reconnecting sessions after transient disconnects
+ * Retries with exponential backoff and jitter, keeping stored auth between attempts
+ */
+class SessionReconnectService {
+    constructor(whatsAppService) {
+        this.whatsAppService = whatsAppService;
+        this.clientFactory = whatsAppService.clientFactory;
+        this.stateMachine = whatsAppService.stateMachine;
+        this.logger = new Logger('SessionReconnectService');
+        this.enabled = process.env.WHATSAPP_RECONNECT_ENABLED !== 'false';
+        this.baseDelayMs = parseInt(process.env.WHATSAPP_RECONNECT_BASE_DELAY_MS) || 5000;
+        this.maxDelayMs = parseInt(process.env.WHATSAPP_RECONNECT_MAX_DELAY_MS) || 300000;
+        this.maxAttempts = parseInt(process.env.WHATSAPP_RECONNECT_MAX_ATTEMPTS) || 10;
+    }
+
+    /**
+     * Classify disconnect reason as 'logout', 'permanent' or 'transient'
+     */
+    static classifyDisconnect(reason) {
+        const normalized = String(reason || '').toUpperCase();
+
+        if (LOGOUT_REASONS.includes(normalized)) {
+            return 'logout';
+        }
+
+        if (PERMANENT_REASONS.includes(normalized)) {
+            return 'permanent';
+        }
+
+        return 'transient';
+    }
+
+    /**
+     * Get delay before attempt: exponential backoff capped at maxDelayMs, with equal jitter
+     */
+    getBackoffDelay(attempt) {
+        const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * Math.pow(2, attempt - 1));
+        return Math.round(exponential / 2 + Math.random() * exponential / 2);
+    }
+
+    /**
+     * Check if session has a reconnect scheduled or running
+     */
+    isReconnecting(sessionId) {
+        return pendingTimers.has(sessionId) || inFlight.has(sessionId);
+    }
+
+    /**
+     * Handle disconnect of a live client, scheduling a reconnect when the drop is transient
+     */
+    async handleDisconnect(sessionId, reason) {
+        const kind = SessionReconnectService.classifyDisconnect(reason);
+
+        if (!this.enabled || kind !== 'transient') {
+            this.logger.info(`Not reconnecting session ${sessionId} after ${kind} disconnect (${reason})`);
+            return false;
+        }
+
+        // A failing attempt reschedules itself
+        if (this.isReconnecting(sessionId)) {
+            return false;
+        }
+
+        return await this.scheduleReconnect(sessionId);
+    }
+
+    /**
+     * Schedule next reconnect attempt for session
+     */
+    async scheduleReconnect(sessionId) {
+        const sessionData = await WhatsAppSession.findOne({ session_id: sessionId });
+        if (!sessionData) {
+            return false;
+        }
+
+        const attempt = (sessionData.reconnect_attempts || 0) + 1;
+        if (attempt > this.maxAttempts) {
+            this.logger.warn(`Giving up reconnecting session ${sessionId} after ${this.maxAttempts} attempts`);
+            await this.stateMachine.tryTransition(sessionId, 'disconnected', {
+                cause: 'reconnect_exhausted',
+                actor: 'system',
+                details: { attempts: this.maxAttempts },
+                updates: { next_reconnect_at: null }
+            });
+            return false;
+        }
+
+        const delay = this.getBackoffDelay(attempt);
+        const nextAttemptAt = new Date(Date.now() + delay);
+
+        await WhatsAppSession.findOneAndUpdate(
+            { session_id: sessionId },
+            {
+                reconnect_attempts: attempt,
+                next_reconnect_at: nextAttemptAt,
+                updated_at: new Date()
+            }
+        );
+
+        this.setTimer(sessionId, attempt, delay);
+        this.logger.info(`Reconnect attempt ${attempt}/${this.maxAttempts} for session ${sessionId} in ${Math.round(delay / 1000)}s`);
+
+        return true;
+    }
+
+    /**
+     * Start timer for attempt
+     */
+    setTimer(sessionId, attempt, delay) {
+        const timer = setTimeout(() => {
+            pendingTimers.delete(sessionId);
+            this.attemptReconnect(sessionId, attempt).catch(error => {
+                this.logger.error(`Reconnect attempt failed unexpectedly for ${sessionId}:`, error);
+            });
+        }, delay);
+
+        pendingTimers.set(sessionId, timer);
+    }
+
+    /**
+     * Run one reconnect attempt, rescheduling on transient failure
+     */
+    async attemptReconnect(sessionId, attempt) {
+        inFlight.add(sessionId);
+        let retry = false;
+
+        try {
+            const sessionData = await WhatsAppSession.findOne({ session_id: sessionId });
+
+            // Someone re-initialized or logged out in the meantime
+            if (!sessionData || sessionData.status !== 'disconnected' || this.clientFactory.hasClient(sessionId)) {
+                this.logger.info(`Reconnect of session ${sessionId} no longer needed`);
+                return;
+            }
+
+            const claimed = await this.clientFactory.sessionOwnershipService.claim(sessionId);
+            if (!claimed) {
+                this.logger.info(`Session ${sessionId} is owned by another instance, skipping reconnect`);
+                return;
+            }
+
+            await this.stateMachine.transition(sessionData, 'initializing', {
+                cause: 'reconnect_attempt',
+                actor: 'system',
+                details: { attempt }
+            });
+
+            await this.whatsAppService.recreateClientFromSession(sessionData);
+            this.logger.success(`Session ${sessionId} reconnected on attempt ${attempt}`);
+        } catch (error) {
+            this.logger.warn(`Reconnect attempt ${attempt} for session ${sessionId} failed: ${error.message}`);
+
+            await this.clientFactory.destroyClient(sessionId);
+            await this.stateMachine.tryTransition(sessionId, 'disconnected', {
+                cause: 'reconnect_failed',
+                actor: 'system',
+                details: { attempt, error: error.message },
+                updates: { next_reconnect_at: null }
+            });
+
+            retry = this.isRetryable(error);
+        } finally {
+            inFlight.delete(sessionId);
+        }
+
+        if (retry) {
+            await this.scheduleReconnect(sessionId);
+        }
+    }
+
+    /**
+     * Check if failed attempt may be retried
+     */
+    isRetryable(error) {
+        if (error.disconnectReason) {
+            return SessionReconnectService.classifyDisconnect(error.disconnectReason) === 'transient';
+        }
+
+        return !error.message.includes('No stored authentication data') &&
+            !error.message.includes('Authentication failed') &&
+            !error.message.includes('owned by another instance');
+    }
+
+    /**
+     * Cancel pending reconnect and reset counters (explicit logout or re-init)
+     */
+    async cancelReconnect(sessionId) {
+        const timer = pendingTimers.get(sessionId);
+        if (timer) {
+            clearTimeout(timer);
+            pendingTimers.delete(sessionId);
+            this.logger.info(`Pending reconnect cancelled for session ${sessionId}`);
+        }
+
+        await WhatsAppSession.findOneAndUpdate(
+            { session_id: sessionId },
+            { reconnect_attempts: 0, next_reconnect_at: null }
+        );
+    }
+
+    /**
+     * Re-arm reconnects that were pending when the process stopped
+     */
+    async resumePendingReconnects() {
+        if (!this.enabled) {
+            return 0;
+        }
+
+        const sessions = await WhatsAppSession.find({
+            status: 'disconnected',
+            next_reconnect_at: { $ne: null }
+        });
+
+        for (const sessionData of sessions) {
+            if (this.isReconnecting(sessionData.session_id)) {
+                continue;
+            }
+
+            const delay = Math.max(0, sessionData.next_reconnect_at.getTime() - Date.now());
+            this.setTimer(sessionData.session_id, sessionData.reconnect_attempts || 1, delay);
+        }
+
+        if (sessions.length > 0) {
+            this.logger.info(`Resumed ${sessions.length} pending reconnects`);
+        }
+
+        return sessions.length;
+    }
+
+    /**
+     * Stop all pending reconnect timers
+     */
+    stopAll() {
+        for (const timer of pendingTimers.values()) {
+            clearTimeout(timer);
+        }
+        pendingTimers.clear();
+    }
+}
+
+module.exports = SessionReconnectService;
@@ -0,0 +1,226 @@
+const Logger = require('../../utils/Logger');
+
+// Shared across service instances: one restart per session at a time, last outcome kept for reporting
+const restarts = new Map(); // sessionId => { progress, promise }
+
+const FINAL_STATES = ['completed', 'login_required', 'failed'];
+
+/**
+ * Service for hot-restarting a session's client
+ * Closes the browser but keeps auth, starts a new client with the usual event handlers and waits for ready.
+ * Sends arriving meanwhile wait for the restart and then go out on the new client
+ */
+class SessionRestartService {
+    constructor(whatsAppService) {
+        this.whatsAppService = whatsAppService;
+        this.clientFactory = whatsAppService.clientFactory;
+        this.stateMachine = whatsAppService.stateMachine;
+        this.logger = new Logger('SessionRestartService');
+        this.readyTimeoutMs = parseInt(process.env.WHATSAPP_RESTART_READY_TIMEOUT_MS) || 60000;
+    }
+
+    /**
+     * Check if session has a restart running
+     */
+    isRestarting(sessionId) {
+        const restart = restarts.get(sessionId);
+        return Boolean(restart) && !FINAL_STATES.includes(restart.progress.state);
+    }
+
+    /**
+     * Get progress of the running or last restart of session, or null
+     */
+    getProgress(sessionId) {
+        const restart = restarts.get(sessionId);
+        return restart ? { ...restart.progress, steps: [...restart.progress.steps] } : null;
+    }
+
+    /**
+     * Start hot restart of session; returns progress right away, a running restart is not started twice
+     * @param {Object} trigger - { cause, actor, details } recorded in the session history
+     */
+    async restart(sessionData, trigger = {}) {
+        const sessionId = sessionData.session_id;
+
+        if (this.isRestarting(sessionId)) {
+            return this.getProgress(sessionId);
+        }
+
+        const progress = {
+            session_id: sessionId,
+            cause: trigger.cause || 'restart',
+            state: 'pending',
+            started_at: new Date(),
+            finished_at: null,
+            steps: [],
+            queued_sends: 0,
+            replayed_sends: 0,
+            error: null
+        };
+
+        const promise = this.run(sessionData, progress, trigger);
+        // Waiting sends get the failure; the restart itself must not raise an unhandled rejection
+        promise.catch(() => {});
+
+        restarts.set(sessionId, { progress, promise });
+        return this.getProgress(sessionId);
+    }
+
+    /**
+     * Record restart step and push it to live event streams
+     */
+    setState(sessionData, progress, state, details = null) {
+        progress.state = state;
+        progress.steps.push({ state, at: new Date(), ...(details && { details }) });
+
+        if (FINAL_STATES.includes(state)) {
+            progress.finished_at = new Date();
+        }
+
+        this.whatsAppService.eventService.publish(sessionData, 'restart', {
+            state,
+            queued_sends: progress.queued_sends,
+            replayed_sends: progress.replayed_sends,
+            error: progress.error
+        });
+    }
+
+    /**
+     * Run restart steps
+     */
+    async run(sessionData, progress, { cause = 'restart', actor = 'api', details = null } = {}) {
+        const sessionId = sessionData.session_id;
+
+        try {
+            this.setState(sessionData, progress, 'stopping');
+            await this.whatsAppService.reconnectService.cancelReconnect(sessionId);
+            await this.clientFactory.destroyClient(sessionId);
+
+            await this.stateMachine.transition(sessionData, 'initializing', {
+                cause,
+                actor,
+                details,
+                updates: { qr_code: null }
+            });
+
+            this.setState(sessionData, progress, 'starting');
+            const client = await this.whatsAppService.startClient(sessionData);
+
+            this.setState(sessionData, progress, 'waiting_ready');
+            const outcome = await this.waitForReady(sessionData, client);
+
+            if (outcome === 'login_required') {
+                this.setState(sessionData, progress, 'login_required');
+                this.logger.warn(`Session ${sessionId} restarted but needs a new login`);
+                return;
+            }
+
+            this.setState(sessionData, progress, 'completed', { queued_sends: progress.queued_sends });
+            this.logger.success(`Session ${sessionId} restarted`);
+        } catch (error) {
+            this.logger.warn(`Restart of session ${sessionId} failed: ${error.message}`);
+            progress.error = error.message;
+
+            // Same recovery as a failed restore: drop the half-started client, keep auth, retry if transient
+            await this.clientFactory.destroyClient(sessionId);
+            await this.stateMachine.tryTransition(sessionId, 'disconnected', {
+                cause: 'restart_failed',
+                actor: 'system',
+                details: { error: error.message },
+                updates: { disconnect_reason: `Restart failed: ${error.message}` }
+            });
+
+            if (this.whatsAppService.reconnectService.isRetryable(error)) {
+                await this.whatsAppService.reconnectService.scheduleReconnect(sessionId);
+            }
+
+            this.setState(sessionData, progress, 'failed');
+            throw error;
+        }
+    }
+
+    /**
+     * Wait for new client to become ready
+     * Resolves 'ready' once the session status is ready (so queued sends pass the status check),
+     * or 'login_required' when the stored auth was not accepted and a QR was shown
+     */
+    waitForReady(sessionData, client) {
+        return new Promise((resolve, reject) => {
+            const cleanup = () => {
+                clearTimeout(timeout);
+                unsubscribe();
+                client.removeListener('qr', onQR);
+                client.removeListener('auth_failure', onAuthFailure);
+                client.removeListener('initialize_failure', onInitializeFailure);
+                client.removeListener('disconnected', onDisconnected);
+            };
+
+            const onReady = () => {
+                cleanup();
+                resolve('ready');
+            };
+
+            const onQR = () => {
+                cleanup();
+                resolve('login_required');
+            };
+
+            const onAuthFailure = (message) => {
+                cleanup();
+                reject(new Error(`Authentication failed during restart: ${message}`));
+            };
+
+            const onInitializeFailure = (error) => {
+                cleanup();
+                reject(new Error(`Client failed to start during restart: ${error.message}`));
+            };
+
+            const onDisconnected = (reason) => {
+                cleanup();
+                const error = new Error(`Client disconnected during restart: ${reason}`);
+                error.disconnectReason = reason;
+                reject(error);
+            };
+
+            const timeout = setTimeout(() => {
+                cleanup();
+                reject(new Error(`Client not ready ${Math.round(this.readyTimeoutMs / 1000)}s after restart`));
+            }, this.readyTimeoutMs);
+
+            const unsubscribe = this.whatsAppService.eventService.subscribe(sessionData.user_id, sessionData.place_id, (event) => {
+                if (event.session_id === sessionData.session_id && event.type === 'status' && event.data.to_status === 'ready') {
+                    onReady();
+                }
+            });
+            client.once('qr', onQR);
+            client.once('auth_failure', onAuthFailure);
+            client.once('initialize_failure', onInitializeFailure);
+            client.once('disconnected', onDisconnected);
+        });
+    }
+
+    /**
+     * Hold a send until the running restart of session finishes, so it goes out on the new client
+     * Returns immediately when no restart is running
+     */
+    async waitForRestart(sessionId) {
+        if (!this.isRestarting(sessionId)) {
+            return;
+        }
+
+        const { progress, promise } = restarts.get(sessionId);
+        progress.queued_sends++;
+
+        try {
+            await promise;
+        } catch (error) {
+            throw new Error(`Session restart failed: ${error.message}`);
+        }
+
+        if (progress.state === 'completed') {
+            progress.replayed_sends++;
+        }
+    }
+}
+
+module.exports = SessionRestartService;
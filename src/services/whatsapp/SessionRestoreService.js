@@ -0,0 +1,147 @@
+const WhatsAppSession = require('../../../models/WhatsAppSession');
+const SessionStateMachine = require('./SessionStateMachine');
+const Logger = require('../../utils/Logger');
+
+/**
+ * Service for restoring persisted WhatsApp sessions on server boot
+ * Recreates clients from their stored auth with bounded concurrency
+ * With Redis configured it also takes over sessions whose owner lease expired
+ */
+class SessionRestoreService {
+    constructor(whatsAppService) {
+        this.whatsAppService = whatsAppService;
+        this.clientFactory = whatsAppService.clientFactory;
+        this.sessionOwnershipService = whatsAppService.clientFactory.sessionOwnershipService;
+        this.logger = new Logger('SessionRestoreService');
+        // Every logged-in status, including finished (completed) or interrupted contact syncs
+        this.restorableStatuses = SessionStateMachine.USABLE_STATUSES;
+        this.concurrency = parseInt(process.env.WHATSAPP_RESTORE_CONCURRENCY) || 3;
+        this.isRestoring = false;
+    }
+
+    /**
+     * Restore all persisted sessions that were usable (logged in) before the restart
+     */
+    async restoreAllSessions() {
+        // Periodic takeover runs must not overlap a restore that is still starting clients
+        if (this.isRestoring) {
+            return { total: 0, restored: 0, failed: 0, skipped: 0, results: [] };
+        }
+
+        this.isRestoring = true;
+        try {
+            const sessions = await WhatsAppSession.find({
+                status: { $in: this.restorableStatuses }
+            }).sort({ last_activity: -1 });
+
+            const pending = sessions.filter(session => !this.clientFactory.hasClient(session.session_id));
+
+            if (pending.length === 0) {
+                this.logger.info('No persisted sessions to restore');
+                return { total: 0, restored: 0, failed: 0, skipped: 0, results: [] };
+            }
+
+            this.logger.start(`restoring ${pending.length} sessions (concurrency ${this.concurrency})`);
+
+            const results = [];
+            let nextIndex = 0;
+
+            // Each worker pulls the next session until the queue is drained
+            const worker = async () => {
+                while (nextIndex < pending.length) {
+                    const sessionData = pending[nextIndex++];
+                    results.push(await this.restoreSession(sessionData));
+                }
+            };
+
+            const workers = [];
+            for (let i = 0; i < Math.min(this.concurrency, pending.length); i++) {
+                workers.push(worker());
+            }
+            await Promise.all(workers);
+
+            const restored = results.filter(result => result.restored).length;
+            const skipped = results.filter(result => result.skipped).length;
+            const hibernated = results.filter(result => result.hibernated).length;
+            const failed = results.length - restored - skipped - hibernated;
+
+            this.logger.complete(`session restore: ${restored} restored, ${failed} failed, ${skipped} owned by other instances, ${hibernated} hibernated (pool full)`);
+
+            return {
+                total: pending.length,
+                restored,
+                failed,
+                skipped,
+                hibernated,
+                results
+            };
+        } catch (error) {
+            this.logger.error('Error restoring persisted sessions:', error);
+            throw error;
+        } finally {
+            this.isRestoring = false;
+        }
+    }
+
+    /**
+     * Restore single session, marking it disconnected when it cannot be recreated
+     * Sessions held by another live instance are skipped
+     */
+    async restoreSession(sessionData) {
+        const sessionId = sessionData.session_id;
+
+        try {
+            const claimed = await this.sessionOwnershipService.claim(sessionId);
+            if (!claimed) {
+                return { session_id: sessionId, restored: false, skipped: true };
+            }
+        } catch (error) {
+            this.logger.warn(`Could not claim session ${sessionId}: ${error.message}`);
+            return { session_id: sessionId, restored: false, skipped: true, error: error.message };
+        }
+
+        // Sessions are restored most recently active first; once the pool is full the rest stay hibernated
+        if (this.whatsAppService.clientPool.isFull()) {
+            await this.clientFactory.sessionOwnershipService.release(sessionId);
+            await this.whatsAppService.stateMachine.tryTransition(sessionId, 'inactive', {
+                cause: 'pool_full_on_restore',
+                actor: 'system'
+            });
+            return { session_id: sessionId, restored: false, hibernated: true };
+        }
+
+        try {
+            await this.whatsAppService.recreateClientFromSession(sessionData);
+            this.logger.success(`Session restored: ${sessionId}`);
+
+            return { session_id: sessionId, restored: true };
+        } catch (error) {
+            this.logger.warn(`Failed to restore session ${sessionId}: ${error.message}`);
+
+            // Drop the half-started client but keep auth files for a later manual retry
+            await this.clientFactory.destroyClient(sessionId);
+            await this.markSessionDisconnected(sessionId, `Restore failed: ${error.message}`);
+
+            // A slow or flaky start is retried like any other transient disconnect
+            if (this.whatsAppService.reconnectService.isRetryable(error)) {
+                await this.whatsAppService.reconnectService.scheduleReconnect(sessionId);
+            }
+
+            return { session_id: sessionId, restored: false, error: error.message };
+        }
+    }
+
+    /**
+     * Mark session as disconnected with a reason
+     */
+    async markSessionDisconnected(sessionId, reason) {
+        await this.whatsAppService.stateMachine.tryTransition(sessionId, 'disconnected', {
+            cause: 'restore_failed',
+            actor: 'system',
+            details: { reason },
+            updates: { disconnect_reason: reason }
+        });
+    }
+}
+
+module.exports = SessionRestoreService;
@@ -0,0 +1,171 @@
+const WhatsAppSession = require('../../../models/WhatsAppSession');
+const WhatsAppSessionHistory = require('../../../models/WhatsAppSessionHistory');
+const SessionEventService = require('./SessionEventService');
+const Logger = require('../../utils/Logger');
+
+// Statuses in which the session has a usable, logged-in client
+const USABLE_STATUSES = ['ready', 'connected', 'fetching_contacts', 'processing_contacts', 'completed'];
+
+// Legal transitions: from status => statuses it may move to
+// Every status may go back to initializing (re-open) or to disconnected (logout / connection lost)
+const TRANSITIONS = {
+    initializing: ['qr_ready', 'pairing_code_ready', 'authenticated', 'loading_screen', 'ready', 'error'],
+    qr_ready: ['authenticated', 'loading_screen', 'ready', 'error'],
+    pairing_code_ready: ['authenticated', 'loading_screen', 'ready', 'error'],
+    authenticated: ['loading_screen', 'ready', 'error'],
+    loading_screen: ['authenticated', 'ready', 'error'],
+    ready: ['qr_ready', 'pairing_code_ready', 'authenticated', 'loading_screen', 'fetching_contacts', 'connected', 'error', 'inactive'],
+    fetching_contacts: ['processing_contacts', 'completed', 'connected', 'ready', 'error', 'inactive'],
+    processing_contacts: ['completed', 'connected', 'ready', 'error', 'inactive'],
+    completed: ['qr_ready', 'pairing_code_ready', 'authenticated', 'loading_screen', 'ready', 'fetching_contacts', 'connected', 'error', 'inactive'],
+    connected: ['qr_ready', 'pairing_code_ready', 'authenticated', 'loading_screen', 'ready', 'fetching_contacts', 'error', 'inactive'],
+    disconnected: [],
+    error: [],
+    inactive: []
+};
+
+const STATUSES = Object.keys(TRANSITIONS);
+
+/**
+ * Single owner of WhatsApp session status changes
+ * Validates transitions, applies them atomically and records them in the session history
+ */
+class SessionStateMachine {
+    constructor() {
+        this.eventService = new SessionEventService();
+        this.logger = new Logger('SessionStateMachine');
+    }
+
+    /**
+     * Check if status may move to target status
+     */
+    canTransition(fromStatus, toStatus) {
+        if (!STATUSES.includes(toStatus)) {
+            return false;
+        }
+
+        if (fromStatus === toStatus || toStatus === 'initializing' || toStatus === 'disconnected') {
+            return true;
+        }
+
+        return (TRANSITIONS[fromStatus] || []).includes(toStatus);
+    }
+
+    /**
+     * Move session to new status
+     * @param {Object|string} session - WhatsAppSession document or session_id
+     * @param {string} toStatus - Target status
+     * @param {Object} context - { cause, actor: 'client'|'api'|'system', details, updates }
+     *   updates are extra session fields written together with the status
+     * @returns {Object} updated session document
+     */
+    async transition(session, toStatus, { cause, actor = 'system', details = null, updates = {} } = {}) {
+        const sessionId = typeof session === 'string' ? session : session.session_id;
+
+        // Read current status from the database; in-memory documents may be stale
+        const current = await WhatsAppSession.findOne({ session_id: sessionId });
+        if (!current) {
+            throw new Error(`Session ${sessionId} not found`);
+        }
+
+        const fromStatus = current.status;
+        if (!this.canTransition(fromStatus, toStatus)) {
+            throw new Error(`Invalid session status transition for ${sessionId}: ${fromStatus} -> ${toStatus}`);
+        }
+
+        const changes = { ...updates, status: toStatus, updated_at: new Date() };
+
+        // Conditional update so a concurrent transition is never overwritten
+        const updated = await WhatsAppSession.findOneAndUpdate(
+            { session_id: sessionId, status: fromStatus },
+            changes,
+            { new: true }
+        );
+
+        if (!updated) {
+            throw new Error(`Session ${sessionId} changed status concurrently, transition to ${toStatus} aborted`);
+        }
+
+        if (fromStatus !== toStatus) {
+            await this.recordTransition(updated, fromStatus, toStatus, { cause, actor, details });
+            this.eventService.publish(updated, 'status', { from_status: fromStatus, to_status: toStatus, cause, actor });
+        }
+
+        // Keep long-lived in-memory documents in sync without marking them dirty
+        if (typeof session !== 'string') {
+            for (const [path, value] of Object.entries(changes)) {
+                session.set(path, value);
+                session.unmarkModified(path);
+            }
+        }
+
+        return updated;
+    }
+
+    /**
+     * Move session to new status, logging instead of throwing when the transition is rejected
+     * Used by event handlers where a late or duplicated event must not crash the handler
+     */
+    async tryTransition(session, toStatus, context = {}) {
+        try {
+            return await this.transition(session, toStatus, context);
+        } catch (error) {
+            this.logger.warn(error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Record transition in session history
+     */
+    async recordTransition(sessionData, fromStatus, toStatus, { cause, actor, details }) {
+        try {
+            await WhatsAppSessionHistory.create({
+                session_id: sessionData.session_id,
+                user_id: sessionData.user_id,
+                place_id: sessionData.place_id,
+                from_status: fromStatus,
+                to_status: toStatus,
+                cause: cause || 'unspecified',
+                actor,
+                details
+            });
+        } catch (error) {
+            this.logger.error(`Error recording transition for ${sessionData.session_id}:`, error);
+        }
+    }
+
+    /**
+     * Get session timeline, newest first
+     */
+    async getHistory(sessionId, page = 1, limit = 50) {
+        const skip = (page - 1) * limit;
+
+        const [entries, totalCount] = await Promise.all([
+            WhatsAppSessionHistory.find({ session_id: sessionId })
+                .sort({ created_at: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            WhatsAppSessionHistory.countDocuments({ session_id: sessionId })
+        ]);
+
+        return {
+            entries,
+            pagination: {
+                current_page: page,
+                per_page: limit,
+                total: totalCount,
+                total_pages: Math.ceil(totalCount / limit),
+                has_next: page < Math.ceil(totalCount / limit),
+                has_prev: page > 1
+            }
+        };
+    }
+}
+
+SessionStateMachine.STATUSES = STATUSES;
+SessionStateMachine.USABLE_STATUSES = USABLE_STATUSES;
+SessionStateMachine.TRANSITIONS = TRANSITIONS;
+
+module.exports = SessionStateMachine;
@@ -0,0 +1,278 @@
+const WhatsAppSession = require('../../../models/WhatsAppSession');
+const SessionStateMachine = require('./SessionStateMachine');
+const Logger = require('../../utils/Logger');
+
+// States meaning the phone unlinked the device: stored auth is useless
+const UNPAIRED_STATES = ['UNPAIRED', 'UNPAIRED_IDLE'];
+
+// Shared across service instances: one watchdog per process
+const counters = { checks: 0, failures: 0, recoveries: 0, unpaired: 0 };
+
+/**
+ * Watchdog probing live clients every WHATSAPP_WATCHDOG_INTERVAL_MS
+ * The stored status can say 'ready' while the browser is gone, so each logged-in client is asked for
+ * its state (client.getState()) and its page is checked. Results land in last_health_check / health_check.
+ * - UNPAIRED: session marked disconnected and its auth removed (a new login is needed)
+ * - CONFLICT, closed page: hot restart right away
+ * - TIMEOUT, unresponsive page, failed probe: hot restart after WHATSAPP_WATCHDOG_MAX_FAILURES probes in a row
+ */
+class SessionWatchdogService {
+    constructor(whatsAppService) {
+        this.whatsAppService = whatsAppService;
+        this.clientFactory = whatsAppService.clientFactory;
+        this.stateMachine = whatsAppService.stateMachine;
+        this.logger = new Logger('SessionWatchdogService');
+        this.enabled = process.env.WHATSAPP_WATCHDOG_ENABLED !== 'false';
+        this.intervalMs = parseInt(process.env.WHATSAPP_WATCHDOG_INTERVAL_MS) || 60000;
+        this.probeTimeoutMs = parseInt(process.env.WHATSAPP_WATCHDOG_PROBE_TIMEOUT_MS) || 10000;
+        this.maxFailures = parseInt(process.env.WHATSAPP_WATCHDOG_MAX_FAILURES) || 3;
+        this.timer = null;
+        this.isRunning = false;
+    }
+
+    /**
+     * Probe live clients every WHATSAPP_WATCHDOG_INTERVAL_MS
+     */
+    start() {
+        if (!this.enabled || this.timer) {
+            return;
+        }
+
+        this.timer = setInterval(() => {
+            this.run().catch(error => {
+                this.logger.error('Error running session watchdog:', error);
+            });
+        }, this.intervalMs);
+
+        this.logger.info(`Watchdog started: every ${Math.round(this.intervalMs / 1000)}s, recovery after ${this.maxFailures} failed probes`);
+    }
+
+    /**
+     * Stop scheduled runs
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+    }
+
+    /**
+     * Probe every logged-in live client once
+     */
+    async run() {
+        if (this.isRunning) {
+            return null;
+        }
+
+        this.isRunning = true;
+        try {
+            const sessions = await WhatsAppSession.find({
+                session_id: { $in: Array.from(this.clientFactory.clients.keys()) },
+                status: { $in: SessionStateMachine.USABLE_STATUSES }
+            });
+
+            const results = [];
+            for (const sessionData of sessions) {
+                // Sessions already being brought back are left alone
+                if (this.whatsAppService.restartService.isRestarting(sessionData.session_id) ||
+                    this.whatsAppService.reconnectService.isReconnecting(sessionData.session_id)) {
+                    continue;
+                }
+
+                try {
+                    results.push(await this.check(sessionData));
+                } catch (error) {
+                    this.logger.error(`Error checking session ${sessionData.session_id}:`, error);
+                }
+            }
+
+            return results;
+        } finally {
+            this.isRunning = false;
+        }
+    }
+
+    /**
+     * Probe one session, record the result and recover when needed
+     */
+    async check(sessionData) {
+        const sessionId = sessionData.session_id;
+        const client = this.clientFactory.getClient(sessionId);
+        if (!client) {
+            return null;
+        }
+
+        const probe = await this.probe(client);
+        counters.checks++;
+
+        const now = new Date();
+        const healthy = !probe.reason;
+        const consecutiveFailures = healthy ? 0 : (sessionData.health_check?.consecutive_failures || 0) + 1;
+
+        const updates = {
+            last_health_check: now,
+            'health_check.state': probe.state,
+            'health_check.page': probe.page,
+            'health_check.consecutive_failures': consecutiveFailures
+        };
+        if (!healthy) {
+            counters.failures++;
+            updates['health_check.last_failure_at'] = now;
+            updates['health_check.last_failure_reason'] = probe.reason;
+        }
+
+        await WhatsAppSession.findOneAndUpdate(
+            { session_id: sessionId },
+            { $set: updates, ...(!healthy && { $inc: { 'health_check.total_failures': 1 } }) }
+        );
+
+        if (healthy) {
+            return { session_id: sessionId, ...probe, action: 'none' };
+        }
+
+        this.logger.warn(`Session ${sessionId} failed live check (${consecutiveFailures}/${this.maxFailures}): ${probe.reason}`);
+
+        const action = this.getRecoveryAction(probe, consecutiveFailures);
+        if (action === 'logout') {
+            await this.markUnpaired(sessionData, probe);
+        } else if (action === 'restart') {
+            await this.restart(sessionData, probe);
+        }
+
+        return { session_id: sessionId, ...probe, consecutive_failures: consecutiveFailures, action };
+    }
+
+    /**
+     * Ask client for its state and check its page
+     * Returns { state, page, reason } where reason is null when the client is healthy
+     */
+    async probe(client) {
+        const page = await this.probePage(client);
+        if (page === 'closed') {
+            return { state: null, page, reason: 'Browser page closed' };
+        }
+
+        let state;
+        try {
+            state = await this.withTimeout(client.getState(), 'getState');
+        } catch (error) {
+            return { state: null, page, reason: error.message };
+        }
+
+        if (page === 'unresponsive') {
+            return { state, page, reason: 'Browser page unresponsive' };
+        }
+
+        if (state !== 'CONNECTED') {
+            // getState() resolves null while WhatsApp Web is not loaded in the page
+            return { state, page, reason: `Client state ${state || 'unknown'}` };
+        }
+
+        return { state, page, reason: null };
+    }
+
+    /**
+     * Check client's puppeteer page: 'alive', 'closed', 'unresponsive', or 'n/a' for clients without a browser
+     */
+    async probePage(client) {
+        const page = client.pupPage;
+        if (!page) {
+            return 'n/a';
+        }
+
+        if (page.isClosed() || (client.pupBrowser && !client.pupBrowser.isConnected())) {
+            return 'closed';
+        }
+
+        try {
+            await this.withTimeout(page.evaluate(() => true), 'Page evaluation');
+            return 'alive';
+        } catch (error) {
+            return 'unresponsive';
+        }
+    }
+
+    /**
+     * Pick recovery for failed probe: 'logout', 'restart' or 'wait'
+     */
+    getRecoveryAction(probe, consecutiveFailures) {
+        if (UNPAIRED_STATES.includes(probe.state)) {
+            return 'logout';
+        }
+
+        if (probe.state === 'CONFLICT' || probe.page === 'closed') {
+            return 'restart';
+        }
+
+        return consecutiveFailures >= this.maxFailures ? 'restart' : 'wait';
+    }
+
+    /**
+     * Phone unlinked the device: drop client and auth, a new login is needed
+     */
+    async markUnpaired(sessionData, probe) {
+        const sessionId = sessionData.session_id;
+
+        await this.stateMachine.transition(sessionId, 'disconnected', {
+            cause: 'watchdog_unpaired',
+            actor: 'system',
+            details: { state: probe.state },
+            updates: { disconnect_reason: probe.state }
+        });
+        await this.clientFactory.cleanupClient(sessionId, sessionData.driver);
+
+        counters.unpaired++;
+        this.logger.warn(`Session ${sessionId} was unpaired from the phone, new login required`);
+    }
+
+    /**
+     * Hot-restart session; the restart itself falls back to reconnects when it fails
+     */
+    async restart(sessionData, probe) {
+        const sessionId = sessionData.session_id;
+
+        await this.whatsAppService.restartService.restart(sessionData, {
+            cause: 'watchdog_recovery',
+            actor: 'system',
+            details: { state: probe.state, page: probe.page, reason: probe.reason }
+        });
+
+        await WhatsAppSession.findOneAndUpdate(
+            { session_id: sessionId },
+            {
+                $set: { 'health_check.consecutive_failures': 0, 'health_check.last_recovery_at': new Date() },
+                $inc: { 'health_check.recoveries': 1 }
+            }
+        );
+
+        counters.recoveries++;
+        this.logger.info(`Session ${sessionId} restarted by watchdog: ${probe.reason}`);
+    }
+
+    /**
+     * Reject if promise does not settle within probeTimeoutMs
+     */
+    withTimeout(promise, label) {
+        let timeout;
+        const timer = new Promise((resolve, reject) => {
+            timeout = setTimeout(() => reject(new Error(`${label} timed out after ${Math.round(this.probeTimeoutMs / 1000)}s`)), this.probeTimeoutMs);
+        });
+
+        return Promise.race([promise, timer]).finally(() => clearTimeout(timeout));
+    }
+
+    /**
+     * Get watchdog metrics
+     */
+    getMetrics() {
+        return {
+            enabled: this.enabled,
+            interval_ms: this.intervalMs,
+            max_failures: this.maxFailures,
+            totals: { ...counters }
+        };
+    }
+}
+
+module.exports = SessionWatchdogService;
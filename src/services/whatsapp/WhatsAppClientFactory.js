@@ -1,17 +1,51 @@
-const { Client, LocalAuth } = require('whatsapp-web.js');
 const qrcode = require('qrcode');
-const fs = require('fs');
-const path = require('path');
+const AuthStrategyProvider = require('./AuthStrategyProvider');
+const SessionOwnershipService = require('./SessionOwnershipService');
+const SessionReconnectService = require('./SessionReconnectService');
+const WebJsDriver = require('./drivers/WebJsDriver');
+const SandboxDriver = require('./drivers/SandboxDriver');
 const Logger = require('../../utils/Logger');
 
+// Shared across factory instances so every controller/service sees the same live clients
+const clients = new Map(); // sessionId => { client, sessionData }
+
 /**
  * Factory for creating and managing WhatsApp clients
  * Implements Factory Pattern for client creation
  */
 class WhatsAppClientFactory {
     constructor() {
-        this.clients = new Map(); // sessionId => { client, sessionData }
+        this.clients = clients;
+        this.authStrategyProvider = new AuthStrategyProvider();
+        this.sessionOwnershipService = new SessionOwnershipService();
+        this.drivers = {
+            webjs: new WebJsDriver(this.authStrategyProvider),
+            sandbox: new SandboxDriver()
+        };
+        this.defaultDriver = (process.env.WHATSAPP_DRIVER || 'webjs').toLowerCase();
         this.logger = new Logger('WhatsAppClientFactory');
+
+        if (!this.drivers[this.defaultDriver]) {
+            throw new Error(`Unknown WHATSAPP_DRIVER: ${this.defaultDriver}`);
+        }
+    }
+
+    /**
+     * Get driver by name, falling back to the configured default
+     */
+    getDriver(driverName) {
+        const driver = this.drivers[driverName || this.defaultDriver];
+        if (!driver) {
+            throw new Error(`Unknown WhatsApp driver: ${driverName}`);
+        }
+        return driver;
+    }
+
+    /**
+     * Check if stored auth data exists for session
+     */
+    async hasSessionData(sessionId, driverName) {
+        return await this.getDriver(driverName).hasSessionData(sessionId);
     }
 
     /**
@@ -22,31 +56,14 @@ class WhatsAppClientFactory {
     }
 
     /**
-     * Create new WhatsApp client instance
+     * Create new WhatsApp client instance using the session's driver
      */
-    async createClient(sessionId) {
+    async createClient(sessionId, driverName, browserConfig = {}) {
         try {
-            this.logger.info(`Creating new WhatsApp client for session: ${sessionId}`);
-
-            const authPath = path.join(__dirname, '../../../.wwebjs_auth', `session-${sessionId}`);
-
-            const client = new Client({
-                authStrategy: new LocalAuth({ clientId: sessionId }),
-                puppeteer: { 
-                    headless: true,
-                    args: [
-                        '--no-sandbox', 
-                        '--disable-setuid-sandbox',
-                        '--disable-dev-shm-usage',
-                        '--disable-accelerated-2d-canvas',
-                        '--no-first-run',
-                        '--no-zygote',
-                        '--disable-gpu'
-                    ] 
-                }
-            });
+            const driver = this.getDriver(driverName);
+            this.logger.info(`Creating new WhatsApp client for session: ${sessionId} (driver: ${driver.name}${browserConfig.proxy_url ? ', proxied' : ''})`);
 
-            return client;
+            return driver.createClient(sessionId, browserConfig);
         } catch (error) {
             this.logger.error(`Error creating client for session ${sessionId}:`, error);
             throw new Error(`Failed to create WhatsApp client: ${error.message}`);
@@ -124,10 +141,17 @@ class WhatsAppClientFactory {
         client.on('disconnected', async (reason) => {
             try {
                 this.logger.warn(`Session ${sessionId} disconnected:`, { reason });
+
+                // Only a logout invalidates stored auth; transient drops keep it for reconnecting
+                if (SessionReconnectService.classifyDisconnect(reason) === 'logout') {
+                    await this.cleanupClient(sessionId);
+                } else {
+                    await this.destroyClient(sessionId);
+                }
+
                 if (eventHandlers.onDisconnected) {
                     await eventHandlers.onDisconnected(reason);
                 }
-                await this.cleanupClient(sessionId);
             } catch (error) {
                 this.logger.error(`Error handling disconnect for ${sessionId}:`, error);
             }
@@ -267,20 +291,43 @@ class WhatsAppClientFactory {
         if (this.clients.has(sessionId)) {
             this.clients.delete(sessionId);
             this.logger.info(`Client removed from memory for session: ${sessionId}`);
+
+            // Let other instances pick the session up without waiting for the lease to expire
+            this.sessionOwnershipService.release(sessionId).catch(error =>
+                this.logger.warn(`Error releasing ownership of session ${sessionId}:`, error)
+            );
             return true;
         }
         return false;
     }
 
+    /**
+     * Destroy client and remove it from memory, keeping auth files on disk
+     */
+    async destroyClient(sessionId) {
+        const clientData = this.clients.get(sessionId);
+        if (clientData && clientData.client) {
+            try {
+                await clientData.client.destroy();
+                this.logger.info(`Client destroyed for session: ${sessionId}`);
+            } catch (error) {
+                this.logger.warn(`Error destroying client for ${sessionId}:`, error);
+            }
+        }
+
+        return this.removeClient(sessionId);
+    }
+
     /**
      * Cleanup client and associated files
      */
-    async cleanupClient(sessionId) {
+    async cleanupClient(sessionId, driverName) {
         try {
             this.logger.start(`Cleaning up client for session: ${sessionId}`);
 
             // Get client and destroy it first
             const clientData = this.clients.get(sessionId);
+            const driver = this.getDriver(driverName || clientData?.sessionData?.driver);
             if (clientData && clientData.client) {
                 try {
                     await clientData.client.destroy();
@@ -293,12 +340,8 @@ class WhatsAppClientFactory {
             // Remove from memory
             this.removeClient(sessionId);
 
-            // Remove auth files
-            const authPath = path.join(__dirname, '../../../.wwebjs_auth', `session-${sessionId}`);
-            if (fs.existsSync(authPath)) {
-                fs.rmSync(authPath, { recursive: true, force: true });
-                this.logger.info(`Deleted session folder for ${sessionId}`);
-            }
+            // Remove stored auth (local folder and any remote copy)
+            await driver.deleteSessionData(sessionId);
 
             this.logger.success(`Client cleanup completed for session: ${sessionId}`);
             return true;
@@ -316,7 +359,7 @@ class WhatsAppClientFactory {
     }
 
     /**
-     * Get session info
+     * Get session info (summary only: the stored session document holds QR codes and auth-related fields)
      */
     getSessionInfo(sessionId) {
         const clientData = this.getClientData(sessionId);
@@ -326,9 +369,11 @@ class WhatsAppClientFactory {
 
         return {
             sessionId,
+            userId: clientData.sessionData?.user_id ?? null,
+            placeId: clientData.sessionData?.place_id ?? null,
+            driver: clientData.sessionData?.driver || null,
             createdAt: clientData.createdAt,
             lastActivity: clientData.lastActivity,
-            sessionData: clientData.sessionData,
             isActive: true
         };
     }
@@ -358,34 +403,6 @@ class WhatsAppClientFactory {
         };
     }
 
-    /**
-     * Clean up inactive sessions
-     */
-    async cleanupInactiveSessions(maxInactiveHours = 24) {
-        const now = new Date();
-        const maxInactiveTime = maxInactiveHours * 60 * 60 * 1000; // Convert to milliseconds
-        const sessionsToCleanup = [];
-
-        for (const [sessionId, clientData] of this.clients) {
-            const inactiveTime = now - clientData.lastActivity;
-            if (inactiveTime > maxInactiveTime) {
-                sessionsToCleanup.push(sessionId);
-            }
-        }
-
-        this.logger.info(`Cleaning up ${sessionsToCleanup.length} inactive sessions`);
-
-        for (const sessionId of sessionsToCleanup) {
-            try {
-                await this.cleanupClient(sessionId);
-            } catch (error) {
-                this.logger.error(`Error cleaning up inactive session ${sessionId}:`, error);
-            }
-        }
-
-        return sessionsToCleanup.length;
-    }
-
     /**
      * Gracefully shutdown all clients
      */
@@ -402,42 +419,17 @@ class WhatsAppClientFactory {
         }
 
         await Promise.allSettled(shutdownPromises);
+
+        const sessionIds = Array.from(this.clients.keys());
         this.clients.clear();
+
+        await this.sessionOwnershipService.stopHeartbeat().catch(() => {});
+        await Promise.allSettled(
+            sessionIds.map(sessionId => this.sessionOwnershipService.release(sessionId))
+        );
         
         this.logger.success('All clients shut down successfully');
     }
-
-    /**
-     * Restart client
-     */
-    async restartClient(sessionId) {
-        try {
-            this.logger.info(`Restarting client for session: ${sessionId}`);
-            
-            const clientData = this.getClientData(sessionId);
-            if (!clientData) {
-                throw new Error(`Session ${sessionId} not found`);
-            }
-
-            // Store session data
-            const sessionData = clientData.sessionData;
-
-            // Cleanup current client
-            await this.cleanupClient(sessionId);
-
-            // Create new client
-            const newClient = await this.createClient(sessionId);
-            
-            // Store new client
-            this.storeClient(sessionId, newClient, sessionData);
-
-            this.logger.success(`Client restarted for session: ${sessionId}`);
-            return newClient;
-        } catch (error) {
-            this.logger.error(`Error restarting client for ${sessionId}:`, error);
-            throw error;
-        }
-    }
 }
 
 module.exports = WhatsAppClientFactory;
\ No newline at end of file
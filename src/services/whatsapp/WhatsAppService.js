@@ -1,9 +1,31 @@
+const EventEmitter = require('events');
 const WhatsAppSession = require('../../../models/WhatsAppSession');
 const WhatsAppClientFactory = require('./WhatsAppClientFactory');
+const SessionStateMachine = require('./SessionStateMachine');
+const SessionEventService = require('./SessionEventService');
+const SessionReconnectService = require('./SessionReconnectService');
+const SessionReaperService = require('./SessionReaperService');
+const ClientPoolService = require('./ClientPoolService');
+const SessionRestartService = require('./SessionRestartService');
+const SessionWatchdogService = require('./SessionWatchdogService');
+const SessionMetadataService = require('./SessionMetadataService');
 const ContactFetchingService = require('../contact/ContactFetchingService');
 const GroupService = require('../contact/GroupService');
+const ConversationService = require('../message/ConversationService');
+const MessageAckService = require('../message/MessageAckService');
+const AutoReplyService = require('../message/AutoReplyService');
+const ChatFlowService = require('../message/ChatFlowService');
+const SuppressionService = require('../message/SuppressionService');
+const HandoverService = require('../message/HandoverService');
 const Logger = require('../../utils/Logger');
 
+// Notifies /init callers waiting for a pairing code, whichever service instance received it
+const pairingCodeEvents = new EventEmitter();
+pairingCodeEvents.setMaxListeners(0);
+
+// Sessions with a pairing code request in flight (QR refreshes must not request twice)
+const pairingRequests = new Set();
+
 /**
  * Main WhatsApp service for session management
  * Implements Facade pattern to provide simple interface
@@ -11,57 +33,106 @@ const Logger = require('../../utils/Logger');
 class WhatsAppService {
     constructor() {
         this.clientFactory = new WhatsAppClientFactory();
+        this.stateMachine = new SessionStateMachine();
+        this.reconnectService = new SessionReconnectService(this);
+        this.reaperService = new SessionReaperService(this);
+        this.clientPool = new ClientPoolService(this);
+        this.restartService = new SessionRestartService(this);
+        this.watchdogService = new SessionWatchdogService(this);
+        this.metadataService = new SessionMetadataService(this);
         this.contactFetchingService = new ContactFetchingService();
         this.groupService = new GroupService();
+        this.conversationService = new ConversationService();
+        this.messageAckService = new MessageAckService();
+        this.autoReplyService = new AutoReplyService(this);
+        this.chatFlowService = new ChatFlowService(this);
+        this.suppressionService = new SuppressionService(this);
+        this.handoverService = new HandoverService(this);
+        this.eventService = new SessionEventService();
         this.logger = new Logger('WhatsAppService');
+        this.pairingCodeTtlMs = parseInt(process.env.WHATSAPP_PAIRING_CODE_TTL_MS) || 180000;
+        this.pairingCodeMaxRefreshes = parseInt(process.env.WHATSAPP_PAIRING_CODE_MAX_REFRESHES) || 3;
+        this.pairingCodeWaitMs = parseInt(process.env.WHATSAPP_PAIRING_CODE_WAIT_MS) || 45000;
     }
 
     /**
      * Initialize WhatsApp client for user
+     * Pass options.session_name to register or re-open a specific named number
+     * Pass options.login_method = 'pairing_code' with options.phone_number to log in without a QR scan
+     * Pass options.browser_config to set the session's proxy / user agent / Chromium args / web version
      */
-    async initializeClient(userId, placeId) {
+    async initializeClient(userId, placeId, options = {}) {
         try {
             this.logger.start(`Initializing WhatsApp client for user ${userId}, place ${placeId}`);
             
-            // Check if session already exists and is active
-            const existingSession = await this.findActiveSession(userId, placeId);
-            if (existingSession && this.clientFactory.hasClient(existingSession.session_id)) {
-                this.logger.info(`Active session found: ${existingSession.session_id}`);
-                return {
-                    success: true,
-                    session_id: existingSession.session_id,
-                    status: existingSession.status,
-                    message: 'Session already active'
-                };
+            const {
+                session_name: sessionName,
+                login_method: loginMethod = 'qr',
+                phone_number: phoneNumber,
+                browser_config: browserConfig
+            } = options;
+            const settings = {
+                login_method: loginMethod,
+                pairing_phone_number: loginMethod === 'pairing_code' ? phoneNumber : null,
+                ...(browserConfig && { browser_config: this.normalizeBrowserConfig(browserConfig) })
+            };
+
+            // Named sessions are re-opened in place so the (user_id, session_name) index stays unique
+            if (sessionName) {
+                const namedSession = await WhatsAppSession.findOne({ 
+                    user_id: userId, 
+                    session_name: sessionName 
+                });
+
+                if (namedSession && namedSession.place_id !== placeId) {
+                    throw new Error(`Session name "${sessionName}" is already used by another place`);
+                }
+
+                if (namedSession) {
+                    return await this.reopenSession(namedSession, settings);
+                }
+            } else {
+                // Check if session already exists and is active
+                const existingSession = await this.findActiveSession(userId, placeId);
+                if (existingSession && this.clientFactory.hasClient(existingSession.session_id)) {
+                    this.logger.info(`Active session found: ${existingSession.session_id}`);
+                    return {
+                        success: true,
+                        session_id: existingSession.session_id,
+                        session_name: existingSession.session_name,
+                        status: existingSession.status,
+                        message: 'Session already active'
+                    };
+                }
+
+                // Hibernated sessions kept their auth, so wake the newest one instead of asking for a new login
+                const hibernatedSession = await WhatsAppSession.findOne({
+                    user_id: userId,
+                    place_id: placeId,
+                    status: 'inactive'
+                }).sort({ last_activity: -1 });
+                if (!existingSession && hibernatedSession) {
+                    return await this.reopenSession(hibernatedSession);
+                }
             }
 
             // Generate new session
             const sessionId = this.clientFactory.generateSessionId(userId, placeId);
             
             // Create session record
-            const sessionData = await this.createSessionRecord(userId, placeId, sessionId);
+            const sessionData = await this.createSessionRecord(userId, placeId, sessionId, sessionName, settings);
             
-            // Create WhatsApp client
-            const client = await this.clientFactory.createClient(sessionId);
-            
-            // Setup event handlers
-            const eventHandlers = this.createEventHandlers(sessionData);
-            this.clientFactory.setupClientEventHandlers(client, sessionId, eventHandlers);
-            
-            // Store client
-            this.clientFactory.storeClient(sessionId, client, sessionData);
-            
-            // Initialize client
-            client.initialize();
+            await this.startClient(sessionData);
             
             this.logger.success(`WhatsApp client initialized: ${sessionId}`);
             
-            return {
+            return await this.withPairingCode(sessionData, {
                 success: true,
                 session_id: sessionId,
+                session_name: sessionData.session_name,
                 status: 'initializing',
                 message: 'Client initialization started'
-            };
+            });
             
         } catch (error) {
             this.logger.error('Error initializing WhatsApp client:', error);
@@ -69,15 +140,235 @@ class WhatsAppService {
         }
     }
 
+    /**
+     * Re-open an existing session record, starting a new client if none is live
+     * settings carries the login method and, when given, a new browser_config
+     */
+    async reopenSession(sessionData, settings = { login_method: 'qr', pairing_phone_number: null }) {
+        if (this.clientFactory.hasClient(sessionData.session_id)) {
+            this.logger.info(`Active session found: ${sessionData.session_id}`);
+            return {
+                success: true,
+                session_id: sessionData.session_id,
+                session_name: sessionData.session_name,
+                status: sessionData.status,
+                message: 'Session already active'
+            };
+        }
+
+        await this.reconnectService.cancelReconnect(sessionData.session_id);
+        await this.stateMachine.transition(sessionData, 'initializing', {
+            cause: 'session_reopened',
+            actor: 'api',
+            details: { login_method: settings.login_method },
+            updates: {
+                qr_code: null,
+                last_activity: new Date(),
+                inactive_flagged_at: null,
+                ...settings,
+                pairing_code: null,
+                pairing_code_expires_at: null,
+                pairing_code_refreshes: 0
+            }
+        });
+
+        await this.startClient(sessionData);
+
+        this.logger.success(`WhatsApp client re-initialized: ${sessionData.session_id}`);
+
+        return await this.withPairingCode(sessionData, {
+            success: true,
+            session_id: sessionData.session_id,
+            session_name: sessionData.session_name,
+            status: 'initializing',
+            message: 'Client initialization started'
+        });
+    }
+
+    /**
+     * For pairing code logins, wait for the code so /init can return it directly
+     * Falls back to the plain result (code then comes through /status) when it takes too long
+     */
+    async withPairingCode(sessionData, result) {
+        if (sessionData.login_method !== 'pairing_code') {
+            return result;
+        }
+
+        const pairing = await new Promise(resolve => {
+            const eventName = `code:${sessionData.session_id}`;
+            const timeout = setTimeout(() => {
+                pairingCodeEvents.removeListener(eventName, resolve);
+                resolve(null);
+            }, this.pairingCodeWaitMs);
+
+            pairingCodeEvents.once(eventName, (payload) => {
+                clearTimeout(timeout);
+                resolve(payload);
+            });
+        });
+
+        if (!pairing) {
+            return {
+                ...result,
+                login_method: 'pairing_code',
+                pairing_code: null,
+                message: 'Client initialization started, pairing code not ready yet - poll /api/whatsapp/status'
+            };
+        }
+
+        return {
+            ...result,
+            status: 'pairing_code_ready',
+            login_method: 'pairing_code',
+            pairing_code: pairing.pairing_code,
+            pairing_code_expires_at: pairing.pairing_code_expires_at,
+            message: 'Enter the pairing code in WhatsApp > Linked devices > Link with phone number'
+        };
+    }
+
+    /**
+     * Request (or refresh) pairing code for a session waiting for login
+     * Called on every QR refresh; a still-valid code is kept, an expired one is replaced
+     * until the refresh budget is used up
+     */
+    async requestPairingCode(sessionData, client) {
+        const sessionId = sessionData.session_id;
+        if (pairingRequests.has(sessionId)) {
+            return;
+        }
+
+        const expiresAt = sessionData.pairing_code_expires_at;
+        if (sessionData.pairing_code && expiresAt && expiresAt.getTime() > Date.now()) {
+            return;
+        }
+
+        pairingRequests.add(sessionId);
+        try {
+            const refreshes = sessionData.pairing_code_refreshes || 0;
+            if (refreshes >= this.pairingCodeMaxRefreshes) {
+                this.logger.warn(`Pairing code expired for session ${sessionId} after ${refreshes} codes`);
+                await this.clientFactory.destroyClient(sessionId);
+                await this.stateMachine.tryTransition(sessionData, 'disconnected', {
+                    cause: 'pairing_code_expired',
+                    actor: 'system',
+                    details: { codes_issued: refreshes },
+                    updates: {
+                        pairing_code: null,
+                        pairing_code_expires_at: null,
+                        disconnect_reason: 'Pairing code expired'
+                    }
+                });
+                return;
+            }
+
+            const pairingCode = await client.requestPairingCode(sessionData.pairing_phone_number, true);
+            const pairingCodeExpiresAt = new Date(Date.now() + this.pairingCodeTtlMs);
+
+            await this.stateMachine.tryTransition(sessionData, 'pairing_code_ready', {
+                cause: refreshes === 0 ? 'pairing_code_issued' : 'pairing_code_refreshed',
+                actor: 'client',
+                details: { phone_number: sessionData.pairing_phone_number },
+                updates: {
+                    qr_code: null,
+                    pairing_code: pairingCode,
+                    pairing_code_expires_at: pairingCodeExpiresAt,
+                    pairing_code_refreshes: refreshes + 1
+                }
+            });
+
+            pairingCodeEvents.emit(`code:${sessionId}`, {
+                pairing_code: pairingCode,
+                pairing_code_expires_at: pairingCodeExpiresAt
+            });
+            this.eventService.publish(sessionData, 'pairing_code', {
+                pairing_code: pairingCode,
+                pairing_code_expires_at: pairingCodeExpiresAt
+            });
+
+            this.logger.info(`Pairing code ready for session: ${sessionId}`);
+        } finally {
+            pairingRequests.delete(sessionId);
+        }
+    }
+
+    /**
+     * Create client for session record, wire event handlers, store and initialize it
+     */
+    async startClient(sessionData) {
+        const sessionId = sessionData.session_id;
+
+        // Only one instance may run a client for a session
+        const claimed = await this.clientFactory.sessionOwnershipService.claim(sessionId);
+        if (!claimed) {
+            const owner = await this.clientFactory.sessionOwnershipService.getOwner(sessionId);
+            throw new Error(`Session ${sessionId} is owned by another instance (${owner})`);
+        }
+
+        let client;
+        try {
+            // Hibernate least recently used sessions when the live browser limit is reached
+            await this.clientPool.acquireSlot(sessionId);
+
+            try {
+                // Create WhatsApp client
+                client = await this.clientFactory.createClient(sessionId, sessionData.driver, this.getLaunchConfig(sessionData));
+
+                // Setup event handlers
+                const eventHandlers = this.createEventHandlers(sessionData, client);
+                this.clientFactory.setupClientEventHandlers(client, sessionId, eventHandlers);
+
+                // Store client
+                this.clientFactory.storeClient(sessionId, client, sessionData);
+            } finally {
+                this.clientPool.releaseSlot(sessionId);
+            }
+        } catch (error) {
+            // No client was stored, so nothing else would release the lease before it expires
+            await this.clientFactory.sessionOwnershipService.release(sessionId).catch(releaseError =>
+                this.logger.warn(`Error releasing ownership of session ${sessionId}:`, releaseError)
+            );
+            throw error;
+        }
+        
+        // Initialize client; a bad proxy or unavailable pinned web_version rejects here, and left unhandled
+        // the rejection would shut the whole instance down
+        client.initialize().catch(error => this.handleInitializeFailure(sessionData, client, error));
+
+        return client;
+    }
+
+    /**
+     * Move session whose client failed to start to error, drop the client (releasing its lease)
+     * and emit initialize_failure so callers waiting for ready fail right away
+     */
+    async handleInitializeFailure(sessionData, client, error) {
+        const sessionId = sessionData.session_id;
+        this.logger.error(`Client initialization failed for session ${sessionId}:`, error);
+
+        try {
+            // A newer client may already run for the session (e.g. after a restart); leave it alone
+            if (this.clientFactory.getClientData(sessionId)?.client === client) {
+                await this.stateMachine.tryTransition(sessionData, 'error', {
+                    cause: 'initialize_failed',
+                    actor: 'client',
+                    details: { error: error.message },
+                    updates: { contacts_fetch_error: `Initialization failed: ${error.message}` }
+                });
+                await this.clientFactory.destroyClient(sessionId);
+            }
+        } catch (cleanupError) {
+            this.logger.error(`Error cleaning up failed client for ${sessionId}:`, cleanupError);
+        }
+
+        client.emit('initialize_failure', error);
+    }
+
     /**
      * Get session status
      */
-    async getSessionStatus(userId, placeId) {
+    async getSessionStatus(userId, placeId, selector = {}) {
         try {
-            const sessionData = await WhatsAppSession.findOne({ 
-                user_id: userId, 
-                place_id: placeId 
-            }).sort({ created_at: -1 });
+            const sessionData = await this.lookupSession(userId, placeId, selector);
 
             if (!sessionData) {
                 return { 
@@ -92,9 +383,17 @@ class WhatsAppService {
             
             return {
                 session_id: sessionData.session_id,
+                session_name: sessionData.session_name,
+                driver: sessionData.driver || 'webjs',
                 status: sessionData.status,
                 client_ready: isClientReady,
                 qr_code: sessionData.qr_code,
+                login_method: sessionData.login_method || 'qr',
+                pairing_code: sessionData.pairing_code || null,
+                pairing_code_expires_at: sessionData.pairing_code_expires_at || null,
+                pairing_code_expired: Boolean(
+                    sessionData.pairing_code_expires_at && sessionData.pairing_code_expires_at.getTime() <= Date.now()
+                ),
                 phone_number: sessionData.phone_number,
                 name: sessionData.name,
                 connected_at: sessionData.connected_at,
@@ -105,7 +404,27 @@ class WhatsAppService {
                 contacts_fetch_progress: sessionData.contacts_fetch_progress || 0,
                 contacts_fetch_completed: sessionData.contacts_fetch_completed || false,
                 contacts_fetch_error: sessionData.contacts_fetch_error || null,
+                disconnect_reason: sessionData.disconnect_reason || null,
+                reconnect: {
+                    attempts: sessionData.reconnect_attempts || 0,
+                    max_attempts: this.reconnectService.maxAttempts,
+                    next_retry_at: sessionData.next_reconnect_at || null,
+                    in_progress: this.reconnectService.isReconnecting(sessionData.session_id)
+                },
                 last_activity: sessionData.last_activity,
+                inactive_flagged_at: sessionData.inactive_flagged_at || null,
+                account_info: this.formatAccountInfo(sessionData),
+                last_health_check: sessionData.last_health_check || null,
+                health_check: {
+                    state: sessionData.health_check?.state || null,
+                    page: sessionData.health_check?.page || null,
+                    consecutive_failures: sessionData.health_check?.consecutive_failures || 0,
+                    total_failures: sessionData.health_check?.total_failures || 0,
+                    recoveries: sessionData.health_check?.recoveries || 0,
+                    last_failure_at: sessionData.health_check?.last_failure_at || null,
+                    last_failure_reason: sessionData.health_check?.last_failure_reason || null,
+                    last_recovery_at: sessionData.health_check?.last_recovery_at || null
+                },
                 created_at: sessionData.created_at,
                 updated_at: sessionData.updated_at
             };
@@ -122,13 +441,16 @@ class WhatsAppService {
         try {
             this.logger.info(`Sending message for user ${userId}, place ${placeId} to ${phoneNumber}`);
             
-            const { client, sessionData } = await this.getClientByCredentials(userId, placeId);
+            // agent_id is for conversation tracking only, not a WhatsApp send option
+            const { session_id, session_name, agent_id: _agentId, ...sendOptions } = options;
+            const { client, sessionData } = await this.getClientByCredentials(userId, placeId, { session_id, session_name });
             
             // Format phone number
-            const chatId = phoneNumber.includes('@c.us') ? phoneNumber : `${phoneNumber}@c.us`;
+            // Group chats (@g.us) are addressed by their id
+            const chatId = phoneNumber.includes('@') ? phoneNumber : `${phoneNumber}@c.us`;
             
             // Send message
-            const sentMessage = await client.sendMessage(chatId, message, options);
+            const sentMessage = await client.sendMessage(chatId, message, sendOptions);
             
             // Update session activity
             await this.updateSessionActivity(sessionData.session_id);
@@ -137,6 +459,7 @@ class WhatsAppService {
             
             return {
                 success: true,
+                session_id: sessionData.session_id,
                 message_id: sentMessage.id._serialized,
                 timestamp: sentMessage.timestamp,
                 to: phoneNumber,
@@ -156,16 +479,17 @@ class WhatsAppService {
         try {
             this.logger.info(`Sending media message for user ${userId}, place ${placeId} to ${phoneNumber}`);
             
-            const { client, sessionData } = await this.getClientByCredentials(userId, placeId);
+            const { session_id, session_name, agent_id: _agentId, ...sendOptions } = options;
+            const { client, sessionData } = await this.getClientByCredentials(userId, placeId, { session_id, session_name });
             
             // Format phone number
-            const chatId = phoneNumber.includes('@c.us') ? phoneNumber : `${phoneNumber}@c.us`;
+            const chatId = phoneNumber.includes('@') ? phoneNumber : `${phoneNumber}@c.us`;
             
             // Prepare media object
             const mediaMessage = {
                 media: media,
                 caption: caption,
-                ...options
+                ...sendOptions
             };
             
             // Send media message
@@ -178,6 +502,7 @@ class WhatsAppService {
             
             return {
                 success: true,
+                session_id: sessionData.session_id,
                 message_id: sentMessage.id._serialized,
                 timestamp: sentMessage.timestamp,
                 to: phoneNumber,
@@ -194,11 +519,11 @@ class WhatsAppService {
     /**
      * Get chat messages
      */
-    async getChatMessages(userId, placeId, phoneNumber, limit = 50) {
+    async getChatMessages(userId, placeId, phoneNumber, limit = 50, selector = {}) {
         try {
-            const { client, sessionData } = await this.getClientByCredentials(userId, placeId);
+            const { client, sessionData } = await this.getClientByCredentials(userId, placeId, selector);
             
-            const chatId = phoneNumber.includes('@c.us') ? phoneNumber : `${phoneNumber}@c.us`;
+            const chatId = phoneNumber.includes('@') ? phoneNumber : `${phoneNumber}@c.us`;
             const chat = await client.getChatById(chatId);
             const messages = await chat.fetchMessages({ limit });
             
@@ -229,9 +554,9 @@ class WhatsAppService {
     /**
      * Get all chats
      */
-    async getAllChats(userId, placeId) {
+    async getAllChats(userId, placeId, selector = {}) {
         try {
-            const { client, sessionData } = await this.getClientByCredentials(userId, placeId);
+            const { client, sessionData } = await this.getClientByCredentials(userId, placeId, selector);
             
             const chats = await client.getChats();
             
@@ -265,14 +590,11 @@ class WhatsAppService {
     /**
      * Logout and cleanup session
      */
-    async logout(userId, placeId) {
+    async logout(userId, placeId, selector = {}) {
         try {
             this.logger.start(`Logging out session for user ${userId}, place ${placeId}`);
             
-            const sessionData = await WhatsAppSession.findOne({ 
-                user_id: userId, 
-                place_id: placeId 
-            }).sort({ created_at: -1 });
+            const sessionData = await this.findSession(userId, placeId, selector);
 
             if (!sessionData) {
                 throw new Error('No session found to logout');
@@ -289,12 +611,14 @@ class WhatsAppService {
             }
 
             // Update session status
-            sessionData.status = 'disconnected';
-            sessionData.updated_at = new Date();
-            await sessionData.save();
+            await this.reconnectService.cancelReconnect(sessionData.session_id);
+            await this.stateMachine.transition(sessionData, 'disconnected', {
+                cause: 'logout',
+                actor: 'api'
+            });
 
             // Cleanup client
-            await this.clientFactory.cleanupClient(sessionData.session_id);
+            await this.clientFactory.cleanupClient(sessionData.session_id, sessionData.driver);
 
             this.logger.success(`Session logged out: ${sessionData.session_id}`);
             
@@ -312,19 +636,38 @@ class WhatsAppService {
 
     /**
      * Restart session
+     * By default a hot restart: the browser is restarted with the stored auth and progress is reported
+     * through getRestartStatus. With options.logout the session is logged out and needs a new login
      */
-    async restartSession(userId, placeId) {
+    async restartSession(userId, placeId, selector = {}, options = {}) {
         try {
             this.logger.start(`Restarting session for user ${userId}, place ${placeId}`);
+
+            if (!options.logout) {
+                const sessionData = await this.findSession(userId, placeId, selector);
+                const progress = await this.restartService.restart(sessionData);
+
+                return {
+                    success: true,
+                    session_id: sessionData.session_id,
+                    session_name: sessionData.session_name,
+                    restart: progress,
+                    message: 'Session restart started'
+                };
+            }
             
             // First logout current session
-            await this.logout(userId, placeId);
+            const { session_id } = await this.logout(userId, placeId, selector);
+            const sessionData = await WhatsAppSession.findOne({ session_id });
             
             // Wait a moment for cleanup
             await new Promise(resolve => setTimeout(resolve, 2000));
             
-            // Initialize new session
-            const result = await this.initializeClient(userId, placeId);
+            // Re-initialize the same named session, keeping its browser settings
+            const result = await this.initializeClient(userId, placeId, { 
+                session_name: sessionData ? sessionData.session_name : undefined,
+                browser_config: sessionData ? this.getLaunchConfig(sessionData) : undefined
+            });
             
             this.logger.success(`Session restarted for user ${userId}, place ${placeId}`);
             
@@ -339,17 +682,38 @@ class WhatsAppService {
         }
     }
 
+    /**
+     * Get progress of the running or last hot restart of a session
+     */
+    async getRestartStatus(userId, placeId, selector = {}) {
+        const sessionData = await this.findSession(userId, placeId, selector);
+
+        return {
+            session_id: sessionData.session_id,
+            session_name: sessionData.session_name,
+            status: sessionData.status,
+            restart: this.restartService.getProgress(sessionData.session_id)
+        };
+    }
+
     /**
      * Get client by session credentials - Enhanced to support client recreation for completed sessions
+     * Options: session_id / session_name to pick a specific number, allowRecreation for completed sessions
      */
-    async getClientByCredentials(userId, placeId, allowRecreation = false) {
-        const sessionData = await WhatsAppSession.findOne({ 
-            user_id: userId, 
-            place_id: placeId
-        }).sort({ created_at: -1 });
+    async getClientByCredentials(userId, placeId, options = {}) {
+        const { allowRecreation = false, ...selector } = options;
+        let sessionData = await this.findSession(userId, placeId, selector);
 
-        if (!sessionData) {
-            throw new Error('No session found for this user and place');
+        // Sends arriving during a hot restart wait for it and then use the new client
+        if (this.restartService.isRestarting(sessionData.session_id)) {
+            await this.restartService.waitForRestart(sessionData.session_id);
+            sessionData = await this.findSession(userId, placeId, { session_id: sessionData.session_id });
+        }
+
+        // Hibernated sessions kept their auth: bring the browser back before using it
+        if (sessionData.status === 'inactive') {
+            await this.clientPool.revive(sessionData);
+            sessionData = await this.findSession(userId, placeId, { session_id: sessionData.session_id });
         }
 
         // For completed sessions with allowRecreation, we'll handle this differently
@@ -371,13 +735,10 @@ class WhatsAppService {
             // Only update status to disconnected for non-completed sessions
             if (sessionData.status !== 'completed') {
                 this.logger.warn(`Client not found in memory for session ${sessionData.session_id}, updating status`);
-                await WhatsAppSession.findOneAndUpdate(
-                    { session_id: sessionData.session_id },
-                    { 
-                        status: 'disconnected',
-                        updated_at: new Date()
-                    }
-                );
+                await this.stateMachine.tryTransition(sessionData, 'disconnected', {
+                    cause: 'client_missing',
+                    actor: 'system'
+                });
             }
             throw new Error('Client not available - session may have been disconnected');
         }
@@ -401,6 +762,7 @@ class WhatsAppService {
                 { session_id: sessionId },
                 { 
                     last_activity: new Date(),
+                    inactive_flagged_at: null,
                     updated_at: new Date()
                 }
             );
@@ -417,18 +779,299 @@ class WhatsAppService {
             user_id: userId, 
             place_id: placeId,
             status: { $in: ['authenticated', 'connected', 'ready', 'fetching_contacts'] }
-        });
+        }).sort({ created_at: -1 });
+    }
+
+    /**
+     * Resolve the session to use for a user/place, or null when none matches
+     * Selector may carry session_id or session_name; otherwise the newest usable session wins
+     */
+    async lookupSession(userId, placeId, selector = {}) {
+        const { session_id: sessionId, session_name: sessionName } = selector;
+
+        if (sessionId || sessionName) {
+            const query = { user_id: userId, place_id: placeId };
+            if (sessionId) query.session_id = sessionId;
+            if (sessionName) query.session_name = sessionName;
+
+            return await WhatsAppSession.findOne(query);
+        }
+
+        // Prefer the newest number that can actually send, then fall back to the newest record
+        const usableSession = await WhatsAppSession.findOne({
+            user_id: userId,
+            place_id: placeId,
+            status: { $in: ['ready', 'connected', 'fetching_contacts', 'completed'] }
+        }).sort({ created_at: -1 });
+
+        if (usableSession) {
+            return usableSession;
+        }
+
+        // Next best is a hibernated number, revived on use
+        const hibernatedSession = await WhatsAppSession.findOne({
+            user_id: userId,
+            place_id: placeId,
+            status: 'inactive'
+        }).sort({ last_activity: -1 });
+
+        if (hibernatedSession) {
+            return hibernatedSession;
+        }
+
+        return await WhatsAppSession.findOne({ 
+            user_id: userId, 
+            place_id: placeId 
+        }).sort({ created_at: -1 });
+    }
+
+    /**
+     * Resolve the session to use for a user/place, throwing when none matches
+     */
+    async findSession(userId, placeId, selector = {}) {
+        const sessionData = await this.lookupSession(userId, placeId, selector);
+
+        if (!sessionData) {
+            if (selector.session_id || selector.session_name) {
+                const target = selector.session_id 
+                    ? `session_id "${selector.session_id}"` 
+                    : `session_name "${selector.session_name}"`;
+                throw new Error(`No session found matching ${target} for this user and place`);
+            }
+            throw new Error('No session found for this user and place');
+        }
+
+        return sessionData;
+    }
+
+    /**
+     * List all sessions (numbers) registered for a user/place
+     */
+    async listSessions(userId, placeId) {
+        try {
+            const sessions = await WhatsAppSession.find({ 
+                user_id: userId, 
+                place_id: placeId 
+            }).sort({ created_at: 1 });
+
+            return sessions.map(sessionData => ({
+                session_id: sessionData.session_id,
+                session_name: sessionData.session_name,
+                driver: sessionData.driver || 'webjs',
+                status: sessionData.status,
+                phone_number: sessionData.phone_number,
+                name: sessionData.name,
+                client_active: this.clientFactory.hasClient(sessionData.session_id),
+                connected_at: sessionData.connected_at,
+                last_activity: sessionData.last_activity,
+                created_at: sessionData.created_at
+            }));
+        } catch (error) {
+            this.logger.error('Error listing sessions:', error);
+            throw new Error(`Failed to list sessions: ${error.message}`);
+        }
+    }
+
+    /**
+     * Get status transition timeline for a session of user/place
+     */
+    async getSessionHistory(userId, placeId, sessionId, page = 1, limit = 50) {
+        try {
+            const sessionData = await this.findSession(userId, placeId, { session_id: sessionId });
+            const history = await this.stateMachine.getHistory(sessionData.session_id, page, limit);
+
+            return {
+                session_id: sessionData.session_id,
+                session_name: sessionData.session_name,
+                current_status: sessionData.status,
+                ...history
+            };
+        } catch (error) {
+            this.logger.error(`Error getting session history for ${sessionId}:`, error);
+            throw new Error(`Failed to get session history: ${error.message}`);
+        }
+    }
+
+    /**
+     * Rename a session
+     */
+    async renameSession(userId, placeId, sessionId, sessionName) {
+        try {
+            const sessionData = await this.findSession(userId, placeId, { session_id: sessionId });
+
+            const duplicate = await WhatsAppSession.findOne({ 
+                user_id: userId, 
+                session_name: sessionName,
+                session_id: { $ne: sessionId }
+            });
+            if (duplicate) {
+                throw new Error(`Session name "${sessionName}" is already in use`);
+            }
+
+            sessionData.session_name = sessionName;
+            sessionData.updated_at = new Date();
+            await sessionData.save();
+
+            this.logger.info(`Session ${sessionId} renamed to "${sessionName}"`);
+
+            return {
+                session_id: sessionData.session_id,
+                session_name: sessionData.session_name
+            };
+        } catch (error) {
+            this.logger.error(`Error renaming session ${sessionId}:`, error);
+            throw new Error(`Failed to rename session: ${error.message}`);
+        }
+    }
+
+    /**
+     * Build stored browser_config from API input, keeping only known fields
+     * With partial = true, fields not present in input are left out (so they stay unchanged on update)
+     */
+    normalizeBrowserConfig(input, partial = false) {
+        const config = {};
+        const fields = ['proxy_url', 'user_agent', 'chromium_args', 'web_version'];
+
+        for (const field of fields) {
+            if (partial && input[field] === undefined) {
+                continue;
+            }
+
+            if (field === 'chromium_args') {
+                config.chromium_args = input.chromium_args || [];
+            } else {
+                config[field] = input[field] ? String(input[field]).trim() : null;
+            }
+        }
+
+        return config;
+    }
+
+    /**
+     * Get plain browser settings for starting the session's client
+     */
+    getLaunchConfig(sessionData) {
+        const config = sessionData.browser_config || {};
+
+        return {
+            proxy_url: config.proxy_url || null,
+            user_agent: config.user_agent || null,
+            chromium_args: config.chromium_args ? Array.from(config.chromium_args) : [],
+            web_version: config.web_version || null
+        };
+    }
+
+    /**
+     * Format browser settings for API responses, hiding the proxy password
+     */
+    formatBrowserConfig(sessionData) {
+        const config = this.getLaunchConfig(sessionData);
+
+        if (config.proxy_url) {
+            const proxy = new URL(config.proxy_url);
+            if (proxy.password) {
+                proxy.password = '***';
+            }
+            config.proxy_url = proxy.toString().replace(/\/$/, '');
+        }
+
+        return config;
+    }
+
+    /**
+     * Format connected account details for API responses, null until the session was first ready
+     */
+    formatAccountInfo(sessionData) {
+        const info = sessionData.account_info;
+        if (!info || !info.refreshed_at) {
+            return null;
+        }
+
+        return {
+            platform: info.platform,
+            web_version: info.web_version,
+            account_type: info.is_business === null ? null : (info.is_business ? 'business' : 'personal'),
+            is_enterprise: info.is_enterprise,
+            profile_picture_url: info.profile_picture_url,
+            about: info.about,
+            battery: info.battery,
+            plugged: info.plugged,
+            device: {
+                manufacturer: info.device?.manufacturer || null,
+                model: info.device?.model || null,
+                os_version: info.device?.os_version || null,
+                wa_version: info.device?.wa_version || null
+            },
+            refreshed_at: info.refreshed_at
+        };
+    }
+
+    /**
+     * Get browser settings of a session
+     */
+    async getBrowserConfig(userId, placeId, sessionId) {
+        try {
+            const sessionData = await this.findSession(userId, placeId, { session_id: sessionId });
+
+            return {
+                session_id: sessionData.session_id,
+                session_name: sessionData.session_name,
+                driver: sessionData.driver || 'webjs',
+                browser_config: this.formatBrowserConfig(sessionData)
+            };
+        } catch (error) {
+            this.logger.error(`Error getting browser config for ${sessionId}:`, error);
+            throw new Error(`Failed to get browser config: ${error.message}`);
+        }
+    }
+
+    /**
+     * Update browser settings of a session; null clears a field, omitted fields are kept
+     * Settings apply the next time the client starts (init, restart, reconnect, revive)
+     */
+    async updateBrowserConfig(userId, placeId, sessionId, browserConfig) {
+        try {
+            const sessionData = await this.findSession(userId, placeId, { session_id: sessionId });
+            const changes = this.normalizeBrowserConfig(browserConfig, true);
+
+            const updates = { updated_at: new Date() };
+            for (const [field, value] of Object.entries(changes)) {
+                updates[`browser_config.${field}`] = value;
+            }
+
+            const updated = await WhatsAppSession.findOneAndUpdate(
+                { session_id: sessionData.session_id },
+                updates,
+                { new: true }
+            );
+
+            this.logger.info(`Browser config updated for session ${sessionId}: ${Object.keys(changes).join(', ')}`);
+
+            return {
+                session_id: updated.session_id,
+                session_name: updated.session_name,
+                driver: updated.driver || 'webjs',
+                browser_config: this.formatBrowserConfig(updated),
+                restart_required: this.clientFactory.hasClient(updated.session_id)
+            };
+        } catch (error) {
+            this.logger.error(`Error updating browser config for ${sessionId}:`, error);
+            throw new Error(`Failed to update browser config: ${error.message}`);
+        }
     }
 
     /**
      * Create session record in database
      */
-    async createSessionRecord(userId, placeId, sessionId) {
+    async createSessionRecord(userId, placeId, sessionId, sessionName, settings = {}) {
         try {
             const sessionData = new WhatsAppSession({
                 user_id: userId,
                 place_id: placeId,
                 session_id: sessionId,
+                ...(sessionName && { session_name: sessionName }),
+                driver: this.clientFactory.defaultDriver,
+                ...settings,
                 status: 'initializing',
                 contacts_fetch_progress: 0,
                 contacts_fetch_completed: false,
@@ -437,6 +1080,10 @@ class WhatsAppService {
             });
             
             await sessionData.save();
+            await this.stateMachine.recordTransition(sessionData, null, 'initializing', {
+                cause: 'session_created',
+                actor: 'api'
+            });
             this.logger.info(`Session record created: ${sessionId}`);
             
             return sessionData;
@@ -449,14 +1096,22 @@ class WhatsAppService {
     /**
      * Create event handlers for WhatsApp client
      */
-    createEventHandlers(sessionData) {
+    createEventHandlers(sessionData, client) {
         return {
             onQR: async (qrDataURL) => {
                 try {
-                    sessionData.qr_code = qrDataURL;
-                    sessionData.status = 'qr_ready';
-                    sessionData.updated_at = new Date();
-                    await sessionData.save();
+                    // Pairing code logins use the QR refresh only as a signal that login is pending
+                    if (sessionData.login_method === 'pairing_code') {
+                        await this.requestPairingCode(sessionData, client);
+                        return;
+                    }
+
+                    await this.stateMachine.tryTransition(sessionData, 'qr_ready', {
+                        cause: 'qr_received',
+                        actor: 'client',
+                        updates: { qr_code: qrDataURL }
+                    });
+                    this.eventService.publish(sessionData, 'qr', { qr_code: qrDataURL });
                     this.logger.info(`QR code ready for session: ${sessionData.session_id}`);
                 } catch (error) {
                     this.logger.error(`Error updating QR code for ${sessionData.session_id}:`, error);
@@ -465,10 +1120,11 @@ class WhatsAppService {
 
             onAuthenticated: async () => {
                 try {
-                    sessionData.status = 'authenticated';
-                    sessionData.qr_code = null;
-                    sessionData.updated_at = new Date();
-                    await sessionData.save();
+                    await this.stateMachine.tryTransition(sessionData, 'authenticated', {
+                        cause: 'authenticated',
+                        actor: 'client',
+                        updates: { qr_code: null, pairing_code: null, pairing_code_expires_at: null }
+                    });
                     this.logger.success(`Session authenticated: ${sessionData.session_id}`);
                 } catch (error) {
                     this.logger.error(`Error updating authenticated status for ${sessionData.session_id}:`, error);
@@ -477,10 +1133,11 @@ class WhatsAppService {
 
             onLoadingScreen: async () => {
                 try {
-                    sessionData.status = 'loading_screen';
-                    sessionData.qr_code = null;
-                    sessionData.updated_at = new Date();
-                    await sessionData.save();
+                    await this.stateMachine.tryTransition(sessionData, 'loading_screen', {
+                        cause: 'loading_screen',
+                        actor: 'client',
+                        updates: { qr_code: null }
+                    });
                     this.logger.info(`Loading screen for session: ${sessionData.session_id}`);
                 } catch (error) {
                     this.logger.error(`Error updating loading screen status for ${sessionData.session_id}:`, error);
@@ -490,15 +1147,27 @@ class WhatsAppService {
             onReady: async (clientInfo) => {
                 try {
                     // Update session with client info
-                    sessionData.phone_number = clientInfo.wid.user;
-                    sessionData.name = clientInfo.pushname;
-                    sessionData.status = 'ready';
-                    sessionData.connected_at = new Date();
-                    sessionData.qr_code = null;
-                    sessionData.updated_at = new Date();
-                    await sessionData.save();
+                    await this.stateMachine.tryTransition(sessionData, 'ready', {
+                        cause: 'client_ready',
+                        actor: 'client',
+                        details: { phone_number: clientInfo.wid.user },
+                        updates: {
+                            phone_number: clientInfo.wid.user,
+                            name: clientInfo.pushname,
+                            connected_at: new Date(),
+                            qr_code: null,
+                            pairing_code: null,
+                            pairing_code_expires_at: null,
+                            disconnect_reason: null,
+                            reconnect_attempts: 0,
+                            next_reconnect_at: null
+                        }
+                    });
                     
                     this.logger.success(`Session ready: ${sessionData.session_id}`);
+
+                    // Account and device details are not needed to send, so don't hold up ready
+                    this.metadataService.refresh(sessionData.session_id);
                     
                     // Create default groups instead of starting background contact fetch
                     await this.createDefaultGroupsAfterReady(sessionData);
@@ -509,10 +1178,12 @@ class WhatsAppService {
 
             onAuthFailure: async (message) => {
                 try {
-                    sessionData.status = 'error';
-                    sessionData.contacts_fetch_error = `Auth failure: ${message}`;
-                    sessionData.updated_at = new Date();
-                    await sessionData.save();
+                    await this.stateMachine.tryTransition(sessionData, 'error', {
+                        cause: 'auth_failure',
+                        actor: 'client',
+                        details: { message },
+                        updates: { contacts_fetch_error: `Auth failure: ${message}` }
+                    });
                     this.logger.error(`Auth failure for session ${sessionData.session_id}:`, { message });
                 } catch (error) {
                     this.logger.error(`Error updating auth failure status for ${sessionData.session_id}:`, error);
@@ -521,22 +1192,68 @@ class WhatsAppService {
 
             onDisconnected: async (reason) => {
                 try {
-                    sessionData.status = 'disconnected';
-                    sessionData.updated_at = new Date();
-                    await sessionData.save();
+                    await this.stateMachine.tryTransition(sessionData, 'disconnected', {
+                        cause: 'client_disconnected',
+                        actor: 'client',
+                        details: { reason, kind: SessionReconnectService.classifyDisconnect(reason) },
+                        updates: { disconnect_reason: reason || null }
+                    });
                     this.logger.warn(`Session disconnected ${sessionData.session_id}:`, { reason });
+
+                    await this.reconnectService.handleDisconnect(sessionData.session_id, reason);
                 } catch (error) {
                     this.logger.error(`Error updating disconnected status for ${sessionData.session_id}:`, error);
                 }
             },
 
             onMessage: async (message) => {
+                this.eventService.publish(sessionData, 'message', {
+                    message_id: message.id?._serialized,
+                    from: message.from,
+                    type: message.type,
+                    body: message.body,
+                    has_media: Boolean(message.hasMedia),
+                    timestamp: message.timestamp
+                });
+
+                try {
+                    const inboundMessage = await this.conversationService.saveInboundMessage(sessionData, message);
+                    const conversation = inboundMessage ?
+                        await this.handoverService.recordInbound(sessionData, inboundMessage) : null;
+                    // Opt-out keywords come first, even while an agent handles the conversation; then, unless
+                    // the bot is paused, a chat flow that continues or starts takes the message;
+                    // otherwise auto-reply rules run
+                    if (inboundMessage &&
+                        !await this.suppressionService.handleInbound(sessionData, inboundMessage) &&
+                        !conversation?.bot_paused &&
+                        !await this.chatFlowService.handleInbound(sessionData, inboundMessage)) {
+                        await this.autoReplyService.handleInbound(sessionData, inboundMessage);
+                    }
+                } catch (error) {
+                    this.logger.error(`Error handling inbound message for ${sessionData.session_id}:`, error);
+                }
+
                 try {
                     // Update last activity when receiving messages
                     await this.updateSessionActivity(sessionData.session_id);
                 } catch (error) {
                     this.logger.warn(`Error updating activity on message for ${sessionData.session_id}:`, error);
                 }
+            },
+
+            onMessageAck: async (message, ack) => {
+                this.eventService.publish(sessionData, 'message_ack', {
+                    message_id: message.id?._serialized,
+                    to: message.to,
+                    ack,
+                    status: MessageAckService.ACK_STATUSES[ack] || null
+                });
+
+                try {
+                    await this.messageAckService.handleAck(sessionData, message, ack);
+                } catch (error) {
+                    this.logger.warn(`Error applying message ack for ${sessionData.session_id}:`, error);
+                }
             }
         };
     }
@@ -572,25 +1289,21 @@ class WhatsAppService {
     }
 
     /**
-     * Recreate client from existing session data stored on disk
-     * Uses LocalAuth to restore session from persistent storage
+     * Recreate client from existing session data in persistent storage
+     * The configured auth strategy restores from disk (LocalAuth) or MongoDB (RemoteAuth)
      */
     async recreateClientFromSession(sessionData) {
         try {
             this.logger.info(`Recreating client for session: ${sessionData.session_id}`);
             
-            // Create client - LocalAuth will automatically restore from disk if session exists
-            const client = await this.clientFactory.createClient(sessionData.session_id);
-            
-            // Setup event handlers
-            const eventHandlers = this.createEventHandlers(sessionData);
-            this.clientFactory.setupClientEventHandlers(client, sessionData.session_id, eventHandlers);
-            
-            // Store client in memory
-            this.clientFactory.storeClient(sessionData.session_id, client, sessionData);
+            // Without stored auth the client would only show a new QR, so fail fast
+            const hasAuthData = await this.clientFactory.hasSessionData(sessionData.session_id, sessionData.driver);
+            if (!hasAuthData) {
+                throw new Error('No stored authentication data found for this session');
+            }
             
-            // Initialize client - LocalAuth will restore authentication from disk
-            client.initialize();
+            // Create, wire and initialize client - auth strategy restores the stored session
+            const client = await this.startClient(sessionData);
             
             // Return immediately - client will emit 'ready' event when fully loaded
             this.logger.success(`Client recreation initiated for session: ${sessionData.session_id}`);
@@ -612,11 +1325,18 @@ class WhatsAppService {
                     clearTimeout(timeout);
                     reject(new Error(`Authentication failed during recreation: ${message}`));
                 });
+
+                client.once('initialize_failure', (error) => {
+                    clearTimeout(timeout);
+                    reject(new Error(`Client failed to start during recreation: ${error.message}`));
+                });
                 
                 // Handle disconnect
                 client.once('disconnected', (reason) => {
                     clearTimeout(timeout);
-                    reject(new Error(`Client disconnected during recreation: ${reason}`));
+                    const error = new Error(`Client disconnected during recreation: ${reason}`);
+                    error.disconnectReason = reason;
+                    reject(error);
                 });
             });
             
@@ -629,19 +1349,12 @@ class WhatsAppService {
     /**
      * Start background contact fetching - Enhanced with client recreation for completed sessions
      */
-    async startBackgroundContactFetch(userId, placeId) {
+    async startBackgroundContactFetch(userId, placeId, selector = {}) {
         try {
             this.logger.start(`Starting background contact fetch for user ${userId}, place ${placeId}`);
 
             // Get session data first to check status
-            const sessionData = await WhatsAppSession.findOne({ 
-                user_id: userId, 
-                place_id: placeId
-            }).sort({ created_at: -1 });
-
-            if (!sessionData) {
-                throw new Error('No session found for this user and place');
-            }
+            const sessionData = await this.findSession(userId, placeId, selector);
 
             // Check session status
             if (!['ready', 'connected', 'completed'].includes(sessionData.status)) {
@@ -652,7 +1365,10 @@ class WhatsAppService {
             
             // Try to get existing client or recreate it
             try {
-                const clientData = await this.getClientByCredentials(userId, placeId, true); // allowRecreation = true
+                const clientData = await this.getClientByCredentials(userId, placeId, {
+                    session_id: sessionData.session_id,
+                    allowRecreation: true
+                });
                 client = clientData.client;
                 this.logger.info(`Using existing client for session: ${sessionData.session_id}`);
             } catch (clientError) {
@@ -682,17 +1398,30 @@ class WhatsAppService {
                         updated_at: new Date()
                     };
 
-                    if (progress.status) updateData.status = progress.status;
                     if (typeof progress.progress === 'number') updateData.contacts_fetch_progress = progress.progress;
                     if (typeof progress.completed === 'boolean') updateData.contacts_fetch_completed = progress.completed;
                     if (progress.error) updateData.contacts_fetch_error = progress.error;
                     if (progress.total) updateData.total_contacts = progress.total;
                     if (progress.completed === true) updateData.last_contacts_sync = new Date();
 
-                    await WhatsAppSession.findOneAndUpdate(
-                        { session_id: sessionData.session_id },
-                        updateData
-                    );
+                    this.eventService.publish(sessionData, 'contacts_progress', progress);
+
+                    if (!progress.status) {
+                        await WhatsAppSession.findOneAndUpdate(
+                            { session_id: sessionData.session_id },
+                            updateData
+                        );
+                        return;
+                    }
+
+                    // A failed fetch leaves the session itself usable
+                    const failed = progress.status === 'error';
+                    await this.stateMachine.tryTransition(sessionData.session_id, failed ? 'ready' : progress.status, {
+                        cause: failed ? 'contact_fetch_failed' : 'contact_fetch_progress',
+                        actor: 'system',
+                        details: failed ? { error: progress.error } : null,
+                        updates: updateData
+                    });
                 } catch (error) {
                     this.logger.error(`Error updating contact fetch progress for ${sessionData.session_id}:`, error);
                 }
@@ -731,9 +1460,9 @@ class WhatsAppService {
     /**
      * Manual contact sync
      */
-    async syncContacts(userId, placeId) {
+    async syncContacts(userId, placeId, selector = {}) {
         try {
-            const { client, sessionData } = await this.getClientByCredentials(userId, placeId);
+            const { client, sessionData } = await this.getClientByCredentials(userId, placeId, selector);
             
             this.logger.start(`Manual contact sync for session: ${sessionData.session_id}`);
             
@@ -780,7 +1509,10 @@ class WhatsAppService {
      * Get factory statistics
      */
     getStats() {
-        return this.clientFactory.getStats();
+        return {
+            ...this.clientFactory.getStats(),
+            event_streams: this.eventService.getSubscriberCount()
+        };
     }
 
     /**
@@ -811,31 +1543,11 @@ class WhatsAppService {
     }
 
     /**
-     * Cleanup inactive sessions
+     * Reap sessions without activity for maxInactiveHours using the configured reaper policy
      */
     async cleanupInactiveSessions(maxInactiveHours = 24) {
         try {
-            const cleanedCount = await this.clientFactory.cleanupInactiveSessions(maxInactiveHours);
-            
-            // Also cleanup database records
-            const cutoffTime = new Date(Date.now() - (maxInactiveHours * 60 * 60 * 1000));
-            const dbCleanup = await WhatsAppSession.updateMany(
-                {
-                    last_activity: { $lt: cutoffTime },
-                    status: { $in: ['ready', 'connected', 'fetching_contacts'] }
-                },
-                {
-                    status: 'inactive',
-                    updated_at: new Date()
-                }
-            );
-            
-            this.logger.info(`Cleaned up ${cleanedCount} client sessions and ${dbCleanup.modifiedCount} database records`);
-            
-            return {
-                cleaned_clients: cleanedCount,
-                cleaned_db_records: dbCleanup.modifiedCount
-            };
+            return await this.reaperService.run({ timeoutMs: maxInactiveHours * 60 * 60 * 1000 });
         } catch (error) {
             this.logger.error('Error cleaning up inactive sessions:', error);
             throw error;
@@ -847,6 +1559,11 @@ class WhatsAppService {
      */
     async shutdown() {
         this.logger.info('Shutting down WhatsApp service...');
+        this.reconnectService.stopAll();
+        this.reaperService.stop();
+        this.watchdogService.stop();
+        this.metadataService.stop();
+        this.chatFlowService.stop();
         await this.clientFactory.shutdownAllClients();
         this.logger.success('WhatsApp service shut down successfully');
     }
@@ -0,0 +1,360 @@
+const EventEmitter = require('events');
+const crypto = require('crypto');
+
+/**
+ * Build whatsapp-web.js style wid for a number or chat id
+ */
+const toWid = (chatId) => {
+    const [user, server = 'c.us'] = String(chatId).split('@');
+    return { server, user, _serialized: `${user}@${server}` };
+};
+
+/**
+ * Simulated chat holding the messages exchanged in the sandbox
+ */
+class SandboxChat {
+    constructor(client, wid, name) {
+        this.client = client;
+        this.id = wid;
+        this.name = name;
+        this.isGroup = wid.server === 'g.us';
+        this.isReadOnly = false;
+        this.unreadCount = 0;
+        this.timestamp = null;
+        this.lastMessage = null;
+        this.messages = [];
+        this.archived = false;
+        this.pinned = false;
+    }
+
+    addMessage(message) {
+        this.messages.push(message);
+        this.lastMessage = message;
+        this.timestamp = message.timestamp;
+        if (!message.fromMe) {
+            this.unreadCount++;
+        }
+    }
+
+    async fetchMessages({ limit = 50 } = {}) {
+        return this.messages.slice(-limit);
+    }
+
+    async sendMessage(content, options = {}) {
+        return await this.client.sendMessage(this.id._serialized, content, options);
+    }
+
+    async sendSeen() {
+        this.unreadCount = 0;
+        return true;
+    }
+
+    async archive() {
+        this.archived = true;
+    }
+
+    async unarchive() {
+        this.archived = false;
+    }
+
+    async pin() {
+        this.pinned = true;
+        return true;
+    }
+
+    async unpin() {
+        this.pinned = false;
+        return false;
+    }
+}
+
+/**
+ * Simulated client exposing the subset of the whatsapp-web.js Client API used by the services
+ * Extra sandbox controls: scanQR() (also completes pairing code logins), injectMessage(), simulateDisconnect()
+ */
+class SandboxClient extends EventEmitter {
+    constructor(sessionId, driver) {
+        super();
+        this.sessionId = sessionId;
+        this.driver = driver;
+        this.timings = driver.timings;
+        this.state = null;
+        this.info = null;
+        this.qrCode = null;
+        this.chats = new Map();
+        this.timers = new Set();
+        this.pupPage = null;
+
+        // Stable fake account number per session
+        const digest = crypto.createHash('md5').update(sessionId).digest('hex');
+        this.phoneNumber = `1555${String(parseInt(digest.slice(0, 8), 16) % 10000000).padStart(7, '0')}`;
+    }
+
+    /**
+     * Run callback after delay unless the client is destroyed first
+     */
+    schedule(callback, delay) {
+        const timer = setTimeout(() => {
+            this.timers.delete(timer);
+            callback();
+        }, delay);
+        this.timers.add(timer);
+    }
+
+    async initialize() {
+        this.state = 'OPENING';
+
+        if (this.driver.isLinked(this.sessionId)) {
+            this.schedule(() => this.completeLogin(), this.timings.qrDelayMs);
+            return;
+        }
+
+        this.schedule(() => {
+            this.qrCode = `sandbox:${this.sessionId}:${Date.now()}`;
+            this.state = 'UNPAIRED';
+            this.emit('qr', this.qrCode);
+
+            if (this.timings.autoScanMs > 0) {
+                this.schedule(() => this.scanQR().catch(() => {}), this.timings.autoScanMs);
+            }
+        }, this.timings.qrDelayMs);
+    }
+
+    /**
+     * Simulate the phone scanning the current QR code
+     */
+    async scanQR() {
+        if (!this.qrCode) {
+            throw new Error('No QR code waiting to be scanned');
+        }
+
+        this.qrCode = null;
+        this.driver.markLinked(this.sessionId);
+        this.completeLogin();
+        return true;
+    }
+
+    /**
+     * Simulate pairing code login; the code is "entered" by scanQR() or the auto-scan timer
+     */
+    async requestPairingCode(phoneNumber) {
+        if (!this.qrCode) {
+            throw new Error('Client is not waiting for login');
+        }
+
+        this.pairingPhoneNumber = phoneNumber;
+        return crypto.randomBytes(4).toString('hex').toUpperCase();
+    }
+
+    completeLogin() {
+        this.emit('authenticated');
+        this.emit('loading_screen', 100, 'WhatsApp');
+
+        this.schedule(() => {
+            const wid = toWid(this.phoneNumber);
+            this.state = 'CONNECTED';
+            this.info = {
+                wid,
+                me: wid,
+                pushname: 'Sandbox',
+                platform: 'sandbox'
+            };
+            this.emit('ready');
+        }, this.timings.readyDelayMs);
+    }
+
+    async getState() {
+        return this.state;
+    }
+
+    async getWWebVersion() {
+        return 'sandbox';
+    }
+
+    /**
+     * Build contact object shaped like whatsapp-web.js Contact
+     */
+    buildContact(entry) {
+        const wid = toWid(entry.number);
+        return {
+            id: wid,
+            number: entry.number,
+            name: entry.name || undefined,
+            pushname: entry.name || undefined,
+            shortName: entry.name ? entry.name.split(' ')[0] : undefined,
+            isBusiness: entry.is_business,
+            isEnterprise: false,
+            isGroup: false,
+            isMe: false,
+            isMyContact: true,
+            isUser: true,
+            isWAContact: true,
+            isBlocked: false
+        };
+    }
+
+    async getContacts() {
+        return this.driver.getAddressBook().map(entry => this.buildContact(entry));
+    }
+
+    async getContactById(contactId) {
+        const wid = toWid(contactId);
+        const entry = this.driver.getAddressBook().find(item => item.number === wid.user);
+        return this.buildContact(entry || { number: wid.user, name: null, is_business: false });
+    }
+
+    async getProfilePicUrl() {
+        return undefined;
+    }
+
+    async isRegisteredUser() {
+        return true;
+    }
+
+    async getNumberId(number) {
+        return toWid(String(number).replace(/\D/g, ''));
+    }
+
+    /**
+     * Get or create chat for id, naming it from the address book
+     */
+    getOrCreateChat(chatId) {
+        const wid = toWid(chatId);
+        if (!this.chats.has(wid._serialized)) {
+            const entry = this.driver.getAddressBook().find(item => item.number === wid.user);
+            this.chats.set(wid._serialized, new SandboxChat(this, wid, entry?.name || wid.user));
+        }
+        return this.chats.get(wid._serialized);
+    }
+
+    async getChats() {
+        return Array.from(this.chats.values())
+            .sort((a, b) => (b.timestamp || 0) - (a.timestamp || 0));
+    }
+
+    async getChatById(chatId) {
+        return this.getOrCreateChat(chatId);
+    }
+
+    async getMessageById(messageId) {
+        for (const chat of this.chats.values()) {
+            const message = chat.messages.find(item => item.id._serialized === messageId);
+            if (message) {
+                return message;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Build message object shaped like whatsapp-web.js Message
+     */
+    createMessage(chat, { fromMe, body, type, hasMedia = false, media = null, quotedMessage = null }) {
+        const messageId = crypto.randomBytes(10).toString('hex').toUpperCase();
+        const me = this.info.wid._serialized;
+
+        const message = {
+            id: {
+                fromMe,
+                remote: chat.id._serialized,
+                id: messageId,
+                _serialized: `${fromMe}_${chat.id._serialized}_${messageId}`
+            },
+            ack: fromMe ? 0 : 3,
+            body,
+            type,
+            hasMedia: hasMedia || Boolean(media),
+            // media: { mimetype, data (base64), filename }, as whatsapp-web.js MessageMedia
+            _data: media ? {
+                mimetype: media.mimetype,
+                filename: media.filename || null,
+                size: Buffer.byteLength(media.data || '', 'base64')
+            } : {},
+            downloadMedia: async () => media,
+            timestamp: Math.floor(Date.now() / 1000),
+            from: fromMe ? me : chat.id._serialized,
+            to: fromMe ? chat.id._serialized : me,
+            fromMe,
+            hasQuotedMsg: Boolean(quotedMessage),
+            getQuotedMessage: async () => quotedMessage,
+            getChat: async () => chat,
+            reply: async (content, options = {}) => this.sendMessage(chat.id._serialized, content, options)
+        };
+
+        chat.addMessage(message);
+        return message;
+    }
+
+    async sendMessage(chatId, content, options = {}) {
+        if (this.state !== 'CONNECTED') {
+            throw new Error('Sandbox client is not connected');
+        }
+
+        const chat = this.getOrCreateChat(chatId);
+        if (!/^\d+$/.test(chat.id.user)) {
+            throw new Error(`Invalid chat id: ${chatId}`);
+        }
+
+        // Plain text, MessageMedia, or a { media, caption } wrapper
+        const media = typeof content === 'string' ? null : (content.media || content);
+        const mediaType = media?.mimetype ? media.mimetype.split('/')[0] : null;
+        const message = this.createMessage(chat, {
+            fromMe: true,
+            body: media ? (options.caption || content.caption || '') : content,
+            type: media ? (['image', 'video', 'audio'].includes(mediaType) ? mediaType : 'document') : 'chat',
+            hasMedia: Boolean(media),
+            quotedMessage: options.quotedMessageId ? await this.getMessageById(options.quotedMessageId) : null
+        });
+
+        // Synthetic acks: server (1), delivered (2), read (3)
+        [1, 2, 3].forEach(ack => {
+            this.schedule(() => {
+                message.ack = ack;
+                this.emit('message_ack', message, ack);
+            }, this.timings.ackDelayMs * ack);
+        });
+
+        return message;
+    }
+
+    /**
+     * Simulate inbound message from a contact
+     */
+    injectMessage({ from, body = '', type, media = null }) {
+        if (this.state !== 'CONNECTED') {
+            throw new Error('Sandbox client is not connected');
+        }
+
+        // Without a type, media gets the one WhatsApp would report for its mimetype (as in sendMessage)
+        const mediaType = media?.mimetype ? media.mimetype.split('/')[0] : null;
+        const messageType = type || (media ? (['image', 'video', 'audio'].includes(mediaType) ? mediaType : 'document') : 'chat');
+
+        const chat = this.getOrCreateChat(from.includes('@') ? from : `${from.replace(/\D/g, '')}@c.us`);
+        const message = this.createMessage(chat, { fromMe: false, body, type: messageType, media });
+        this.emit('message', message);
+
+        return message;
+    }
+
+    /**
+     * Simulate the phone dropping the connection
+     */
+    simulateDisconnect(reason = 'NAVIGATION') {
+        this.state = null;
+        this.emit('change_state', 'UNPAIRED');
+        this.emit('disconnected', reason);
+    }
+
+    async logout() {
+        await this.driver.deleteSessionData(this.sessionId);
+        this.state = null;
+    }
+
+    async destroy() {
+        this.timers.forEach(timer => clearTimeout(timer));
+        this.timers.clear();
+        this.state = null;
+    }
+}
+
+module.exports = SandboxClient;
@@ -0,0 +1,100 @@
+const fs = require('fs');
+const SandboxClient = require('./SandboxClient');
+const Logger = require('../../../utils/Logger');
+
+// Sessions that completed a simulated QR scan in this process
+const linkedSessions = new Set();
+
+/**
+ * Simulated driver for integration development without a phone or a browser
+ * Fakes QR/auth/ready transitions, serves a configurable address book and acknowledges sends
+ */
+class SandboxDriver {
+    constructor() {
+        this.name = 'sandbox';
+        this.logger = new Logger('SandboxDriver');
+        this.timings = {
+            qrDelayMs: parseInt(process.env.WHATSAPP_SANDBOX_QR_DELAY_MS) || 500,
+            autoScanMs: process.env.WHATSAPP_SANDBOX_AUTO_SCAN_MS !== undefined
+                ? parseInt(process.env.WHATSAPP_SANDBOX_AUTO_SCAN_MS) || 0
+                : 3000,
+            readyDelayMs: parseInt(process.env.WHATSAPP_SANDBOX_READY_DELAY_MS) || 1000,
+            ackDelayMs: parseInt(process.env.WHATSAPP_SANDBOX_ACK_DELAY_MS) || 1000
+        };
+        this.addressBook = null;
+    }
+
+    /**
+     * Create simulated client for session (browser settings do not apply)
+     */
+    createClient(sessionId) {
+        return new SandboxClient(sessionId, this);
+    }
+
+    /**
+     * Sandbox sessions can always resume; unlinked ones simply get a new QR
+     */
+    async hasSessionData() {
+        return true;
+    }
+
+    /**
+     * Forget simulated link so the next start asks for a QR scan again
+     */
+    async deleteSessionData(sessionId) {
+        linkedSessions.delete(sessionId);
+    }
+
+    /**
+     * Check if session completed a simulated QR scan
+     */
+    isLinked(sessionId) {
+        return linkedSessions.has(sessionId);
+    }
+
+    /**
+     * Remember simulated QR scan for session
+     */
+    markLinked(sessionId) {
+        linkedSessions.add(sessionId);
+    }
+
+    /**
+     * Get fake address book, loaded from WHATSAPP_SANDBOX_CONTACTS_FILE or generated
+     * File format: [{ "number": "966500000001", "name": "Ahmed", "is_business": false }]
+     */
+    getAddressBook() {
+        if (this.addressBook) {
+            return this.addressBook;
+        }
+
+        const contactsFile = process.env.WHATSAPP_SANDBOX_CONTACTS_FILE;
+        if (contactsFile) {
+            try {
+                const entries = JSON.parse(fs.readFileSync(contactsFile, 'utf8'));
+                this.addressBook = entries
+                    .filter(entry => entry && entry.number)
+                    .map(entry => ({
+                        number: String(entry.number).replace(/\D/g, ''),
+                        name: entry.name || null,
+                        is_business: Boolean(entry.is_business)
+                    }));
+                this.logger.info(`Loaded ${this.addressBook.length} sandbox contacts from ${contactsFile}`);
+                return this.addressBook;
+            } catch (error) {
+                this.logger.warn(`Could not load sandbox contacts from ${contactsFile}: ${error.message}`);
+            }
+        }
+
+        const count = parseInt(process.env.WHATSAPP_SANDBOX_CONTACTS_COUNT) || 20;
+        this.addressBook = Array.from({ length: count }, (_, index) => ({
+            number: `9665${String(index + 1).padStart(8, '0')}`,
+            name: `Sandbox Contact ${index + 1}`,
+            is_business: index % 5 === 4
+        }));
+
+        return this.addressBook;
+    }
+}
+
+module.exports = SandboxDriver;
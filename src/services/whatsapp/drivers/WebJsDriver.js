@@ -0,0 +1,115 @@
+const { Client } = require('whatsapp-web.js');
+
+// Launch flags every session gets; per-session chromium_args are appended
+const DEFAULT_ARGS = [
+    '--no-sandbox',
+    '--disable-setuid-sandbox',
+    '--disable-dev-shm-usage',
+    '--disable-accelerated-2d-canvas',
+    '--no-first-run',
+    '--no-zygote',
+    '--disable-gpu'
+];
+
+// Per-session chromium_args may only tune the page: Chromium runs with --no-sandbox, so launcher,
+// subprocess or extension flags would let a tenant run programs on the host
+const ALLOWED_ARG_PATTERNS = [
+    /^--lang=[a-z]{2,3}(-[a-z0-9]{2,8})?$/i,
+    /^--window-size=\d{2,5},\d{2,5}$/,
+    /^--disable-[a-z0-9-]+(=[a-z0-9,_-]+)?$/i
+];
+const DENIED_ARGS = ['--disable-web-security'];
+
+/**
+ * Driver backed by whatsapp-web.js (real WhatsApp Web in headless Chromium)
+ *
+ * Driver interface:
+ * - name
+ * - createClient(sessionId, browserConfig): returns a whatsapp-web.js compatible client (EventEmitter)
+ *   browserConfig: { proxy_url, user_agent, chromium_args, web_version } stored on the session
+ * - hasSessionData(sessionId): whether the session can resume without a new QR scan
+ * - deleteSessionData(sessionId): forget stored auth for the session
+ */
+class WebJsDriver {
+    constructor(authStrategyProvider) {
+        this.name = 'webjs';
+        this.authStrategyProvider = authStrategyProvider;
+        this.defaultWebVersion = process.env.WHATSAPP_WEB_VERSION || null;
+        this.webVersionUrl = process.env.WHATSAPP_WEB_VERSION_URL ||
+            'https://raw.githubusercontent.com/wppconnect-team/wa-version/main/html/{version}.html';
+    }
+
+    /**
+     * Check if a per-session Chromium flag is on the allowlist (--lang, --window-size, --disable-*)
+     */
+    static isAllowedChromiumArg(arg) {
+        return typeof arg === 'string' &&
+            !DENIED_ARGS.includes(arg.toLowerCase().split('=')[0]) &&
+            ALLOWED_ARG_PATTERNS.some(pattern => pattern.test(arg));
+    }
+
+    /**
+     * Create whatsapp-web.js client for session
+     */
+    createClient(sessionId, browserConfig = {}) {
+        const args = [...DEFAULT_ARGS];
+        const options = {
+            authStrategy: this.authStrategyProvider.createAuthStrategy(sessionId),
+            puppeteer: {
+                headless: true,
+                args
+            }
+        };
+
+        // Chromium takes the proxy without credentials; HTTP proxy auth is answered by the page
+        if (browserConfig.proxy_url) {
+            const proxy = new URL(browserConfig.proxy_url);
+            args.push(`--proxy-server=${proxy.protocol}//${proxy.host}`);
+
+            if (proxy.username) {
+                options.proxyAuthentication = {
+                    username: decodeURIComponent(proxy.username),
+                    password: decodeURIComponent(proxy.password)
+                };
+            }
+        }
+
+        if (browserConfig.user_agent) {
+            options.userAgent = browserConfig.user_agent;
+        }
+
+        // Filtered again here for configs stored before the allowlist existed
+        if (browserConfig.chromium_args && browserConfig.chromium_args.length > 0) {
+            args.push(...browserConfig.chromium_args.filter(arg => WebJsDriver.isAllowedChromiumArg(arg)));
+        }
+
+        // Pinned builds are fetched from the version archive; fail instead of silently using latest
+        const webVersion = browserConfig.web_version || this.defaultWebVersion;
+        if (webVersion) {
+            options.webVersion = webVersion;
+            options.webVersionCache = {
+                type: 'remote',
+                remotePath: this.webVersionUrl,
+                strict: true
+            };
+        }
+
+        return new Client(options);
+    }
+
+    /**
+     * Check if stored auth data exists for session
+     */
+    async hasSessionData(sessionId) {
+        return await this.authStrategyProvider.hasSessionData(sessionId);
+    }
+
+    /**
+     * Delete stored auth data for session
+     */
+    async deleteSessionData(sessionId) {
+        await this.authStrategyProvider.deleteSessionData(sessionId);
+    }
+}
+
+module.exports = WebJsDriver;
@@ -0,0 +1,167 @@
+const vm = require('vm');
+
+// Tenant patterns run on the event loop for every inbound message, so both sides are bounded
+const MAX_PATTERN_LENGTH = 200;
+const MAX_INPUT_LENGTH = 1000;
+// Hard limit for one match, for polynomial patterns the static check cannot see (e.g. .*x.*x.*x)
+const MATCH_TIMEOUT_MS = 50;
+
+// Patterns are matched inside a separate context, the only way to interrupt a running regex
+const matchContext = vm.createContext({});
+const matchScript = new vm.Script('new RegExp(pattern, flags).test(text)');
+
+// (?: (?= (?! (?<= (?<! (?<name> open a group like (
+const GROUP_PREFIX = /^\(\?(?:[:=!]|<[=!]|<[A-Za-z_$][\w$]*>)/;
+
+// Characters used to tell whether two atoms can match the same input (ASCII plus a few non-Latin samples)
+const PROBE_CHARACTERS = [
+    ...Array.from({ length: 128 }, (_, code) => String.fromCharCode(code)),
+    ' ', 'é', 'ß', 'ا', '٣', 'я', '中'
+];
+
+/**
+ * Whether two single-character atoms (escape, class, dot or literal) can match the same character
+ * Groups are passed as null and always count as overlapping
+ */
+function atomsOverlap(first, second) {
+    if (first === null || second === null) {
+        return true;
+    }
+
+    try {
+        const firstRegex = new RegExp(`^(?:${first})$`, 'i');
+        const secondRegex = new RegExp(`^(?:${second})$`, 'i');
+        return PROBE_CHARACTERS.some(char => firstRegex.test(char) && secondRegex.test(char));
+    } catch (error) {
+        return true;
+    }
+}
+
+/**
+ * Guard for regular expressions supplied by tenants (auto-reply matches, chat flow validation and branches)
+ * Rejects patterns prone to catastrophic backtracking: backreferences, repeated groups that themselves
+ * contain a quantifier or an alternation (e.g. (a+)+, (a|aa)*) and overlapping unbounded quantifiers next
+ * to each other (e.g. .*.*, \d*\w+); whatever slips through is cut off after MATCH_TIMEOUT_MS
+ */
+class SafeRegex {
+    /**
+     * Check that pattern compiles, is short and has no nested or adjacent unbounded quantifiers
+     * @returns {string|null} reason the pattern is rejected, null when it is safe
+     */
+    static check(pattern) {
+        if (typeof pattern !== 'string' || pattern.length === 0) {
+            return 'must be a non-empty string';
+        }
+        if (pattern.length > MAX_PATTERN_LENGTH) {
+            return `must be at most ${MAX_PATTERN_LENGTH} characters`;
+        }
+
+        try {
+            new RegExp(pattern);
+        } catch (error) {
+            return `is not a valid regex: ${error.message}`;
+        }
+
+        if (/\\[1-9]|\\k</.test(pattern)) {
+            return 'must not use backreferences';
+        }
+
+        // One frame per open group (plus the whole pattern): whether it contains a quantifier or
+        // alternation, and the previous atom when it repeats without bound (undefined otherwise)
+        const frames = [{ risky: false, previousUnbounded: undefined }];
+        let i = 0;
+
+        while (i < pattern.length) {
+            const frame = frames[frames.length - 1];
+            const char = pattern[i];
+            let groupRisky = null;
+
+            if (char === '(') {
+                const prefix = pattern.slice(i).match(GROUP_PREFIX);
+                i += prefix ? prefix[0].length : 1;
+                frames.push({ risky: false, previousUnbounded: undefined });
+                continue;
+            }
+            if (char === '|') {
+                frame.risky = true;
+                frame.previousUnbounded = undefined;
+                i++;
+                continue;
+            }
+
+            // Atom: group just closed (null), escape, character class or single character
+            const start = i;
+            if (char === ')') {
+                groupRisky = frames.pop().risky;
+                i++;
+            } else if (char === '\\') {
+                i += 2;
+            } else if (char === '[') {
+                i++;
+                while (i < pattern.length && pattern[i] !== ']') {
+                    i += pattern[i] === '\\' ? 2 : 1;
+                }
+                i++;
+            } else {
+                i++;
+            }
+
+            const atom = groupRisky === null ? pattern.slice(start, i) : null;
+            const quantifier = pattern.slice(i).match(/^(?:[*+?]|\{\d+(?:,\d*)?\})\??/);
+            const quantified = quantifier ? quantifier[0] : '';
+            const repeated = /^[*+{]/.test(quantified);
+            const unbounded = /^[*+]|^\{\d+,\}/.test(quantified);
+            i += quantified.length;
+
+            const current = frames[frames.length - 1];
+            if (groupRisky && repeated) {
+                return 'must not repeat a group that contains a quantifier or alternation (e.g. (a+)+)';
+            }
+            if (unbounded && current.previousUnbounded !== undefined && atomsOverlap(current.previousUnbounded, atom)) {
+                return 'must not put overlapping unbounded quantifiers next to each other (e.g. .*.*)';
+            }
+            if (frames.length > 1 && (groupRisky || repeated)) {
+                current.risky = true;
+            }
+            current.previousUnbounded = unbounded ? atom : undefined;
+        }
+
+        return null;
+    }
+
+    static isSafe(pattern) {
+        return SafeRegex.check(pattern) === null;
+    }
+
+    /**
+     * Test text against pattern; unsafe patterns (e.g. stored before validation existed) never match,
+     * and neither does a match cut off after MATCH_TIMEOUT_MS
+     * Only the first MAX_INPUT_LENGTH characters of text are tested
+     */
+    static test(pattern, flags, text) {
+        if (!SafeRegex.isSafe(pattern)) {
+            return false;
+        }
+
+        matchContext.pattern = pattern;
+        matchContext.flags = flags;
+        matchContext.text = String(text ?? '').slice(0, MAX_INPUT_LENGTH);
+
+        try {
+            return matchScript.runInContext(matchContext, { timeout: MATCH_TIMEOUT_MS }) === true;
+        } catch (error) {
+            if (error.code === 'ERR_SCRIPT_EXECUTION_TIMEOUT') {
+                return false;
+            }
+            throw error;
+        } finally {
+            matchContext.text = null;
+        }
+    }
+}
+
+SafeRegex.MAX_PATTERN_LENGTH = MAX_PATTERN_LENGTH;
+SafeRegex.MAX_INPUT_LENGTH = MAX_INPUT_LENGTH;
+SafeRegex.MATCH_TIMEOUT_MS = MATCH_TIMEOUT_MS;
+
+module.exports = SafeRegex;
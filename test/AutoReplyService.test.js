@@ -0,0 +1,90 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const AutoReplyService = require('../src/services/message/AutoReplyService');
+
+// 2025-01-05 is a Sunday (day 0)
+const at = iso => new Date(iso);
+
+describe('AutoReplyService', () => {
+    const service = new AutoReplyService({});
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('isWithinBusinessHours', () => {
+        const weekdays = { timezone: 'UTC', days: [0, 1, 2, 3, 4], start: '09:00', end: '17:00' };
+
+        it('is open between start and end on listed days', () => {
+            assert.equal(service.isWithinBusinessHours(weekdays, at('2025-01-05T09:00:00Z')), true);
+            assert.equal(service.isWithinBusinessHours(weekdays, at('2025-01-05T16:59:00Z')), true);
+        });
+
+        it('closes at end and on unlisted days', () => {
+            assert.equal(service.isWithinBusinessHours(weekdays, at('2025-01-05T17:00:00Z')), false);
+            assert.equal(service.isWithinBusinessHours(weekdays, at('2025-01-05T08:59:00Z')), false);
+            // Friday
+            assert.equal(service.isWithinBusinessHours(weekdays, at('2025-01-10T10:00:00Z')), false);
+        });
+
+        it('uses the rule timezone', () => {
+            const riyadh = { ...weekdays, timezone: 'Asia/Riyadh' };
+
+            // 06:30 UTC is 09:30 in Riyadh (UTC+3)
+            assert.equal(service.isWithinBusinessHours(riyadh, at('2025-01-05T06:30:00Z')), true);
+            assert.equal(service.isWithinBusinessHours(riyadh, at('2025-01-05T14:30:00Z')), false);
+        });
+
+        describe('overnight hours (end before start)', () => {
+            // Open Thursday and Friday nights, 22:00 until 06:00 the next morning
+            const nights = { timezone: 'UTC', days: [4, 5], start: '22:00', end: '06:00' };
+
+            it('is open from start until midnight on listed days', () => {
+                assert.equal(service.isWithinBusinessHours(nights, at('2025-01-09T22:00:00Z')), true);
+                assert.equal(service.isWithinBusinessHours(nights, at('2025-01-09T23:59:00Z')), true);
+            });
+
+            it('counts the hours after midnight towards the previous day', () => {
+                // Friday 02:00 belongs to Thursday night, Sunday 02:00 to Saturday night (not listed)
+                assert.equal(service.isWithinBusinessHours(nights, at('2025-01-10T02:00:00Z')), true);
+                assert.equal(service.isWithinBusinessHours(nights, at('2025-01-11T05:59:00Z')), true);
+                assert.equal(service.isWithinBusinessHours(nights, at('2025-01-12T02:00:00Z')), false);
+            });
+
+            it('is closed between end and start', () => {
+                assert.equal(service.isWithinBusinessHours(nights, at('2025-01-10T06:00:00Z')), false);
+                assert.equal(service.isWithinBusinessHours(nights, at('2025-01-10T12:00:00Z')), false);
+            });
+
+            it('wraps from Saturday night into Sunday morning', () => {
+                const saturday = { ...nights, days: [6] };
+
+                assert.equal(service.isWithinBusinessHours(saturday, at('2025-01-12T03:00:00Z')), true);
+                assert.equal(service.isWithinBusinessHours(saturday, at('2025-01-05T23:00:00Z')), false);
+            });
+        });
+    });
+
+    describe('matches', () => {
+        const rule = match => ({ _id: 'r1', match });
+
+        it('compares exact and contains case-insensitively by default', () => {
+            assert.equal(service.matches(rule({ type: 'exact', value: 'Hello' }), '  hello '), true);
+            assert.equal(service.matches(rule({ type: 'exact', value: 'Hello', case_sensitive: true }), 'hello'), false);
+            assert.equal(service.matches(rule({ type: 'contains', value: 'price' }), 'What is the PRICE?'), true);
+        });
+
+        it('tests regexes', () => {
+            assert.equal(service.matches(rule({ type: 'regex', value: '^(price|cost)\\b' }), 'Cost of delivery'), true);
+            assert.equal(service.matches(rule({ type: 'regex', value: '^order \\d+$' }), 'order abc'), false);
+        });
+
+        it('never matches backtracking-prone regexes', () => {
+            mock.method(service.logger, 'warn', () => {});
+
+            const started = Date.now();
+            assert.equal(service.matches(rule({ type: 'regex', value: '(a+)+$' }), `${'a'.repeat(40)}!`), false);
+            assert.ok(Date.now() - started < 100);
+        });
+    });
+});
@@ -0,0 +1,215 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const ChatFlowService = require('../src/services/message/ChatFlowService');
+
+const sessionData = { user_id: 1, place_id: 2, session_id: 's1' };
+
+const bookingFlow = () => ({
+    _id: 'f1',
+    name: 'Booking',
+    start_node: 'welcome',
+    timeout_minutes: 10,
+    timeout_message: 'Timed out, {name}',
+    nodes: [
+        { id: 'welcome', type: 'message', text: 'Welcome {name}!', next: 'service' },
+        {
+            id: 'service',
+            type: 'menu',
+            text: 'Which service?',
+            field: 'service',
+            options: [{ label: 'Haircut', next: 'date' }, { key: 'b', label: 'Beard', next: 'date' }]
+        },
+        {
+            id: 'date',
+            type: 'input',
+            text: 'Date?',
+            field: 'date',
+            validation: '^\\d{4}-\\d{2}-\\d{2}$',
+            invalid_message: 'Bad date',
+            timeout_minutes: 2,
+            timeout_next: 'reminder',
+            next: 'route'
+        },
+        { id: 'reminder', type: 'message', text: 'Still there?', next: 'date' },
+        {
+            id: 'route',
+            type: 'branch',
+            rules: [
+                { field: 'service', operator: 'equals', value: 'haircut', next: 'haircut' },
+                { field: 'date', operator: 'regex', value: '^2025-12', next: 'holidays' }
+            ],
+            default_next: 'other'
+        },
+        { id: 'haircut', type: 'end', text: 'Haircut on {date}' },
+        { id: 'holidays', type: 'end', text: 'Holiday booking' },
+        { id: 'other', type: 'end', text: 'Beard on {date}' }
+    ]
+});
+
+const createState = (fields = {}) => ({
+    phone_number: '966500000001',
+    status: 'active',
+    current_node: null,
+    answers: { name: 'Sara' },
+    expires_at: null,
+    save: async () => {},
+    ...fields
+});
+
+describe('ChatFlowService', () => {
+    let service;
+    let sent;
+
+    beforeEach(() => {
+        service = new ChatFlowService({ clientFactory: { clients: new Map() } });
+        sent = [];
+        mock.method(service, 'send', async (session, state, flow, text) => {
+            sent.push(text);
+        });
+        mock.method(service, 'saveAnswer', async (session, state, field, value) => {
+            state.answers = { ...state.answers, [field]: value };
+        });
+        mock.method(service.logger, 'info', () => {});
+        mock.method(service.logger, 'warn', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('pickBranch', () => {
+        const node = {
+            rules: [
+                { field: 'plan', operator: 'equals', value: 'Gold', next: 'gold' },
+                { field: 'city', operator: 'contains', value: 'riyadh', next: 'riyadh' },
+                { field: 'code', operator: 'regex', value: '^vip-\\d+$', next: 'vip' },
+                { field: 'referral', operator: 'exists', next: 'referred' }
+            ],
+            default_next: 'fallback'
+        };
+        const pick = answers => service.pickBranch(node, { answers });
+
+        it('takes the first matching rule', () => {
+            assert.equal(pick({ plan: 'gold', city: 'Riyadh' }), 'gold');
+            assert.equal(pick({ city: 'North Riyadh' }), 'riyadh');
+            assert.equal(pick({ code: 'VIP-42' }), 'vip');
+            assert.equal(pick({ referral: 'Ali' }), 'referred');
+        });
+
+        it('falls back to default_next', () => {
+            assert.equal(pick({}), 'fallback');
+            assert.equal(pick({ plan: 'silver', referral: '', code: 'vip-x' }), 'fallback');
+        });
+    });
+
+    describe('running a flow', () => {
+        it('sends until a node waits and sets its timeout', async () => {
+            const flow = bookingFlow();
+            const state = createState();
+
+            await service.runFrom(sessionData, state, flow, flow.start_node);
+
+            assert.deepEqual(sent, ['Welcome Sara!', 'Which service?\n\n1. Haircut\nb. Beard']);
+            assert.equal(state.current_node, 'service');
+            assert.equal(state.status, 'active');
+            // Menu has no timeout of its own, so the flow's 10 minutes apply
+            assert.ok(Math.abs(state.expires_at - Date.now() - 10 * 60000) < 1000);
+        });
+
+        it('matches menu replies by key or label and re-asks otherwise', async () => {
+            const flow = bookingFlow();
+            const state = createState({ current_node: 'service' });
+
+            await service.handleReply(sessionData, state, flow, { body: '7' });
+            assert.deepEqual(sent, ['Please reply with one of the option numbers.', 'Which service?\n\n1. Haircut\nb. Beard']);
+            assert.equal(state.current_node, 'service');
+
+            sent.length = 0;
+            await service.handleReply(sessionData, state, flow, { body: 'B' });
+            assert.equal(state.answers.service, 'Beard');
+            assert.deepEqual(sent, ['Date?']);
+            assert.equal(state.current_node, 'date');
+            // The input node's own timeout wins over the flow's
+            assert.ok(Math.abs(state.expires_at - Date.now() - 2 * 60000) < 1000);
+        });
+
+        it('validates input before branching on the answers', async () => {
+            const flow = bookingFlow();
+            const state = createState({ current_node: 'date', answers: { name: 'Sara', service: 'Haircut' } });
+
+            await service.handleReply(sessionData, state, flow, { body: 'tomorrow' });
+            assert.deepEqual(sent, ['Bad date', 'Date?']);
+            assert.equal(state.answers.date, undefined);
+
+            sent.length = 0;
+            await service.handleReply(sessionData, state, flow, { body: '2025-02-01' });
+            assert.deepEqual(sent, ['Haircut on 2025-02-01']);
+            assert.equal(state.status, 'completed');
+            assert.equal(state.current_node, null);
+        });
+
+        it('uses later rules and the default branch', async () => {
+            const holidays = createState({ current_node: 'date', answers: { service: 'Beard' } });
+            await service.handleReply(sessionData, holidays, bookingFlow(), { body: '2025-12-24' });
+
+            const other = createState({ current_node: 'date', answers: { service: 'Beard' } });
+            await service.handleReply(sessionData, other, bookingFlow(), { body: '2025-03-01' });
+
+            assert.deepEqual(sent, ['Holiday booking', 'Beard on 2025-03-01']);
+        });
+
+        it('stops nodes that loop without waiting', async () => {
+            const flow = {
+                _id: 'f2',
+                nodes: [
+                    { id: 'a', type: 'message', text: 'A', next: 'b' },
+                    { id: 'b', type: 'branch', rules: [], default_next: 'a' }
+                ]
+            };
+            const state = createState();
+
+            await service.runFrom(sessionData, state, flow, 'a');
+
+            assert.equal(state.status, 'completed');
+            assert.ok(sent.length > 0 && sent.length <= 25);
+        });
+    });
+
+    describe('timeouts', () => {
+        it('continues with the node timeout_next', async () => {
+            const state = createState({ current_node: 'date' });
+
+            await service.handleTimeout(state, bookingFlow());
+
+            assert.deepEqual(sent, ['Still there?', 'Date?']);
+            assert.equal(state.status, 'active');
+            assert.equal(state.current_node, 'date');
+        });
+
+        it('expires the flow with its timeout message otherwise', async () => {
+            const state = createState({ current_node: 'service' });
+
+            await service.handleTimeout(state, bookingFlow());
+
+            assert.equal(state.status, 'expired');
+            assert.equal(state.expires_at, null);
+            assert.deepEqual(sent, ['Timed out, Sara']);
+        });
+    });
+
+    describe('validateFlow', () => {
+        it('accepts a consistent flow', () => {
+            assert.doesNotThrow(() => service.validateFlow(bookingFlow()));
+        });
+
+        it('rejects missing targets and unsafe regexes', () => {
+            const missing = bookingFlow();
+            missing.nodes[0].next = 'nowhere';
+            assert.throws(() => service.validateFlow(missing), /Invalid flow/);
+
+            const unsafe = bookingFlow();
+            unsafe.nodes[2].validation = '(\\d+)+$';
+            assert.throws(() => service.validateFlow(unsafe), /validation of node "date" must not repeat a group/);
+        });
+    });
+});
@@ -0,0 +1,90 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const MediaFile = require('../models/MediaFile');
+const MediaStorageService = require('../src/services/message/MediaStorageService');
+
+const MEDIA_ID = '6ad5992628fa327a8f4ea5e4';
+
+describe('MediaStorageService signed links', () => {
+    let service;
+    let env;
+
+    beforeEach(() => {
+        env = { ...process.env };
+        process.env.MEDIA_URL_SECRET = 'test-secret';
+        process.env.MEDIA_URL_TTL_SECONDS = '600';
+        process.env.MEDIA_PUBLIC_BASE_URL = 'https://media.example.com/';
+        service = new MediaStorageService();
+
+        mock.method(MediaFile, 'findById', () => ({
+            lean: async () => ({ _id: MEDIA_ID, storage_driver: 'local', storage_key: 'ab/abc' })
+        }));
+        mock.method(service.backends.local, 'createReadStream', async key => `stream:${key}`);
+    });
+
+    afterEach(() => {
+        process.env = env;
+        mock.restoreAll();
+    });
+
+    const parse = url => {
+        const { pathname, searchParams } = new URL(url);
+        return { pathname, expires: searchParams.get('expires'), signature: searchParams.get('signature') };
+    };
+
+    it('signs links valid for MEDIA_URL_TTL_SECONDS under MEDIA_PUBLIC_BASE_URL', () => {
+        const { url, expires_at: expiresAt } = service.createSignedUrl(MEDIA_ID);
+        const { pathname, expires } = parse(url);
+
+        assert.ok(url.startsWith('https://media.example.com/api/'));
+        assert.equal(pathname, `/api/whatsapp/media/${MEDIA_ID}/content`);
+        assert.equal(expiresAt.getTime(), parseInt(expires) * 1000);
+        assert.ok(Math.abs(expiresAt - Date.now() - 600 * 1000) < 2000);
+    });
+
+    it('opens media behind a valid link', async () => {
+        const { expires, signature } = parse(service.createSignedUrl(MEDIA_ID).url);
+
+        const mediaFile = await service.getSignedMedia(MEDIA_ID, expires, signature);
+
+        assert.equal(mediaFile.storage_key, 'ab/abc');
+        assert.equal(await service.openStream(mediaFile), 'stream:ab/abc');
+    });
+
+    it('rejects tampered signatures, ids and expiry times', async () => {
+        const { expires, signature } = parse(service.createSignedUrl(MEDIA_ID).url);
+        const flipped = `${signature.slice(0, -1)}${signature.endsWith('A') ? 'B' : 'A'}`;
+
+        await assert.rejects(service.getSignedMedia(MEDIA_ID, expires, flipped), /Invalid media signature/);
+        await assert.rejects(service.getSignedMedia(MEDIA_ID, expires, 'short'), /Invalid media signature/);
+        await assert.rejects(service.getSignedMedia(MEDIA_ID, parseInt(expires) + 3600, signature), /Invalid media signature/);
+        await assert.rejects(service.getSignedMedia('6ad5992628fa327a8f4ea5e5', expires, signature), /Invalid media signature/);
+        await assert.rejects(service.getSignedMedia(MEDIA_ID, undefined, signature), /Invalid media signature/);
+        assert.equal(MediaFile.findById.mock.callCount(), 0);
+    });
+
+    it('rejects expired links even with a valid signature', async () => {
+        const expires = Math.floor(Date.now() / 1000) - 1;
+
+        await assert.rejects(
+            service.getSignedMedia(MEDIA_ID, expires, service.sign(MEDIA_ID, expires)),
+            /Media link expired/
+        );
+    });
+
+    it('does not accept links signed with another secret', async () => {
+        const { expires, signature } = parse(service.createSignedUrl(MEDIA_ID).url);
+
+        process.env.MEDIA_URL_SECRET = 'other-secret';
+        const otherInstance = new MediaStorageService();
+
+        await assert.rejects(otherInstance.getSignedMedia(MEDIA_ID, expires, signature), /Invalid media signature/);
+    });
+
+    it('reports media that no longer exists', async () => {
+        MediaFile.findById.mock.mockImplementation(() => ({ lean: async () => null }));
+        const { expires, signature } = parse(service.createSignedUrl(MEDIA_ID).url);
+
+        await assert.rejects(service.getSignedMedia(MEDIA_ID, expires, signature), /Media not found/);
+    });
+});
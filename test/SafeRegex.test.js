@@ -0,0 +1,51 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const SafeRegex = require('../src/utils/SafeRegex');
+
+describe('SafeRegex', () => {
+    it('accepts ordinary patterns', () => {
+        for (const pattern of ['^hello', 'price|cost', '(hi|hello)\\b', '^\\d{4}-\\d{2}-\\d{2}$', '(abc)+', '[(a+)]+', '\\(a+\\)+', '\\s*\\d+', '^(?:price|cost)\\s*\\d+']) {
+            assert.equal(SafeRegex.check(pattern), null, pattern);
+        }
+    });
+
+    it('rejects repeated groups containing quantifiers or alternations', () => {
+        for (const pattern of ['(a+)+$', '(a*)*', '(a|aa)*', '(?:x*y)+', '((ab)+c)+', '(\\w{2,})+']) {
+            assert.match(SafeRegex.check(pattern), /must not repeat a group/, pattern);
+        }
+    });
+
+    it('rejects overlapping unbounded quantifiers next to each other', () => {
+        for (const pattern of ['.*.*.*.*x', '\\d*\\d*\\d*\\d*x', 'a*a*a*b', '\\d*\\w+', 'x{2,}x+']) {
+            assert.match(SafeRegex.check(pattern), /must not put overlapping unbounded quantifiers/, pattern);
+        }
+    });
+
+    it('rejects backreferences, invalid and overlong patterns', () => {
+        assert.match(SafeRegex.check('(a)\\1'), /backreferences/);
+        assert.match(SafeRegex.check('(?<x>a)\\k<x>'), /backreferences/);
+        assert.match(SafeRegex.check('(unclosed'), /not a valid regex/);
+        assert.match(SafeRegex.check('a'.repeat(SafeRegex.MAX_PATTERN_LENGTH + 1)), /at most/);
+        assert.match(SafeRegex.check(''), /non-empty/);
+    });
+
+    it('tests only the first MAX_INPUT_LENGTH characters', () => {
+        const text = `${'x'.repeat(SafeRegex.MAX_INPUT_LENGTH)}needle`;
+
+        assert.equal(SafeRegex.test('needle', '', text), false);
+        assert.equal(SafeRegex.test('needle', '', 'a needle'), true);
+    });
+
+    it('never matches with unsafe patterns', () => {
+        assert.equal(SafeRegex.test('(a+)+$', '', 'aaaa'), false);
+        assert.equal(SafeRegex.test('.*.*.*.*x', '', 'aaaax'), false);
+    });
+
+    it('gives up on matches running past MATCH_TIMEOUT_MS', () => {
+        const started = Date.now();
+
+        assert.equal(SafeRegex.check('.*x.*x.*x.*x.*x.*y'), null);
+        assert.equal(SafeRegex.test('.*x.*x.*x.*x.*x.*y', '', 'x'.repeat(SafeRegex.MAX_INPUT_LENGTH)), false);
+        assert.ok(Date.now() - started < SafeRegex.MATCH_TIMEOUT_MS * 20);
+    });
+});
@@ -0,0 +1,73 @@
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const SessionOwnershipService = require('../src/services/whatsapp/SessionOwnershipService');
+
+const URL = '/api/whatsapp/send?user_id=1&place_id=2';
+
+describe('SessionOwnershipService forwarded requests', () => {
+    let env;
+
+    beforeEach(() => {
+        env = { ...process.env };
+        delete process.env.REDIS_URL;
+        delete process.env.REDIS_HOST;
+        process.env.INSTANCE_SECRET = 'test-secret';
+    });
+
+    afterEach(() => {
+        process.env = env;
+    });
+
+    const createService = (instanceId) => {
+        const service = new SessionOwnershipService();
+        service.instanceId = instanceId;
+        return service;
+    };
+
+    const request = (headers, method = 'POST', originalUrl = URL) => ({
+        method,
+        originalUrl,
+        get: name => headers[name.toLowerCase()]
+    });
+
+    it('accepts requests signed by another instance', () => {
+        const headers = createService('instance-a').createForwardHeaders('POST', URL);
+
+        assert.equal(headers[SessionOwnershipService.FORWARDED_HEADER], 'instance-a');
+        assert.equal(createService('instance-b').isForwarded(request(headers)), true);
+    });
+
+    it('ignores the forwarded header without a valid signature', () => {
+        const owner = createService('instance-b');
+        const headers = createService('instance-a').createForwardHeaders('POST', URL);
+        const signature = headers[SessionOwnershipService.FORWARD_SIGNATURE_HEADER];
+
+        assert.equal(owner.isForwarded(request({ [SessionOwnershipService.FORWARDED_HEADER]: 'instance-a' })), false);
+        assert.equal(owner.isForwarded(request({ ...headers, [SessionOwnershipService.FORWARDED_HEADER]: 'instance-c' })), false);
+        assert.equal(owner.isForwarded(request(headers, 'GET')), false);
+        assert.equal(owner.isForwarded(request(headers, 'POST', '/api/whatsapp/send?user_id=9&place_id=2')), false);
+        assert.equal(owner.isForwarded(request({
+            ...headers,
+            [SessionOwnershipService.FORWARD_SIGNATURE_HEADER]: `x${signature}`
+        })), false);
+    });
+
+    it('rejects signatures older than five minutes', () => {
+        const sender = createService('instance-a');
+        const timestamp = Math.floor(Date.now() / 1000) - 301;
+        const headers = {
+            [SessionOwnershipService.FORWARDED_HEADER]: 'instance-a',
+            [SessionOwnershipService.FORWARD_SIGNATURE_HEADER]: `${timestamp}.${sender.signForward('instance-a', timestamp, 'POST', URL)}`
+        };
+
+        assert.equal(createService('instance-b').isForwarded(request(headers)), false);
+    });
+
+    it('trusts no forwarded request without INSTANCE_SECRET', () => {
+        const headers = createService('instance-a').createForwardHeaders('POST', URL);
+        delete process.env.INSTANCE_SECRET;
+
+        assert.equal(createService('instance-b').isForwarded(request(headers)), false);
+        assert.equal(createService('instance-a').createForwardHeaders('POST', URL)[SessionOwnershipService.FORWARD_SIGNATURE_HEADER], undefined);
+    });
+});
@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const WhatsAppSession = require('../models/WhatsAppSession');
+const WhatsAppSessionHistory = require('../models/WhatsAppSessionHistory');
+const SessionStateMachine = require('../src/services/whatsapp/SessionStateMachine');
+
+describe('SessionStateMachine', () => {
+    let stateMachine;
+
+    beforeEach(() => {
+        stateMachine = new SessionStateMachine();
+        mock.method(stateMachine.logger, 'warn', () => {});
+        mock.method(stateMachine.logger, 'error', () => {});
+    });
+
+    afterEach(() => {
+        mock.restoreAll();
+    });
+
+    describe('canTransition', () => {
+        it('follows the transition table', () => {
+            assert.equal(stateMachine.canTransition('initializing', 'qr_ready'), true);
+            assert.equal(stateMachine.canTransition('qr_ready', 'ready'), true);
+            assert.equal(stateMachine.canTransition('ready', 'fetching_contacts'), true);
+            assert.equal(stateMachine.canTransition('fetching_contacts', 'completed'), true);
+            assert.equal(stateMachine.canTransition('qr_ready', 'fetching_contacts'), false);
+            assert.equal(stateMachine.canTransition('error', 'ready'), false);
+            assert.equal(stateMachine.canTransition('inactive', 'ready'), false);
+        });
+
+        it('lets every status re-initialize or disconnect', () => {
+            for (const status of SessionStateMachine.STATUSES) {
+                assert.equal(stateMachine.canTransition(status, 'initializing'), true, status);
+                assert.equal(stateMachine.canTransition(status, 'disconnected'), true, status);
+            }
+        });
+
+        it('allows staying in the same status and rejects unknown statuses', () => {
+            assert.equal(stateMachine.canTransition('ready', 'ready'), true);
+            assert.equal(stateMachine.canTransition('ready', 'sleeping'), false);
+        });
+    });
+
+    describe('transition', () => {
+        const stubSession = (status) => {
+            const updates = [];
+            mock.method(WhatsAppSession, 'findOne', async () => ({ session_id: 's1', status }));
+            mock.method(WhatsAppSession, 'findOneAndUpdate', async (filter, changes) => {
+                updates.push({ filter, changes });
+                return filter.status === status ? { session_id: 's1', user_id: 1, place_id: 2, ...changes } : null;
+            });
+            const history = mock.method(WhatsAppSessionHistory, 'create', async () => ({}));
+            const events = mock.method(stateMachine.eventService, 'publish', () => ({}));
+            return { updates, history, events };
+        };
+
+        it('updates conditionally on the current status and records history', async () => {
+            const { updates, history, events } = stubSession('qr_ready');
+
+            const updated = await stateMachine.transition('s1', 'authenticated', { cause: 'authenticated', actor: 'client' });
+
+            assert.equal(updated.status, 'authenticated');
+            assert.deepEqual(updates[0].filter, { session_id: 's1', status: 'qr_ready' });
+            assert.equal(history.mock.callCount(), 1);
+            assert.equal(history.mock.calls[0].arguments[0].from_status, 'qr_ready');
+            assert.equal(history.mock.calls[0].arguments[0].to_status, 'authenticated');
+            assert.equal(events.mock.calls[0].arguments[1], 'status');
+        });
+
+        it('rejects illegal transitions without writing', async () => {
+            const { updates } = stubSession('qr_ready');
+
+            await assert.rejects(
+                stateMachine.transition('s1', 'completed'),
+                /Invalid session status transition for s1: qr_ready -> completed/
+            );
+            assert.equal(updates.length, 0);
+        });
+
+        it('aborts when the status changed concurrently', async () => {
+            stubSession('qr_ready');
+            mock.method(WhatsAppSession, 'findOneAndUpdate', async () => null);
+
+            await assert.rejects(stateMachine.transition('s1', 'ready'), /changed status concurrently/);
+        });
+
+        it('does not record history when the status stays the same', async () => {
+            const { history, events } = stubSession('ready');
+
+            await stateMachine.transition('s1', 'ready', { updates: { qr_code: null } });
+
+            assert.equal(history.mock.callCount(), 0);
+            assert.equal(events.mock.callCount(), 0);
+        });
+
+        it('tryTransition returns null instead of throwing', async () => {
+            stubSession('error');
+
+            assert.equal(await stateMachine.tryTransition('s1', 'ready'), null);
+        });
+    });
+});
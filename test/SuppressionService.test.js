@@ -0,0 +1,63 @@
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const SuppressionService = require('../src/services/message/SuppressionService');
+
+describe('SuppressionService', () => {
+    const env = { ...process.env };
+
+    afterEach(() => {
+        process.env = { ...env };
+    });
+
+    describe('matchKeyword', () => {
+        const service = new SuppressionService({});
+
+        it('matches English keywords regardless of case and punctuation', () => {
+            assert.equal(service.matchKeyword('STOP'), 'stop');
+            assert.equal(service.matchKeyword('  Unsubscribe! '), 'unsubscribe');
+            assert.equal(service.matchKeyword('opt-out'), 'opt out');
+        });
+
+        it('matches Arabic keywords across diacritics, tatweel and alef variants', () => {
+            assert.equal(service.matchKeyword('إيقاف'), 'ايقاف');
+            assert.equal(service.matchKeyword('إِيقاف!'), 'ايقاف');
+            assert.equal(service.matchKeyword('ايـقـاف'), 'ايقاف');
+            assert.equal(service.matchKeyword('إلغاء الاشتراك'), 'الغاء الاشتراك');
+        });
+
+        it('only matches messages that consist of a keyword', () => {
+            assert.equal(service.matchKeyword('please stop calling me'), null);
+            assert.equal(service.matchKeyword('stopwatch'), null);
+            assert.equal(service.matchKeyword(''), null);
+            assert.equal(service.matchKeyword(undefined), null);
+        });
+
+        it('uses WHATSAPP_OPT_OUT_KEYWORDS instead of the defaults', () => {
+            process.env.WHATSAPP_OPT_OUT_KEYWORDS = 'quit, Basta';
+            const custom = new SuppressionService({});
+
+            assert.equal(custom.matchKeyword('BASTA'), 'basta');
+            assert.equal(custom.matchKeyword('stop'), null);
+        });
+    });
+
+    describe('normalizeNumber', () => {
+        const service = new SuppressionService({});
+
+        it('keeps digits of numbers and chat ids', () => {
+            assert.equal(service.normalizeNumber('+966 50 000 0001'), '966500000001');
+            assert.equal(service.normalizeNumber('966500000001@c.us'), '966500000001');
+        });
+
+        it('returns null for groups and numbers without digits', () => {
+            assert.equal(service.normalizeNumber('120363000000000000@g.us'), null);
+            assert.equal(service.normalizeNumber('abc'), null);
+        });
+    });
+
+    it('keeps Arabic-Indic digits when normalizing text', () => {
+        const service = new SuppressionService({});
+
+        assert.equal(service.normalizeText('رقم ١٢٣'), 'رقم ١٢٣');
+    });
+});
@@ -0,0 +1,32 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const WebJsDriver = require('../src/services/whatsapp/drivers/WebJsDriver');
+
+describe('WebJsDriver', () => {
+    describe('isAllowedChromiumArg', () => {
+        it('allows language, window size and --disable-* flags', () => {
+            for (const arg of ['--lang=ar', '--lang=en-US', '--window-size=1280,800', '--disable-extensions', '--disable-features=Translate,MediaRouter']) {
+                assert.equal(WebJsDriver.isAllowedChromiumArg(arg), true, arg);
+            }
+        });
+
+        it('rejects flags that launch programs or load code', () => {
+            for (const arg of [
+                '--renderer-cmd-prefix=/bin/sh -c id',
+                '--gpu-launcher=/tmp/x',
+                '--utility-cmd-prefix=/tmp/x',
+                '--browser-subprocess-path=/tmp/x',
+                '--load-extension=/tmp/ext',
+                '--proxy-server=http://evil:8080',
+                '--remote-debugging-port=9222',
+                '--user-data-dir=/tmp',
+                '--disable-web-security',
+                '--disable-features=$(id)',
+                '--lang=ar --gpu-launcher=x',
+                42
+            ]) {
+                assert.equal(WebJsDriver.isAllowedChromiumArg(arg), false, String(arg));
+            }
+        });
+    });
+});